@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
 
 // Verify JWT token
 const auth = async (req, res, next) => {
@@ -111,6 +112,45 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Authenticate third-party integrations via X-API-Key header.
+// Pass one or more permissions the key must hold, e.g. apiKeyAuth('results:read')
+const apiKeyAuth = (...permissions) => async (req, res, next) => {
+  try {
+    const rawKey = req.header('X-API-Key');
+
+    if (!rawKey) {
+      return res.status(401).json({ 
+        message: 'No API key provided' 
+      });
+    }
+
+    const apiKey = await ApiKey.findActiveByKey(rawKey);
+
+    if (!apiKey) {
+      return res.status(401).json({ 
+        message: 'API key is invalid, expired or revoked' 
+      });
+    }
+
+    const missing = permissions.filter(permission => !apiKey.hasPermission(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({ 
+        message: `API key is missing required permission: ${missing.join(', ')}` 
+      });
+    }
+
+    await apiKey.recordUsage(req.ip);
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error('API key auth middleware error:', error);
+    res.status(500).json({ 
+      message: 'Server error in API key authentication' 
+    });
+  }
+};
+
 // Rate limiting for sensitive operations
 const sensitiveOpAuth = async (req, res, next) => {
   try {
@@ -152,6 +192,7 @@ module.exports = {
   adminAuth,
   studentAuth,
   optionalAuth,
+  apiKeyAuth,
   sensitiveOpAuth,
   generateToken,
   verifyToken
@@ -0,0 +1,30 @@
+const Edition = require('../models/Edition');
+
+// Pick the edition a public listing is scoped to: the one named by
+// ?edition= (ID, slug or year), otherwise the active edition. req.edition
+// is null when no edition has been set up yet, and listings stay unscoped
+const resolveEdition = async (req, res, next) => {
+  try {
+    const ref = req.query.edition;
+
+    if (ref) {
+      const edition = await Edition.findByRef(ref);
+      if (!edition) {
+        return res.status(404).json({
+          success: false,
+          message: 'Edition not found'
+        });
+      }
+      req.edition = edition;
+      return next();
+    }
+
+    req.edition = await Edition.getActive();
+    next();
+  } catch (error) {
+    console.error('Edition lookup error:', error);
+    next(error);
+  }
+};
+
+module.exports = { resolveEdition };
@@ -85,6 +85,14 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  if (err.code === 'LIMIT_FILE_COUNT') {
+    const message = 'Too many files';
+    error = {
+      message,
+      statusCode: 400
+    };
+  }
+
   if (err.code === 'LIMIT_UNEXPECTED_FILE') {
     const message = 'Unexpected file field';
     error = {
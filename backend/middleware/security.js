@@ -331,77 +331,6 @@ const validateWebhookSignature = (req, res, next) => {
   next();
 };
 
-// Anti-fraud detection middleware
-const antifraudDetection = async (req, res, next) => {
-  try {
-    const userId = req.user?.id;
-    const ip = req.ip;
-    const userAgent = req.get('User-Agent');
-    
-    if (!userId) {
-      return next();
-    }
-    
-    // Check for suspicious voting patterns
-    if (req.path.includes('/vote') || req.path.includes('/payment')) {
-      const recentVotes = await Vote.find({
-        user: userId,
-        createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Last 24 hours
-      });
-      
-      // Flag if user has voted more than 20 times in 24 hours
-      if (recentVotes.length > 20) {
-        console.warn(`Suspicious voting activity detected for user ${userId}: ${recentVotes.length} votes in 24 hours`);
-        return res.status(429).json({
-          success: false,
-          message: 'Voting limit exceeded. Please contact support if you believe this is an error.'
-        });
-      }
-      
-      // Check for rapid successive votes (less than 30 seconds apart)
-      const lastVote = await Vote.findOne({ user: userId }).sort({ createdAt: -1 });
-      if (lastVote && (Date.now() - lastVote.createdAt.getTime()) < 30000) {
-        return res.status(429).json({
-          success: false,
-          message: 'Please wait at least 30 seconds between votes.'
-        });
-      }
-    }
-    
-    // Log suspicious activity
-    const suspiciousIndicators = [];
-    
-    // Check for unusual user agent
-    if (!userAgent || userAgent.length < 10) {
-      suspiciousIndicators.push('unusual_user_agent');
-    }
-    
-    // Check for rapid requests from same IP
-    const recentRequests = await Payment.find({
-      'metadata.ip': ip,
-      createdAt: { $gte: new Date(Date.now() - 5 * 60 * 1000) } // Last 5 minutes
-    });
-    
-    if (recentRequests.length > 10) {
-      suspiciousIndicators.push('rapid_requests');
-    }
-    
-    if (suspiciousIndicators.length > 0) {
-      console.warn(`Suspicious activity detected:`, {
-        userId,
-        ip,
-        indicators: suspiciousIndicators,
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    next();
-  } catch (error) {
-    console.error('Anti-fraud detection error:', error);
-    next(); // Continue even if fraud detection fails
-  }
-};
-
 // Content Security Policy headers
 const setSecurityHeaders = (req, res, next) => {
   // Prevent clickjacking
@@ -451,7 +380,6 @@ module.exports = {
   sanitizeInput,
   verifyUserEligibility,
   validateWebhookSignature,
-  antifraudDetection,
   setSecurityHeaders,
   adminIPWhitelist
 };
\ No newline at end of file
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const settingsService = require('../services/settingsService');
+const Vote = require('../models/Vote');
+
+// Block non-admin traffic while the platform is in maintenance mode
+const enforceMaintenanceMode = async (req, res, next) => {
+  try {
+    const settings = await settingsService.getSettings();
+
+    if (settings.maintenanceMode && req.user?.role !== 'admin') {
+      return res.status(503).json({
+        success: false,
+        message: 'The platform is currently under maintenance. Please try again later.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Maintenance mode check error:', error);
+    next(error);
+  }
+};
+
+// Reject sign-ups when registration has been switched off
+const enforceRegistrationEnabled = async (req, res, next) => {
+  try {
+    const settings = await settingsService.getSettings();
+
+    if (!settings.registrationEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is currently closed'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Registration settings check error:', error);
+    next(error);
+  }
+};
+
+// Reject votes when voting is disabled or outside the global voting window
+const enforceVotingEnabled = async (req, res, next) => {
+  try {
+    const settings = await settingsService.getSettings();
+
+    if (!settings.votingEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Voting is currently disabled'
+      });
+    }
+
+    if (!settings.isVotingWindowOpen) {
+      return res.status(403).json({
+        success: false,
+        message: 'Voting is not open at this time'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Voting settings check error:', error);
+    next(error);
+  }
+};
+
+// Cap the number of votes a single user can cast across all categories
+const enforceMaxVotesPerUser = async (req, res, next) => {
+  try {
+    const settings = await settingsService.getSettings();
+    const maxVotes = settings.maxVotesPerUser;
+
+    if (!maxVotes) {
+      return next();
+    }
+
+    const votesCast = await Vote.countVotes({
+      voter: new mongoose.Types.ObjectId(req.user.id),
+      status: { $nin: ['failed', 'refunded'] }
+    });
+
+    if (votesCast >= maxVotes) {
+      return res.status(403).json({
+        success: false,
+        message: `You have reached the maximum number of votes (${maxVotes}) allowed per user`
+      });
+    }
+
+    req.votesRemaining = maxVotes - votesCast;
+    next();
+  } catch (error) {
+    console.error('Max votes check error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  enforceMaintenanceMode,
+  enforceRegistrationEnabled,
+  enforceVotingEnabled,
+  enforceMaxVotesPerUser
+};
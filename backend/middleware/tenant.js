@@ -0,0 +1,36 @@
+const tenantService = require('../services/tenantService');
+const tenantContext = require('../services/tenantContext');
+
+// In multi-tenant mode, find the institution a request is for and handle the
+// rest of the request in its context, so every query is confined to it
+const resolveTenant = async (req, res, next) => {
+  if (!tenantService.isEnabled()) {
+    return next();
+  }
+
+  try {
+    const tenant = await tenantService.fromRequest(req);
+    req.tenant = tenant;
+    tenantContext.run(tenant, () => next());
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Tenant lookup error:', error);
+    next(error);
+  }
+};
+
+// Middleware that reads the request body as a stream (multer) calls back
+// outside the tenant context; this restores it for the handlers that follow
+const keepTenant = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (!req.tenant) return next(error);
+    tenantContext.run(req.tenant, () => next(error));
+  });
+};
+
+module.exports = { resolveTenant, keepTenant };
@@ -1,5 +1,10 @@
 const { body, param, query, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const PromoCode = require('../models/PromoCode');
+const tenantService = require('../services/tenantService');
+const catalogService = require('../services/catalogService');
+const emailTemplates = require('../services/emailTemplates');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -44,18 +49,70 @@ const commonValidations = {
       .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
   ],
 
-  // Student ID validation
+  // Student ID validation, in the institution's own format
   studentId: (field = 'studentId') => [
     body(field)
-      .matches(/^S0\d{5}$/)
-      .withMessage('Student ID must be in format S0***** (S followed by 0 and 5 digits)')
+      .custom(async (value) => {
+        const registry = await tenantService.getRegistry();
+        if (!new RegExp(registry.studentIdPattern).test(value)) {
+          throw new Error(`Student ID must be in format ${registry.studentIdFormat}`);
+        }
+        return true;
+      })
   ],
 
-  // Phone number validation
+  // Phone number validation, in the institution's own format
   phone: (field = 'phone') => [
     body(field)
-      .isMobilePhone('en-NG')
-      .withMessage('Please provide a valid Nigerian phone number')
+      .custom(async (value) => {
+        const registry = await tenantService.getRegistry();
+        if (!new RegExp(registry.phonePattern).test(value)) {
+          throw new Error(`Please provide ${registry.phoneFormat}`);
+        }
+        return true;
+      })
+  ],
+
+  // Faculty validation against the institution's faculty catalog
+  faculty: (field = 'faculty') => [
+    body(field)
+      .optional({ checkFalsy: true })
+      .custom(async (value) => {
+        if (!(await catalogService.isFaculty(value))) {
+          throw new Error(`${value} is not a faculty of this institution`);
+        }
+        return true;
+      })
+  ],
+
+  // Department validation against the catalog. When the request also names
+  // a faculty, the department must belong to it
+  department: (field = 'department', facultyField = 'faculty') => [
+    body(field)
+      .optional({ checkFalsy: true })
+      .custom(async (value, { req }) => {
+        const department = await catalogService.findDepartment(value);
+        if (!department) {
+          throw new Error(`${value} is not a department of this institution`);
+        }
+        const faculty = facultyField && req.body[facultyField];
+        if (faculty && department.facultyName !== faculty) {
+          throw new Error(`${value} is not in the faculty of ${faculty}`);
+        }
+        return true;
+      })
+  ],
+
+  // Academic level validation against the institution's levels
+  level: (field = 'level') => [
+    body(field)
+      .custom(async (value) => {
+        const registry = await tenantService.getRegistry();
+        if (!registry.levels.includes(value)) {
+          throw new Error('Invalid academic level');
+        }
+        return true;
+      })
   ],
 
   // Name validation
@@ -116,12 +173,11 @@ const userValidation = {
     ...commonValidations.studentId(),
     ...commonValidations.phone(),
     body('department')
-      .trim()
-      .isLength({ min: 2, max: 100 })
-      .withMessage('Department must be between 2 and 100 characters'),
-    body('level')
-      .isIn(['100', '200', '300', '400', '500', 'Graduate'])
-      .withMessage('Invalid academic level'),
+      .notEmpty()
+      .withMessage('Department is required'),
+    ...commonValidations.faculty(),
+    ...commonValidations.department(),
+    ...commonValidations.level(),
     handleValidationErrors
   ],
 
@@ -137,15 +193,9 @@ const userValidation = {
     ...commonValidations.name('firstName'),
     ...commonValidations.name('lastName'),
     ...commonValidations.phone(),
-    body('department')
-      .optional()
-      .trim()
-      .isLength({ min: 2, max: 100 })
-      .withMessage('Department must be between 2 and 100 characters'),
-    body('level')
-      .optional()
-      .isIn(['100', '200', '300', '400', '500', 'Graduate'])
-      .withMessage('Invalid academic level'),
+    ...commonValidations.faculty(),
+    ...commonValidations.department(),
+    ...commonValidations.level().map(rule => rule.optional()),
     handleValidationErrors
   ],
 
@@ -331,6 +381,28 @@ const nomineeValidation = {
       .isIn(['pending', 'approved', 'rejected'])
       .withMessage('Invalid status'),
     handleValidationErrors
+  ],
+
+  disqualify: [
+    ...commonValidations.objectId('id'),
+    body('reason')
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('A reason between 5 and 500 characters is required'),
+    body('refundVotes')
+      .optional()
+      .isBoolean()
+      .withMessage('Refund votes must be true or false'),
+    handleValidationErrors
+  ],
+
+  reinstate: [
+    ...commonValidations.objectId('id'),
+    body('reason')
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('A reason between 5 and 500 characters is required'),
+    handleValidationErrors
   ]
 };
 
@@ -386,6 +458,628 @@ const paymentValidation = {
   ]
 };
 
+// System settings validation rules
+const settingsValidation = {
+  update: [
+    body('siteName')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Site name must be between 2 and 100 characters'),
+    body('siteDescription')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Site description must not exceed 300 characters'),
+    body(['maintenanceMode', 'registrationEnabled', 'votingEnabled', 'bankTransferEnabled',
+      'requireEmailVerification', 'enableTwoFactor', 'fraudDetectionEnabled', 'cacheEnabled', 'rateLimitEnabled',
+      'emailNotifications', 'smsNotifications', 'pushNotifications', 'adminNotifications'])
+      .optional()
+      .isBoolean()
+      .withMessage('Must be true or false'),
+    body('maxVotesPerUser')
+      .optional()
+      .isInt({ min: 1, max: 100000 })
+      .withMessage('Maximum votes per user must be between 1 and 100000'),
+    body('nominationConsentDays')
+      .optional()
+      .isInt({ min: 1, max: 60 })
+      .withMessage('Nomination consent period must be between 1 and 60 days'),
+    body(['votingStartDate', 'votingEndDate'])
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601()
+      .withMessage('Voting dates must be valid dates'),
+    body('votePrice')
+      .optional()
+      .isFloat({ min: 50, max: 1000 })
+      .withMessage('Vote price must be between ₦50 and ₦1000'),
+    body('paymentGateway')
+      .optional()
+      .isIn(['paystack', 'flutterwave', 'opay', 'mock'])
+      .withMessage('Invalid payment gateway'),
+    body('paymentTimeout')
+      .optional()
+      .isInt({ min: 60, max: 3600 })
+      .withMessage('Payment timeout must be between 60 and 3600 seconds'),
+    body('bankAccounts')
+      .optional()
+      .isArray()
+      .withMessage('Bank accounts must be an array'),
+    body('bankAccounts.*.accountNumber')
+      .optional()
+      .matches(/^\d{10}$/)
+      .withMessage('Account number must be 10 digits'),
+    body('emailProvider')
+      .optional()
+      .isIn(['smtp', 'sendgrid', 'mailgun'])
+      .withMessage('Invalid email provider'),
+    body('smtpPort')
+      .optional()
+      .isInt({ min: 1, max: 65535 })
+      .withMessage('SMTP port must be between 1 and 65535'),
+    body('emailFromAddress')
+      .optional({ checkFalsy: true })
+      .isEmail()
+      .withMessage('Sender email must be a valid email address'),
+    body('maxLoginAttempts')
+      .optional()
+      .isInt({ min: 1, max: 20 })
+      .withMessage('Max login attempts must be between 1 and 20'),
+    body('sessionTimeout')
+      .optional()
+      .isInt({ min: 300 })
+      .withMessage('Session timeout must be at least 300 seconds'),
+    body('passwordMinLength')
+      .optional()
+      .isInt({ min: 6, max: 64 })
+      .withMessage('Password minimum length must be between 6 and 64'),
+    body(['fraudFlagThreshold', 'fraudHoldThreshold'])
+      .optional()
+      .isInt({ min: 0, max: 100 })
+      .withMessage('Fraud thresholds must be between 0 and 100'),
+    body('endorsementBlockedWords')
+      .optional()
+      .isArray({ max: 500 })
+      .withMessage('Blocked words must be a list of at most 500 words')
+      .customSanitizer(words => Array.isArray(words)
+        ? words.map(word => String(word).trim()).filter(Boolean)
+        : words),
+    body('endorsementBlockedWords.*')
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Each blocked word must be between 2 and 50 characters'),
+    body(['cacheTTL', 'maxRequestsPerMinute'])
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Must be a non-negative integer'),
+    handleValidationErrors
+  ],
+
+  history: [
+    ...commonValidations.pagination(),
+    handleValidationErrors
+  ],
+
+  restore: [
+    param('version')
+      .isInt({ min: 1 })
+      .withMessage('Version must be a positive integer'),
+    handleValidationErrors
+  ]
+};
+
+// API key validations
+const apiKeyValidation = {
+  create: [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('API key name must be between 2 and 100 characters'),
+    body('permissions')
+      .isArray({ min: 1 })
+      .withMessage('At least one permission is required'),
+    body('permissions.*')
+      .isIn(ApiKey.PERMISSIONS)
+      .withMessage('Invalid API key permission'),
+    body('expiresAt')
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601()
+      .withMessage('Expiry must be a valid date')
+      .custom((value) => {
+        if (new Date(value) <= new Date()) {
+          throw new Error('Expiry must be in the future');
+        }
+        return true;
+      }),
+    handleValidationErrors
+  ],
+
+  revoke: [
+    ...commonValidations.objectId('id'),
+    handleValidationErrors
+  ]
+};
+
+// Webhook event log validations
+const webhookEventValidation = {
+  list: [
+    ...commonValidations.pagination(),
+    query('status')
+      .optional()
+      .isIn(['received', 'processing', 'processed', 'ignored', 'failed', 'rejected'])
+      .withMessage('Invalid webhook event status'),
+    query('gateway')
+      .optional()
+      .isIn(['paystack', 'flutterwave', 'opay', 'mock'])
+      .withMessage('Invalid payment gateway'),
+    handleValidationErrors
+  ],
+
+  detail: [
+    ...commonValidations.objectId('id'),
+    handleValidationErrors
+  ]
+};
+
+// Email outbox validation rules
+const emailValidation = {
+  list: [
+    ...commonValidations.pagination(),
+    query('status')
+      .optional()
+      .isIn(['queued', 'sending', 'sent', 'failed'])
+      .withMessage('Invalid email status'),
+    query('template')
+      .optional()
+      .isIn(Object.keys(emailTemplates))
+      .withMessage('Invalid email template'),
+    query('to')
+      .optional()
+      .trim()
+      .isLength({ max: 254 })
+      .withMessage('Recipient filter is too long'),
+    handleValidationErrors
+  ],
+
+  retry: [
+    ...commonValidations.objectId('id'),
+    handleValidationErrors
+  ]
+};
+
+// Payment reconciliation validation rules
+const reconciliationValidation = {
+  list: [
+    ...commonValidations.pagination(),
+    query('status')
+      .optional()
+      .isIn(['running', 'completed', 'failed'])
+      .withMessage('Invalid reconciliation status'),
+    handleValidationErrors
+  ],
+
+  detail: [
+    ...commonValidations.objectId('id'),
+    handleValidationErrors
+  ]
+};
+
+// Promo code validation rules
+const promoCodeFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('code')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage('Promo code must be 3-30 letters, numbers, dashes or underscores'),
+    field('discountType')
+      .isIn(PromoCode.DISCOUNT_TYPES)
+      .withMessage('Invalid discount type'),
+    body('discountValue')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Discount value cannot be negative'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+    body('sponsor')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Sponsor name cannot exceed 100 characters'),
+    body(['maxQuantity', 'maxRedemptions'])
+      .optional({ nullable: true, checkFalsy: true })
+      .isInt({ min: 1 })
+      .withMessage('Limits must be positive whole numbers'),
+    body('maxRedemptionsPerUser')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Maximum redemptions per user must be at least 1'),
+    body('categories')
+      .optional()
+      .isArray()
+      .withMessage('Categories must be an array'),
+    body('categories.*')
+      .isMongoId()
+      .withMessage('Invalid category ID'),
+    body(['startsAt', 'endsAt'])
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601()
+      .withMessage('Dates must be valid'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+  ];
+};
+
+const promoCodeValidation = {
+  list: [
+    ...commonValidations.pagination(),
+    query('status')
+      .optional()
+      .isIn(['active', 'inactive', 'scheduled', 'expired', 'exhausted'])
+      .withMessage('Invalid promo code status'),
+    handleValidationErrors
+  ],
+
+  create: [
+    ...promoCodeFields(false),
+    handleValidationErrors
+  ],
+
+  update: [
+    ...commonValidations.objectId('id'),
+    ...promoCodeFields(true),
+    handleValidationErrors
+  ],
+
+  detail: [
+    ...commonValidations.objectId('id'),
+    ...commonValidations.pagination(),
+    handleValidationErrors
+  ]
+};
+
+// Flagged vote review validation rules
+const voteReviewValidation = {
+  list: [
+    ...commonValidations.pagination(),
+    query(['category', 'nominee'])
+      .optional()
+      .isMongoId()
+      .withMessage('Must be a valid ID'),
+    query(['minScore', 'maxScore'])
+      .optional()
+      .isInt({ min: 0, max: 100 })
+      .withMessage('Scores must be between 0 and 100'),
+    query('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Reason filter cannot exceed 100 characters'),
+    query('status')
+      .optional()
+      .isIn(['held', 'counted'])
+      .withMessage('Status must be held or counted'),
+    query('reviewed')
+      .optional()
+      .isBoolean()
+      .withMessage('Reviewed must be true or false'),
+    handleValidationErrors
+  ],
+
+  review: [
+    body('voteIds')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('Select between 1 and 100 votes'),
+    body('voteIds.*')
+      .isMongoId()
+      .withMessage('Each vote ID must be valid'),
+    body('decision')
+      .isIn(['confirm', 'void', 'refund'])
+      .withMessage('Decision must be confirm, void or refund'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Review notes cannot exceed 500 characters'),
+    handleValidationErrors
+  ]
+};
+
+const endorsementValidation = {
+  list: [
+    ...commonValidations.pagination(),
+    query('status')
+      .optional()
+      .isIn(['approved', 'pending', 'removed'])
+      .withMessage('Status must be approved, pending or removed'),
+    query('category')
+      .optional()
+      .isMongoId()
+      .withMessage('Category must be a valid ID'),
+    query('reported')
+      .optional()
+      .isBoolean()
+      .withMessage('Reported must be true or false'),
+    handleValidationErrors
+  ],
+
+  moderate: [
+    param(['id', 'endorsementId'])
+      .isMongoId()
+      .withMessage('Valid ID is required'),
+    body('action')
+      .isIn(['approve', 'remove'])
+      .withMessage('Action must be approve or remove'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Moderation notes cannot exceed 500 characters'),
+    handleValidationErrors
+  ]
+};
+
+const achievementValidation = {
+  list: [
+    ...commonValidations.pagination(),
+    query('status')
+      .optional()
+      .isIn(['unverified', 'pending', 'verified', 'rejected'])
+      .withMessage('Status must be unverified, pending, verified or rejected'),
+    query('category')
+      .optional()
+      .isMongoId()
+      .withMessage('Category must be a valid ID'),
+    handleValidationErrors
+  ],
+
+  review: [
+    param(['id', 'achievementId'])
+      .isMongoId()
+      .withMessage('Valid ID is required'),
+    body('decision')
+      .isIn(['verified', 'rejected'])
+      .withMessage('Decision must be verified or rejected'),
+    body('notes')
+      .if(body('decision').equals('rejected'))
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Explain the rejection in 5 to 500 characters'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Verification notes cannot exceed 500 characters'),
+    handleValidationErrors
+  ]
+};
+
+// Student registry and student verification validation rules
+const studentRegistryValidation = {
+  list: [
+    ...commonValidations.pagination(),
+    // Not escaped like other searches: student IDs contain slashes
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Search term must not exceed 100 characters'),
+    handleValidationErrors
+  ],
+
+  import: [
+    query('replace')
+      .optional()
+      .isBoolean()
+      .withMessage('replace must be a boolean'),
+    handleValidationErrors
+  ],
+
+  reviewList: [
+    ...commonValidations.pagination(),
+    query('status')
+      .optional()
+      .isIn(['pending_review', 'verified', 'rejected'])
+      .withMessage('Status must be pending_review, verified or rejected'),
+    handleValidationErrors
+  ],
+
+  review: [
+    ...commonValidations.objectId('id'),
+    body('decision')
+      .isIn(['verified', 'rejected'])
+      .withMessage('Decision must be verified or rejected'),
+    body('notes')
+      .if(body('decision').equals('rejected'))
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Explain the rejection in 5 to 500 characters'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Review notes cannot exceed 500 characters'),
+    handleValidationErrors
+  ]
+};
+
+// Bulk import validation rules
+const IMPORT_ENTITIES = ['users', 'categories', 'nominees'];
+const importValidation = {
+  run: [
+    param('entity')
+      .isIn(IMPORT_ENTITIES)
+      .withMessage(`Entity must be one of ${IMPORT_ENTITIES.join(', ')}`),
+    query('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be a boolean'),
+    query('edition')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Edition must be an edition ID or slug'),
+    handleValidationErrors
+  ],
+
+  template: [
+    param('entity')
+      .isIn(IMPORT_ENTITIES)
+      .withMessage(`Entity must be one of ${IMPORT_ENTITIES.join(', ')}`),
+    handleValidationErrors
+  ]
+};
+
+// Institution branding and registry validation rules
+const tenantValidation = {
+  update: [
+    body('branding.siteName')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Site name must be between 2 and 100 characters'),
+    body('branding.shortName')
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage('Short name cannot exceed 20 characters'),
+    body('branding.logoUrl')
+      .optional({ checkFalsy: true })
+      .isURL()
+      .withMessage('Logo URL must be a valid URL'),
+    body('branding.primaryColor')
+      .optional({ checkFalsy: true })
+      .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+      .withMessage('Primary color must be a hex color'),
+    body('branding.supportEmail')
+      .optional({ checkFalsy: true })
+      .isEmail()
+      .withMessage('Support email must be a valid email'),
+    body('registry.levels')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Levels must be a list of at most 20 entries'),
+    body('registry.levels.*')
+      .trim()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Levels must be between 1 and 20 characters'),
+    body(['registry.studentIdPattern', 'registry.phonePattern'])
+      .optional({ checkFalsy: true })
+      .custom(value => {
+        new RegExp(value);
+        return true;
+      })
+      .withMessage('Pattern must be a valid regular expression'),
+    body(['registry.studentIdFormat', 'registry.studentIdExample', 'registry.phoneFormat'])
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Formats and examples cannot exceed 100 characters'),
+    handleValidationErrors
+  ]
+};
+
+// Faculty and department catalog validation rules
+const catalogValidation = {
+  createFaculty: [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Faculty name must be between 2 and 100 characters'),
+    body('code')
+      .optional({ checkFalsy: true })
+      .trim()
+      .isLength({ max: 10 })
+      .withMessage('Code cannot exceed 10 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+    body('displayOrder')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Display order must be a positive number'),
+    handleValidationErrors
+  ],
+
+  updateFaculty: [
+    ...commonValidations.objectId('id'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Faculty name must be between 2 and 100 characters'),
+    body('code')
+      .optional({ checkFalsy: true })
+      .trim()
+      .isLength({ max: 10 })
+      .withMessage('Code cannot exceed 10 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+    body('displayOrder')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Display order must be a positive number'),
+    handleValidationErrors
+  ],
+
+  createDepartment: [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Department name must be between 2 and 100 characters'),
+    body('faculty')
+      .isMongoId()
+      .withMessage('Valid faculty ID is required'),
+    body('code')
+      .optional({ checkFalsy: true })
+      .trim()
+      .isLength({ max: 10 })
+      .withMessage('Code cannot exceed 10 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+    handleValidationErrors
+  ],
+
+  updateDepartment: [
+    ...commonValidations.objectId('id'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Department name must be between 2 and 100 characters'),
+    body('faculty')
+      .optional()
+      .isMongoId()
+      .withMessage('Valid faculty ID is required'),
+    body('code')
+      .optional({ checkFalsy: true })
+      .trim()
+      .isLength({ max: 10 })
+      .withMessage('Code cannot exceed 10 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+    handleValidationErrors
+  ],
+
+  remove: [
+    ...commonValidations.objectId('id'),
+    handleValidationErrors
+  ]
+};
+
 module.exports = {
   handleValidationErrors,
   commonValidations,
@@ -393,5 +1087,18 @@ module.exports = {
   categoryValidation,
   nomineeValidation,
   voteValidation,
-  paymentValidation
+  paymentValidation,
+  settingsValidation,
+  apiKeyValidation,
+  webhookEventValidation,
+  emailValidation,
+  reconciliationValidation,
+  promoCodeValidation,
+  voteReviewValidation,
+  endorsementValidation,
+  achievementValidation,
+  tenantValidation,
+  catalogValidation,
+  studentRegistryValidation,
+  importValidation
 };
\ No newline at end of file
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+const crypto = require('crypto');
+
+const API_KEY_PREFIX = 'sak_';
+
+const API_KEY_PERMISSIONS = [
+  'results:read',
+  'votes:export'
+];
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  // SHA-256 of the raw key; the raw key is only ever returned once on creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the raw key so admins can tell keys apart
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_PERMISSIONS,
+        message: 'Invalid API key permission: {VALUE}'
+      }
+    }],
+    validate: {
+      validator: (value) => Array.isArray(value) && value.length > 0,
+      message: 'At least one permission is required'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.plugin(tenantScoped);
+
+apiKeySchema.index({ revokedAt: 1, createdAt: -1 });
+
+// Virtual for the key's current status
+apiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+// Method to check whether the key grants a permission
+apiKeySchema.methods.hasPermission = function(permission) {
+  return this.permissions.includes(permission);
+};
+
+// Method to record a successful request made with this key
+apiKeySchema.methods.recordUsage = async function(ipAddress) {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress },
+      $inc: { usageCount: 1 }
+    }
+  );
+};
+
+// Method to revoke the key
+apiKeySchema.methods.revoke = async function(userId) {
+  this.revokedAt = new Date();
+  this.revokedBy = userId;
+  await this.save();
+};
+
+// Static method to hash a raw key
+apiKeySchema.statics.hashKey = function(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+};
+
+// Static method to create a key; resolves with the document and the raw key
+apiKeySchema.statics.generate = async function({ name, permissions, expiresAt, createdBy }) {
+  const rawKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  const apiKey = await this.create({
+    name,
+    permissions,
+    expiresAt: expiresAt || null,
+    createdBy,
+    keyHash: this.hashKey(rawKey),
+    keyPrefix: rawKey.slice(0, API_KEY_PREFIX.length + 6)
+  });
+
+  return { apiKey, rawKey };
+};
+
+// Static method to find a usable key from its raw value
+apiKeySchema.statics.findActiveByKey = function(rawKey) {
+  return this.findOne({
+    keyHash: this.hashKey(rawKey),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+apiKeySchema.statics.PERMISSIONS = API_KEY_PERMISSIONS;
+
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -1,10 +1,72 @@
 const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+const Vote = require('./Vote');
+
+// A bundle of votes sold at a fixed total price, optionally only within a window
+const pricingTierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Pricing tier name is required'],
+    trim: true,
+    maxlength: [50, 'Pricing tier name cannot exceed 50 characters']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Pricing tier quantity is required'],
+    min: [1, 'Pricing tier quantity must be at least 1'],
+    max: [Vote.MAX_VOTES_PER_PURCHASE, `Pricing tier quantity cannot exceed ${Vote.MAX_VOTES_PER_PURCHASE}`]
+  },
+  price: {
+    type: Number,
+    required: [true, 'Pricing tier price is required'],
+    min: [50, 'Pricing tier price must be at least ₦50']
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+pricingTierSchema.virtual('unitPrice').get(function() {
+  return Math.round((this.price / this.quantity) * 100) / 100;
+});
+
+pricingTierSchema.set('toJSON', { virtuals: true });
+
+// live: everything public; ranks_only: order without counts until voting ends;
+// after_voting: hidden until voting ends; scheduled: hidden until revealAt
+const RESULTS_VISIBILITY_MODES = ['live', 'ranks_only', 'after_voting', 'scheduled'];
+
+// Faculties and departments are checked against the institution's catalog,
+// and levels against its registry, when a category is saved through the API.
+// These are only the default level bounds
+const LEVELS = ['100', '200', '300', '400', '500'];
+
+// A category moves through these stages in order. Admins may step back one
+// stage to reopen nominations or voting
+const LIFECYCLE_STAGES = ['draft', 'nominations', 'review', 'voting', 'closed', 'results_published'];
+
+const STAGE_TRANSITIONS = {
+  draft: ['nominations'],
+  nominations: ['review', 'draft'],
+  review: ['voting', 'nominations'],
+  voting: ['closed'],
+  closed: ['results_published', 'voting'],
+  results_published: []
+};
 
 const categorySchema = new mongoose.Schema({
   name: {
     type: String,
     required: [true, 'Category name is required'],
-    unique: true,
     trim: true,
     maxlength: [100, 'Category name cannot exceed 100 characters']
   },
@@ -15,9 +77,14 @@ const categorySchema = new mongoose.Schema({
   },
   slug: {
     type: String,
-    unique: true,
     lowercase: true
   },
+  // Names and slugs only need to be unique within an edition, so each
+  // year's awards can reuse last year's categories
+  edition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Edition'
+  },
   icon: {
     type: String,
     default: 'trophy'
@@ -43,35 +110,72 @@ const categorySchema = new mongoose.Schema({
   },
   eligibilityCriteria: {
     faculties: [{
-      type: String,
-      enum: [
-        'Science',
-        'Arts',
-        'Social Sciences',
-        'Education',
-        'Management Sciences',
-        'Law',
-        'Medicine',
-        'Engineering',
-        'Agriculture'
-      ]
+      type: String
     }],
     departments: [{
       type: String
     }],
     levels: [{
-      type: String,
-      enum: ['100', '200', '300', '400', '500']
+      type: String
     }],
     minLevel: {
       type: String,
-      enum: ['100', '200', '300', '400', '500'],
       default: '100'
     },
     maxLevel: {
       type: String,
-      enum: ['100', '200', '300', '400', '500'],
       default: '500'
+    },
+    // Also require voters to meet the criteria, not just nominees
+    applyToVoting: {
+      type: Boolean,
+      default: false
+    }
+  },
+  lifecycleStage: {
+    type: String,
+    enum: {
+      values: LIFECYCLE_STAGES,
+      message: 'Invalid lifecycle stage: {VALUE}'
+    },
+    default: 'draft'
+  },
+  stageHistory: [{
+    from: String,
+    to: String,
+    note: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  nominationSettings: {
+    // Either end of the window may be left open
+    startDate: {
+      type: Date,
+      default: null
+    },
+    endDate: {
+      type: Date,
+      default: null
+    },
+    maxNominationsPerNominator: {
+      type: Number,
+      min: [1, 'Maximum nominations per nominator must be at least 1'],
+      default: null // null means unlimited
+    },
+    requireNomineeAcceptance: {
+      type: Boolean,
+      default: false
+    },
+    // When off, nominations go straight to approved without admin review
+    requireReview: {
+      type: Boolean,
+      default: true
     }
   },
   votingSettings: {
@@ -97,6 +201,33 @@ const categorySchema = new mongoose.Schema({
     requirePayment: {
       type: Boolean,
       default: true
+    },
+    // Overrides the default gateway from system settings when set
+    paymentGateway: {
+      type: String,
+      enum: ['paystack', 'flutterwave', 'opay', 'mock', null],
+      default: null
+    },
+    pricingTiers: {
+      type: [pricingTierSchema],
+      validate: {
+        validator: tiers => tiers.length <= 10,
+        message: 'A category can have at most 10 pricing tiers'
+      }
+    }
+  },
+  resultsVisibility: {
+    mode: {
+      type: String,
+      enum: {
+        values: RESULTS_VISIBILITY_MODES,
+        message: 'Invalid results visibility: {VALUE}'
+      },
+      default: 'live'
+    },
+    revealAt: {
+      type: Date,
+      default: null
     }
   },
   statistics: {
@@ -142,6 +273,8 @@ const categorySchema = new mongoose.Schema({
   timestamps: true
 });
 
+categorySchema.plugin(tenantScoped);
+
 // Create slug from name before saving
 categorySchema.pre('save', function(next) {
   if (this.isModified('name')) {
@@ -161,7 +294,40 @@ categorySchema.pre('save', function(next) {
   next();
 });
 
+// Validate the nomination window, which must close before voting opens
+categorySchema.pre('save', function(next) {
+  const { startDate, endDate } = this.nominationSettings || {};
+  if (startDate && endDate && endDate <= startDate) {
+    return next(new Error('Nomination end date must be after start date'));
+  }
+  if (endDate && this.votingSettings.startDate && endDate > this.votingSettings.startDate) {
+    return next(new Error('Nominations must close before voting starts'));
+  }
+  next();
+});
+
+// Validate pricing tier windows
+categorySchema.pre('save', function(next) {
+  const invalidTier = (this.votingSettings.pricingTiers || []).find(tier =>
+    tier.startsAt && tier.endsAt && tier.endsAt <= tier.startsAt
+  );
+  if (invalidTier) {
+    return next(new Error(`Pricing tier "${invalidTier.name}" must end after it starts`));
+  }
+  next();
+});
+
+// A scheduled reveal needs a time
+categorySchema.pre('save', function(next) {
+  if (this.resultsVisibility?.mode === 'scheduled' && !this.resultsVisibility.revealAt) {
+    return next(new Error('A reveal time is required for scheduled results'));
+  }
+  next();
+});
+
 // Index for better query performance
+categorySchema.index({ edition: 1, name: 1 }, { unique: true });
+categorySchema.index({ edition: 1, slug: 1 }, { unique: true });
 categorySchema.index({ slug: 1 });
 categorySchema.index({ isActive: 1 });
 categorySchema.index({ featured: 1 });
@@ -170,24 +336,118 @@ categorySchema.index({ 'votingSettings.startDate': 1, 'votingSettings.endDate':
 
 // Virtual for checking if voting is active
 categorySchema.virtual('isVotingActive').get(function() {
-  const now = new Date();
-  return this.isActive && 
-         now >= this.votingSettings.startDate && 
-         now <= this.votingSettings.endDate;
+  return !this.votingClosedReason();
 });
 
 // Virtual for checking if nominations are open
 categorySchema.virtual('isNominationOpen').get(function() {
-  const now = new Date();
-  const nominationDeadline = new Date(this.votingSettings.startDate);
-  nominationDeadline.setDate(nominationDeadline.getDate() - 7); // Close nominations 7 days before voting
-  
-  return this.isActive && now < nominationDeadline;
+  return !this.nominationClosedReason();
 });
 
+// Method to explain why nominations are closed, or null when they are open
+categorySchema.methods.nominationClosedReason = function(now = new Date()) {
+  const { startDate, endDate } = this.nominationSettings || {};
+
+  if (!this.isActive) return 'This category is not active';
+  if (this.lifecycleStage !== 'nominations') return 'Nominations are not open for this category';
+  if (startDate && now < startDate) return `Nominations open on ${startDate.toDateString()}`;
+  if (endDate && now > endDate) return 'Nominations have closed for this category';
+  return null;
+};
+
+// Method to explain why voting is closed, or null when it is open
+categorySchema.methods.votingClosedReason = function(now = new Date()) {
+  const { startDate, endDate } = this.votingSettings || {};
+
+  if (!this.isActive) return 'Voting is not active for this category';
+  if (this.lifecycleStage !== 'voting') return 'Voting is not open for this category';
+  if (startDate && now < startDate) return 'Voting has not started yet for this category';
+  if (endDate && now > endDate) return 'Voting has ended for this category';
+  return null;
+};
+
+// Method to move the category to another lifecycle stage
+categorySchema.methods.transitionTo = function(stage, { userId, note } = {}) {
+  const allowed = STAGE_TRANSITIONS[this.lifecycleStage] || [];
+  if (!allowed.includes(stage)) {
+    const error = new Error(`Cannot move a category from ${this.lifecycleStage} to ${stage}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  this.stageHistory.push({ from: this.lifecycleStage, to: stage, note, changedBy: userId });
+  this.lifecycleStage = stage;
+  return this;
+};
+
+// Static method to filter pricing tiers down to those on sale at a given time.
+// Works on plain objects too, so aggregation results can use it
+categorySchema.statics.availablePricingTiers = function(tiers = [], now = new Date()) {
+  return tiers.filter(tier =>
+    tier.isActive !== false &&
+    (!tier.startsAt || now >= new Date(tier.startsAt)) &&
+    (!tier.endsAt || now <= new Date(tier.endsAt))
+  );
+};
+
+// Static method to work out how much of a category's results the public may see.
+// Returns { level: 'full' | 'ranks' | 'hidden', mode, revealAt }. Works on plain objects too
+categorySchema.statics.resultsAccess = function(category, now = new Date()) {
+  const mode = category.resultsVisibility?.mode || 'live';
+  const votingEnd = category.votingSettings?.endDate ? new Date(category.votingSettings.endDate) : null;
+  const revealAt = mode === 'scheduled'
+    ? new Date(category.resultsVisibility.revealAt)
+    : votingEnd;
+
+  if (category.lifecycleStage === 'results_published' || mode === 'live' || !revealAt || now >= revealAt) {
+    return { level: 'full', mode, revealAt: null };
+  }
+
+  return {
+    level: mode === 'ranks_only' ? 'ranks' : 'hidden',
+    mode,
+    revealAt
+  };
+};
+
+// Method to work out what a purchase costs, either as a bundle or at the flat price
+categorySchema.methods.quotePrice = function({ quantity = 1, pricingTierId } = {}) {
+  if (pricingTierId) {
+    const tier = this.constructor
+      .availablePricingTiers(this.votingSettings.pricingTiers)
+      .find(item => item._id.toString() === String(pricingTierId));
+
+    if (!tier) {
+      const error = new Error('This bundle is not available');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return {
+      quantity: tier.quantity,
+      amount: tier.price,
+      unitPrice: tier.unitPrice,
+      pricingTier: { tierId: tier._id, name: tier.name }
+    };
+  }
+
+  const { votePrice } = this.votingSettings;
+  return {
+    quantity,
+    amount: quantity * votePrice,
+    unitPrice: votePrice,
+    pricingTier: null
+  };
+};
+
 // Ensure virtual fields are serialized
 categorySchema.set('toJSON', {
   virtuals: true
 });
 
+categorySchema.statics.RESULTS_VISIBILITY_MODES = RESULTS_VISIBILITY_MODES;
+categorySchema.statics.LEVELS = LEVELS;
+categorySchema.statics.LIFECYCLE_STAGES = LIFECYCLE_STAGES;
+categorySchema.statics.STAGE_TRANSITIONS = STAGE_TRANSITIONS;
+
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
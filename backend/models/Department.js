@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+
+const departmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Department name is required'],
+    trim: true,
+    maxlength: [100, 'Department name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Department code cannot exceed 10 characters']
+  },
+  faculty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Faculty',
+    required: [true, 'Department faculty is required']
+  },
+  // Inactive departments stay on existing records but cannot be picked any more
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+departmentSchema.plugin(tenantScoped);
+
+// Department names are unique across the institution, not just the faculty,
+// because users and categories refer to them by name
+departmentSchema.index({ tenant: 1, name: 1 }, { unique: true });
+departmentSchema.index({ faculty: 1, isActive: 1 });
+
+module.exports = mongoose.model('Department', departmentSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+
+// Only one edition is active at a time (per tenant); public pages default to it.
+// Activating another edition archives the current one
+const EDITION_STATUSES = ['upcoming', 'active', 'archived'];
+
+const editionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Edition name is required'],
+    trim: true,
+    maxlength: [100, 'Edition name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    lowercase: true
+  },
+  year: {
+    type: Number,
+    required: [true, 'Edition year is required'],
+    min: [2000, 'Year must be 2000 or later'],
+    max: [2100, 'Year must be 2100 or earlier']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: EDITION_STATUSES,
+    default: 'upcoming'
+  },
+  startDate: Date,
+  endDate: Date,
+  activatedAt: Date,
+  archivedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+editionSchema.plugin(tenantScoped);
+
+editionSchema.index({ tenant: 1, name: 1 }, { unique: true });
+editionSchema.index({ tenant: 1, slug: 1 }, { unique: true });
+editionSchema.index({ tenant: 1, status: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+editionSchema.index({ year: -1 });
+
+// Create slug from name before saving
+editionSchema.pre('save', function(next) {
+  if (this.isModified('name')) {
+    this.slug = this.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+  next();
+});
+
+editionSchema.pre('save', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    return next(new Error('Edition end date must be after its start date'));
+  }
+  next();
+});
+
+// Static method to get the edition public pages default to
+editionSchema.statics.getActive = function() {
+  return this.findOne({ status: 'active' });
+};
+
+// Static method to find an edition by ID, slug or year
+editionSchema.statics.findByRef = function(ref) {
+  const value = String(ref).trim();
+  if (mongoose.Types.ObjectId.isValid(value) && /^[0-9a-fA-F]{24}$/.test(value)) {
+    return this.findById(value);
+  }
+  if (/^\d{4}$/.test(value)) {
+    return this.findOne({ year: Number(value) }).sort({ createdAt: -1 });
+  }
+  return this.findOne({ slug: value.toLowerCase() });
+};
+
+editionSchema.statics.EDITION_STATUSES = EDITION_STATUSES;
+
+module.exports = mongoose.model('Edition', editionSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+
+const STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+// Every email goes through this outbox, so failed deliveries can be retried
+const emailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    lowercase: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    maxlength: [300, 'Subject cannot exceed 300 characters']
+  },
+  text: String,
+  html: String,
+  // The body carries a secret such as a password reset link. It is cleared
+  // once the email is delivered or given up on
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  // Template the message was rendered from, if any
+  template: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: Date,
+  lastError: {
+    type: String,
+    maxlength: [1000, 'Error cannot exceed 1000 characters']
+  },
+  sentAt: Date,
+  // Transport used for the successful delivery (smtp, file or json)
+  transport: String,
+  providerMessageId: String
+}, {
+  timestamps: true
+});
+
+emailMessageSchema.plugin(tenantScoped);
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ to: 1, createdAt: -1 });
+emailMessageSchema.index({ template: 1, createdAt: -1 });
+
+// Method to record a failed delivery and schedule the next attempt,
+// backing off 1, 2, 4, 8... minutes until maxAttempts is reached
+emailMessageSchema.methods.recordFailure = function(error) {
+  this.lastError = String(error).slice(0, 1000);
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+    this.nextAttemptAt = null;
+    this.clearSensitiveBody();
+  } else {
+    this.status = 'queued';
+    this.nextAttemptAt = new Date(Date.now() + Math.pow(2, this.attempts - 1) * 60 * 1000);
+  }
+};
+
+emailMessageSchema.methods.clearSensitiveBody = function() {
+  if (!this.sensitive) return;
+  this.text = undefined;
+  this.html = undefined;
+};
+
+emailMessageSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
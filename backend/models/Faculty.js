@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+
+const facultySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Faculty name is required'],
+    trim: true,
+    maxlength: [100, 'Faculty name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Faculty code cannot exceed 10 characters']
+  },
+  // Inactive faculties stay on existing records but cannot be picked any more
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  displayOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+facultySchema.plugin(tenantScoped);
+
+facultySchema.index({ tenant: 1, name: 1 }, { unique: true });
+facultySchema.index({ isActive: 1, displayOrder: 1 });
+
+module.exports = mongoose.model('Faculty', facultySchema);
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+
+const ENDORSEMENT_STATUSES = ['approved', 'pending', 'removed'];
+const ACHIEVEMENT_STATUSES = ['unverified', 'pending', 'verified', 'rejected'];
+// Nominations made by someone else wait for the nominee in these statuses
+// and never reach admin review unless accepted
+const CONSENT_STATUSES = ['awaiting_consent', 'declined', 'expired'];
 
 const nomineeSchema = new mongoose.Schema({
   student: {
@@ -11,6 +18,11 @@ const nomineeSchema = new mongoose.Schema({
     ref: 'Category',
     required: [true, 'Category reference is required']
   },
+  // Copied from the category so an edition's nominees can be listed directly
+  edition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Edition'
+  },
   nominatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -37,6 +49,23 @@ const nomineeSchema = new mongoose.Schema({
     verified: {
       type: Boolean,
       default: false
+    },
+    // Pending once evidence is uploaded, until an admin verifies or rejects it
+    verificationStatus: {
+      type: String,
+      enum: ACHIEVEMENT_STATUSES,
+      default: 'unverified'
+    },
+    verificationNotes: {
+      type: String,
+      maxlength: [500, 'Verification notes cannot exceed 500 characters']
+    },
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    verifiedAt: {
+      type: Date
     }
   }],
   supportingDocuments: [{
@@ -56,6 +85,21 @@ const nomineeSchema = new mongoose.Schema({
     size: {
       type: Number
     },
+    mimeType: {
+      type: String
+    },
+    // File name under storage/documents; never served directly
+    storedName: {
+      type: String
+    },
+    // Achievement this document is evidence for
+    achievement: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -63,9 +107,24 @@ const nomineeSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'under_review'],
+    enum: ['pending', 'approved', 'rejected', 'under_review', ...CONSENT_STATUSES],
     default: 'pending'
   },
+  // The nominee's answer to a nomination made on their behalf
+  consent: {
+    requestedAt: Date,
+    expiresAt: Date,
+    respondedAt: Date,
+    response: {
+      type: String,
+      enum: ['accepted', 'declined', 'expired', null],
+      default: null
+    },
+    declineReason: {
+      type: String,
+      maxlength: [500, 'Decline reason cannot exceed 500 characters']
+    }
+  },
   reviewNotes: {
     type: String,
     maxlength: [500, 'Review notes cannot exceed 500 characters']
@@ -141,10 +200,51 @@ const nomineeSchema = new mongoose.Schema({
       type: String,
       maxlength: [100, 'Endorser title cannot exceed 100 characters']
     },
+    // Set by the nominee to hide an endorsement from their profile
     isPublic: {
       type: Boolean,
       default: true
     },
+    // Pending endorsements are hidden until an admin approves them
+    status: {
+      type: String,
+      enum: ENDORSEMENT_STATUSES,
+      default: 'approved'
+    },
+    flagReason: {
+      type: String,
+      maxlength: [200, 'Flag reason cannot exceed 200 characters']
+    },
+    isReported: {
+      type: Boolean,
+      default: false
+    },
+    reports: [{
+      reporter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      reason: {
+        type: String,
+        maxlength: [300, 'Report reason cannot exceed 300 characters']
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: {
+      type: Date
+    },
+    moderationNotes: {
+      type: String,
+      maxlength: [500, 'Moderation notes cannot exceed 500 characters']
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -164,11 +264,39 @@ const nomineeSchema = new mongoose.Schema({
   disqualifiedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }
+  },
+  // Every disqualification and reinstatement, kept for audit
+  disqualificationHistory: [{
+    action: {
+      type: String,
+      enum: ['disqualified', 'reinstated'],
+      required: true
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    // Whether the nominee's paid votes were refunded or kept on record
+    voteHandling: {
+      type: String,
+      enum: ['refund', 'keep']
+    },
+    refundedVotes: Number,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
+nomineeSchema.plugin(tenantScoped);
+
 // Compound indexes for better query performance
 nomineeSchema.index({ category: 1, status: 1 });
 nomineeSchema.index({ student: 1, category: 1 }, { unique: true }); // Prevent duplicate nominations
@@ -176,6 +304,20 @@ nomineeSchema.index({ status: 1, isActive: 1 });
 nomineeSchema.index({ 'statistics.totalVotes': -1 });
 nomineeSchema.index({ 'statistics.rank': 1 });
 nomineeSchema.index({ isFeatured: 1, displayOrder: 1 });
+nomineeSchema.index({ category: 1, isDisqualified: 1 });
+nomineeSchema.index({ category: 1, 'endorsements.endorser': 1 });
+nomineeSchema.index({ 'endorsements.status': 1, 'endorsements.isReported': 1 });
+nomineeSchema.index({ 'achievements.verificationStatus': 1 });
+nomineeSchema.index({ status: 1, 'consent.expiresAt': 1 });
+nomineeSchema.index({ edition: 1, status: 1 });
+
+// Pre-save middleware to copy the edition from the category
+nomineeSchema.pre('save', async function() {
+  if (!this.edition && this.category) {
+    const category = await mongoose.model('Category').findById(this.category).select('edition');
+    this.edition = category?.edition;
+  }
+});
 
 // Pre-save middleware to update approval timestamp
 nomineeSchema.pre('save', function(next) {
@@ -209,8 +351,8 @@ nomineeSchema.methods.calculateAverageVoteValue = function() {
 };
 
 // Method to update statistics
-nomineeSchema.methods.updateStatistics = async function(voteAmount, isNewVoter = false) {
-  this.statistics.totalVotes += 1;
+nomineeSchema.methods.updateStatistics = async function(voteAmount, isNewVoter = false, quantity = 1) {
+  this.statistics.totalVotes += quantity;
   this.statistics.totalRevenue += voteAmount;
   this.statistics.lastVoteAt = new Date();
   
@@ -223,6 +365,27 @@ nomineeSchema.methods.updateStatistics = async function(voteAmount, isNewVoter =
   await this.save();
 };
 
+// Method to get the supporting documents attached to an achievement
+nomineeSchema.methods.achievementDocuments = function(achievementId) {
+  return this.supportingDocuments.filter(document =>
+    document.achievement && document.achievement.equals(achievementId)
+  );
+};
+
+// Method to get the endorsements shown on the public profile
+nomineeSchema.methods.publicEndorsements = function() {
+  return this.endorsements.filter(endorsement => endorsement.isPublic && endorsement.status === 'approved');
+};
+
+// Static method to get IDs of disqualified nominees, e.g. to leave them out of rankings
+nomineeSchema.statics.disqualifiedIds = function(filter = {}) {
+  return this.distinct('_id', { ...filter, isDisqualified: true });
+};
+
+nomineeSchema.statics.ENDORSEMENT_STATUSES = ENDORSEMENT_STATUSES;
+nomineeSchema.statics.ACHIEVEMENT_STATUSES = ACHIEVEMENT_STATUSES;
+nomineeSchema.statics.CONSENT_STATUSES = CONSENT_STATUSES;
+
 // Ensure virtual fields are serialized
 nomineeSchema.set('toJSON', {
   virtuals: true
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+const tenantContext = require('../services/tenantContext');
 
 const paymentSchema = new mongoose.Schema({
   user: {
@@ -9,7 +11,7 @@ const paymentSchema = new mongoose.Schema({
   amount: {
     type: Number,
     required: [true, 'Payment amount is required'],
-    min: [50, 'Payment amount must be at least ₦50']
+    min: [0, 'Payment amount cannot be negative']
   },
   currency: {
     type: String,
@@ -23,7 +25,7 @@ const paymentSchema = new mongoose.Schema({
   },
   gateway: {
     type: String,
-    enum: ['paystack', 'flutterwave', 'bank_transfer'],
+    enum: ['paystack', 'flutterwave', 'opay', 'mock', 'bank_transfer', 'promo'],
     required: [true, 'Payment gateway is required']
   },
   gatewayReference: {
@@ -46,6 +48,16 @@ const paymentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // Promo code applied; `amount` is what was charged after the discount
+  promo: {
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    },
+    code: String,
+    originalAmount: Number,
+    discountAmount: Number
+  },
   paymentMethod: {
     type: String,
     enum: ['card', 'bank', 'ussd', 'qr', 'mobile_money', 'bank_transfer']
@@ -54,6 +66,7 @@ const paymentSchema = new mongoose.Schema({
     type: String
   },
   cardDetails: {
+    bin: String,
     last4: String,
     expMonth: String,
     expYear: String,
@@ -118,6 +131,21 @@ const paymentSchema = new mongoose.Schema({
       ref: 'User'
     }
   },
+  // Set when fraud review voids the vote. The money was still taken and can
+  // be refunded, so the payment itself stays a success
+  voidDetails: {
+    voidedAt: Date,
+    voidReason: String,
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Edition of the category being voted in
+  edition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Edition'
+  },
   metadata: {
     purpose: {
       type: String,
@@ -131,8 +159,21 @@ const paymentSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Nominee'
     },
+    // Number of votes the payment buys
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    // Bundle the votes were bought as, if any
+    pricingTier: {
+      tierId: mongoose.Schema.Types.ObjectId,
+      name: String
+    },
     ipAddress: String,
     userAgent: String,
+    // Per-browser ID sent by the frontend, used to spot one device behind many accounts
+    deviceFingerprint: String,
     source: String,
     customFields: mongoose.Schema.Types.Mixed
   },
@@ -164,6 +205,11 @@ const paymentSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    gatewayAmount: Number,
+    hasMismatch: {
+      type: Boolean,
+      default: false
+    },
     discrepancies: [String]
   },
   fraudCheck: {
@@ -177,6 +223,18 @@ const paymentSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // What the score triggered: flagged votes still count, held votes wait for review
+    action: {
+      type: String,
+      enum: ['none', 'flag', 'hold'],
+      default: 'none'
+    },
+    signals: [{
+      _id: false,
+      rule: String,
+      points: Number,
+      detail: String
+    }],
     flagReason: String,
     checkedAt: Date,
     checkedBy: String
@@ -203,15 +261,31 @@ const paymentSchema = new mongoose.Schema({
   timestamps: true
 });
 
+paymentSchema.plugin(tenantScoped);
+
 // Indexes for better query performance
 paymentSchema.index({ user: 1, status: 1, createdAt: -1 });
 paymentSchema.index({ gatewayReference: 1 }, { unique: true });
 paymentSchema.index({ internalReference: 1 }, { unique: true });
 paymentSchema.index({ status: 1, gateway: 1 });
 paymentSchema.index({ createdAt: -1 });
-paymentSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Not a TTL index: stale pending payments are settled by the reconciliation job
+paymentSchema.index({ status: 1, createdAt: 1 });
+paymentSchema.index({ status: 1, paidAt: -1 });
 paymentSchema.index({ 'metadata.category': 1, status: 1 });
+paymentSchema.index({ edition: 1, status: 1 });
 paymentSchema.index({ 'fraudCheck.isFlagged': 1, 'fraudCheck.score': -1 });
+paymentSchema.index({ 'metadata.deviceFingerprint': 1, createdAt: -1 });
+paymentSchema.index({ 'metadata.ipAddress': 1, createdAt: -1 });
+paymentSchema.index({ 'cardDetails.bin': 1, 'cardDetails.last4': 1 });
+
+// Pre-save middleware to copy the edition from the category
+paymentSchema.pre('save', async function() {
+  if (!this.edition && this.metadata?.category) {
+    const category = await mongoose.model('Category').findById(this.metadata.category).select('edition');
+    this.edition = category?.edition;
+  }
+});
 
 // Pre-save middleware to calculate net amount
 paymentSchema.pre('save', function(next) {
@@ -298,11 +372,12 @@ paymentSchema.methods.updateWebhookData = async function(webhookPayload, signatu
   await this.save();
 };
 
-// Static method to generate internal reference
+// Static method to generate internal reference, prefixed with the tenant's slug
 paymentSchema.statics.generateInternalReference = function() {
+  const prefix = (tenantContext.get()?.slug || 'eksu').replace(/-/g, '');
   const timestamp = Date.now().toString(36);
   const random = Math.random().toString(36).substr(2, 5);
-  return `EKSU_${timestamp}_${random}`.toUpperCase();
+  return `${prefix}_${timestamp}_${random}`.toUpperCase();
 };
 
 // Static method to get payment statistics
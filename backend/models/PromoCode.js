@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed', 'free'];
+
+// Gateways will not take less than this, so partial discounts stop here
+const MIN_CHARGE = 50;
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Promo code must be 3-30 letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Who pays for the discount, shown in analytics
+  sponsor: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Sponsor name cannot exceed 100 characters']
+  },
+  discountType: {
+    type: String,
+    enum: {
+      values: DISCOUNT_TYPES,
+      message: 'Invalid discount type: {VALUE}'
+    },
+    required: [true, 'Discount type is required']
+  },
+  // Percent off for 'percentage', naira off for 'fixed', unused for 'free'
+  discountValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount value cannot be negative']
+  },
+  // Largest purchase, in votes, the code can be used on
+  maxQuantity: {
+    type: Number,
+    default: null,
+    min: [1, 'Maximum quantity must be at least 1']
+  },
+  maxRedemptions: {
+    type: Number,
+    default: null, // null means unlimited
+    min: [1, 'Maximum redemptions must be at least 1']
+  },
+  maxRedemptionsPerUser: {
+    type: Number,
+    default: 1,
+    min: [1, 'Maximum redemptions per user must be at least 1']
+  },
+  // Redemptions that are completed or still awaiting payment
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  // Empty means the code works in every category
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.plugin(tenantScoped);
+
+promoCodeSchema.index({ tenant: 1, code: 1 }, { unique: true });
+promoCodeSchema.index({ isActive: 1, endsAt: 1 });
+
+// Validate discount value and window
+promoCodeSchema.pre('save', function(next) {
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return next(error);
+  };
+
+  if (this.discountType === 'percentage' && (this.discountValue <= 0 || this.discountValue > 100)) {
+    return invalid('Percentage discount must be between 1 and 100');
+  }
+  if (this.discountType === 'fixed' && this.discountValue <= 0) {
+    return invalid('Fixed discount must be greater than zero');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    return invalid('Promo code must end after it starts');
+  }
+  next();
+});
+
+// Virtual for the code's current state
+promoCodeSchema.virtual('status').get(function() {
+  const now = new Date();
+  if (!this.isActive) return 'inactive';
+  if (this.startsAt && now < this.startsAt) return 'scheduled';
+  if (this.endsAt && now > this.endsAt) return 'expired';
+  if (this.maxRedemptions && this.redemptionCount >= this.maxRedemptions) return 'exhausted';
+  return 'active';
+});
+
+// Method to check whether the code may be used in a category
+promoCodeSchema.methods.appliesToCategory = function(categoryId) {
+  return this.categories.length === 0 ||
+    this.categories.some(id => id.toString() === categoryId.toString());
+};
+
+// Method to work out the discount on an amount
+promoCodeSchema.methods.calculateDiscount = function(amount) {
+  let discount = 0;
+  if (this.discountType === 'percentage') {
+    discount = Math.round(amount * this.discountValue) / 100;
+  } else if (this.discountType === 'fixed') {
+    discount = this.discountValue;
+  }
+
+  discount = Math.min(discount, Math.max(amount - MIN_CHARGE, 0));
+  if (this.discountType === 'free') discount = amount;
+
+  return {
+    discountAmount: discount,
+    finalAmount: Math.round((amount - discount) * 100) / 100
+  };
+};
+
+// Static method to normalise user input before lookups
+promoCodeSchema.statics.normalizeCode = function(code) {
+  return String(code || '').trim().toUpperCase();
+};
+
+promoCodeSchema.statics.DISCOUNT_TYPES = DISCOUNT_TYPES;
+
+promoCodeSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
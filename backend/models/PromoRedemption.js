@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  vote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vote'
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  nominee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Nominee'
+  },
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  originalAmount: {
+    type: Number,
+    required: true
+  },
+  discountAmount: {
+    type: Number,
+    required: true
+  },
+  finalAmount: {
+    type: Number,
+    required: true
+  },
+  // Which of the user's allowed uses of the code this is, from 0. Unique per
+  // user and code while the redemption holds it, which enforces the per-user
+  // limit; cancelling frees it
+  slot: {
+    type: Number
+  },
+  // pending until the payment settles; cancelled redemptions free up the usage
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'cancelled'],
+    default: 'pending'
+  },
+  completedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+promoRedemptionSchema.plugin(tenantScoped);
+
+promoRedemptionSchema.index({ promoCode: 1, status: 1, createdAt: -1 });
+promoRedemptionSchema.index({ promoCode: 1, user: 1, status: 1 });
+promoRedemptionSchema.index({ payment: 1 }, { unique: true, sparse: true });
+promoRedemptionSchema.index(
+  { promoCode: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+
+const reconciliationItemSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  internalReference: String,
+  gateway: String,
+  previousStatus: String,
+  newStatus: String,
+  recordedAmount: Number,
+  gatewayAmount: Number,
+  mismatch: {
+    type: Boolean,
+    default: false
+  },
+  voteCreated: {
+    type: Boolean,
+    default: false
+  },
+  error: String
+}, { _id: false });
+
+const reconciliationReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  stats: {
+    checked: { type: Number, default: 0 },
+    settledSuccess: { type: Number, default: 0 },
+    settledFailed: { type: Number, default: 0 },
+    stillPending: { type: Number, default: 0 },
+    votesCreated: { type: Number, default: 0 },
+    mismatches: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+  // Only payments whose state changed or need attention are itemised
+  items: [reconciliationItemSchema],
+  error: {
+    type: String,
+    maxlength: [1000, 'Error cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.plugin(tenantScoped);
+
+reconciliationReportSchema.index({ startedAt: -1 });
+reconciliationReportSchema.index({ status: 1 });
+
+// Virtual for run duration in milliseconds
+reconciliationReportSchema.virtual('durationMs').get(function() {
+  if (!this.finishedAt) return null;
+  return this.finishedAt - this.startedAt;
+});
+
+// Method to add an item and keep the counters in step
+reconciliationReportSchema.methods.addItem = function(item) {
+  this.items.push(item);
+  if (item.mismatch) this.stats.mismatches += 1;
+  if (item.voteCreated) this.stats.votesCreated += 1;
+  if (item.error) this.stats.errors += 1;
+};
+
+// Method to close the run
+reconciliationReportSchema.methods.finish = async function(error) {
+  this.status = error ? 'failed' : 'completed';
+  this.error = error ? String(error).slice(0, 1000) : undefined;
+  this.finishedAt = new Date();
+  await this.save();
+};
+
+reconciliationReportSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -0,0 +1,352 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+
+// Fields holding credentials are never returned in plain text
+const SECRET_FIELDS = [
+  'opayPrivateKey',
+  'paystackSecretKey',
+  'flutterwaveSecretKey',
+  'flutterwaveWebhookHash',
+  'smtpPassword'
+];
+
+const bankAccountSchema = new mongoose.Schema({
+  accountName: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: [100, 'Account name cannot exceed 100 characters']
+  },
+  accountNumber: {
+    type: String,
+    required: [true, 'Account number is required'],
+    match: [/^\d{10}$/, 'Account number must be 10 digits']
+  },
+  bankName: {
+    type: String,
+    required: [true, 'Bank name is required'],
+    trim: true,
+    maxlength: [100, 'Bank name cannot exceed 100 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const settingsSchema = new mongoose.Schema({
+  // Singleton key - there is only ever one settings document (per tenant)
+  key: {
+    type: String,
+    default: 'global',
+    immutable: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+
+  // General Settings
+  siteName: {
+    type: String,
+    trim: true,
+    default: 'Sandwich Award Portal',
+    maxlength: [100, 'Site name cannot exceed 100 characters']
+  },
+  siteDescription: {
+    type: String,
+    trim: true,
+    default: 'Student Excellence Recognition Platform',
+    maxlength: [300, 'Site description cannot exceed 300 characters']
+  },
+  maintenanceMode: {
+    type: Boolean,
+    default: false
+  },
+  registrationEnabled: {
+    type: Boolean,
+    default: true
+  },
+  votingEnabled: {
+    type: Boolean,
+    default: true
+  },
+  maxVotesPerUser: {
+    type: Number,
+    default: 10,
+    min: [1, 'Maximum votes per user must be at least 1'],
+    max: [100000, 'Maximum votes per user cannot exceed 100000']
+  },
+  // Days a nominee has to accept a nomination made on their behalf
+  nominationConsentDays: {
+    type: Number,
+    default: 7,
+    min: [1, 'Nomination consent period must be at least 1 day'],
+    max: [60, 'Nomination consent period cannot exceed 60 days']
+  },
+  votingStartDate: {
+    type: Date,
+    default: null
+  },
+  votingEndDate: {
+    type: Date,
+    default: null
+  },
+
+  // Payment Settings
+  paymentGateway: {
+    type: String,
+    enum: {
+      values: ['paystack', 'flutterwave', 'opay', 'mock'],
+      message: 'Invalid payment gateway: {VALUE}'
+    },
+    default: 'paystack'
+  },
+  // Credentials below are used when the matching environment variable is
+  // unset, and always in multi-tenant mode
+  paystackSecretKey: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  flutterwaveSecretKey: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  flutterwaveWebhookHash: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  opayMerchantId: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  opayPublicKey: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  opayPrivateKey: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  votePrice: {
+    type: Number,
+    default: 100,
+    min: [50, 'Vote price must be at least ₦50'],
+    max: [1000, 'Vote price cannot exceed ₦1000']
+  },
+  paymentTimeout: {
+    type: Number,
+    default: 300,
+    min: [60, 'Payment timeout must be at least 60 seconds'],
+    max: [3600, 'Payment timeout cannot exceed 3600 seconds']
+  },
+  bankTransferEnabled: {
+    type: Boolean,
+    default: true
+  },
+  bankAccounts: [bankAccountSchema],
+
+  // Email Settings
+  emailProvider: {
+    type: String,
+    enum: ['smtp', 'sendgrid', 'mailgun'],
+    default: 'smtp'
+  },
+  smtpHost: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  smtpPort: {
+    type: Number,
+    default: 587,
+    min: [1, 'SMTP port must be between 1 and 65535'],
+    max: [65535, 'SMTP port must be between 1 and 65535']
+  },
+  smtpUser: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  smtpPassword: {
+    type: String,
+    default: ''
+  },
+  emailFromName: {
+    type: String,
+    trim: true,
+    default: 'Sandwich Award',
+    maxlength: [100, 'Sender name cannot exceed 100 characters']
+  },
+  emailFromAddress: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: '',
+    match: [/^$|^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid sender email']
+  },
+
+  // Security Settings
+  maxLoginAttempts: {
+    type: Number,
+    default: 5,
+    min: [1, 'Max login attempts must be at least 1'],
+    max: [20, 'Max login attempts cannot exceed 20']
+  },
+  sessionTimeout: {
+    type: Number,
+    default: 3600,
+    min: [300, 'Session timeout must be at least 300 seconds']
+  },
+  passwordMinLength: {
+    type: Number,
+    default: 8,
+    min: [6, 'Password minimum length must be at least 6'],
+    max: [64, 'Password minimum length cannot exceed 64']
+  },
+  requireEmailVerification: {
+    type: Boolean,
+    default: true
+  },
+  enableTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  fraudDetectionEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Fraud scores (0-100) at which a vote is flagged for review, or held back from the count
+  fraudFlagThreshold: {
+    type: Number,
+    default: 50,
+    min: [0, 'Fraud flag threshold must be between 0 and 100'],
+    max: [100, 'Fraud flag threshold must be between 0 and 100']
+  },
+  fraudHoldThreshold: {
+    type: Number,
+    default: 80,
+    min: [0, 'Fraud hold threshold must be between 0 and 100'],
+    max: [100, 'Fraud hold threshold must be between 0 and 100']
+  },
+  // Extra words that send an endorsement to moderation, on top of the built-in list
+  endorsementBlockedWords: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Blocked words cannot exceed 50 characters']
+  }],
+
+  // Performance Settings
+  cacheEnabled: {
+    type: Boolean,
+    default: true
+  },
+  cacheTTL: {
+    type: Number,
+    default: 300,
+    min: [0, 'Cache TTL cannot be negative']
+  },
+  rateLimitEnabled: {
+    type: Boolean,
+    default: true
+  },
+  maxRequestsPerMinute: {
+    type: Number,
+    default: 100,
+    min: [1, 'Max requests per minute must be at least 1']
+  },
+
+  // Notification Settings
+  emailNotifications: {
+    type: Boolean,
+    default: true
+  },
+  smsNotifications: {
+    type: Boolean,
+    default: false
+  },
+  pushNotifications: {
+    type: Boolean,
+    default: true
+  },
+  adminNotifications: {
+    type: Boolean,
+    default: true
+  },
+
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+settingsSchema.plugin(tenantScoped);
+
+settingsSchema.index({ tenant: 1, key: 1 }, { unique: true });
+
+// Validate global voting window
+settingsSchema.pre('validate', function(next) {
+  if (this.votingStartDate && this.votingEndDate && this.votingEndDate <= this.votingStartDate) {
+    this.invalidate('votingEndDate', 'Voting end date must be after start date');
+  }
+  if (this.fraudHoldThreshold < this.fraudFlagThreshold) {
+    this.invalidate('fraudHoldThreshold', 'Fraud hold threshold cannot be below the flag threshold');
+  }
+  next();
+});
+
+// Bump version on every change after creation
+settingsSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified()) {
+    this.version += 1;
+  }
+  next();
+});
+
+// Virtual for checking if the global voting window is open
+settingsSchema.virtual('isVotingWindowOpen').get(function() {
+  const now = new Date();
+  if (this.votingStartDate && now < this.votingStartDate) return false;
+  if (this.votingEndDate && now > this.votingEndDate) return false;
+  return true;
+});
+
+// Plain snapshot of the editable fields, used for version history.
+// Secrets are left out so they never end up in the revision log.
+settingsSchema.methods.toSnapshot = function() {
+  const snapshot = this.toObject({ virtuals: false });
+  SECRET_FIELDS.forEach(field => delete snapshot[field]);
+  delete snapshot._id;
+  delete snapshot.__v;
+  delete snapshot.key;
+  delete snapshot.version;
+  delete snapshot.createdAt;
+  delete snapshot.updatedAt;
+  delete snapshot.lastModifiedBy;
+  return snapshot;
+};
+
+settingsSchema.statics.SECRET_FIELDS = SECRET_FIELDS;
+
+// Ensure virtual fields are serialized and secrets are masked
+settingsSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    SECRET_FIELDS.forEach(field => {
+      ret[field] = ret[field] ? '****' + ret[field].slice(-4) : '';
+    });
+    delete ret.key;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Settings', settingsSchema);
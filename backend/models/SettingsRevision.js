@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+
+const settingsRevisionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: [true, 'Settings version is required']
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Settings snapshot is required']
+  },
+  changedFields: [{
+    type: String
+  }],
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Revision note cannot exceed 300 characters']
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+settingsRevisionSchema.plugin(tenantScoped);
+
+settingsRevisionSchema.index({ tenant: 1, version: 1 }, { unique: true });
+settingsRevisionSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('SettingsRevision', settingsRevisionSchema);
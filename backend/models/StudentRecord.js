@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+
+// One student on the institution's official registry, as imported by an
+// admin. Registrations and nominations are matched against these
+const studentRecordSchema = new mongoose.Schema({
+  studentId: {
+    type: String,
+    required: [true, 'Student ID is required'],
+    trim: true,
+    uppercase: true
+  },
+  firstName: {
+    type: String,
+    required: [true, 'First name is required'],
+    trim: true,
+    maxlength: [50, 'First name cannot exceed 50 characters']
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Last name is required'],
+    trim: true,
+    maxlength: [50, 'Last name cannot exceed 50 characters']
+  },
+  faculty: {
+    type: String,
+    required: [true, 'Faculty is required'],
+    trim: true
+  },
+  department: {
+    type: String,
+    trim: true
+  },
+  level: {
+    type: String,
+    required: [true, 'Level is required'],
+    trim: true
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+studentRecordSchema.plugin(tenantScoped);
+
+studentRecordSchema.index({ tenant: 1, studentId: 1 }, { unique: true });
+studentRecordSchema.index({ lastName: 1, firstName: 1 });
+
+module.exports = mongoose.model('StudentRecord', studentRecordSchema);
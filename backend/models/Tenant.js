@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// The institution the portal was built for. Tenants that leave a registry
+// field empty get these values, as does the portal outside multi-tenant mode.
+// Faculties and departments live in their own catalog (Faculty, Department)
+const DEFAULT_REGISTRY = {
+  levels: ['100', '200', '300', '400', '500'],
+  studentIdPattern: '^S0\\d{5}$',
+  studentIdFormat: 'S0***** (S followed by 0 and 5 digits)',
+  studentIdExample: 'S021024',
+  phonePattern: '^(\\+234|0)[789]\\d{9}$',
+  phoneFormat: 'a Nigerian phone number'
+};
+
+const isValidPattern = (value) => {
+  if (!value) return true;
+  try {
+    new RegExp(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Fill in defaults for the registry fields a tenant left empty
+const buildRegistry = (registry = {}) => {
+  const merged = { ...DEFAULT_REGISTRY };
+  Object.keys(DEFAULT_REGISTRY).forEach(field => {
+    const value = registry?.[field];
+    if (Array.isArray(value) ? value.length > 0 : Boolean(value)) {
+      merged[field] = Array.isArray(value) ? [...value] : value;
+    }
+  });
+  return merged;
+};
+
+const tenantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tenant name is required'],
+    trim: true,
+    maxlength: [100, 'Tenant name cannot exceed 100 characters']
+  },
+  // Sent by clients in the X-Tenant header
+  slug: {
+    type: String,
+    required: [true, 'Tenant slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]{2,50}$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  // Hostnames the tenant's portal is served from
+  domains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  frontendUrl: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  branding: {
+    siteName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Site name cannot exceed 100 characters']
+    },
+    shortName: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'Short name cannot exceed 20 characters']
+    },
+    logoUrl: String,
+    primaryColor: {
+      type: String,
+      match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Please provide a valid hex color']
+    },
+    supportEmail: {
+      type: String,
+      lowercase: true,
+      trim: true
+    }
+  },
+  registry: {
+    levels: [{ type: String, trim: true }],
+    studentIdPattern: {
+      type: String,
+      validate: [isValidPattern, 'Student ID pattern is not a valid regular expression']
+    },
+    studentIdFormat: String,
+    studentIdExample: String,
+    phonePattern: {
+      type: String,
+      validate: [isValidPattern, 'Phone pattern is not a valid regular expression']
+    },
+    phoneFormat: String
+  }
+}, {
+  timestamps: true
+});
+
+tenantSchema.index({ domains: 1 });
+
+// Method to get the registry with defaults filled in for unset fields
+tenantSchema.methods.getRegistry = function() {
+  return buildRegistry(this.registry);
+};
+
+tenantSchema.statics.DEFAULT_REGISTRY = DEFAULT_REGISTRY;
+tenantSchema.statics.buildRegistry = buildRegistry;
+
+module.exports = mongoose.model('Tenant', tenantSchema);
@@ -1,5 +1,18 @@
 const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
 const bcrypt = require('bcryptjs');
+const tenantService = require('../services/tenantService');
+
+// Student IDs, phone numbers and levels are checked against the
+// institution's registry rather than fixed formats. Faculties and departments
+// come from the admin-managed catalog and are checked where they are entered
+const registryValidator = (check) => async function(value) {
+  if (value === undefined || value === null || value === '') return true;
+  const registry = await tenantService.getRegistry(this.tenant);
+  const message = check(registry, value);
+  if (message) throw new Error(message);
+  return true;
+};
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -17,7 +30,6 @@ const userSchema = new mongoose.Schema({
   email: {
     type: String,
     required: [true, 'Email is required'],
-    unique: true,
     lowercase: true,
     match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email']
   },
@@ -28,14 +40,20 @@ const userSchema = new mongoose.Schema({
   },
   studentId: {
     type: String,
-    sparse: true,
-    unique: true,
-    match: [/^S0\d{5}$/, 'Student ID must be in format S0***** (S followed by 0 and 5 digits)']
+    validate: registryValidator((registry, value) => {
+      if (!new RegExp(registry.studentIdPattern).test(value)) {
+        return `Student ID must be in format ${registry.studentIdFormat}`;
+      }
+    })
   },
   phoneNumber: {
     type: String,
     required: [true, 'Phone number is required'],
-    match: [/^(\+234|0)[789]\d{9}$/, 'Please provide a valid Nigerian phone number']
+    validate: registryValidator((registry, value) => {
+      if (!new RegExp(registry.phonePattern).test(value)) {
+        return `Please provide ${registry.phoneFormat}`;
+      }
+    })
   },
   role: {
     type: String,
@@ -51,56 +69,47 @@ const userSchema = new mongoose.Schema({
     required: function() {
       return this.isStudent;
     },
-    enum: [
-      'Computer Science',
-      'Mathematics',
-      'Physics',
-      'Chemistry',
-      'Biology',
-      'English Language',
-      'History',
-      'Political Science',
-      'Economics',
-      'Sociology',
-      'Psychology',
-      'Education',
-      'Business Administration',
-      'Accounting',
-      'Banking and Finance',
-      'Marketing',
-      'Mass Communication',
-      'Law',
-      'Medicine',
-      'Nursing',
-      'Engineering',
-      'Agriculture',
-      'Environmental Science'
-    ]
+    trim: true
   },
   faculty: {
     type: String,
     required: function() {
       return this.isStudent;
     },
-    enum: [
-      'Science',
-      'Computer Science',
-      'Arts',
-      'Social Sciences',
-      'Education',
-      'Management Sciences',
-      'Law',
-      'Medicine',
-      'Engineering',
-      'Agriculture'
-    ]
+    trim: true
   },
   level: {
     type: String,
     required: function() {
       return this.isStudent;
     },
-    enum: ['100', '200', '300', '400', '500']
+    validate: registryValidator((registry, value) => {
+      if (!registry.levels.includes(value)) {
+        return `${value} is not a valid level`;
+      }
+    })
+  },
+  // Outcome of matching the student ID against the institution's registry.
+  // `unverified` means there was no registry to match against
+  studentVerification: {
+    status: {
+      type: String,
+      enum: ['unverified', 'verified', 'pending_review', 'rejected'],
+      default: 'unverified'
+    },
+    // Why the match failed, for the review queue
+    mismatches: [{
+      field: String,
+      provided: String,
+      expected: String
+    }],
+    checkedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    notes: String
   },
   profileImage: {
     type: String,
@@ -114,6 +123,10 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  verificationTokenExpire: {
+    type: Date,
+    default: null
+  },
   resetPasswordToken: {
     type: String,
     default: null
@@ -142,11 +155,18 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.plugin(tenantScoped);
+
 // Index for better query performance
-userSchema.index({ email: 1 });
-userSchema.index({ studentId: 1 });
+// Emails and student IDs are unique within an institution
+userSchema.index({ tenant: 1, email: 1 }, { unique: true });
+userSchema.index(
+  { tenant: 1, studentId: 1 },
+  { unique: true, partialFilterExpression: { studentId: { $type: 'string' } } }
+);
 userSchema.index({ role: 1 });
 userSchema.index({ isStudent: 1 });
+userSchema.index({ 'studentVerification.status': 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -177,8 +197,11 @@ userSchema.set('toJSON', {
   transform: function(doc, ret) {
     delete ret.password;
     delete ret.verificationToken;
+    delete ret.verificationTokenExpire;
     delete ret.resetPasswordToken;
     delete ret.resetPasswordExpire;
+    // Mismatches can name whoever the student ID really belongs to
+    if (ret.studentVerification) delete ret.studentVerification.mismatches;
     return ret;
   }
 });
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+
+// Most votes a supporter can buy in a single payment
+const MAX_VOTES_PER_PURCHASE = 100;
+
+// Outcomes of an admin reviewing a flagged vote
+const REVIEW_DECISIONS = ['confirmed', 'voided', 'refunded'];
 
 const voteSchema = new mongoose.Schema({
   voter: {
@@ -16,15 +23,42 @@ const voteSchema = new mongoose.Schema({
     ref: 'Category',
     required: [true, 'Category reference is required']
   },
+  edition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Edition'
+  },
   payment: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Payment',
     required: [true, 'Payment reference is required']
   },
+  // Number of votes this record counts for; one payment buys one record
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1'],
+    max: [MAX_VOTES_PER_PURCHASE, `Quantity cannot exceed ${MAX_VOTES_PER_PURCHASE}`]
+  },
+  // Price actually charged per vote after any bundle discount
+  unitPrice: {
+    type: Number
+  },
+  pricingTier: {
+    tierId: mongoose.Schema.Types.ObjectId,
+    name: String
+  },
+  promo: {
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    },
+    code: String,
+    discountAmount: Number
+  },
   amount: {
     type: Number,
     required: [true, 'Vote amount is required'],
-    min: [50, 'Vote amount must be at least ₦50']
+    min: [0, 'Vote amount cannot be negative']
   },
   currency: {
     type: String,
@@ -33,12 +67,12 @@ const voteSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'failed', 'refunded'],
+    enum: ['pending', 'confirmed', 'verified', 'failed', 'refunded'],
     default: 'pending'
   },
   paymentMethod: {
     type: String,
-    enum: ['paystack', 'flutterwave', 'bank_transfer', 'card', 'ussd', 'bank'],
+    enum: ['paystack', 'flutterwave', 'opay', 'mock', 'promo', 'bank_transfer', 'card', 'ussd', 'bank'],
     required: [true, 'Payment method is required']
   },
   transactionReference: {
@@ -90,7 +124,7 @@ const voteSchema = new mongoose.Schema({
   },
   verificationMethod: {
     type: String,
-    enum: ['webhook', 'manual', 'api_check']
+    enum: ['webhook', 'manual', 'api_check', 'reconciliation', 'promo']
   },
   failureReason: {
     type: String,
@@ -134,6 +168,10 @@ const voteSchema = new mongoose.Schema({
     type: String,
     maxlength: [200, 'Flag reason cannot exceed 200 characters']
   },
+  reviewDecision: {
+    type: String,
+    enum: REVIEW_DECISIONS
+  },
   reviewedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -149,6 +187,8 @@ const voteSchema = new mongoose.Schema({
   timestamps: true
 });
 
+voteSchema.plugin(tenantScoped);
+
 // Compound indexes for better query performance
 voteSchema.index({ voter: 1, nominee: 1, createdAt: -1 });
 voteSchema.index({ category: 1, status: 1, createdAt: -1 });
@@ -158,6 +198,16 @@ voteSchema.index({ transactionReference: 1 }, { unique: true });
 voteSchema.index({ status: 1, isVerified: 1 });
 voteSchema.index({ createdAt: -1 });
 voteSchema.index({ isFlagged: 1, fraudScore: -1 });
+voteSchema.index({ reviewDecision: 1, reviewedAt: -1 });
+voteSchema.index({ edition: 1, status: 1 });
+
+// Pre-save middleware to copy the edition from the category
+voteSchema.pre('save', async function() {
+  if (!this.edition && this.category) {
+    const category = await mongoose.model('Category').findById(this.category).select('edition');
+    this.edition = category?.edition;
+  }
+});
 
 // Pre-save middleware to calculate net amount
 voteSchema.pre('save', function(next) {
@@ -175,9 +225,10 @@ voteSchema.pre('save', function(next) {
   next();
 });
 
-// Virtual for checking if vote is valid
+// Virtual for checking if vote counts. Verified votes count whether or not
+// they are flagged; held votes stay pending until reviewed
 voteSchema.virtual('isValid').get(function() {
-  return this.status === 'confirmed' && this.isVerified && !this.isFlagged;
+  return this.status === 'verified';
 });
 
 // Virtual for vote age in hours
@@ -190,7 +241,7 @@ voteSchema.methods.markAsVerified = async function(method = 'webhook') {
   this.isVerified = true;
   this.verifiedAt = new Date();
   this.verificationMethod = method;
-  this.status = 'confirmed';
+  this.status = 'verified';
   await this.save();
 };
 
@@ -202,21 +253,38 @@ voteSchema.methods.flagAsSuspicious = async function(reason, score = 75) {
   await this.save();
 };
 
+// Method to record an admin's review of a flagged vote
+voteSchema.methods.recordReview = function(decision, reviewedBy, notes) {
+  this.reviewDecision = decision;
+  this.reviewedBy = reviewedBy;
+  this.reviewedAt = new Date();
+  this.reviewNotes = notes || undefined;
+};
+
+// Static method to count votes matching a filter, weighted by quantity
+voteSchema.statics.countVotes = async function(filter = {}) {
+  const [result] = await this.aggregate([
+    { $match: filter },
+    { $group: { _id: null, total: { $sum: '$quantity' } } }
+  ]);
+
+  return result ? result.total : 0;
+};
+
 // Static method to get vote statistics for a nominee
 voteSchema.statics.getStatisticsForNominee = async function(nomineeId) {
   const stats = await this.aggregate([
     {
       $match: {
-        nominee: mongoose.Types.ObjectId(nomineeId),
-        status: 'confirmed',
-        isVerified: true,
-        isFlagged: false
+        nominee: new mongoose.Types.ObjectId(nomineeId),
+        // Counted like everywhere else: flagged votes count until a review voids them
+        status: 'verified'
       }
     },
     {
       $group: {
         _id: null,
-        totalVotes: { $sum: 1 },
+        totalVotes: { $sum: '$quantity' },
         totalAmount: { $sum: '$amount' },
         averageAmount: { $avg: '$amount' },
         uniqueVoters: { $addToSet: '$voter' },
@@ -249,16 +317,15 @@ voteSchema.statics.getStatisticsForCategory = async function(categoryId) {
   const stats = await this.aggregate([
     {
       $match: {
-        category: mongoose.Types.ObjectId(categoryId),
-        status: 'confirmed',
-        isVerified: true,
-        isFlagged: false
+        category: new mongoose.Types.ObjectId(categoryId),
+        // Counted like everywhere else: flagged votes count until a review voids them
+        status: 'verified'
       }
     },
     {
       $group: {
         _id: null,
-        totalVotes: { $sum: 1 },
+        totalVotes: { $sum: '$quantity' },
         totalAmount: { $sum: '$amount' },
         uniqueVoters: { $addToSet: '$voter' },
         uniqueNominees: { $addToSet: '$nominee' }
@@ -283,6 +350,9 @@ voteSchema.statics.getStatisticsForCategory = async function(categoryId) {
   };
 };
 
+voteSchema.statics.MAX_VOTES_PER_PURCHASE = MAX_VOTES_PER_PURCHASE;
+voteSchema.statics.REVIEW_DECISIONS = REVIEW_DECISIONS;
+
 // Ensure virtual fields are serialized
 voteSchema.set('toJSON', {
   virtuals: true,
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+
+// An event still processing after this long was abandoned, e.g. by a crash or
+// timeout, and may be picked up again
+const PROCESSING_TIMEOUT_MS = parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_MS) || 5 * 60 * 1000;
+
+const webhookEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    required: [true, 'Gateway is required'],
+    enum: ['paystack', 'flutterwave', 'opay', 'mock']
+  },
+  // Gateway's own event identifier, used to deduplicate retried deliveries
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required']
+  },
+  eventType: {
+    type: String
+  },
+  reference: {
+    type: String
+  },
+  signatureValid: {
+    type: Boolean,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'ignored', 'failed', 'rejected'],
+    default: 'received'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  error: {
+    type: String,
+    maxlength: [1000, 'Error cannot exceed 1000 characters']
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  duplicateDeliveries: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  processedAt: {
+    type: Date
+  },
+  ipAddress: {
+    type: String
+  },
+  replays: [{
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    replayedAt: {
+      type: Date,
+      default: Date.now
+    },
+    outcome: {
+      type: String,
+      enum: ['processed', 'ignored', 'failed']
+    },
+    error: String
+  }]
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.plugin(tenantScoped);
+
+// Only verified events take part in deduplication, so a forged request
+// cannot claim a real event ID before the gateway delivers it
+webhookEventSchema.index(
+  { gateway: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { signatureValid: true } }
+);
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ reference: 1 });
+
+// Virtual for whether processing started but never finished
+webhookEventSchema.virtual('isStuck').get(function() {
+  return this.status === 'processing' &&
+    (!this.lastAttemptAt || Date.now() - this.lastAttemptAt > PROCESSING_TIMEOUT_MS);
+});
+
+// Virtual for whether an admin may replay the event
+webhookEventSchema.virtual('canReplay').get(function() {
+  return this.signatureValid && (['failed', 'ignored'].includes(this.status) || this.isStuck);
+});
+
+// Method to record the outcome of a processing attempt
+webhookEventSchema.methods.recordOutcome = async function(outcome, { error, payment } = {}) {
+  this.status = outcome;
+  this.error = error ? String(error).slice(0, 1000) : undefined;
+  if (payment) this.payment = payment;
+  if (outcome === 'processed') this.processedAt = new Date();
+  await this.save();
+};
+
+// Static method to atomically claim an event for processing. Stuck events
+// can always be claimed
+webhookEventSchema.statics.claim = function(id, fromStatuses) {
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { status: { $in: fromStatuses } },
+        { status: 'processing', lastAttemptAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lastAttemptAt: new Date() },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+};
+
+webhookEventSchema.set('toJSON', { virtuals: true });
+
+webhookEventSchema.statics.PROCESSING_TIMEOUT_MS = PROCESSING_TIMEOUT_MS;
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const tenantContext = require('../../services/tenantContext');
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+/**
+ * Give a model a `tenant` and confine it to the current tenant. Queries and
+ * aggregations only see the tenant's documents, and new documents are
+ * stamped with it. Outside a tenant context (single-tenant mode, scripts)
+ * nothing is filtered
+ */
+module.exports = function tenantScoped(schema) {
+  schema.add({
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      index: true,
+      immutable: true
+    }
+  });
+
+  schema.pre(QUERY_HOOKS, function() {
+    const tenantId = tenantContext.id();
+    if (tenantId) {
+      this.where({ tenant: tenantId });
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const tenantId = tenantContext.id();
+    if (tenantId) {
+      this.pipeline().unshift({ $match: { tenant: tenantId } });
+    }
+  });
+
+  // Stamped before validation so validators can read the tenant's rules
+  schema.pre('validate', function() {
+    const tenantId = tenantContext.id();
+    if (!tenantId) return;
+
+    if (!this.tenant) {
+      this.tenant = tenantId;
+    } else if (!this.tenant.equals(tenantId)) {
+      throw new Error('Cannot save a document belonging to another tenant');
+    }
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    const tenantId = tenantContext.id();
+    if (tenantId) {
+      (Array.isArray(docs) ? docs : [docs]).forEach(doc => {
+        if (!doc.tenant) doc.tenant = tenantId;
+      });
+    }
+    next();
+  });
+};
@@ -1,15 +1,61 @@
 const express = require('express');
 const router = express.Router();
 const { auth, adminAuth } = require('../middleware/auth');
-const { handleValidationErrors } = require('../middleware/validation');
+const {
+  handleValidationErrors,
+  nomineeValidation,
+  settingsValidation,
+  apiKeyValidation,
+  webhookEventValidation,
+  emailValidation,
+  reconciliationValidation,
+  promoCodeValidation,
+  voteReviewValidation,
+  endorsementValidation,
+  achievementValidation,
+  tenantValidation,
+  catalogValidation,
+  studentRegistryValidation,
+  importValidation
+} = require('../middleware/validation');
 const { logAdminActivity } = require('../middleware/logging');
+const { keepTenant } = require('../middleware/tenant');
+const multer = require('multer');
 const User = require('../models/User');
 const Category = require('../models/Category');
 const Nominee = require('../models/Nominee');
 const Vote = require('../models/Vote');
 const Payment = require('../models/Payment');
+const ApiKey = require('../models/ApiKey');
+const WebhookEvent = require('../models/WebhookEvent');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const EmailMessage = require('../models/EmailMessage');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const settingsService = require('../services/settingsService');
+const paymentService = require('../services/paymentService');
+const reconciliationService = require('../services/reconciliationService');
+const promoService = require('../services/promoService');
+const voteReviewService = require('../services/voteReviewService');
+const disqualificationService = require('../services/disqualificationService');
+const endorsementService = require('../services/endorsementService');
+const achievementService = require('../services/achievementService');
+const notificationService = require('../services/notificationService');
+const emailService = require('../services/emailService');
+const tenantService = require('../services/tenantService');
+const catalogService = require('../services/catalogService');
+const studentRegistryService = require('../services/studentRegistryService');
+const importService = require('../services/importService');
 const mongoose = require('mongoose');
 
+// Spreadsheets are parsed straight from memory
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
 // Apply authentication and admin authorization to all routes
 router.use(auth);
 router.use(adminAuth);
@@ -162,6 +208,15 @@ router.patch('/nominees/:id/approve', async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    // Nominations waiting on, or refused by, the nominee cannot be approved
+    const current = await Nominee.findById(id).select('status');
+    if (current && Nominee.CONSENT_STATUSES.includes(current.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The nominee has not accepted this nomination'
+      });
+    }
+
     const nominee = await Nominee.findByIdAndUpdate(
       id,
       {
@@ -189,6 +244,8 @@ router.patch('/nominees/:id/approve', async (req, res, next) => {
       });
     }
 
+    await notificationService.nominationStatus(nominee);
+
     res.json({
       success: true,
       message: 'Nominee approved successfully',
@@ -240,6 +297,8 @@ router.patch('/nominees/:id/reject', async (req, res, next) => {
       });
     }
 
+    await notificationService.nominationStatus(nominee);
+
     res.json({
       success: true,
       message: 'Nominee rejected successfully',
@@ -255,6 +314,138 @@ router.patch('/nominees/:id/reject', async (req, res, next) => {
   }
 });
 
+// @desc    Disqualify nominee, optionally refunding their paid votes
+// @route   PATCH /api/admin/nominees/:id/disqualify
+// @access  Private/Admin
+router.patch('/nominees/:id/disqualify', nomineeValidation.disqualify, async (req, res, next) => {
+  try {
+    const { reason, refundVotes } = req.body;
+    const result = await disqualificationService.disqualify(req.params.id, {
+      reason,
+      refundVotes: refundVotes === true || refundVotes === 'true',
+      userId: req.user.id
+    });
+
+    const { refunds } = result;
+    res.status(200).json({
+      success: true,
+      message: refunds.failed.length > 0
+        ? `Nominee disqualified; ${refunds.failed.length} vote refund(s) failed`
+        : 'Nominee disqualified successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reinstate a disqualified nominee
+// @route   PATCH /api/admin/nominees/:id/reinstate
+// @access  Private/Admin
+router.patch('/nominees/:id/reinstate', nomineeValidation.reinstate, async (req, res, next) => {
+  try {
+    const result = await disqualificationService.reinstate(req.params.id, {
+      reason: req.body.reason,
+      userId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Nominee reinstated successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get endorsements awaiting moderation, or all with a given status
+// @route   GET /api/admin/endorsements
+// @access  Private/Admin
+router.get('/endorsements', endorsementValidation.list, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const data = await endorsementService.listForModeration({
+      status: req.query.status,
+      category: req.query.category,
+      reported: req.query.reported === 'true'
+    }, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Approve or remove an endorsement
+// @route   PATCH /api/admin/nominees/:id/endorsements/:endorsementId
+// @access  Private/Admin
+router.patch('/nominees/:id/endorsements/:endorsementId', endorsementValidation.moderate, async (req, res, next) => {
+  try {
+    const { action, notes } = req.body;
+    const endorsement = await endorsementService.moderate(req.params.id, req.params.endorsementId, action, {
+      userId: req.user.id,
+      notes
+    });
+
+    res.status(200).json({
+      success: true,
+      message: action === 'approve' ? 'Endorsement approved' : 'Endorsement removed',
+      data: { endorsement }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get achievements awaiting verification, or all with a given status
+// @route   GET /api/admin/achievements
+// @access  Private/Admin
+router.get('/achievements', achievementValidation.list, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const data = await achievementService.listForReview({
+      status: req.query.status,
+      category: req.query.category
+    }, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Verify or reject a nominee's achievement
+// @route   PATCH /api/admin/nominees/:id/achievements/:achievementId/verify
+// @access  Private/Admin
+router.patch('/nominees/:id/achievements/:achievementId/verify', achievementValidation.review, async (req, res, next) => {
+  try {
+    const { decision, notes } = req.body;
+    const achievement = await achievementService.review(req.params.id, req.params.achievementId, decision, {
+      userId: req.user.id,
+      notes
+    });
+
+    res.status(200).json({
+      success: true,
+      message: decision === 'verified' ? 'Achievement verified' : 'Achievement rejected',
+      data: { achievement }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get admin dashboard statistics
 // @route   GET /api/admin/dashboard
 // @access  Private/Admin
@@ -272,7 +463,7 @@ router.get('/dashboard', async (req, res, next) => {
         User.countDocuments({ role: 'student' }),
         Category.countDocuments(),
         Nominee.countDocuments(),
-        Vote.countDocuments(),
+        Vote.countVotes(),
         Payment.aggregate([
           { $match: { status: 'success' } },
           { $group: { _id: null, total: { $sum: '$amount' } } }
@@ -282,7 +473,7 @@ router.get('/dashboard', async (req, res, next) => {
         User.countDocuments({ role: 'student', createdAt: { $gte: lastMonth } }),
         Category.countDocuments({ createdAt: { $gte: lastMonth } }),
         Nominee.countDocuments({ createdAt: { $gte: lastMonth } }),
-        Vote.countDocuments({ createdAt: { $gte: lastMonth } }),
+        Vote.countVotes({ createdAt: { $gte: lastMonth } }),
         Payment.aggregate([
           { 
             $match: { 
@@ -316,7 +507,7 @@ router.get('/dashboard', async (req, res, next) => {
         {
           $group: {
             _id: '$category',
-            voteCount: { $sum: 1 },
+            voteCount: { $sum: '$quantity' },
             totalAmount: { $sum: '$amount' }
           }
         },
@@ -632,6 +823,286 @@ router.get('/payments/export', async (req, res, next) => {
   }
 });
 
+// @desc    Get payment webhook event log
+// @route   GET /api/admin/webhook-events
+// @access  Private/Admin
+router.get('/webhook-events', webhookEventValidation.list, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status, gateway, reference } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (gateway) filter.gateway = gateway;
+    if (reference) filter.reference = reference;
+
+    const [events, total, statusCounts] = await Promise.all([
+      WebhookEvent.find(filter)
+        .select('-payload')
+        .populate('payment', 'internalReference amount status')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookEvent.countDocuments(filter),
+      WebhookEvent.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        statusCounts: statusCounts.reduce((acc, item) => ({ ...acc, [item._id]: item.count }), {}),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a single webhook event with its payload
+// @route   GET /api/admin/webhook-events/:id
+// @access  Private/Admin
+router.get('/webhook-events/:id', webhookEventValidation.detail, async (req, res, next) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.id)
+      .populate('payment', 'internalReference gatewayReference amount status')
+      .populate('replays.replayedBy', 'firstName lastName email');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Replay a failed or ignored webhook event
+// @route   POST /api/admin/webhook-events/:id/replay
+// @access  Private/Admin
+router.post('/webhook-events/:id/replay', webhookEventValidation.detail, async (req, res, next) => {
+  try {
+    const event = await paymentService.replayWebhookEvent(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: event.status === 'processed',
+      message: event.status === 'processed'
+        ? 'Webhook event replayed successfully'
+        : `Replay finished with status: ${event.status}`,
+      data: event
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the email outbox
+// @route   GET /api/admin/emails
+// @access  Private/Admin
+router.get('/emails', emailValidation.list, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status, template, to } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (template) filter.template = template;
+    if (to) filter.to = to.toLowerCase();
+
+    const [emails, total, statusCounts] = await Promise.all([
+      // Bodies are left out: account emails carry live reset and verification links
+      EmailMessage.find(filter)
+        .select('-text -html')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EmailMessage.countDocuments(filter),
+      EmailMessage.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        emails,
+        statusCounts: statusCounts.reduce((acc, item) => ({ ...acc, [item._id]: item.count }), {}),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Retry a queued or failed email now
+// @route   POST /api/admin/emails/:id/retry
+// @access  Private/Admin
+router.post('/emails/:id/retry', emailValidation.retry, async (req, res, next) => {
+  try {
+    const { result, message } = await emailService.retry(req.params.id);
+
+    res.status(200).json({
+      success: result.sent,
+      message: result.sent ? 'Email sent' : `Email not sent: ${result.reason}`,
+      data: message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get flagged votes awaiting review, or past review decisions
+// @route   GET /api/admin/votes/flagged
+// @access  Private/Admin
+router.get('/votes/flagged', voteReviewValidation.list, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { category, nominee, minScore, maxScore, reason, status } = req.query;
+
+    const data = await voteReviewService.listFlagged({
+      category,
+      nominee,
+      minScore,
+      maxScore,
+      reason,
+      status,
+      reviewed: req.query.reviewed === 'true'
+    }, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Confirm, void or refund flagged votes in bulk
+// @route   POST /api/admin/votes/review
+// @access  Private/Admin
+router.post('/votes/review', voteReviewValidation.review, async (req, res, next) => {
+  try {
+    const { voteIds, decision, notes } = req.body;
+    const result = await voteReviewService.review(voteIds, decision, { userId: req.user.id, notes });
+
+    res.status(200).json({
+      success: result.failed.length === 0,
+      message: result.failed.length === 0
+        ? `${result.reviewed.length} vote(s) ${result.decision}`
+        : `${result.reviewed.length} vote(s) ${result.decision}, ${result.failed.length} failed`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Run payment reconciliation now
+// @route   POST /api/admin/payments/reconcile
+// @access  Private/Admin
+router.post('/payments/reconcile', async (req, res, next) => {
+  try {
+    const report = await reconciliationService.run({ trigger: 'manual', userId: req.user.id });
+
+    res.status(200).json({
+      success: report.status === 'completed',
+      message: report.status === 'completed'
+        ? `Reconciled ${report.stats.checked} payments`
+        : `Reconciliation failed: ${report.error}`,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get payment reconciliation reports
+// @route   GET /api/admin/payments/reconciliations
+// @access  Private/Admin
+router.get('/payments/reconciliations', reconciliationValidation.list, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find(filter)
+        .select('-items')
+        .populate('triggeredBy', 'firstName lastName email')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ReconciliationReport.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reports,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a single reconciliation report with its items
+// @route   GET /api/admin/payments/reconciliations/:id
+// @access  Private/Admin
+router.get('/payments/reconciliations/:id', reconciliationValidation.detail, async (req, res, next) => {
+  try {
+    const report = await ReconciliationReport.findById(req.params.id)
+      .populate('triggeredBy', 'firstName lastName email');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation report not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get system statistics
 // @route   GET /api/admin/stats
 // @access  Private/Admin
@@ -650,7 +1121,7 @@ router.get('/stats', async (req, res, next) => {
             _id: {
               $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
             },
-            count: { $sum: 1 },
+            count: { $sum: '$quantity' },
             amount: { $sum: '$amount' }
           }
         },
@@ -663,7 +1134,7 @@ router.get('/stats', async (req, res, next) => {
         {
           $group: {
             _id: '$category',
-            voteCount: { $sum: 1 },
+            voteCount: { $sum: '$quantity' },
             totalRevenue: { $sum: '$amount' }
           }
         },
@@ -768,7 +1239,7 @@ router.get('/system-stats', async (req, res, next) => {
     const [totalUsers, totalNominees, totalVotes, totalRevenue] = await Promise.all([
       User.countDocuments(),
       Nominee.countDocuments(),
-      Vote.countDocuments({ status: 'verified' }),
+      Vote.countVotes({ status: 'verified' }),
       Vote.aggregate([
         { $match: { status: 'verified' } },
         { $group: { _id: null, total: { $sum: '$amount' } } }
@@ -799,18 +1270,7 @@ router.get('/system-stats', async (req, res, next) => {
 // @access  Private/Admin
 router.get('/settings', async (req, res, next) => {
   try {
-    // Return default settings - in a real app, these would be stored in database
-    const settings = {
-      siteName: 'Sandwich Award Portal',
-      siteDescription: 'Student Excellence Recognition Platform',
-      votingEnabled: true,
-      registrationEnabled: true,
-      emailNotifications: true,
-      maintenanceMode: false,
-      maxVotesPerUser: 10,
-      votingStartDate: null,
-      votingEndDate: null
-    };
+    const settings = await settingsService.getSettings({ fresh: true });
 
     res.status(200).json({
       success: true,
@@ -824,36 +1284,372 @@ router.get('/settings', async (req, res, next) => {
 // @desc    Update system settings
 // @route   PUT /api/admin/settings
 // @access  Private/Admin
-router.put('/settings', async (req, res, next) => {
+router.put('/settings', settingsValidation.update, async (req, res, next) => {
   try {
-    // In a real app, you would save these to database
-    const updatedSettings = req.body;
-    
+    const { note, ...changes } = req.body;
+
+    const { settings, changedFields } = await settingsService.updateSettings(
+      changes,
+      req.user.id,
+      { note }
+    );
+
     res.status(200).json({
       success: true,
-      message: 'Settings updated successfully',
-      data: updatedSettings
+      message: changedFields.length > 0
+        ? 'Settings updated successfully'
+        : 'No changes to save',
+      data: settings,
+      changedFields
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Get API keys
-// @route   GET /api/admin/api-keys
+// @desc    Get the institution's branding and registry
+// @route   GET /api/admin/tenant
 // @access  Private/Admin
-router.get('/api-keys', async (req, res, next) => {
+router.get('/tenant', async (req, res, next) => {
   try {
-    // Return masked API keys - in a real app, these would be stored securely
-    const apiKeys = {
-      paystack: {
-        publicKey: process.env.PAYSTACK_PUBLIC_KEY ? '****' + process.env.PAYSTACK_PUBLIC_KEY.slice(-4) : null,
-        secretKey: process.env.PAYSTACK_SECRET_KEY ? '****' + process.env.PAYSTACK_SECRET_KEY.slice(-4) : null
-      },
-      email: {
-        apiKey: process.env.EMAIL_API_KEY ? '****' + process.env.EMAIL_API_KEY.slice(-4) : null
+    const profile = await tenantService.getProfile();
+
+    res.status(200).json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update the institution's branding and registry (multi-tenant mode)
+// @route   PUT /api/admin/tenant
+// @access  Private/Admin
+router.put('/tenant', tenantValidation.update, async (req, res, next) => {
+  try {
+    const tenant = await tenantService.updateCurrent(req.body);
+    const profile = await tenantService.getProfile(tenant);
+
+    res.status(200).json({
+      success: true,
+      message: 'Institution details updated successfully',
+      data: profile
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get all faculties with their departments, including inactive ones
+// @route   GET /api/admin/faculties
+// @access  Private/Admin
+router.get('/faculties', async (req, res, next) => {
+  try {
+    const faculties = await catalogService.getCatalog({ includeInactive: true, fresh: true });
+
+    res.status(200).json({
+      success: true,
+      data: faculties
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add a faculty
+// @route   POST /api/admin/faculties
+// @access  Private/Admin
+router.post('/faculties', catalogValidation.createFaculty, async (req, res, next) => {
+  try {
+    const faculty = await catalogService.createFaculty(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Faculty created successfully',
+      data: faculty
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update or rename a faculty
+// @route   PUT /api/admin/faculties/:id
+// @access  Private/Admin
+router.put('/faculties/:id', catalogValidation.updateFaculty, async (req, res, next) => {
+  try {
+    const faculty = await catalogService.updateFaculty(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Faculty updated successfully',
+      data: faculty
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete a faculty that is not in use
+// @route   DELETE /api/admin/faculties/:id
+// @access  Private/Admin
+router.delete('/faculties/:id', catalogValidation.remove, async (req, res, next) => {
+  try {
+    await catalogService.deleteFaculty(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Faculty deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add a department to a faculty
+// @route   POST /api/admin/departments
+// @access  Private/Admin
+router.post('/departments', catalogValidation.createDepartment, async (req, res, next) => {
+  try {
+    const department = await catalogService.createDepartment(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Department created successfully',
+      data: department
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update, rename or move a department
+// @route   PUT /api/admin/departments/:id
+// @access  Private/Admin
+router.put('/departments/:id', catalogValidation.updateDepartment, async (req, res, next) => {
+  try {
+    const department = await catalogService.updateDepartment(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Department updated successfully',
+      data: department
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete a department that is not in use
+// @route   DELETE /api/admin/departments/:id
+// @access  Private/Admin
+router.delete('/departments/:id', catalogValidation.remove, async (req, res, next) => {
+  try {
+    await catalogService.deleteDepartment(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Department deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the student registry, optionally searched by ID or name
+// @route   GET /api/admin/student-registry
+// @access  Private/Admin
+router.get('/student-registry', studentRegistryValidation.list, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const data = await studentRegistryService.listRecords({ search: req.query.search }, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Import the student registry from a CSV or XLSX file
+// @route   POST /api/admin/student-registry/import
+// @access  Private/Admin
+router.post('/student-registry/import', keepTenant(spreadsheetUpload.single('file')), studentRegistryValidation.import, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a CSV or XLSX file in the "file" field'
+      });
+    }
+
+    const data = await studentRegistryService.importFile(req.file.buffer, {
+      replace: req.query.replace === 'true',
+      userId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${data.created + data.updated} student(s)${data.skipped ? `, skipped ${data.skipped} invalid row(s)` : ''}`,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get users whose student ID did not match the registry, or all with a given status
+// @route   GET /api/admin/student-verifications
+// @access  Private/Admin
+router.get('/student-verifications', studentRegistryValidation.reviewList, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const data = await studentRegistryService.listForReview({ status: req.query.status }, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Verify or reject a user's student ID by hand
+// @route   PATCH /api/admin/student-verifications/:id
+// @access  Private/Admin
+router.patch('/student-verifications/:id', studentRegistryValidation.review, async (req, res, next) => {
+  try {
+    const { decision, notes } = req.body;
+    const user = await studentRegistryService.review(req.params.id, decision, {
+      reviewerId: req.user.id,
+      notes
+    });
+
+    res.status(200).json({
+      success: true,
+      message: decision === 'verified' ? 'Student verified' : 'Student ID rejected',
+      data: { user }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Download an example CSV for bulk importing an entity
+// @route   GET /api/admin/import/:entity/template
+// @access  Private/Admin
+router.get('/import/:entity/template', importValidation.template, (req, res) => {
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="${req.params.entity}-import-template.csv"`);
+  res.status(200).send(importService.template(req.params.entity));
+});
+
+// @desc    Check, and unless it is a dry run import, users, categories or nominees from a CSV or XLSX file
+// @route   POST /api/admin/import/:entity
+// @access  Private/Admin
+router.post('/import/:entity', keepTenant(spreadsheetUpload.single('file')), importValidation.run, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a CSV or XLSX file in the "file" field'
+      });
+    }
+
+    const dryRun = req.query.dryRun !== 'false';
+    const data = await importService.run(req.params.entity, req.file.buffer, {
+      dryRun,
+      edition: req.query.edition,
+      user: req.user
+    });
+
+    // Nothing is imported unless every row is valid
+    if (!dryRun && data.summary.invalid > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${data.summary.invalid} row(s) have errors; nothing was imported`,
+        data
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? `${data.summary.valid} of ${data.summary.total} row(s) are ready to import`
+        : `Imported ${data.imported} ${req.params.entity}`,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get system settings version history
+// @route   GET /api/admin/settings/history
+// @access  Private/Admin
+router.get('/settings/history', settingsValidation.history, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { revisions, total } = await settingsService.getHistory({ page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        revisions,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
       }
-    };
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Restore system settings from an earlier version
+// @route   POST /api/admin/settings/history/:version/restore
+// @access  Private/Admin
+router.post('/settings/history/:version/restore', settingsValidation.restore, async (req, res, next) => {
+  try {
+    const version = parseInt(req.params.version);
+
+    const { settings, changedFields } = await settingsService.restoreVersion(version, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Settings restored from version ${version}`,
+      data: settings,
+      changedFields
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get API keys
+// @route   GET /api/admin/api-keys
+// @access  Private/Admin
+router.get('/api-keys', async (req, res, next) => {
+  try {
+    const filter = req.query.includeRevoked === 'true' ? {} : { revokedAt: null };
+
+    const apiKeys = await ApiKey.find(filter)
+      .populate('createdBy', 'firstName lastName email')
+      .populate('revokedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
 
     res.status(200).json({
       success: true,
@@ -864,4 +1660,252 @@ router.get('/api-keys', async (req, res, next) => {
   }
 });
 
+// @desc    Create an API key
+// @route   POST /api/admin/api-keys
+// @access  Private/Admin
+router.post('/api-keys', apiKeyValidation.create, async (req, res, next) => {
+  try {
+    const { name, permissions, expiresAt } = req.body;
+
+    const { apiKey, rawKey } = await ApiKey.generate({
+      name,
+      permissions: [...new Set(permissions)],
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: {
+        ...apiKey.toJSON(),
+        key: rawKey
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revoke an API key
+// @route   DELETE /api/admin/api-keys/:id
+// @access  Private/Admin
+router.delete('/api-keys/:id', apiKeyValidation.revoke, async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key has already been revoked'
+      });
+    }
+
+    await apiKey.revoke(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const PROMO_CODE_FIELDS = [
+  'code', 'description', 'sponsor', 'discountType', 'discountValue', 'maxQuantity',
+  'maxRedemptions', 'maxRedemptionsPerUser', 'categories', 'startsAt', 'endsAt', 'isActive'
+];
+
+// Pick the editable promo code fields, turning blanks into "no limit"
+const promoCodeUpdates = (body) => {
+  const updates = {};
+  PROMO_CODE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      updates[field] = body[field] === '' ? null : body[field];
+    }
+  });
+  return updates;
+};
+
+// @desc    Get promo codes
+// @route   GET /api/admin/promo-codes
+// @access  Private/Admin
+router.get('/promo-codes', promoCodeValidation.list, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    let promoCodes = await PromoCode.find()
+      .populate('categories', 'name')
+      .sort({ createdAt: -1 });
+
+    // Status is derived from dates and usage, so filter after loading
+    if (req.query.status) {
+      promoCodes = promoCodes.filter(promoCode => promoCode.status === req.query.status);
+    }
+
+    const total = promoCodes.length;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promoCodes: promoCodes.slice((page - 1) * limit, page * limit),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get promo code redemption analytics
+// @route   GET /api/admin/promo-codes/analytics
+// @access  Private/Admin
+router.get('/promo-codes/analytics', async (req, res, next) => {
+  try {
+    const analytics = await promoService.getAnalytics();
+
+    res.status(200).json({
+      success: true,
+      data: analytics
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create a promo code
+// @route   POST /api/admin/promo-codes
+// @access  Private/Admin
+router.post('/promo-codes', promoCodeValidation.create, async (req, res, next) => {
+  try {
+    const promoCode = await PromoCode.create({
+      ...promoCodeUpdates(req.body),
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: promoCode
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A promo code with this code already exists'
+      });
+    }
+    next(error);
+  }
+});
+
+// @desc    Update a promo code
+// @route   PUT /api/admin/promo-codes/:id
+// @access  Private/Admin
+router.put('/promo-codes/:id', promoCodeValidation.update, async (req, res, next) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const updates = promoCodeUpdates(req.body);
+
+    // Changing the code would orphan the text stored on past redemptions
+    if (updates.code && PromoCode.normalizeCode(updates.code) !== promoCode.code && promoCode.redemptionCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A promo code cannot be renamed after it has been redeemed'
+      });
+    }
+
+    promoCode.set({ ...updates, updatedBy: req.user.id });
+    await promoCode.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: promoCode
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A promo code with this code already exists'
+      });
+    }
+    next(error);
+  }
+});
+
+// @desc    Get redemptions of a promo code
+// @route   GET /api/admin/promo-codes/:id/redemptions
+// @access  Private/Admin
+router.get('/promo-codes/:id/redemptions', promoCodeValidation.detail, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const promoCode = await PromoCode.findById(req.params.id).populate('categories', 'name');
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const filter = { promoCode: promoCode._id };
+    const [redemptions, total, analytics] = await Promise.all([
+      PromoRedemption.find(filter)
+        .populate('user', 'firstName lastName email')
+        .populate('nominee', 'name')
+        .populate('category', 'name')
+        .populate('payment', 'internalReference gateway status')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PromoRedemption.countDocuments(filter),
+      promoService.getAnalytics({ promoCodeId: promoCode._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promoCode,
+        redemptions,
+        analytics,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,26 +3,38 @@ const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { auth, generateToken } = require('../middleware/auth');
+const { enforceMaintenanceMode, enforceRegistrationEnabled } = require('../middleware/settings');
+const { commonValidations } = require('../middleware/validation');
+const emailService = require('../services/emailService');
+const settingsService = require('../services/settingsService');
+const tenantService = require('../services/tenantService');
+const studentRegistryService = require('../services/studentRegistryService');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
 
 const router = express.Router();
 
-// Email transporter setup
-const transporter = nodemailer.createTransport({
-  host: process.env.EMAIL_HOST,
-  port: process.env.EMAIL_PORT,
-  secure: false,
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  }
-});
+const VERIFICATION_EXPIRE_HOURS = 24;
+const RESET_EXPIRE_MINUTES = 30;
+
+// Give the user a fresh verification link and email it to them
+const sendVerificationEmail = async (user) => {
+  user.verificationToken = crypto.randomBytes(32).toString('hex');
+  user.verificationTokenExpire = new Date(Date.now() + VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000);
+  await user.save();
+
+  return emailService.sendTemplate('verifyEmail', user.email, {
+    firstName: user.firstName,
+    url: `${tenantService.frontendUrl()}/verify-email?token=${user.verificationToken}`,
+    expiresInHours: VERIFICATION_EXPIRE_HOURS
+  });
+};
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
 router.post('/register', [
+  enforceMaintenanceMode,
+  enforceRegistrationEnabled,
   body('firstName')
     .trim()
     .isLength({ min: 2, max: 50 })
@@ -38,13 +50,16 @@ router.post('/register', [
   body('password')
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters'),
-  body('phoneNumber')
-    .isMobilePhone()
-    .withMessage('Please provide a valid phone number'),
+  ...commonValidations.phone('phoneNumber'),
   body('studentId')
     .optional()
-    .matches(/^S0\d{5}$/)
-    .withMessage('Student ID must be in format S0***** (S followed by 0 and 5 digits)'),
+    .custom(async (studentId) => {
+      const registry = await tenantService.getRegistry();
+      if (!new RegExp(registry.studentIdPattern).test(studentId)) {
+        throw new Error(`Student ID must be in format ${registry.studentIdFormat}`);
+      }
+      return true;
+    }),
   body('department')
     .if(body('isStudent').equals('true'))
     .notEmpty()
@@ -53,10 +68,17 @@ router.post('/register', [
     .if(body('isStudent').equals('true'))
     .notEmpty()
     .withMessage('Faculty is required for students'),
+  ...commonValidations.faculty(),
+  ...commonValidations.department(),
   body('level')
     .if(body('isStudent').equals('true'))
-    .isIn(['100', '200', '300', '400', '500'])
-    .withMessage('Level must be 100, 200, 300, 400, or 500')
+    .custom(async (level) => {
+      const { levels } = await tenantService.getRegistry();
+      if (!levels.includes(level)) {
+        throw new Error(`Level must be one of ${levels.join(', ')}`);
+      }
+      return true;
+    })
 ], async (req, res) => {
   try {
     console.log('Registration request body:', req.body);
@@ -98,9 +120,6 @@ router.post('/register', [
       });
     }
 
-    // Create verification token
-    const verificationToken = crypto.randomBytes(32).toString('hex');
-
     // Create new user
     const userData = {
       firstName,
@@ -108,7 +127,6 @@ router.post('/register', [
       email,
       password,
       phoneNumber,
-      verificationToken,
       isStudent: isStudent === 'true' || Boolean(studentId)
     };
 
@@ -121,45 +139,29 @@ router.post('/register', [
       userData.role = 'student';
     }
 
-    const user = new User(userData);
-    await user.save();
+    // Once the institution has imported its registry, being a student is
+    // decided by matching it rather than by the form
+    await studentRegistryService.applyToRegistration(userData);
 
-    // Send verification email (temporarily disabled due to email configuration issues)
-    // const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
-    
-    // const mailOptions = {
-    //   from: process.env.EMAIL_FROM,
-    //   to: email,
-    //   subject: 'EKSU Voting Platform - Verify Your Email',
-    //   html: `
-    //     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-    //       <h2 style="color: #2563eb;">Welcome to EKSU Voting Platform!</h2>
-    //       <p>Hello ${firstName},</p>
-    //       <p>Thank you for registering with EKSU Voting Platform. Please verify your email address by clicking the button below:</p>
-    //       <div style="text-align: center; margin: 30px 0;">
-    //         <a href="${verificationUrl}" style="background-color: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">Verify Email</a>
-    //       </div>
-    //       <p>If the button doesn't work, copy and paste this link into your browser:</p>
-    //       <p style="word-break: break-all; color: #666;">${verificationUrl}</p>
-    //       <p>This verification link will expire in 24 hours.</p>
-    //       <p>If you didn't create this account, please ignore this email.</p>
-    //       <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
-    //       <p style="color: #666; font-size: 12px;">EKSU Voting Platform Team</p>
-    //     </div>
-    //   `
-    // };
-
-    // await transporter.sendMail(mailOptions);
-    
-    // For now, auto-verify users since email is disabled
-    user.isVerified = true;
+    // Users are only verified straight away when verification is turned off
+    const settings = await settingsService.getSettings();
+    const user = new User({ ...userData, isVerified: !settings.requireEmailVerification });
     await user.save();
 
+    const verification = user.isVerified ? null : await sendVerificationEmail(user);
+
     // Generate token
     const token = generateToken(user._id);
 
+    const pendingReview = user.studentVerification.status === 'pending_review';
     res.status(201).json({
-      message: 'User registered successfully and verified.',
+      message: [
+        user.isVerified
+          ? 'User registered successfully and verified.'
+          : 'User registered successfully. Check your email for a link to verify your account.',
+        pendingReview ? 'Your student ID did not match the school registry, so an admin will review it.' : ''
+      ].join(' ').trim(),
+      verificationEmailSent: verification ? verification.sent : undefined,
       token,
       user: {
         id: user._id,
@@ -168,7 +170,8 @@ router.post('/register', [
         email: user.email,
         role: user.role,
         isStudent: user.isStudent,
-        isVerified: user.isVerified
+        isVerified: user.isVerified,
+        studentVerification: user.studentVerification.status
       }
     });
 
@@ -282,7 +285,7 @@ router.post('/verify-email', [
 
     // Find user with verification token
     const user = await User.findOne({ verificationToken: token });
-    if (!user) {
+    if (!user || (user.verificationTokenExpire && user.verificationTokenExpire < new Date())) {
       return res.status(400).json({
         message: 'Invalid or expired verification token'
       });
@@ -291,6 +294,7 @@ router.post('/verify-email', [
     // Mark user as verified
     user.isVerified = true;
     user.verificationToken = null;
+    user.verificationTokenExpire = null;
     await user.save();
 
     res.json({
@@ -313,6 +317,64 @@ router.post('/verify-email', [
   }
 });
 
+// @route   POST /api/auth/verify-student
+// @desc    Check a student ID and name against the school registry so the
+//          registration form can fill in faculty, department and level
+// @access  Public
+router.post('/verify-student', [
+  body('studentId')
+    .trim()
+    .notEmpty()
+    .withMessage('Student ID is required'),
+  body(['firstName', 'lastName'])
+    .trim()
+    .notEmpty()
+    .withMessage('First and last name are required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!(await studentRegistryService.hasRegistry())) {
+      return res.json({ registryAvailable: false });
+    }
+
+    const { studentId, firstName, lastName } = req.body;
+    const { record, mismatches } = await studentRegistryService.match({ studentId, firstName, lastName });
+
+    // Details are only returned for a matching ID and name, and an unknown
+    // ID looks the same as a wrong name, so the registry cannot be browsed
+    // through this endpoint
+    if (!record || mismatches.length > 0) {
+      return res.json({
+        registryAvailable: true,
+        matched: false,
+        message: 'This student ID and name are not on the school registry together. You can still register and an admin will review it.'
+      });
+    }
+
+    res.json({
+      registryAvailable: true,
+      matched: true,
+      faculty: record.faculty,
+      department: record.department,
+      level: record.level
+    });
+
+  } catch (error) {
+    console.error('Verify student error:', error);
+    res.status(500).json({
+      message: 'Server error while checking student ID',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   POST /api/auth/resend-verification
 // @desc    Resend verification email
 // @access  Public
@@ -346,37 +408,13 @@ router.post('/resend-verification', [
       });
     }
 
-    // Generate new verification token
-    const verificationToken = crypto.randomBytes(32).toString('hex');
-    user.verificationToken = verificationToken;
-    await user.save();
-
-    // Send verification email
-    const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
-    
-    const mailOptions = {
-      from: process.env.EMAIL_FROM,
-      to: email,
-      subject: 'EKSU Voting Platform - Verify Your Email',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #2563eb;">Email Verification</h2>
-          <p>Hello ${user.firstName},</p>
-          <p>Please verify your email address by clicking the button below:</p>
-          <div style="text-align: center; margin: 30px 0;">
-            <a href="${verificationUrl}" style="background-color: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">Verify Email</a>
-          </div>
-          <p>If the button doesn't work, copy and paste this link into your browser:</p>
-          <p style="word-break: break-all; color: #666;">${verificationUrl}</p>
-          <p>This verification link will expire in 24 hours.</p>
-        </div>
-      `
-    };
-
-    // await transporter.sendMail(mailOptions);
+    const result = await sendVerificationEmail(user);
 
     res.json({
-      message: 'Email verification temporarily disabled - user is already verified'
+      message: result.sent
+        ? 'Verification email sent'
+        : 'The verification email could not be sent right now and will be retried shortly',
+      sent: result.sent
     });
 
   } catch (error) {
@@ -402,6 +440,7 @@ router.get('/me', auth, async (req, res) => {
         role: req.user.role,
         isStudent: req.user.isStudent,
         isVerified: req.user.isVerified,
+        studentVerification: req.user.studentVerification?.status,
         department: req.user.department,
         faculty: req.user.faculty,
         level: req.user.level,
@@ -450,36 +489,20 @@ router.post('/forgot-password', [
     // Generate reset token
     const resetToken = crypto.randomBytes(32).toString('hex');
     user.resetPasswordToken = resetToken;
-    user.resetPasswordExpire = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
+    user.resetPasswordExpire = new Date(Date.now() + RESET_EXPIRE_MINUTES * 60 * 1000);
     await user.save();
 
-    // Send reset email
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
-    
-    const mailOptions = {
-      from: process.env.EMAIL_FROM,
-      to: email,
-      subject: 'EKSU Voting Platform - Password Reset',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #2563eb;">Password Reset Request</h2>
-          <p>Hello ${user.firstName},</p>
-          <p>You requested a password reset. Click the button below to reset your password:</p>
-          <div style="text-align: center; margin: 30px 0;">
-            <a href="${resetUrl}" style="background-color: #dc2626; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">Reset Password</a>
-          </div>
-          <p>If the button doesn't work, copy and paste this link into your browser:</p>
-          <p style="word-break: break-all; color: #666;">${resetUrl}</p>
-          <p>This reset link will expire in 30 minutes.</p>
-          <p>If you didn't request this reset, please ignore this email.</p>
-        </div>
-      `
-    };
-
-    // await transporter.sendMail(mailOptions);
+    const result = await emailService.sendTemplate('passwordReset', user.email, {
+      firstName: user.firstName,
+      url: `${tenantService.frontendUrl()}/reset-password?token=${resetToken}`,
+      expiresInMinutes: RESET_EXPIRE_MINUTES
+    });
 
     res.json({
-      message: 'Password reset email temporarily disabled - please contact admin'
+      message: result.sent
+        ? 'Password reset email sent'
+        : 'The password reset email could not be sent right now and will be retried shortly',
+      sent: result.sent
     });
 
   } catch (error) {
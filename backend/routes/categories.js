@@ -1,19 +1,192 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
-const { auth } = require('../middleware/auth');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { resolveEdition } = require('../middleware/edition');
 const Category = require('../models/Category');
+const Edition = require('../models/Edition');
 const Nominee = require('../models/Nominee');
 const Vote = require('../models/Vote');
+const { GATEWAY_NAMES } = require('../services/gateways');
+const resultsVisibilityService = require('../services/resultsVisibilityService');
+const eligibilityService = require('../services/eligibilityService');
+const notificationService = require('../services/notificationService');
+const tenantService = require('../services/tenantService');
+const { commonValidations } = require('../middleware/validation');
 const mongoose = require('mongoose');
 
 const router = express.Router();
 
+// Validation for the flat vote price and bundle pricing tiers
+const pricingValidators = [
+  body('votePrice')
+    .optional()
+    .isFloat({ min: 50, max: 1000 })
+    .withMessage('Vote price must be between ₦50 and ₦1000'),
+  body('pricingTiers')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('A category can have at most 10 pricing tiers'),
+  body('pricingTiers.*.name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Pricing tier name must be between 1 and 50 characters'),
+  body('pricingTiers.*.quantity')
+    .isInt({ min: 1, max: Vote.MAX_VOTES_PER_PURCHASE })
+    .withMessage(`Pricing tier quantity must be between 1 and ${Vote.MAX_VOTES_PER_PURCHASE}`),
+  body('pricingTiers.*.price')
+    .isFloat({ min: 50 })
+    .withMessage('Pricing tier price must be at least ₦50'),
+  body('pricingTiers.*.startsAt')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('Pricing tier start must be a valid date'),
+  body('pricingTiers.*.endsAt')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('Pricing tier end must be a valid date')
+    .custom((endsAt, { req, path }) => {
+      const index = Number(path.match(/\[(\d+)\]/)[1]);
+      const startsAt = req.body.pricingTiers[index].startsAt;
+      return !startsAt || new Date(endsAt) > new Date(startsAt);
+    })
+    .withMessage('Pricing tier must end after it starts')
+];
+
+// Validation for when a category's results are public
+const resultsVisibilityValidators = [
+  body('resultsVisibility.mode')
+    .optional()
+    .isIn(Category.RESULTS_VISIBILITY_MODES)
+    .withMessage('Invalid results visibility'),
+  body('resultsVisibility.revealAt')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('Reveal time must be a valid date'),
+  body('resultsVisibility')
+    .optional()
+    .custom(value => value.mode !== 'scheduled' || Boolean(value.revealAt))
+    .withMessage('A reveal time is required for scheduled results')
+];
+
+// Validation for who may be nominated in, and optionally vote in, a category
+// Levels must be ones the institution's registry knows
+const inRegistry = (list, message) => async (value) => {
+  const registry = await tenantService.getRegistry();
+  if (!registry[list].includes(value)) {
+    throw new Error(message);
+  }
+  return true;
+};
+
+const eligibilityValidators = [
+  body('allowSelfNomination')
+    .optional()
+    .isBoolean()
+    .withMessage('allowSelfNomination must be a boolean'),
+  body('eligibilityCriteria.faculties')
+    .optional()
+    .isArray()
+    .withMessage('Faculties must be an array'),
+  ...commonValidations.faculty('eligibilityCriteria.faculties.*'),
+  body('eligibilityCriteria.departments')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Departments must be an array of at most 50 entries'),
+  ...commonValidations.department('eligibilityCriteria.departments.*', null),
+  body('eligibilityCriteria.levels')
+    .optional()
+    .isArray()
+    .withMessage('Levels must be an array'),
+  body('eligibilityCriteria.levels.*')
+    .custom(inRegistry('levels', 'Invalid level')),
+  body('eligibilityCriteria.minLevel')
+    .optional()
+    .custom(inRegistry('levels', 'Invalid minimum level')),
+  body('eligibilityCriteria.maxLevel')
+    .optional()
+    .custom(inRegistry('levels', 'Invalid maximum level')),
+  body('eligibilityCriteria.applyToVoting')
+    .optional()
+    .isBoolean()
+    .withMessage('applyToVoting must be a boolean'),
+  body('eligibilityCriteria')
+    .optional()
+    .custom(value => !value.minLevel || !value.maxLevel || Number(value.minLevel) <= Number(value.maxLevel))
+    .withMessage('Minimum level cannot be above maximum level')
+];
+
+// Validation for the nomination window and rules
+const nominationSettingsValidators = [
+  body('nominationSettings.startDate')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('Nomination start date must be a valid date'),
+  body('nominationSettings.endDate')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('Nomination end date must be a valid date')
+    .custom((endDate, { req }) => {
+      const startDate = req.body.nominationSettings.startDate;
+      return !startDate || new Date(endDate) > new Date(startDate);
+    })
+    .withMessage('Nomination end date must be after start date'),
+  body('nominationSettings.maxNominationsPerNominator')
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Maximum nominations per nominator must be between 1 and 100'),
+  body('nominationSettings.requireNomineeAcceptance')
+    .optional()
+    .isBoolean()
+    .withMessage('requireNomineeAcceptance must be a boolean'),
+  body('nominationSettings.requireReview')
+    .optional()
+    .isBoolean()
+    .withMessage('requireReview must be a boolean')
+];
+
+// Keep only the nomination settings an admin may set
+const sanitizeNominationSettings = (settings = {}) => ({
+  startDate: settings.startDate ? new Date(settings.startDate) : null,
+  endDate: settings.endDate ? new Date(settings.endDate) : null,
+  maxNominationsPerNominator: settings.maxNominationsPerNominator ? parseInt(settings.maxNominationsPerNominator, 10) : null,
+  requireNomineeAcceptance: settings.requireNomineeAcceptance === true || settings.requireNomineeAcceptance === 'true',
+  requireReview: settings.requireReview !== false && settings.requireReview !== 'false'
+});
+
+// Keep only the eligibility fields an admin may set
+const sanitizeEligibilityCriteria = (criteria = {}) => ({
+  faculties: [...new Set(criteria.faculties || [])],
+  departments: [...new Set((criteria.departments || []).filter(Boolean))],
+  levels: [...new Set(criteria.levels || [])],
+  minLevel: criteria.minLevel || Category.LEVELS[0],
+  maxLevel: criteria.maxLevel || Category.LEVELS[Category.LEVELS.length - 1],
+  applyToVoting: criteria.applyToVoting === true || criteria.applyToVoting === 'true'
+});
+
+const sanitizeResultsVisibility = (visibility = {}) => ({
+  mode: visibility.mode || 'live',
+  revealAt: visibility.mode === 'scheduled' && visibility.revealAt ? new Date(visibility.revealAt) : null
+});
+
+// Keep only the fields an admin may set on a pricing tier
+const sanitizePricingTiers = (tiers = []) => tiers.map(tier => ({
+  _id: tier._id,
+  name: tier.name,
+  quantity: tier.quantity,
+  price: tier.price,
+  startsAt: tier.startsAt || null,
+  endsAt: tier.endsAt || null,
+  isActive: tier.isActive !== false
+}));
+
 /**
  * @route   GET /api/categories
- * @desc    Get all categories
+ * @desc    Get all categories in the active edition, or the one named by ?edition=
  * @access  Public
  */
 router.get('/', [
+  optionalAuth,
+  resolveEdition,
   [query('status')
       .optional()
       .isIn(['active', 'inactive', 'archived'])
@@ -22,6 +195,10 @@ router.get('/', [
       .optional()
       .isBoolean()
       .withMessage('Voting active must be boolean'),
+    query('stage')
+      .optional()
+      .isIn(Category.LIFECYCLE_STAGES)
+      .withMessage('Invalid lifecycle stage'),
     query('search')
       .optional()
       .isLength({ min: 1, max: 100 })
@@ -47,13 +224,16 @@ router.get('/', [
       });
     }
 
-    const { status, votingActive, search } = req.query;
+    const { status, votingActive, stage, search } = req.query;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
     // Build query
     const query = {};
+    if (req.edition) {
+      query.edition = req.edition._id;
+    }
     
     if (status) {
       // Map status values to isActive field
@@ -67,8 +247,10 @@ router.get('/', [
       query.isActive = true;
     }
 
-    if (votingActive !== undefined) {
-      query.isVotingActive = votingActive === 'true';
+    if (stage) {
+      query.lifecycleStage = stage;
+    } else if (votingActive !== undefined) {
+      query.lifecycleStage = votingActive === 'true' ? 'voting' : { $ne: 'voting' };
     }
 
     if (search) {
@@ -91,7 +273,8 @@ router.get('/', [
                 $expr: {
                   $and: [
                     { $eq: ['$category', '$$categoryId'] },
-                    { $eq: ['$status', 'approved'] }
+                    { $eq: ['$status', 'approved'] },
+                    { $ne: ['$isDisqualified', true] }
                   ]
                 }
               }
@@ -122,7 +305,7 @@ router.get('/', [
       {
         $addFields: {
           nomineeCount: { $size: '$nominees' },
-          voteCount: { $size: '$votes' },
+          voteCount: { $sum: '$votes.quantity' },
           totalRevenue: {
             $sum: '$votes.amount'
           }
@@ -148,10 +331,20 @@ router.get('/', [
     // Get total count for pagination
     const totalCount = await Category.countDocuments(query);
 
+    // Vote totals stay private while a category's results are embargoed
+    const visibleCategories = categories.map(category => {
+      const resultsAccess = resultsVisibilityService.accessFor(category, req.user);
+      const visible = resultsAccess.level === 'full'
+        ? category
+        : { ...category, voteCount: null, totalRevenue: null };
+      return { ...visible, resultsAccess };
+    });
+
     res.json({
       success: true,
       data: {
-        categories,
+        categories: visibleCategories,
+        edition: req.edition,
         total: totalCount,
         pagination: {
           current: page,
@@ -171,12 +364,63 @@ router.get('/', [
   }
 });
 
+/**
+ * @route   GET /api/categories/eligibility
+ * @desc    Whether the current user may be nominated in, and vote in, each active category
+ * @access  Private
+ */
+router.get('/eligibility', [auth, resolveEdition], async (req, res) => {
+  try {
+    const filter = { isActive: true };
+    if (req.edition) {
+      filter.edition = req.edition._id;
+    }
+    const categories = await Category.find(filter)
+      .select('name isActive allowSelfNomination eligibilityCriteria lifecycleStage nominationSettings')
+      .sort({ displayOrder: 1, name: 1 });
+
+    const eligibility = categories.map(category => {
+      const nomination = eligibilityService.forNomination(category, req.user);
+      const voting = eligibilityService.forVoting(category, req.user);
+      const nominationClosedReason = category.nominationClosedReason();
+
+      return {
+        category: category._id,
+        name: category.name,
+        allowSelfNomination: category.allowSelfNomination,
+        eligibilityCriteria: category.eligibilityCriteria,
+        lifecycleStage: category.lifecycleStage,
+        nominationSettings: category.nominationSettings,
+        nominationClosedReason,
+        canSelfNominate: category.allowSelfNomination && nomination.eligible && !nominationClosedReason,
+        nomination,
+        voting
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        eligibility
+      }
+    });
+
+  } catch (error) {
+    console.error('Get category eligibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check category eligibility'
+    });
+  }
+});
+
 /**
  * @route   GET /api/categories/:id
  * @desc    Get single category with detailed information
  * @access  Public
  */
 router.get('/:id', [
+  optionalAuth,
   [
     param('id')
       .isMongoId()
@@ -209,7 +453,8 @@ router.get('/:id', [
                 $expr: {
                   $and: [
                     { $eq: ['$category', '$$categoryId'] },
-                    { $eq: ['$status', 'approved'] }
+                    { $eq: ['$status', 'approved'] },
+                    { $ne: ['$isDisqualified', true] }
                   ]
                 }
               }
@@ -246,7 +491,7 @@ router.get('/:id', [
             },
             {
               $addFields: {
-                voteCount: { $size: '$votes' },
+                voteCount: { $sum: '$votes.quantity' },
                 totalRevenue: { $sum: '$votes.amount' }
               }
             },
@@ -298,7 +543,7 @@ router.get('/:id', [
         $addFields: {
           statistics: {
             nomineeCount: { $size: '$nominees' },
-            totalVotes: { $size: '$votes' },
+            totalVotes: { $sum: '$votes.quantity' },
             totalRevenue: { $sum: '$votes.amount' },
             averageVoteValue: {
               $cond: {
@@ -325,6 +570,20 @@ router.get('/:id', [
     }
 
     const category = categoryData[0];
+    const resultsAccess = resultsVisibilityService.accessFor(category, req.user);
+
+    // Embargoed categories list nominees without totals; hidden ones also without their order
+    let { nominees, statistics } = category;
+    if (resultsAccess.level !== 'full') {
+      nominees = nominees.map((nominee, index) => ({
+        ...resultsVisibilityService.stripCounts(nominee),
+        rank: resultsAccess.level === 'ranks' ? index + 1 : undefined
+      }));
+      if (resultsAccess.level === 'hidden') {
+        nominees.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+      }
+      statistics = { nomineeCount: statistics.nomineeCount };
+    }
 
     res.json({
       success: true,
@@ -336,15 +595,25 @@ router.get('/:id', [
           icon: category.icon,
           color: category.color,
           isVotingActive: category.isVotingActive,
-          votingStartDate: category.votingStartDate,
-          votingEndDate: category.votingEndDate,
+          isNominationOpen: category.isNominationOpen,
+          lifecycleStage: category.lifecycleStage,
+          votingStartDate: category.votingSettings?.startDate,
+          votingEndDate: category.votingSettings?.endDate,
+          nominationSettings: category.nominationSettings,
           status: category.status,
           displayOrder: category.displayOrder,
+          votePrice: category.votingSettings?.votePrice,
+          pricingTiers: Category.availablePricingTiers(category.votingSettings?.pricingTiers).map(tier => ({
+            ...tier,
+            unitPrice: Math.round((tier.price / tier.quantity) * 100) / 100
+          })),
+          resultsVisibility: category.resultsVisibility || { mode: 'live', revealAt: null },
+          resultsAccess,
           createdAt: category.createdAt,
           updatedAt: category.updatedAt
         },
-        nominees: category.nominees,
-        statistics: category.statistics
+        nominees,
+        statistics
       }
     });
 
@@ -392,7 +661,19 @@ router.post('/', [
   body('votingEndDate')
     .optional()
     .isISO8601()
-    .withMessage('Voting end date must be a valid date')
+    .withMessage('Voting end date must be a valid date'),
+  body('paymentGateway')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(GATEWAY_NAMES)
+    .withMessage('Invalid payment gateway'),
+  body('edition')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid edition ID'),
+  ...pricingValidators,
+  ...resultsVisibilityValidators,
+  ...eligibilityValidators,
+  ...nominationSettingsValidators
 ], async (req, res) => {
   try {
     // Check if user is admin
@@ -420,11 +701,31 @@ router.post('/', [
       color,
       displayOrder,
       votingStartDate,
-      votingEndDate
+      votingEndDate,
+      paymentGateway,
+      votePrice,
+      pricingTiers,
+      resultsVisibility,
+      allowSelfNomination,
+      eligibilityCriteria,
+      nominationSettings
     } = req.body;
 
-    // Check if category name already exists
+    // New categories join the active edition unless another is named
+    const edition = req.body.edition
+      ? await Edition.findById(req.body.edition)
+      : await Edition.getActive();
+    if (req.body.edition && !edition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Edition not found'
+      });
+    }
+    const editionId = edition?._id ?? null;
+
+    // Check if category name already exists in the edition
     const existingCategory = await Category.findOne({
+      edition: editionId,
       name: { $regex: new RegExp(`^${name}$`, 'i') }
     });
 
@@ -451,7 +752,7 @@ router.post('/', [
     // Set display order if not provided
     let finalDisplayOrder = displayOrder;
     if (finalDisplayOrder === undefined) {
-      const lastCategory = await Category.findOne({}, {}, { sort: { displayOrder: -1 } });
+      const lastCategory = await Category.findOne({ edition: editionId }, {}, { sort: { displayOrder: -1 } });
       finalDisplayOrder = lastCategory ? lastCategory.displayOrder + 1 : 1;
     }
 
@@ -462,8 +763,16 @@ router.post('/', [
       icon: icon?.trim(),
       color: color || '#3B82F6',
       displayOrder: finalDisplayOrder,
-      votingStartDate: votingStartDate ? new Date(votingStartDate) : undefined,
-      votingEndDate: votingEndDate ? new Date(votingEndDate) : undefined,
+      'votingSettings.startDate': votingStartDate ? new Date(votingStartDate) : undefined,
+      'votingSettings.endDate': votingEndDate ? new Date(votingEndDate) : undefined,
+      'votingSettings.paymentGateway': paymentGateway || null,
+      'votingSettings.votePrice': votePrice,
+      'votingSettings.pricingTiers': sanitizePricingTiers(pricingTiers),
+      resultsVisibility: sanitizeResultsVisibility(resultsVisibility),
+      allowSelfNomination,
+      eligibilityCriteria: sanitizeEligibilityCriteria(eligibilityCriteria),
+      nominationSettings: sanitizeNominationSettings(nominationSettings),
+      edition: editionId,
       createdBy: req.user.id
     });
 
@@ -535,7 +844,15 @@ router.put('/:id', [
     body('votingEndDate')
       .optional()
       .isISO8601()
-      .withMessage('Voting end date must be a valid date')
+      .withMessage('Voting end date must be a valid date'),
+    body('paymentGateway')
+      .optional({ nullable: true, checkFalsy: true })
+      .isIn(GATEWAY_NAMES)
+      .withMessage('Invalid payment gateway'),
+    ...pricingValidators,
+    ...resultsVisibilityValidators,
+    ...eligibilityValidators,
+    ...nominationSettingsValidators
   ]
 ], async (req, res) => {
   try {
@@ -573,6 +890,7 @@ router.put('/:id', [
     if (updateData.name && updateData.name !== category.name) {
       const existingCategory = await Category.findOne({
         _id: { $ne: id },
+        edition: category.edition ?? null,
         name: { $regex: new RegExp(`^${updateData.name}$`, 'i') }
       });
 
@@ -586,8 +904,8 @@ router.put('/:id', [
 
     // Validate date range if dates are being updated
     if (updateData.votingStartDate || updateData.votingEndDate) {
-      const startDate = new Date(updateData.votingStartDate || category.votingStartDate);
-      const endDate = new Date(updateData.votingEndDate || category.votingEndDate);
+      const startDate = new Date(updateData.votingStartDate || category.votingSettings.startDate);
+      const endDate = new Date(updateData.votingEndDate || category.votingSettings.endDate);
       
       if (startDate && endDate && startDate >= endDate) {
         return res.status(400).json({
@@ -600,8 +918,27 @@ router.put('/:id', [
     // Update category
     Object.keys(updateData).forEach(key => {
       if (updateData[key] !== undefined) {
-        if (key === 'votingStartDate' || key === 'votingEndDate') {
-          category[key] = updateData[key] ? new Date(updateData[key]) : null;
+        if (key === 'votingStartDate') {
+          category.votingSettings.startDate = updateData[key] ? new Date(updateData[key]) : null;
+        } else if (key === 'votingEndDate') {
+          category.votingSettings.endDate = updateData[key] ? new Date(updateData[key]) : null;
+        } else if (key === 'lifecycleStage' || key === 'stageHistory') {
+          // Stage changes go through PATCH /:id/stage
+        } else if (key === 'edition') {
+          // Nominees, votes and payments are stamped with the edition, so a
+          // category stays in the edition it was created in
+        } else if (key === 'nominationSettings') {
+          category.nominationSettings = sanitizeNominationSettings(updateData[key]);
+        } else if (key === 'paymentGateway') {
+          category.votingSettings.paymentGateway = updateData[key] || null;
+        } else if (key === 'votePrice') {
+          category.votingSettings.votePrice = updateData[key];
+        } else if (key === 'pricingTiers') {
+          category.votingSettings.pricingTiers = sanitizePricingTiers(updateData[key]);
+        } else if (key === 'resultsVisibility') {
+          category.resultsVisibility = sanitizeResultsVisibility(updateData[key]);
+        } else if (key === 'eligibilityCriteria') {
+          category.eligibilityCriteria = sanitizeEligibilityCriteria(updateData[key]);
         } else {
           category[key] = updateData[key];
         }
@@ -707,16 +1044,24 @@ router.delete('/:id', [
 });
 
 /**
- * @route   PUT /api/categories/:id/toggle-voting
- * @desc    Toggle voting status for category (admin only)
+ * @route   PATCH /api/categories/:id/stage
+ * @desc    Move a category to the next (or previous) lifecycle stage
  * @access  Private (Admin)
  */
-router.put('/:id/toggle-voting', [
+router.patch('/:id/stage', [
   auth,
   [
     param('id')
       .isMongoId()
-      .withMessage('Valid category ID is required')
+      .withMessage('Invalid category ID'),
+    body('stage')
+      .isIn(Category.LIFECYCLE_STAGES)
+      .withMessage('Invalid lifecycle stage'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note must not exceed 500 characters')
   ]
 ], async (req, res) => {
   try {
@@ -738,10 +1083,7 @@ router.put('/:id/toggle-voting', [
       });
     }
 
-    const { id } = req.params;
-
-    // Find and update category
-    const category = await Category.findById(id);
+    const category = await Category.findById(req.params.id);
     if (!category) {
       return res.status(404).json({
         success: false,
@@ -749,28 +1091,36 @@ router.put('/:id/toggle-voting', [
       });
     }
 
-    // Toggle voting status
-    category.isVotingActive = !category.isVotingActive;
-    category.updatedBy = req.user.id;
+    const { stage, note } = req.body;
+    category.transitionTo(stage, { userId: req.user.id, note });
+    category.lastModifiedBy = req.user.id;
     await category.save();
 
+    if (stage === 'results_published') {
+      // Queued in the background; large audiences can take a while
+      notificationService.resultsAnnouncement(category);
+    }
+
     res.json({
       success: true,
-      message: `Voting ${category.isVotingActive ? 'enabled' : 'disabled'} for category`,
+      message: `${category.name} moved to ${stage.replace('_', ' ')}`,
       data: {
         category: {
           _id: category._id,
           name: category.name,
+          lifecycleStage: category.lifecycleStage,
+          stageHistory: category.stageHistory,
+          isNominationOpen: category.isNominationOpen,
           isVotingActive: category.isVotingActive
         }
       }
     });
 
   } catch (error) {
-    console.error('Toggle voting error:', error);
-    res.status(500).json({
+    console.error('Change category stage error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to toggle voting status'
+      message: error.statusCode ? error.message : 'Failed to change category stage'
     });
   }
 });
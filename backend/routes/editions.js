@@ -0,0 +1,380 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const Edition = require('../models/Edition');
+const Category = require('../models/Category');
+const editionService = require('../services/editionService');
+
+const router = express.Router();
+
+const editionValidators = [
+  body('year')
+    .optional()
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Year must be between 2000 and 2100'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  body('startDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+];
+
+/**
+ * @route   GET /api/editions
+ * @desc    List editions, newest first, with their category counts
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [editions, counts] = await Promise.all([
+      Edition.find().sort({ year: -1, createdAt: -1 }),
+      Category.aggregate([
+        { $match: { edition: { $ne: null } } },
+        { $group: { _id: '$edition', count: { $sum: 1 } } }
+      ])
+    ]);
+    const countByEdition = new Map(counts.map(item => [item._id.toString(), item.count]));
+
+    res.json({
+      success: true,
+      data: {
+        editions: editions.map(edition => ({
+          ...edition.toObject(),
+          categoryCount: countByEdition.get(edition._id.toString()) || 0
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get editions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch editions'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/editions/active
+ * @desc    Get the edition public pages default to
+ * @access  Public
+ */
+router.get('/active', async (req, res) => {
+  try {
+    const edition = await Edition.getActive();
+
+    res.json({
+      success: true,
+      data: {
+        edition
+      }
+    });
+
+  } catch (error) {
+    console.error('Get active edition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch active edition'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/editions/:ref
+ * @desc    Get an edition by ID, slug or year
+ * @access  Public
+ */
+router.get('/:ref', async (req, res) => {
+  try {
+    const edition = await editionService.resolve(req.params.ref);
+
+    res.json({
+      success: true,
+      data: {
+        edition
+      }
+    });
+
+  } catch (error) {
+    console.error('Get edition error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch edition'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/editions
+ * @desc    Create an upcoming edition (admin only)
+ * @access  Private (Admin)
+ */
+router.post('/', [
+  auth,
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Edition name must be between 2 and 100 characters'),
+  body('year')
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Year must be between 2000 and 2100'),
+  ...editionValidators
+], async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, year, description, startDate, endDate } = req.body;
+
+    const existing = await Edition.findOne({ name: { $regex: new RegExp(`^${name}$`, 'i') } });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Edition with this name already exists'
+      });
+    }
+
+    const edition = new Edition({
+      name,
+      year,
+      description,
+      startDate: startDate || undefined,
+      endDate: endDate || undefined,
+      createdBy: req.user.id
+    });
+    await edition.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Edition created successfully',
+      data: {
+        edition
+      }
+    });
+
+  } catch (error) {
+    console.error('Create edition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create edition'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/editions/:id
+ * @desc    Update an edition's details (admin only). Status changes go through /activate
+ * @access  Private (Admin)
+ */
+router.put('/:id', [
+  auth,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid edition ID'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Edition name must be between 2 and 100 characters'),
+  ...editionValidators
+], async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const edition = await Edition.findById(req.params.id);
+    if (!edition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Edition not found'
+      });
+    }
+
+    const { name } = req.body;
+    if (name && name !== edition.name) {
+      const existing = await Edition.findOne({
+        _id: { $ne: edition._id },
+        name: { $regex: new RegExp(`^${name}$`, 'i') }
+      });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: 'Edition with this name already exists'
+        });
+      }
+    }
+
+    ['name', 'year', 'description', 'startDate', 'endDate'].forEach(key => {
+      if (req.body[key] !== undefined) {
+        edition[key] = req.body[key];
+      }
+    });
+    await edition.save();
+
+    res.json({
+      success: true,
+      message: 'Edition updated successfully',
+      data: {
+        edition
+      }
+    });
+
+  } catch (error) {
+    console.error('Update edition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update edition'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/editions/:id/activate
+ * @desc    Make an edition the active one, archiving the current edition (admin only)
+ * @access  Private (Admin)
+ */
+router.post('/:id/activate', [
+  auth,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid edition ID')
+], async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { edition, archived } = await editionService.activate(req.params.id);
+
+    res.json({
+      success: true,
+      message: archived
+        ? `${edition.name} is now active; ${archived.name} has been archived`
+        : `${edition.name} is now active`,
+      data: {
+        edition,
+        archived
+      }
+    });
+
+  } catch (error) {
+    console.error('Activate edition error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to activate edition'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/editions/:id/clone
+ * @desc    Copy another edition's categories into this one as drafts (admin only)
+ * @access  Private (Admin)
+ */
+router.post('/:id/clone', [
+  auth,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid edition ID'),
+  body('from')
+    .trim()
+    .notEmpty()
+    .withMessage('Source edition is required')
+], async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { source, target, created, skipped } = await editionService.cloneCategories(
+      req.body.from,
+      req.params.id,
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Copied ${created.length} categor${created.length === 1 ? 'y' : 'ies'} from ${source.name} to ${target.name}`,
+      data: {
+        created: created.length,
+        skipped,
+        categories: created
+      }
+    });
+
+  } catch (error) {
+    console.error('Clone edition error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to clone categories'
+    });
+  }
+});
+
+module.exports = router;
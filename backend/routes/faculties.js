@@ -0,0 +1,28 @@
+const express = require('express');
+const catalogService = require('../services/catalogService');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/faculties
+ * @desc    Get the institution's active faculties, each with its active departments
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const faculties = await catalogService.getCatalog();
+
+    res.json({
+      success: true,
+      data: faculties
+    });
+  } catch (error) {
+    console.error('Get faculties error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch faculties'
+    });
+  }
+});
+
+module.exports = router;
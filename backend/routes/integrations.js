@@ -0,0 +1,252 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { apiKeyAuth } = require('../middleware/auth');
+const { resolveEdition } = require('../middleware/edition');
+const Vote = require('../models/Vote');
+const Category = require('../models/Category');
+const resultsVisibilityService = require('../services/resultsVisibilityService');
+const mongoose = require('mongoose');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/integrations/results
+ * @desc    Get live results for partner sites
+ * @access  API key (results:read)
+ */
+router.get('/results', [
+  apiKeyAuth('results:read'),
+  resolveEdition,
+  [
+    query('category')
+      .optional()
+      .isMongoId()
+      .withMessage('Valid category ID is required')
+  ]
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const categoryFilter = { isActive: true };
+    if (req.query.category) {
+      categoryFilter._id = req.query.category;
+    } else if (req.edition) {
+      categoryFilter.edition = req.edition._id;
+    }
+
+    const categories = await Category.find(categoryFilter)
+      .select('name slug resultsVisibility votingSettings.endDate lifecycleStage')
+      .sort({ displayOrder: 1, name: 1 })
+      .lean();
+
+    const results = await Vote.aggregate([
+      {
+        $match: {
+          category: { $in: categories.map(category => category._id) },
+          status: 'verified'
+        }
+      },
+      {
+        $group: {
+          _id: { category: '$category', nominee: '$nominee' },
+          totalVotes: { $sum: '$quantity' },
+          lastVoteAt: { $max: '$createdAt' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'nominees',
+          localField: '_id.nominee',
+          foreignField: '_id',
+          as: 'nominee'
+        }
+      },
+      {
+        $unwind: '$nominee'
+      },
+      {
+        // Disqualified nominees drop out of the ranking
+        $match: { 'nominee.isDisqualified': { $ne: true } }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'nominee.student',
+          foreignField: '_id',
+          as: 'student'
+        }
+      },
+      {
+        $unwind: '$student'
+      },
+      {
+        $project: {
+          _id: 0,
+          category: '$_id.category',
+          nominee: {
+            _id: '$nominee._id',
+            firstName: '$student.firstName',
+            lastName: '$student.lastName',
+            image: '$nominee.image'
+          },
+          totalVotes: 1,
+          lastVoteAt: 1
+        }
+      },
+      {
+        $sort: { totalVotes: -1, lastVoteAt: 1 }
+      }
+    ]);
+
+    // Partners see what the public sees: no totals, or no results at all,
+    // while a category's results are embargoed
+    const data = categories.map(category => {
+      const access = resultsVisibilityService.accessFor(category);
+      const ranked = results
+        .filter(result => result.category.equals(category._id))
+        .map((result, index) => ({
+          rank: index + 1,
+          nominee: result.nominee,
+          totalVotes: result.totalVotes,
+          lastVoteAt: result.lastVoteAt
+        }));
+
+      return {
+        category: { _id: category._id, name: category.name, slug: category.slug },
+        ...(access.level === 'full' && {
+          totalVotes: ranked.reduce((sum, result) => sum + result.totalVotes, 0)
+        }),
+        results: resultsVisibilityService.applyToRanking(ranked, access),
+        resultsVisibility: access
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        categories: data,
+        generatedAt: new Date()
+      }
+    });
+
+  } catch (error) {
+    console.error('Integration results error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch results'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/integrations/votes/export
+ * @desc    Export verified votes as CSV or JSON
+ * @access  API key (votes:export)
+ */
+router.get('/votes/export', [
+  apiKeyAuth('votes:export'),
+  resolveEdition,
+  [
+    query('category')
+      .optional()
+      .isMongoId()
+      .withMessage('Valid category ID is required'),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('Since must be a valid date'),
+    query('format')
+      .optional()
+      .isIn(['csv', 'json'])
+      .withMessage('Format must be csv or json')
+  ]
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { category, since, format = 'csv' } = req.query;
+
+    const filter = { status: 'verified' };
+    if (category) filter.category = new mongoose.Types.ObjectId(category);
+    else if (req.edition) filter.edition = req.edition._id;
+    if (since) filter.createdAt = { $gte: new Date(since) };
+
+    const votes = await Vote.find(filter)
+      .populate('category', 'name')
+      .populate({
+        path: 'nominee',
+        select: 'student',
+        populate: { path: 'student', select: 'firstName lastName' }
+      })
+      .select('category nominee quantity unitPrice amount currency status createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    // Voter identities are deliberately left out of partner exports
+    const rows = votes.map(vote => ({
+      voteId: vote._id.toString(),
+      category: vote.category?.name || '',
+      nomineeId: vote.nominee?._id?.toString() || '',
+      nominee: [vote.nominee?.student?.firstName, vote.nominee?.student?.lastName]
+        .filter(Boolean).join(' '),
+      // One record can be a bundle of votes; votes from before bundles count as one
+      quantity: vote.quantity || 1,
+      unitPrice: vote.unitPrice ?? vote.amount / (vote.quantity || 1),
+      amount: vote.amount,
+      currency: vote.currency || 'NGN',
+      status: vote.status,
+      castAt: new Date(vote.createdAt).toISOString()
+    }));
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: rows
+      });
+    }
+
+    const headers = ['Vote ID', 'Category', 'Nominee ID', 'Nominee', 'Quantity', 'Unit Price', 'Amount', 'Currency', 'Status', 'Cast At'];
+
+    const escapeCsv = (val) => {
+      const str = String(val ?? '');
+      const needsQuotes = /[",\n]/.test(str);
+      const escaped = str.replace(/"/g, '""');
+      return needsQuotes ? `"${escaped}"` : escaped;
+    };
+
+    const csv = [
+      headers.join(','),
+      ...rows.map(row => Object.values(row).map(escapeCsv).join(','))
+    ].join('\n');
+
+    const filename = `votes-export-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(csv);
+
+  } catch (error) {
+    console.error('Integration votes export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export votes'
+    });
+  }
+});
+
+module.exports = router;
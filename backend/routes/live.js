@@ -0,0 +1,45 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const liveResultsService = require('../services/liveResultsService');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/live/results
+ * @desc    Server-Sent Events stream of vote count and rank changes.
+ *          Pass ?category= to follow one category, or omit it for all
+ * @access  Public
+ */
+router.get('/results', [
+  [
+    query('category')
+      .optional()
+      .isMongoId()
+      .withMessage('Category must be a valid ID')
+  ]
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await liveResultsService.subscribe(req, res, { categoryId: req.query.category });
+
+  } catch (error) {
+    console.error('Live results subscription error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to open live results stream'
+    });
+  }
+});
+
+module.exports = router;
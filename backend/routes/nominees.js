@@ -3,11 +3,21 @@ const { body, param, query, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { auth } = require('../middleware/auth');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { resolveEdition } = require('../middleware/edition');
+const { keepTenant } = require('../middleware/tenant');
 const Nominee = require('../models/Nominee');
 const Category = require('../models/Category');
 const User = require('../models/User');
 const Vote = require('../models/Vote');
+const endorsementService = require('../services/endorsementService');
+const achievementService = require('../services/achievementService');
+const documentService = require('../services/documentService');
+const eligibilityService = require('../services/eligibilityService');
+const consentService = require('../services/consentService');
+const studentRegistryService = require('../services/studentRegistryService');
+const notificationService = require('../services/notificationService');
+const resultsVisibilityService = require('../services/resultsVisibilityService');
 const mongoose = require('mongoose');
 
 const router = express.Router();
@@ -45,12 +55,25 @@ const upload = multer({
   }
 });
 
+// Supporting documents are held in memory so their contents can be checked
+// before anything is written to disk
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: documentService.maxFileSize,
+    files: documentService.maxFilesPerUpload
+  }
+});
+
 /**
  * @route   GET /api/nominees
- * @desc    Get all nominees with filtering and pagination
+ * @desc    Get all nominees with filtering and pagination. Without a
+ *          category, lists the active edition or the one named by ?edition=
  * @access  Public
  */
 router.get('/', [
+  optionalAuth,
+  resolveEdition,
   [
     query('category')
       .optional()
@@ -105,11 +128,23 @@ router.get('/', [
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Build match stage
+    // Embargoed categories list their nominees without totals, and hidden
+    // ones are not sorted by votes
+    const restricted = await resultsVisibilityService.getRestrictedCategories(req.user);
+    const hiddenIds = [...restricted.values()]
+      .filter(item => item.level === 'hidden')
+      .map(item => item.categoryId);
+
+    // Build match stage; only admins see disqualified nominees
     const matchStage = { status };
+    if (req.user?.role !== 'admin') {
+      matchStage.isDisqualified = { $ne: true };
+    }
     
     if (category) {
       matchStage.category = new mongoose.Types.ObjectId(category);
+    } else if (req.edition) {
+      matchStage.edition = req.edition._id;
     }
 
     // Build aggregation pipeline
@@ -155,7 +190,7 @@ router.get('/', [
             {
               $group: {
                 _id: null,
-                voteCount: { $sum: 1 },
+                voteCount: { $sum: '$quantity' },
                 totalRevenue: { $sum: '$amount' },
                 uniqueVoters: { $addToSet: '$voter' },
                 averageVoteValue: { $avg: '$amount' },
@@ -186,6 +221,16 @@ router.get('/', [
       }
     ];
 
+    if (hiddenIds.length > 0) {
+      const hidden = { $in: ['$category._id', hiddenIds] };
+      pipeline.push({
+        $addFields: {
+          voteCount: { $cond: [hidden, 0, '$voteCount'] },
+          totalRevenue: { $cond: [hidden, 0, '$totalRevenue'] }
+        }
+      });
+    }
+
     // Add search filter if provided
     if (search) {
       pipeline.push({
@@ -250,6 +295,24 @@ router.get('/', [
         campaignStatement: 1,
         socialMediaLinks: 1,
         status: 1,
+        isDisqualified: 1,
+        disqualificationReason: 1,
+        disqualifiedAt: 1,
+        // Only endorsements shown on the public profile
+        endorsementCount: {
+          $size: {
+            $filter: {
+              input: { $ifNull: ['$endorsements', []] },
+              as: 'endorsement',
+              cond: {
+                $and: [
+                  { $ne: ['$$endorsement.isPublic', false] },
+                  { $eq: [{ $ifNull: ['$$endorsement.status', 'approved'] }, 'approved'] }
+                ]
+              }
+            }
+          }
+        },
         statistics: {
           totalVotes: '$voteCount',
           totalRevenue: '$totalRevenue',
@@ -311,10 +374,18 @@ router.get('/', [
     const total = countResult.length > 0 ? countResult[0].total : 0;
 
     // Add ranking to nominees
-    const rankedNominees = nominees.map((nominee, index) => ({
-      ...nominee,
-      rank: skip + index + 1
-    }));
+    const rankedNominees = nominees.map((nominee, index) => {
+      const ranked = { ...nominee, rank: skip + index + 1 };
+      const access = restricted.get(nominee.category._id.toString());
+      if (!access) return ranked;
+
+      const { statistics, ...withoutStatistics } = resultsVisibilityService.stripCounts(ranked);
+      return {
+        ...withoutStatistics,
+        rank: access.level === 'ranks' ? ranked.rank : undefined,
+        resultsVisibility: access
+      };
+    });
 
     res.json({
       success: true,
@@ -375,7 +446,8 @@ router.get('/category/:categoryId', [
     // Get nominees for this category
     const nominees = await Nominee.find({ 
       category: categoryId,
-      status: 'approved'
+      status: 'approved',
+      isDisqualified: { $ne: true }
     })
     .populate('student', 'firstName lastName email studentId department level profilePicture')
     .populate('category', 'name description')
@@ -402,7 +474,8 @@ router.get('/category/:categoryId', [
  * @desc    Get single nominee with detailed information
  * @access  Public
  */
-router.get('/:id', [
+router.get('/:id([0-9a-fA-F]{24})', [
+  optionalAuth,
   [
     param('id')
       .isMongoId()
@@ -522,7 +595,7 @@ router.get('/:id', [
       {
         $addFields: {
           statistics: {
-            totalVotes: { $size: { $ifNull: ['$allVotes', []] } },
+            totalVotes: { $sum: '$allVotes.quantity' },
             totalRevenue: { $sum: '$allVotes.amount' },
             uniqueVoters: {
               $size: {
@@ -578,15 +651,27 @@ router.get('/:id', [
             isVotingActive: '$category.isVotingActive'
           },
           nominationReason: '$reason',
-          achievements: 1,
+          achievements: {
+            $map: {
+              input: { $ifNull: ['$achievements', []] },
+              as: 'achievement',
+              in: {
+                _id: '$$achievement._id',
+                title: '$$achievement.title',
+                description: '$$achievement.description',
+                date: '$$achievement.date',
+                verified: '$$achievement.verified'
+              }
+            }
+          },
           campaignStatement: 1,
           socialMediaLinks: 1,
           status: 1,
           statistics: 1,
           recentVotes: 1,
+          image: 1,
           createdAt: 1,
-          updatedAt: 1,
-          allVotes: 0
+          updatedAt: 1
         }
       }
     ]);
@@ -600,18 +685,21 @@ router.get('/:id', [
 
     const nominee = nomineeData[0];
 
-    // Get nominee's rank in category
+    // Get nominee's rank in category. Disqualified nominees are left out,
+    // as on the leaderboard, and have no rank themselves
+    const disqualified = await Nominee.disqualifiedIds({ category: nominee.category._id });
     const categoryRanking = await Vote.aggregate([
       {
         $match: {
           category: nominee.category._id,
+          nominee: { $nin: disqualified },
           status: 'verified'
         }
       },
       {
         $group: {
           _id: '$nominee',
-          totalVotes: { $sum: 1 },
+          totalVotes: { $sum: '$quantity' },
           totalRevenue: { $sum: '$amount' }
         }
       },
@@ -627,10 +715,23 @@ router.get('/:id', [
     nominee.statistics.rank = nomineeRank || null;
     nominee.statistics.totalNomineesInCategory = categoryRanking.length;
 
+    // While results are embargoed, totals and recent vote amounts are
+    // withheld, and the rank too when results are hidden
+    const category = await Category.findById(nominee.category._id)
+      .select('resultsVisibility votingSettings.endDate lifecycleStage');
+    const access = resultsVisibilityService.accessFor(category, req.user);
+    if (access.level !== 'full') {
+      nominee.statistics = access.level === 'ranks'
+        ? { rank: nominee.statistics.rank, totalNomineesInCategory: categoryRanking.length }
+        : {};
+      nominee.recentVotes = [];
+    }
+
     res.json({
       success: true,
       data: {
-        nominee
+        nominee,
+        resultsVisibility: access
       }
     });
 
@@ -650,7 +751,7 @@ router.get('/:id', [
  */
 router.post('/', [
   auth,
-  upload.single('image'),
+  keepTenant(upload.single('image')),
   [
     body('student')
       .isMongoId()
@@ -715,7 +816,17 @@ router.post('/', [
       });
     }
 
-
+    // Once the school registry is imported, only students it confirms can
+    // be nominated
+    const verification = await studentRegistryService.verifyUser(studentUser);
+    if (['pending_review', 'rejected'].includes(verification)) {
+      return res.status(403).json({
+        success: false,
+        message: verification === 'pending_review'
+          ? `${studentUser.firstName} ${studentUser.lastName}'s student ID did not match the school registry and is awaiting review`
+          : `${studentUser.firstName} ${studentUser.lastName} is not a verified student`
+      });
+    }
 
     if (studentUser.role !== 'student') {
       return res.status(400).json({
@@ -733,34 +844,62 @@ router.post('/', [
       });
     }
 
-    if (!categoryDoc.isActive) {
+    // Nominations are only taken while the category is in its nomination window
+    const nominationClosedReason = categoryDoc.nominationClosedReason();
+    if (nominationClosedReason) {
       return res.status(400).json({
         success: false,
-        message: 'Category is not active for nominations'
+        message: nominationClosedReason
       });
     }
 
-    // Check if student is already nominated in this category
-    const existingNomination = await Nominee.findOne({
-      student,
-      category,
-      status: { $in: ['pending', 'approved'] }
-    });
-
-    if (existingNomination) {
+    // Check if student is already nominated in this category. An expired
+    // nomination nobody answered can be replaced; a declined one cannot
+    const existingNomination = await Nominee.findOne({ student, category });
+    if (existingNomination && existingNomination.status === 'expired') {
+      await existingNomination.deleteOne();
+    } else if (existingNomination) {
+      const messages = {
+        awaiting_consent: 'Student already has a nomination in this category awaiting their answer',
+        declined: 'Student has declined a nomination in this category'
+      };
       return res.status(400).json({
         success: false,
-        message: 'Student is already nominated in this category'
+        message: messages[existingNomination.status] || 'Student is already nominated in this category'
       });
     }
 
-    // Check if user can nominate (self-nomination or admin)
-    const canNominate = req.user.id === student || req.user.role === 'admin';
-    if (!canNominate) {
+    const isSelfNomination = req.user.id === student;
+    if (isSelfNomination && req.user.role !== 'admin' && !categoryDoc.allowSelfNomination) {
       return res.status(403).json({
         success: false,
-        message: 'You can only nominate yourself or you must be an admin'
+        message: 'This category does not accept self-nominations'
+      });
+    }
+
+    // Check the student meets the category's eligibility criteria
+    const eligibility = eligibilityService.forNomination(categoryDoc, studentUser);
+    if (!eligibility.eligible) {
+      return res.status(403).json({
+        success: false,
+        message: `Not eligible for ${categoryDoc.name}: ${eligibility.reasons.map(item => item.message).join('; ')}`,
+        reasons: eligibility.reasons
+      });
+    }
+
+    const { maxNominationsPerNominator, requireReview } = categoryDoc.nominationSettings || {};
+    if (maxNominationsPerNominator && req.user.role !== 'admin') {
+      const nominationCount = await Nominee.countDocuments({
+        category,
+        nominatedBy: req.user.id,
+        status: { $ne: 'rejected' }
       });
+      if (nominationCount >= maxNominationsPerNominator) {
+        return res.status(400).json({
+          success: false,
+          message: `You can make at most ${maxNominationsPerNominator} nomination(s) in this category`
+        });
+      }
     }
 
     // Create nomination
@@ -768,13 +907,18 @@ router.post('/', [
       student,
       category,
       nominationReason: reason.trim(),
-      achievements: achievements || [],
+      achievements: (achievements || []).map(achievement => achievementService.submittedFields(achievement)),
       image: imagePath,
       nominatedBy: req.user.id,
-      status: req.user.role === 'admin' ? 'approved' : 'pending'
+      status: req.user.role === 'admin' || requireReview === false ? 'approved' : 'pending'
     });
 
-    await nominee.save();
+    // Nominations made on someone else's behalf wait for them to accept
+    if (consentService.isRequired(categoryDoc, req.user, studentUser._id)) {
+      await consentService.request(nominee, { student: studentUser, category: categoryDoc, nominator: req.user });
+    } else {
+      await nominee.save();
+    }
 
     // Populate the nominee for response
     await nominee.populate([
@@ -794,7 +938,9 @@ router.post('/', [
 
     res.status(201).json({
       success: true,
-      message: `Nomination ${nominee.status === 'approved' ? 'approved' : 'submitted for review'} successfully`,
+      message: nominee.status === 'awaiting_consent'
+        ? 'Nomination sent. It will be reviewed once the nominee accepts it'
+        : `Nomination ${nominee.status === 'approved' ? 'approved' : 'submitted for review'} successfully`,
       data: {
         nominee
       }
@@ -816,7 +962,7 @@ router.post('/', [
  */
 router.put('/:id', [
   auth,
-  upload.single('image'),
+  keepTenant(upload.single('image')),
   [
     param('id')
       .isMongoId()
@@ -897,6 +1043,17 @@ router.put('/:id', [
       });
     }
 
+    // Nominees can only edit their nomination while nominations are open
+    if (!isAdmin) {
+      const currentCategory = await Category.findById(nominee.category);
+      if (currentCategory && currentCategory.nominationClosedReason()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nominations have closed for this category, so the nomination can no longer be edited'
+        });
+      }
+    }
+
     // If nomination is approved and has votes, restrict updates
     if (nominee.status === 'approved' && !isAdmin) {
       const voteCount = await Vote.countDocuments({ nominee: id });
@@ -908,6 +1065,34 @@ router.put('/:id', [
       }
     }
 
+    // Moving to another category must meet that category's eligibility criteria
+    if (updateData.category && updateData.category.toString() !== nominee.category.toString()) {
+      const categoryDoc = await Category.findById(updateData.category);
+      if (!categoryDoc) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      const eligibility = eligibilityService.forNomination(categoryDoc, nominee.student);
+      if (!eligibility.eligible) {
+        return res.status(403).json({
+          success: false,
+          message: `Not eligible for ${categoryDoc.name}: ${eligibility.reasons.map(item => item.message).join('; ')}`,
+          reasons: eligibility.reasons
+        });
+      }
+    }
+
+    // Documents go through the upload endpoints and verification is left to admins
+    delete updateData.supportingDocuments;
+    let removedDocuments = [];
+    if (updateData.achievements !== undefined) {
+      removedDocuments = achievementService.applyAchievementChanges(nominee, updateData.achievements);
+      delete updateData.achievements;
+    }
+
     // Update nominee
     Object.keys(updateData).forEach(key => {
       if (updateData[key] !== undefined) {
@@ -917,6 +1102,7 @@ router.put('/:id', [
 
     nominee.updatedBy = req.user.id;
     await nominee.save();
+    await Promise.all(removedDocuments.map(storedName => documentService.remove(storedName)));
 
     // Populate for response
     await nominee.populate([
@@ -993,6 +1179,17 @@ router.delete('/:id', [
       });
     }
 
+    // Withdrawing is only possible while nominations are open
+    if (!isAdmin) {
+      const category = await Category.findById(nominee.category);
+      if (category && category.nominationClosedReason()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nominations have closed for this category. Contact admin to withdraw.'
+        });
+      }
+    }
+
     // Check if nominee has votes
     const voteCount = await Vote.countDocuments({ nominee: id });
     if (voteCount > 0 && !isAdmin) {
@@ -1036,7 +1233,7 @@ router.get('/my-nominations', [
   [
     query('status')
       .optional()
-      .isIn(['pending', 'approved', 'rejected'])
+      .isIn(['pending', 'approved', 'rejected', ...Nominee.CONSENT_STATUSES])
       .withMessage('Invalid status')
   ]
 ], async (req, res) => {
@@ -1078,7 +1275,7 @@ router.get('/my-nominations', [
           {
             $group: {
               _id: null,
-              totalVotes: { $sum: 1 },
+              totalVotes: { $sum: '$quantity' },
               totalRevenue: { $sum: '$amount' },
               uniqueVoters: { $addToSet: '$voter' }
             }
@@ -1119,6 +1316,88 @@ router.get('/my-nominations', [
   }
 });
 
+/**
+ * @route   GET /api/nominees/incoming
+ * @desc    Nominations made on the current user's behalf that await their answer
+ * @access  Private
+ */
+router.get('/incoming', auth, async (req, res) => {
+  try {
+    const nominations = await consentService.listIncoming(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        nominations,
+        total: nominations.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Incoming nominations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch incoming nominations'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/nominees/:id/consent
+ * @desc    Accept or decline a nomination made on the current user's behalf
+ * @access  Private
+ */
+router.patch('/:id/consent', [
+  auth,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Valid nominee ID is required'),
+    body('decision')
+      .isIn(['accept', 'decline'])
+      .withMessage('Decision must be accept or decline'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason must not exceed 500 characters')
+  ]
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const nominee = await consentService.respond(req.params.id, req.user, {
+      decision: req.body.decision,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: req.body.decision === 'accept'
+        ? (nominee.status === 'approved' ? 'Nomination accepted' : 'Nomination accepted and sent for review')
+        : 'Nomination declined',
+      data: {
+        nominee
+      }
+    });
+
+  } catch (error) {
+    console.error('Nomination consent error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to answer nomination'
+    });
+  }
+});
+
 /**
  * @route   PUT /api/nominees/:id/approve
  * @desc    Approve nomination (admin only)
@@ -1153,6 +1432,15 @@ router.put('/:id/approve', [
 
     const { id } = req.params;
 
+    // Nominations waiting on, or refused by, the nominee cannot be approved
+    const current = await Nominee.findById(id).select('status');
+    if (current && Nominee.CONSENT_STATUSES.includes(current.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The nominee has not accepted this nomination'
+      });
+    }
+
     // Find and update nominee
     const nominee = await Nominee.findByIdAndUpdate(
       id,
@@ -1181,6 +1469,8 @@ router.put('/:id/approve', [
       });
     }
 
+    await notificationService.nominationStatus(nominee);
+
     res.json({
       success: true,
       message: 'Nomination approved successfully',
@@ -1267,6 +1557,8 @@ router.put('/:id/reject', [
       });
     }
 
+    await notificationService.nominationStatus(nominee);
+
     res.json({
       success: true,
       message: 'Nomination rejected successfully',
@@ -1284,4 +1576,425 @@ router.put('/:id/reject', [
   }
 });
 
+/**
+ * @route   GET /api/nominees/:id/endorsements
+ * @desc    Get a nominee's public endorsements
+ * @access  Public
+ */
+router.get('/:id/endorsements', [
+  optionalAuth,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Valid nominee ID is required'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ]
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const data = await endorsementService.listForNominee(req.params.id, req.user, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get endorsements error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch endorsements'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/nominees/:id/endorsements
+ * @desc    Endorse a nominee (once per category)
+ * @access  Private
+ */
+router.post('/:id/endorsements', [
+  auth,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Valid nominee ID is required'),
+    body('message')
+      .trim()
+      .isLength({ min: 10, max: 500 })
+      .withMessage('Endorsement must be between 10 and 500 characters'),
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Title cannot exceed 100 characters')
+  ]
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const endorsement = await endorsementService.endorse(req.params.id, req.user, {
+      message: req.body.message,
+      title: req.body.title || undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: endorsement.status === 'pending'
+        ? 'Endorsement submitted and awaiting review'
+        : 'Endorsement added successfully',
+      data: {
+        endorsement: {
+          ...endorsementService.toPublic(endorsement),
+          status: endorsement.status
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Create endorsement error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to add endorsement'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/nominees/:id/endorsements/:endorsementId
+ * @desc    Show or hide an endorsement on the nominee's profile
+ * @access  Private (Nominee)
+ */
+router.patch('/:id/endorsements/:endorsementId', [
+  auth,
+  [
+    param(['id', 'endorsementId'])
+      .isMongoId()
+      .withMessage('Valid ID is required'),
+    body('isPublic')
+      .isBoolean()
+      .withMessage('isPublic must be true or false')
+      .toBoolean()
+  ]
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const endorsement = await endorsementService.setVisibility(
+      req.params.id,
+      req.params.endorsementId,
+      req.user,
+      req.body.isPublic
+    );
+
+    res.json({
+      success: true,
+      message: endorsement.isPublic ? 'Endorsement is now visible' : 'Endorsement hidden from your profile',
+      data: {
+        endorsement: {
+          _id: endorsement._id,
+          isPublic: endorsement.isPublic
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Update endorsement error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update endorsement'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/nominees/:id/endorsements/:endorsementId
+ * @desc    Withdraw your own endorsement
+ * @access  Private
+ */
+router.delete('/:id/endorsements/:endorsementId', [
+  auth,
+  [
+    param(['id', 'endorsementId'])
+      .isMongoId()
+      .withMessage('Valid ID is required')
+  ]
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await endorsementService.withdraw(req.params.id, req.params.endorsementId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Endorsement withdrawn'
+    });
+
+  } catch (error) {
+    console.error('Withdraw endorsement error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to withdraw endorsement'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/nominees/:id/endorsements/:endorsementId/report
+ * @desc    Report an abusive endorsement to the moderators
+ * @access  Private
+ */
+router.post('/:id/endorsements/:endorsementId/report', [
+  auth,
+  [
+    param(['id', 'endorsementId'])
+      .isMongoId()
+      .withMessage('Valid ID is required'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Reason cannot exceed 300 characters')
+  ]
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await endorsementService.report(req.params.id, req.params.endorsementId, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Thanks, a moderator will review this endorsement'
+    });
+
+  } catch (error) {
+    console.error('Report endorsement error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to report endorsement'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/nominees/:id/achievements
+ * @desc    Get achievements with their supporting documents
+ * @access  Private (Nominee/Admin)
+ */
+router.get('/:id/achievements', [
+  auth,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Valid nominee ID is required')
+  ]
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const achievements = await achievementService.listForNominee(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        achievements
+      }
+    });
+
+  } catch (error) {
+    console.error('Get achievements error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch achievements'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/nominees/:id/achievements/:achievementId/documents
+ * @desc    Upload PDFs or images as evidence for an achievement
+ * @access  Private (Nominee/Admin)
+ */
+router.post('/:id/achievements/:achievementId/documents', [
+  auth,
+  keepTenant(documentUpload.array('documents', documentService.maxFilesPerUpload)),
+  [
+    param(['id', 'achievementId'])
+      .isMongoId()
+      .withMessage('Valid ID is required')
+  ]
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await achievementService.attachDocuments(
+      req.params.id,
+      req.params.achievementId,
+      req.files,
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${req.files.length} document(s) uploaded for verification`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Upload documents error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to upload documents'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/nominees/:id/documents/:documentId
+ * @desc    Download a supporting document
+ * @access  Private (Nominee/Admin)
+ */
+router.get('/:id/documents/:documentId', [
+  auth,
+  [
+    param(['id', 'documentId'])
+      .isMongoId()
+      .withMessage('Valid ID is required')
+  ]
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { document, filePath } = await achievementService.getDocument(req.params.id, req.params.documentId, req.user);
+
+    res.set({
+      'Content-Type': document.mimeType,
+      'Content-Disposition': `inline; filename="${document.name.replace(/[^\w.\- ]/g, '_')}"`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.sendFile(filePath, (error) => {
+      if (error && !res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        res.type('json').status(404).json({
+          success: false,
+          message: 'Document file is missing'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Download document error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to download document'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/nominees/:id/documents/:documentId
+ * @desc    Delete a supporting document
+ * @access  Private (Nominee/Admin)
+ */
+router.delete('/:id/documents/:documentId', [
+  auth,
+  [
+    param(['id', 'documentId'])
+      .isMongoId()
+      .withMessage('Valid ID is required')
+  ]
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await achievementService.removeDocument(req.params.id, req.params.documentId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Document deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete document error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to delete document'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
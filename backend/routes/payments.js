@@ -2,7 +2,15 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const { preventDuplicateVotes } = require('../middleware/security');
+const {
+  enforceMaintenanceMode,
+  enforceVotingEnabled,
+  enforceMaxVotesPerUser
+} = require('../middleware/settings');
 const paymentService = require('../services/paymentService');
+const promoService = require('../services/promoService');
+const receiptService = require('../services/receiptService');
+const { GATEWAY_NAMES } = require('../services/gateways');
 const Payment = require('../models/Payment');
 const Vote = require('../models/Vote');
 const Category = require('../models/Category');
@@ -37,6 +45,9 @@ const webhookRateLimit = rateLimit({
  */
 router.post('/initialize', [
   auth,
+  enforceMaintenanceMode,
+  enforceVotingEnabled,
+  enforceMaxVotesPerUser,
   paymentRateLimit,
   preventDuplicateVotes,
   [
@@ -46,9 +57,23 @@ router.post('/initialize', [
     body('categoryId')
       .isMongoId()
       .withMessage('Valid category ID is required'),
+    body('quantity')
+      .optional()
+      .isInt({ min: 1, max: Vote.MAX_VOTES_PER_PURCHASE })
+      .withMessage(`Quantity must be between 1 and ${Vote.MAX_VOTES_PER_PURCHASE}`),
+    body('pricingTierId')
+      .optional({ nullable: true, checkFalsy: true })
+      .isMongoId()
+      .withMessage('Invalid pricing tier'),
     body('amount')
+      .optional()
       .isFloat({ min: 1 })
       .withMessage('Amount must be a positive number'),
+    body('promoCode')
+      .optional({ nullable: true, checkFalsy: true })
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage('Invalid promo code'),
     body('email')
       .optional()
       .isEmail()
@@ -93,7 +118,8 @@ router.post('/initialize', [
       });
     }
 
-    const { nomineeId, categoryId, amount, email } = req.body;
+    const { nomineeId, categoryId, pricingTierId, promoCode, email } = req.body;
+    const quantity = parseInt(req.body.quantity) || 1;
     const userId = req.user.id;
 
     // Validate category and nominee
@@ -122,18 +148,28 @@ router.post('/initialize', [
     }
 
     // Check if voting is active
-    if (!category.isVotingActive) {
+    const votingClosedReason = category.votingClosedReason();
+    if (votingClosedReason) {
       return res.status(400).json({
         success: false,
-        message: 'Voting is not currently active for this category'
+        message: votingClosedReason
       });
     }
 
-    // Check if amount matches category price
-    if (amount !== category.votingSettings.votePrice) {
+    // The price is always worked out here; a client-sent amount must agree with it.
+    // Promo discounts are applied afterwards, so this is the undiscounted price
+    const quote = category.quotePrice({ quantity, pricingTierId });
+    if (req.body.amount !== undefined && Number(req.body.amount) !== quote.amount) {
       return res.status(400).json({
         success: false,
-        message: `Vote price for this category is ₦${category.votingSettings.votePrice}`
+        message: `${quote.quantity} vote(s) in this category cost ₦${quote.amount}`
+      });
+    }
+
+    if (req.votesRemaining !== undefined && quote.quantity > req.votesRemaining) {
+      return res.status(403).json({
+        success: false,
+        message: `You can only cast ${req.votesRemaining} more vote(s)`
       });
     }
 
@@ -142,11 +178,14 @@ router.post('/initialize', [
       userId,
       nomineeId,
       categoryId,
-      amount,
+      quantity,
+      pricingTierId,
+      promoCode,
       email: email || req.user.email,
       metadata: {
         userAgent: req.get('User-Agent'),
-        ipAddress: req.ip
+        ipAddress: req.ip,
+        deviceFingerprint: req.get('X-Device-Fingerprint')
       }
     });
 
@@ -158,9 +197,89 @@ router.post('/initialize', [
 
   } catch (error) {
     console.error('Payment initialization error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to initialize payment',
+      reasons: error.reasons
+    });
+  }
+});
+
+/**
+ * @route   POST /api/payments/promo-codes/validate
+ * @desc    Preview the discount a promo code gives on a purchase
+ * @access  Private
+ */
+router.post('/promo-codes/validate', [
+  auth,
+  [
+    body('code')
+      .trim()
+      .notEmpty()
+      .isLength({ max: 30 })
+      .withMessage('Promo code is required'),
+    body('categoryId')
+      .isMongoId()
+      .withMessage('Valid category ID is required'),
+    body('quantity')
+      .optional()
+      .isInt({ min: 1, max: Vote.MAX_VOTES_PER_PURCHASE })
+      .withMessage(`Quantity must be between 1 and ${Vote.MAX_VOTES_PER_PURCHASE}`),
+    body('pricingTierId')
+      .optional({ nullable: true, checkFalsy: true })
+      .isMongoId()
+      .withMessage('Invalid pricing tier')
+  ]
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.body.categoryId);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const quote = category.quotePrice({
+      quantity: parseInt(req.body.quantity) || 1,
+      pricingTierId: req.body.pricingTierId
+    });
+    const promoQuote = await promoService.quote({
+      code: req.body.code,
+      userId: req.user._id,
+      categoryId: category._id,
+      quantity: quote.quantity,
+      amount: quote.amount
+    });
+
+    res.json({
+      success: true,
+      data: {
+        code: promoQuote.promoCode.code,
+        description: promoQuote.promoCode.description,
+        sponsor: promoQuote.promoCode.sponsor,
+        quantity: quote.quantity,
+        originalAmount: promoQuote.originalAmount,
+        discountAmount: promoQuote.discountAmount,
+        finalAmount: promoQuote.finalAmount,
+        free: promoQuote.finalAmount === 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Promo code validation error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: error.message || 'Failed to initialize payment'
+      message: error.message || 'Failed to validate promo code'
     });
   }
 });
@@ -222,81 +341,61 @@ router.get('/verify/:reference', [
 });
 
 /**
- * @route   POST /api/payments/opay/callback
- * @desc    Handle OPay callback
- * @access  Public
+ * Shared handler for gateway webhooks; signatures are checked against the raw body
  */
-router.post('/opay/callback', [
-  webhookRateLimit,
-  express.json()
-], async (req, res) => {
+const handleGatewayWebhook = (gatewayName) => async (req, res) => {
   try {
-    const payload = req.body;
-    
-    // Verify OPay signature
-    const signature = req.get('Authorization');
-    if (!signature) {
-      return res.status(400).json({
+    const gateway = gatewayName || req.params.gateway;
+    if (!GATEWAY_NAMES.includes(gateway)) {
+      return res.status(404).json({
         success: false,
-        message: 'Missing authorization header'
+        message: 'Unknown payment gateway'
       });
     }
 
-    // Handle OPay callback
-    await paymentService.handleOPayCallback(payload, signature);
+    const result = await paymentService.handleWebhook(gateway, {
+      rawBody: req.rawBody || Buffer.from(JSON.stringify(req.body)),
+      headers: req.headers,
+      payload: req.body,
+      ipAddress: req.ip
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Callback processed successfully'
+      message: result.duplicate
+        ? 'Webhook already received'
+        : 'Webhook processed successfully'
     });
 
   } catch (error) {
-    console.error('OPay callback processing error:', error);
-    res.status(500).json({
+    console.error('Webhook processing error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Callback processing failed'
+      message: error.statusCode ? error.message : 'Webhook processing failed'
     });
   }
-});
+};
 
 /**
- * @route   POST /api/payments/webhook
- * @desc    Handle legacy Paystack webhook (deprecated)
+ * @route   POST /api/payments/webhook/:gateway
+ * @desc    Handle webhook from a payment gateway driver
  * @access  Public (but verified)
  */
-router.post('/webhook', [
-  webhookRateLimit,
-  express.raw({ type: 'application/json' })
-], async (req, res) => {
-  try {
-    const signature = req.get('x-paystack-signature');
-    
-    if (!signature) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing signature'
-      });
-    }
+router.post('/webhook/:gateway', webhookRateLimit, handleGatewayWebhook());
 
-    // Parse the payload
-    const payload = JSON.parse(req.body.toString());
-
-    // Handle webhook (legacy support)
-    await paymentService.handleWebhook(payload, signature);
-
-    res.status(200).json({
-      success: true,
-      message: 'Webhook processed successfully'
-    });
+/**
+ * @route   POST /api/payments/opay/callback
+ * @desc    Handle OPay callback (kept for callback URLs registered before /webhook/opay)
+ * @access  Public (but verified)
+ */
+router.post('/opay/callback', webhookRateLimit, handleGatewayWebhook('opay'));
 
-  } catch (error) {
-    console.error('Webhook processing error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Webhook processing failed'
-    });
-  }
-});
+/**
+ * @route   POST /api/payments/webhook
+ * @desc    Handle legacy Paystack webhook (deprecated, use /webhook/paystack)
+ * @access  Public (but verified)
+ */
+router.post('/webhook', webhookRateLimit, handleGatewayWebhook('paystack'));
 
 /**
  * @route   GET /api/payments/history
@@ -316,7 +415,7 @@ router.get('/history', [
       .withMessage('Limit must be between 1 and 100'),
     query('status')
       .optional()
-      .isIn(['pending', 'successful', 'failed', 'cancelled'])
+      .isIn(['pending', 'processing', 'success', 'failed', 'cancelled', 'refunded'])
       .withMessage('Invalid status')
   ]
 ], async (req, res) => {
@@ -491,7 +590,7 @@ router.post('/:id/refund', [
     const { reason } = req.body;
 
     // Process refund
-    const result = await paymentService.processRefund(id, reason);
+    const result = await paymentService.processRefund(id, reason, req.user.id);
 
     res.json({
       success: true,
@@ -508,6 +607,96 @@ router.post('/:id/refund', [
   }
 });
 
+/**
+ * @route   GET /api/payments/receipts/verify/:reference
+ * @desc    Check that a receipt's verification code is genuine
+ * @access  Public
+ */
+router.get('/receipts/verify/:reference', [
+  [
+    param('reference')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Receipt number is required'),
+    query('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Verification code is required')
+  ]
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await receiptService.verify(req.params.reference, req.query.code);
+
+    res.status(result.valid ? 200 : 404).json({
+      success: result.valid,
+      message: result.valid
+        ? 'This receipt is genuine'
+        : 'No receipt matches this receipt number and verification code',
+      data: result.valid ? { receipt: result.receipt } : undefined
+    });
+
+  } catch (error) {
+    console.error('Receipt verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify receipt'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/payments/:id/receipt
+ * @desc    Download a PDF receipt for a successful payment
+ * @access  Private
+ */
+router.get('/:id/receipt', [
+  auth,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Valid payment ID is required')
+  ]
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await receiptService.getForUser(req.params.id, req.user);
+    const pdf = await receiptService.renderPdf(payment);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="receipt-${payment.internalReference}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Receipt download error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to generate receipt'
+    });
+  }
+});
+
 /**
  * @route   GET /api/payments/:id
  * @desc    Get payment details
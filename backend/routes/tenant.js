@@ -0,0 +1,28 @@
+const express = require('express');
+const tenantService = require('../services/tenantService');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/tenant
+ * @desc    Get the institution's name, branding, levels and ID formats
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const profile = await tenantService.getProfile();
+
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    console.error('Get tenant profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch institution details'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,17 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
-const { auth } = require('../middleware/auth');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { resolveEdition } = require('../middleware/edition');
+const {
+  enforceMaintenanceMode,
+  enforceVotingEnabled,
+  enforceMaxVotesPerUser
+} = require('../middleware/settings');
 const Vote = require('../models/Vote');
 const Nominee = require('../models/Nominee');
 const Category = require('../models/Category');
+const resultsVisibilityService = require('../services/resultsVisibilityService');
+const eligibilityService = require('../services/eligibilityService');
 const mongoose = require('mongoose');
 
 const router = express.Router();
@@ -15,6 +23,9 @@ const router = express.Router();
  */
 router.post('/', [
   auth,
+  enforceMaintenanceMode,
+  enforceVotingEnabled,
+  enforceMaxVotesPerUser,
   [
     body('nominee')
       .isMongoId()
@@ -22,7 +33,16 @@ router.post('/', [
     body('category')
       .isMongoId()
       .withMessage('Valid category ID is required'),
+    body('quantity')
+      .optional()
+      .isInt({ min: 1, max: Vote.MAX_VOTES_PER_PURCHASE })
+      .withMessage(`Quantity must be between 1 and ${Vote.MAX_VOTES_PER_PURCHASE}`),
+    body('pricingTierId')
+      .optional({ nullable: true, checkFalsy: true })
+      .isMongoId()
+      .withMessage('Invalid pricing tier'),
     body('amount')
+      .optional()
       .isFloat({ min: 0 })
       .withMessage('Amount must be a positive number')
   ]
@@ -37,7 +57,8 @@ router.post('/', [
       });
     }
 
-    const { nominee, category, amount } = req.body;
+    const { nominee, category, pricingTierId } = req.body;
+    const quantity = parseInt(req.body.quantity) || 1;
     const userId = req.user.id;
 
     // Check if category exists and is active
@@ -49,10 +70,22 @@ router.post('/', [
       });
     }
 
-    if (!categoryDoc.isActive) {
+    // Votes are only taken while the category is in its voting stage and window
+    const votingClosedReason = categoryDoc.votingClosedReason();
+    if (votingClosedReason) {
       return res.status(400).json({
         success: false,
-        message: 'Voting is not active for this category'
+        message: votingClosedReason
+      });
+    }
+
+    // Some categories limit voting to eligible students
+    const eligibility = eligibilityService.forVoting(categoryDoc, req.user);
+    if (!eligibility.eligible) {
+      return res.status(403).json({
+        success: false,
+        message: `Not eligible to vote in ${categoryDoc.name}: ${eligibility.reasons.map(item => item.message).join('; ')}`,
+        reasons: eligibility.reasons
       });
     }
 
@@ -79,6 +112,13 @@ router.post('/', [
       });
     }
 
+    if (nomineeDoc.isDisqualified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nominee has been disqualified'
+      });
+    }
+
     // Check if user has already voted in this category
     const existingVote = await Vote.findOne({
       voter: userId,
@@ -93,12 +133,30 @@ router.post('/', [
       });
     }
 
+    const quote = categoryDoc.quotePrice({ quantity, pricingTierId });
+    if (req.body.amount !== undefined && Number(req.body.amount) !== quote.amount) {
+      return res.status(400).json({
+        success: false,
+        message: `${quote.quantity} vote(s) in this category cost ₦${quote.amount}`
+      });
+    }
+
+    if (req.votesRemaining !== undefined && quote.quantity > req.votesRemaining) {
+      return res.status(403).json({
+        success: false,
+        message: `You can only cast ${req.votesRemaining} more vote(s)`
+      });
+    }
+
     // Create the vote
     const vote = new Vote({
       voter: userId,
       nominee: nominee,
       category: category,
-      amount: amount,
+      quantity: quote.quantity,
+      unitPrice: quote.unitPrice,
+      pricingTier: quote.pricingTier || undefined,
+      amount: quote.amount,
       status: 'pending',
       paymentStatus: 'pending'
     });
@@ -119,9 +177,9 @@ router.post('/', [
 
   } catch (error) {
     console.error('Create vote error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to create vote'
+      message: error.statusCode ? error.message : 'Failed to create vote'
     });
   }
 });
@@ -201,7 +259,7 @@ router.get('/my-votes', [
       {
         $group: {
           _id: '$status',
-          count: { $sum: 1 },
+          count: { $sum: '$quantity' },
           totalAmount: { $sum: '$amount' }
         }
       }
@@ -237,6 +295,7 @@ router.get('/my-votes', [
  * @access  Public
  */
 router.get('/category/:categoryId/counts', [
+  optionalAuth,
   [
     param('categoryId')
       .isMongoId()
@@ -264,6 +323,16 @@ router.get('/category/:categoryId/counts', [
       });
     }
 
+    const access = resultsVisibilityService.accessFor(category, req.user);
+    if (access.level === 'hidden') {
+      return res.json({
+        success: true,
+        message: 'Results are hidden until the reveal',
+        data: {},
+        resultsVisibility: access
+      });
+    }
+
     // Get vote counts for each nominee in this category
     const voteCounts = await Vote.aggregate([
       {
@@ -275,7 +344,7 @@ router.get('/category/:categoryId/counts', [
       {
         $group: {
           _id: '$nominee',
-          count: { $sum: 1 },
+          count: { $sum: '$quantity' },
           totalAmount: { $sum: '$amount' }
         }
       },
@@ -290,6 +359,10 @@ router.get('/category/:categoryId/counts', [
       {
         $unwind: '$nominee'
       },
+      {
+        // Disqualified nominees drop out of the ranking
+        $match: { 'nominee.isDisqualified': { $ne: true } }
+      },
       {
         $project: {
           nomineeId: '$_id',
@@ -300,22 +373,30 @@ router.get('/category/:categoryId/counts', [
             student: '$nominee.student'
           }
         }
+      },
+      {
+        $sort: { count: -1, totalAmount: -1 }
       }
     ]);
 
     // Convert to object format for easy lookup
     const countsMap = {};
-    voteCounts.forEach(item => {
-      countsMap[item.nomineeId] = {
+    voteCounts.forEach((item, index) => {
+      const entry = {
         count: item.count,
-        totalAmount: item.totalAmount
+        totalAmount: item.totalAmount,
+        rank: index + 1
       };
+      countsMap[item.nomineeId] = access.level === 'ranks'
+        ? resultsVisibilityService.stripCounts(entry)
+        : entry;
     });
 
     res.json({
       success: true,
       message: 'Vote counts retrieved successfully',
-      data: countsMap
+      data: countsMap,
+      resultsVisibility: access
     });
 
   } catch (error) {
@@ -334,6 +415,7 @@ router.get('/category/:categoryId/counts', [
  * @access  Public
  */
 router.get('/category/:categoryId/results', [
+  optionalAuth,
   [
     param('categoryId')
       .isMongoId()
@@ -367,6 +449,28 @@ router.get('/category/:categoryId/results', [
       });
     }
 
+    const access = resultsVisibilityService.accessFor(category, req.user);
+    const categorySummary = {
+      _id: category._id,
+      name: category.name,
+      description: category.description,
+      icon: category.icon,
+      color: category.color,
+      isVotingActive: category.isVotingActive
+    };
+
+    if (access.level === 'hidden') {
+      return res.json({
+        success: true,
+        data: {
+          category: categorySummary,
+          results: [],
+          statistics: null,
+          resultsVisibility: access
+        }
+      });
+    }
+
     // Get voting results
     const results = await Vote.aggregate([
       {
@@ -378,7 +482,7 @@ router.get('/category/:categoryId/results', [
       {
         $group: {
           _id: '$nominee',
-          totalVotes: { $sum: 1 },
+          totalVotes: { $sum: '$quantity' },
           totalRevenue: { $sum: '$amount' },
           uniqueVoters: { $addToSet: '$voter' },
           averageVoteValue: { $avg: '$amount' },
@@ -396,6 +500,10 @@ router.get('/category/:categoryId/results', [
       {
         $unwind: '$nominee'
       },
+      {
+        // Disqualified nominees drop out of the ranking
+        $match: { 'nominee.isDisqualified': { $ne: true } }
+      },
       {
         $lookup: {
           from: 'users',
@@ -456,7 +564,7 @@ router.get('/category/:categoryId/results', [
       {
         $group: {
           _id: null,
-          totalVotes: { $sum: 1 },
+          totalVotes: { $sum: '$quantity' },
           totalRevenue: { $sum: '$amount' },
           uniqueVoters: { $addToSet: '$voter' },
           uniqueNominees: { $addToSet: '$nominee' },
@@ -482,16 +590,10 @@ router.get('/category/:categoryId/results', [
     res.json({
       success: true,
       data: {
-        category: {
-          _id: category._id,
-          name: category.name,
-          description: category.description,
-          icon: category.icon,
-          color: category.color,
-          isVotingActive: category.isVotingActive
-        },
-        results: rankedResults,
-        statistics: stats
+        category: categorySummary,
+        results: resultsVisibilityService.applyToRanking(rankedResults, access),
+        statistics: access.level === 'full' ? stats : null,
+        resultsVisibility: access
       }
     });
 
@@ -510,6 +612,7 @@ router.get('/category/:categoryId/results', [
  * @access  Public
  */
 router.get('/nominee/:nomineeId/stats', [
+  optionalAuth,
   [
     param('nomineeId')
       .isMongoId()
@@ -532,7 +635,7 @@ router.get('/nominee/:nomineeId/stats', [
     // Check if nominee exists
     const nominee = await Nominee.findById(nomineeId)
       .populate('student', 'firstName lastName profilePicture')
-      .populate('category', 'name description');
+      .populate('category', 'name description resultsVisibility votingSettings.endDate lifecycleStage');
 
     if (!nominee) {
       return res.status(404).json({
@@ -541,6 +644,32 @@ router.get('/nominee/:nomineeId/stats', [
       });
     }
 
+    const access = resultsVisibilityService.accessFor(nominee.category, req.user);
+    const nomineeSummary = {
+      _id: nominee._id,
+      student: nominee.student,
+      category: {
+        _id: nominee.category._id,
+        name: nominee.category.name,
+        description: nominee.category.description
+      },
+      reason: nominee.reason,
+      achievements: nominee.achievements
+    };
+
+    if (access.level === 'hidden') {
+      return res.json({
+        success: true,
+        data: {
+          nominee: nomineeSummary,
+          statistics: null,
+          voteDistribution: [],
+          votesOverTime: [],
+          resultsVisibility: access
+        }
+      });
+    }
+
     // Get detailed voting statistics
     const stats = await Vote.aggregate([
       {
@@ -552,7 +681,7 @@ router.get('/nominee/:nomineeId/stats', [
       {
         $group: {
           _id: null,
-          totalVotes: { $sum: 1 },
+          totalVotes: { $sum: '$quantity' },
           totalRevenue: { $sum: '$amount' },
           uniqueVoters: { $addToSet: '$voter' },
           averageVoteValue: { $avg: '$amount' },
@@ -599,7 +728,7 @@ router.get('/nominee/:nomineeId/stats', [
               date: '$createdAt'
             }
           },
-          votes: { $sum: 1 },
+          votes: { $sum: '$quantity' },
           revenue: { $sum: '$amount' }
         }
       },
@@ -619,7 +748,7 @@ router.get('/nominee/:nomineeId/stats', [
       {
         $group: {
           _id: '$nominee',
-          totalVotes: { $sum: 1 },
+          totalVotes: { $sum: '$quantity' },
           totalRevenue: { $sum: '$amount' }
         }
       },
@@ -656,19 +785,16 @@ router.get('/nominee/:nomineeId/stats', [
       totalNomineesInCategory: categoryRanking.length
     };
 
+    const showCounts = access.level === 'full';
+
     res.json({
       success: true,
       data: {
-        nominee: {
-          _id: nominee._id,
-          student: nominee.student,
-          category: nominee.category,
-          reason: nominee.reason,
-          achievements: nominee.achievements
-        },
-        statistics: nomineeStats,
-        voteDistribution,
-        votesOverTime
+        nominee: nomineeSummary,
+        statistics: showCounts ? nomineeStats : resultsVisibilityService.stripCounts(nomineeStats),
+        voteDistribution: showCounts ? voteDistribution : [],
+        votesOverTime: showCounts ? votesOverTime : [],
+        resultsVisibility: access
       }
     });
 
@@ -683,10 +809,12 @@ router.get('/nominee/:nomineeId/stats', [
 
 /**
  * @route   GET /api/votes/leaderboard
- * @desc    Get overall leaderboard across all categories
+ * @desc    Get overall leaderboard across the edition's categories
  * @access  Public
  */
 router.get('/leaderboard', [
+  optionalAuth,
+  resolveEdition,
   [
     query('limit')
       .optional()
@@ -712,6 +840,12 @@ router.get('/leaderboard', [
     const limit = parseInt(req.query.limit) || 50;
     const { category } = req.query;
 
+    // Categories under embargo are left out; ranks-only ones lose their totals below
+    const restricted = await resultsVisibilityService.getRestrictedCategories(req.user);
+    const hiddenIds = [...restricted.values()]
+      .filter(item => item.level === 'hidden')
+      .map(item => item.categoryId);
+
     // Build match stage
     const matchStage = {
       status: 'verified'
@@ -719,6 +853,24 @@ router.get('/leaderboard', [
 
     if (category) {
       matchStage.category = new mongoose.Types.ObjectId(category);
+    } else if (req.edition) {
+      matchStage.edition = req.edition._id;
+    }
+
+    if (category && restricted.get(category)?.level === 'hidden') {
+      return res.json({
+        success: true,
+        data: {
+          leaderboard: [],
+          totalEntries: 0,
+          resultsVisibility: restricted.get(category),
+          restrictedCategories: [...restricted.values()]
+        }
+      });
+    }
+
+    if (!category && hiddenIds.length > 0) {
+      matchStage.category = { $nin: hiddenIds };
     }
 
     // Get leaderboard
@@ -730,7 +882,7 @@ router.get('/leaderboard', [
             nominee: '$nominee',
             category: '$category'
           },
-          totalVotes: { $sum: 1 },
+          totalVotes: { $sum: '$quantity' },
           totalRevenue: { $sum: '$amount' },
           uniqueVoters: { $addToSet: '$voter' },
           averageVoteValue: { $avg: '$amount' },
@@ -748,6 +900,10 @@ router.get('/leaderboard', [
       {
         $unwind: '$nominee'
       },
+      {
+        // Disqualified nominees drop out of the ranking
+        $match: { 'nominee.isDisqualified': { $ne: true } }
+      },
       {
         $lookup: {
           from: 'users',
@@ -806,16 +962,22 @@ router.get('/leaderboard', [
     ]);
 
     // Add ranking
-    const rankedLeaderboard = leaderboard.map((entry, index) => ({
-      ...entry,
-      rank: index + 1
-    }));
+    const rankedLeaderboard = leaderboard.map((entry, index) => {
+      const ranked = { ...entry, rank: index + 1 };
+      return restricted.has(entry.category._id.toString())
+        ? resultsVisibilityService.stripCounts(ranked)
+        : ranked;
+    });
 
     res.json({
       success: true,
       data: {
         leaderboard: rankedLeaderboard,
-        totalEntries: leaderboard.length
+        totalEntries: leaderboard.length,
+        resultsVisibility: category
+          ? restricted.get(category) || { level: 'full' }
+          : undefined,
+        restrictedCategories: [...restricted.values()]
       }
     });
 
@@ -830,10 +992,12 @@ router.get('/leaderboard', [
 
 /**
  * @route   GET /api/votes/stats
- * @desc    Get general voting statistics
+ * @desc    Get general voting statistics for an edition
  * @access  Public
  */
 router.get('/stats', [
+  optionalAuth,
+  resolveEdition,
   [
     query('category')
       .optional()
@@ -853,9 +1017,20 @@ router.get('/stats', [
 
     const { category } = req.query;
     const matchCondition = { status: 'verified' };
-    
+
+    // Statistics only cover categories whose counts are public
+    const restricted = await resultsVisibilityService.getRestrictedCategories(req.user);
+    const restrictedIds = [...restricted.values()].map(item => item.categoryId);
+
     if (category) {
-      matchCondition.category = new mongoose.Types.ObjectId(category);
+      matchCondition.category = restricted.has(category)
+        ? { $in: [] }
+        : new mongoose.Types.ObjectId(category);
+    } else if (restrictedIds.length > 0) {
+      matchCondition.category = { $nin: restrictedIds };
+    }
+    if (!category && req.edition) {
+      matchCondition.edition = req.edition._id;
     }
 
     // Get overall statistics
@@ -866,7 +1041,7 @@ router.get('/stats', [
         {
           $group: {
             _id: null,
-            totalVotes: { $sum: 1 },
+            totalVotes: { $sum: '$quantity' },
             totalRevenue: { $sum: '$amount' },
             uniqueVoters: { $addToSet: '$voter' },
             averageVoteValue: { $avg: '$amount' }
@@ -880,7 +1055,7 @@ router.get('/stats', [
         {
           $group: {
             _id: '$category',
-            totalVotes: { $sum: 1 },
+            totalVotes: { $sum: '$quantity' },
             totalRevenue: { $sum: '$amount' },
             uniqueVoters: { $addToSet: '$voter' }
           }
@@ -911,7 +1086,7 @@ router.get('/stats', [
         {
           $group: {
             _id: '$nominee',
-            voteCount: { $sum: 1 },
+            voteCount: { $sum: '$quantity' },
             totalRevenue: { $sum: '$amount' }
           }
         }
@@ -1006,7 +1181,7 @@ router.get('/stats/admin', [
       {
         $group: {
           _id: null,
-          totalVotes: { $sum: 1 },
+          totalVotes: { $sum: '$quantity' },
           totalRevenue: { $sum: '$amount' },
           uniqueVoters: { $addToSet: '$voter' },
           uniqueNominees: { $addToSet: '$nominee' },
@@ -1022,7 +1197,7 @@ router.get('/stats/admin', [
       {
         $group: {
           _id: '$category',
-          totalVotes: { $sum: 1 },
+          totalVotes: { $sum: '$quantity' },
           totalRevenue: { $sum: '$amount' },
           uniqueVoters: { $addToSet: '$voter' },
           uniqueNominees: { $addToSet: '$nominee' },
@@ -1070,7 +1245,7 @@ router.get('/stats/admin', [
               date: '$createdAt'
             }
           },
-          votes: { $sum: 1 },
+          votes: { $sum: '$quantity' },
           revenue: { $sum: '$amount' },
           uniqueVoters: { $addToSet: '$voter' }
         }
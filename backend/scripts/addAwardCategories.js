@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Category = require('../models/Category');
+const Edition = require('../models/Edition');
 const User = require('../models/User');
 require('dotenv').config();
 
@@ -129,6 +130,14 @@ async function addAwardCategories() {
 
     console.log(`Using admin user: ${adminUser.firstName} ${adminUser.lastName}`);
 
+    // Categories belong to the active edition
+    const edition = await Edition.getActive();
+    if (!edition) {
+      console.log('No active edition found. Run "npm run migrate:editions" to create one.');
+      return;
+    }
+    console.log(`Adding categories to edition: ${edition.name}`);
+
     // Set voting dates (start in 1 week, end in 1 month)
     const startDate = new Date();
     startDate.setDate(startDate.getDate() + 7); // Start in 1 week
@@ -142,8 +151,9 @@ async function addAwardCategories() {
     for (let i = 0; i < awardCategories.length; i++) {
       const categoryData = awardCategories[i];
       
-      // Check if category already exists
+      // Check if category already exists in this edition
       const existingCategory = await Category.findOne({
+        edition: edition._id,
         name: { $regex: new RegExp(`^${categoryData.name}$`, 'i') }
       });
 
@@ -178,6 +188,7 @@ async function addAwardCategories() {
         maxNominees: 50,
         isActive: true,
         featured: false,
+        edition: edition._id,
         createdBy: adminUser._id
       });
 
@@ -0,0 +1,53 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+
+const NOMINATION_LEAD_DAYS = 7;
+
+// Categories created before the lifecycle existed have no stage, and would
+// load as drafts. Place them in the stage their voting dates imply, and keep
+// the old rule of closing nominations a week before voting starts
+async function backfillCategoryLifecycle() {
+  const mongoURI = process.env.MONGODB_URI;
+
+  try {
+    await mongoose.connect(mongoURI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+      serverSelectionTimeoutMS: 5000,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const now = new Date();
+    const categories = await Category.collection
+      .find({ lifecycleStage: { $exists: false } })
+      .project({ votingSettings: 1, nominationSettings: 1 })
+      .toArray();
+
+    for (const category of categories) {
+      const { startDate, endDate } = category.votingSettings || {};
+      let stage = 'nominations';
+      if (endDate && now > endDate) stage = 'closed';
+      else if (startDate && now >= startDate) stage = 'voting';
+
+      const update = { lifecycleStage: stage };
+      if (!category.nominationSettings?.endDate && startDate) {
+        update['nominationSettings.endDate'] = new Date(startDate.getTime() - NOMINATION_LEAD_DAYS * 24 * 60 * 60 * 1000);
+      }
+
+      await Category.collection.updateOne({ _id: category._id }, { $set: update });
+    }
+    console.log(`✅ Set lifecycle stage on ${categories.length} category(ies)`);
+
+    console.log('Done.');
+  } catch (err) {
+    console.error('❌ Error backfilling category lifecycle:', err);
+  } finally {
+    try {
+      await mongoose.connection.close();
+      console.log('🔌 Disconnected from MongoDB');
+    } catch {}
+  }
+}
+
+backfillCategoryLifecycle();
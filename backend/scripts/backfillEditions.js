@@ -0,0 +1,73 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Edition = require('../models/Edition');
+const Category = require('../models/Category');
+const Nominee = require('../models/Nominee');
+const Vote = require('../models/Vote');
+const Payment = require('../models/Payment');
+
+// Data created before editions existed belongs to no edition. Put it all in
+// one edition (the active one, or a new one for the current year) and swap
+// the old globally unique category name/slug indexes for per-edition ones.
+// Usage: node scripts/backfillEditions.js ["Edition name"]
+async function backfillEditions() {
+  const mongoURI = process.env.MONGODB_URI;
+
+  try {
+    await mongoose.connect(mongoURI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+      serverSelectionTimeoutMS: 5000,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    let edition = await Edition.getActive();
+    if (!edition) {
+      const year = new Date().getFullYear();
+      edition = await Edition.create({
+        name: process.argv[2] || `${year} Awards`,
+        year,
+        status: 'active',
+        activatedAt: new Date()
+      });
+      console.log(`✅ Created active edition "${edition.name}"`);
+    } else {
+      console.log(`Using active edition "${edition.name}"`);
+    }
+
+    const unassigned = { $or: [{ edition: { $exists: false } }, { edition: null }] };
+    const categories = await Category.updateMany(unassigned, { $set: { edition: edition._id } });
+    console.log(`✅ Assigned ${categories.modifiedCount} category(ies)`);
+
+    // Everything else takes the edition of its category
+    const categoryEditions = await Category.find({ edition: { $ne: null } }).select('edition').lean();
+    const counts = { nominees: 0, votes: 0, payments: 0 };
+    for (const category of categoryEditions) {
+      const update = { $set: { edition: category.edition } };
+      const [nominees, votes, payments] = await Promise.all([
+        Nominee.updateMany({ ...unassigned, category: category._id }, update),
+        Vote.updateMany({ ...unassigned, category: category._id }, update),
+        Payment.updateMany({ ...unassigned, 'metadata.category': category._id }, update)
+      ]);
+      counts.nominees += nominees.modifiedCount;
+      counts.votes += votes.modifiedCount;
+      counts.payments += payments.modifiedCount;
+    }
+    console.log(`✅ Assigned ${counts.nominees} nominee(s), ${counts.votes} vote(s) and ${counts.payments} payment(s)`);
+
+    await Category.syncIndexes();
+    await Promise.all([Edition, Nominee, Vote, Payment].map(Model => Model.createIndexes()));
+    console.log('✅ Synced indexes');
+
+    console.log('Done.');
+  } catch (err) {
+    console.error('❌ Error backfilling editions:', err);
+  } finally {
+    try {
+      await mongoose.connection.close();
+      console.log('🔌 Disconnected from MongoDB');
+    } catch {}
+  }
+}
+
+backfillEditions();
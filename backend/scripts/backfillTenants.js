@@ -0,0 +1,83 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+
+// Models whose documents belong to a tenant
+const SCOPED_MODELS = [
+  'ApiKey',
+  'Category',
+  'Department',
+  'Edition',
+  'EmailMessage',
+  'Faculty',
+  'Nominee',
+  'Payment',
+  'PromoCode',
+  'PromoRedemption',
+  'ReconciliationReport',
+  'StudentRecord',
+  'Settings',
+  'SettingsRevision',
+  'User',
+  'Vote',
+  'WebhookEvent'
+].map(name => require(`../models/${name}`));
+
+// Data created before multi-tenant mode belongs to no tenant. Give all of it
+// to one tenant (created if missing) and swap the globally unique indexes
+// (user emails and student IDs, promo codes, settings, faculty and department
+// names) for per-tenant ones.
+// Usage: node scripts/backfillTenants.js <slug> ["Institution name"]
+async function backfillTenants() {
+  const mongoURI = process.env.MONGODB_URI;
+  const [slug, name] = process.argv.slice(2);
+
+  if (!slug) {
+    console.error('Usage: node scripts/backfillTenants.js <slug> ["Institution name"]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(mongoURI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+      serverSelectionTimeoutMS: 5000,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    let tenant = await Tenant.findOne({ slug: slug.toLowerCase() });
+    if (!tenant) {
+      tenant = await Tenant.create({
+        slug,
+        name: name || slug.toUpperCase(),
+        branding: name ? { siteName: name } : {}
+      });
+      console.log(`✅ Created tenant "${tenant.slug}"`);
+    } else {
+      console.log(`Using tenant "${tenant.slug}" (${tenant.name})`);
+    }
+
+    // `tenant` is immutable, so it is set on the collections directly
+    const unassigned = { $or: [{ tenant: { $exists: false } }, { tenant: null }] };
+    for (const Model of SCOPED_MODELS) {
+      const result = await Model.collection.updateMany(unassigned, { $set: { tenant: tenant._id } });
+      console.log(`✅ ${Model.modelName}: assigned ${result.modifiedCount} document(s)`);
+    }
+
+    for (const Model of SCOPED_MODELS) {
+      await Model.syncIndexes();
+    }
+    console.log('✅ Synced indexes');
+
+    console.log('Done. Set MULTI_TENANT=true to serve requests per tenant.');
+  } catch (err) {
+    console.error('❌ Error backfilling tenants:', err);
+  } finally {
+    try {
+      await mongoose.connection.close();
+      console.log('🔌 Disconnected from MongoDB');
+    } catch {}
+  }
+}
+
+backfillTenants();
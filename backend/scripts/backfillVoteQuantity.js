@@ -0,0 +1,42 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Vote = require('../models/Vote');
+const Payment = require('../models/Payment');
+
+// Votes cast before bulk purchases existed have no quantity; results
+// aggregations sum `quantity`, so give them a weight of one
+async function backfillVoteQuantity() {
+  const mongoURI = process.env.MONGODB_URI;
+
+  try {
+    await mongoose.connect(mongoURI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+      serverSelectionTimeoutMS: 5000,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const votes = await Vote.updateMany(
+      { quantity: { $exists: false } },
+      [{ $set: { quantity: 1, unitPrice: '$amount' } }]
+    );
+    console.log(`✅ Set quantity on ${votes.modifiedCount} vote(s)`);
+
+    const payments = await Payment.updateMany(
+      { 'metadata.quantity': { $exists: false } },
+      { $set: { 'metadata.quantity': 1 } }
+    );
+    console.log(`✅ Set quantity on ${payments.modifiedCount} payment(s)`);
+
+    console.log('Done.');
+  } catch (err) {
+    console.error('❌ Error backfilling vote quantity:', err);
+  } finally {
+    try {
+      await mongoose.connection.close();
+      console.log('🔌 Disconnected from MongoDB');
+    } catch {}
+  }
+}
+
+backfillVoteQuantity();
@@ -0,0 +1,58 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Edition = require('../models/Edition');
+const User = require('../models/User');
+const editionService = require('../services/editionService');
+
+// Start a new edition from last year's categories.
+// Usage: node scripts/cloneEdition.js <from> <to> ["New edition name"]
+// <from> and <to> are edition IDs, slugs or years. When <to> is a year with
+// no edition yet, an upcoming edition is created for it
+async function cloneEdition() {
+  const [from, to, name] = process.argv.slice(2);
+  if (!from || !to) {
+    console.error('Usage: node scripts/cloneEdition.js <from> <to> ["New edition name"]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+      serverSelectionTimeoutMS: 5000,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const adminUser = await User.findOne({ role: 'admin' });
+    if (!adminUser) {
+      throw new Error('No admin user found. Run "npm run seed:admin" first');
+    }
+
+    let target = await Edition.findByRef(to);
+    if (!target && /^\d{4}$/.test(to)) {
+      target = await Edition.create({
+        name: name || `${to} Awards`,
+        year: Number(to),
+        createdBy: adminUser._id
+      });
+      console.log(`✅ Created upcoming edition "${target.name}"`);
+    }
+    if (!target) {
+      throw new Error(`Edition "${to}" not found`);
+    }
+
+    const { source, created, skipped } = await editionService.cloneCategories(from, target._id, adminUser);
+    console.log(`✅ Copied ${created.length} category(ies) from "${source.name}" to "${target.name}"`);
+    skipped.forEach(categoryName => console.log(`⚠️  "${categoryName}" already exists, skipped`));
+    console.log('New categories are drafts; review their dates before opening nominations.');
+  } catch (err) {
+    console.error('❌ Error cloning edition:', err.message);
+  } finally {
+    try {
+      await mongoose.connection.close();
+      console.log('🔌 Disconnected from MongoDB');
+    } catch {}
+  }
+}
+
+cloneEdition();
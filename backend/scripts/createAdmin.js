@@ -1,9 +1,14 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const Tenant = require('../models/Tenant');
+const tenantContext = require('../services/tenantContext');
 
+// Usage: node scripts/createAdmin.js [tenant-slug]
+// In multi-tenant mode pass the slug of the institution the admin belongs to
 async function createAdmin() {
   const mongoURI = process.env.MONGODB_URI;
+  const tenantSlug = process.argv[2];
 
   try {
     await mongoose.connect(mongoURI, {
@@ -15,38 +20,11 @@ async function createAdmin() {
     });
     console.log('✅ Connected to MongoDB');
 
-    const email = process.env.ADMIN_EMAIL || 'admin@sandwichaward.com';
-    const plainPassword = process.env.ADMIN_PASSWORD || 'admin123';
-
-    let adminUser = await User.findOne({ email });
-
-    if (adminUser) {
-      // Ensure admin role and active/verified flags
-      adminUser.role = 'admin';
-      adminUser.isActive = true;
-      adminUser.isVerified = true;
-      // Always set the password in plaintext; model pre-save hook will hash it
-      adminUser.password = plainPassword;
-      await adminUser.save();
-      console.log(`ℹ️ Admin user already existed. Ensured role, status, and password for ${email}.`);
-    } else {
-      adminUser = new User({
-        firstName: 'System',
-        lastName: 'Administrator',
-        email,
-        // Set plaintext; User model pre-save hook hashes it
-        password: plainPassword,
-        role: 'admin',
-        isActive: true,
-        isVerified: true,
-        phoneNumber: '+2348000000000',
-        isStudent: false,
-      });
-      await adminUser.save();
-      console.log(`✅ Created admin user: ${email} (password: ${plainPassword})`);
+    const tenant = tenantSlug ? await Tenant.findOne({ slug: tenantSlug.toLowerCase() }) : null;
+    if (tenantSlug && !tenant) {
+      throw new Error(`Tenant "${tenantSlug}" not found`);
     }
-
-    console.log('Done.');
+    await tenantContext.run(tenant, () => upsertAdmin());
   } catch (err) {
     console.error('❌ Error creating admin user:', err);
   } finally {
@@ -57,4 +35,39 @@ async function createAdmin() {
   }
 }
 
+async function upsertAdmin() {
+  const email = process.env.ADMIN_EMAIL || 'admin@sandwichaward.com';
+  const plainPassword = process.env.ADMIN_PASSWORD || 'admin123';
+
+  let adminUser = await User.findOne({ email });
+
+  if (adminUser) {
+    // Ensure admin role and active/verified flags
+    adminUser.role = 'admin';
+    adminUser.isActive = true;
+    adminUser.isVerified = true;
+    // Always set the password in plaintext; model pre-save hook will hash it
+    adminUser.password = plainPassword;
+    await adminUser.save();
+    console.log(`ℹ️ Admin user already existed. Ensured role, status, and password for ${email}.`);
+  } else {
+    adminUser = new User({
+      firstName: 'System',
+      lastName: 'Administrator',
+      email,
+      // Set plaintext; User model pre-save hook hashes it
+      password: plainPassword,
+      role: 'admin',
+      isActive: true,
+      isVerified: true,
+      phoneNumber: process.env.ADMIN_PHONE || '+2348000000000',
+      isStudent: false,
+    });
+    await adminUser.save();
+    console.log(`✅ Created admin user: ${email} (password: ${plainPassword})`);
+  }
+
+  console.log('Done.');
+}
+
 createAdmin();
\ No newline at end of file
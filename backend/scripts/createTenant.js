@@ -0,0 +1,55 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+
+// Add an institution to a multi-tenant portal. Its levels and ID formats
+// start out as the defaults and its faculties and departments as the default
+// catalog; admins change them under /api/admin/tenant and
+// /api/admin/faculties once the institution's first admin exists.
+// Usage: node scripts/createTenant.js <slug> "<Institution name>" [domain ...]
+async function createTenant() {
+  const mongoURI = process.env.MONGODB_URI;
+  const [slug, name, ...domains] = process.argv.slice(2);
+
+  if (!slug || !name) {
+    console.error('Usage: node scripts/createTenant.js <slug> "<Institution name>" [domain ...]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(mongoURI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+      serverSelectionTimeoutMS: 5000,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const existing = await Tenant.findOne({ slug: slug.toLowerCase() });
+    if (existing) {
+      console.log(`ℹ️ Tenant "${existing.slug}" already exists (${existing.name})`);
+      return;
+    }
+
+    const tenant = await Tenant.create({
+      slug,
+      name,
+      domains,
+      branding: { siteName: name }
+    });
+
+    console.log(`✅ Created tenant "${tenant.slug}" (${tenant.name})`);
+    if (domains.length > 0) {
+      console.log(`   Domains: ${tenant.domains.join(', ')}`);
+    }
+    console.log(`   Clients can also select it with the header "X-Tenant: ${tenant.slug}"`);
+  } catch (err) {
+    console.error('❌ Error creating tenant:', err);
+  } finally {
+    try {
+      await mongoose.connection.close();
+      console.log('🔌 Disconnected from MongoDB');
+    } catch {}
+  }
+}
+
+createTenant();
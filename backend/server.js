@@ -10,6 +10,8 @@ require("dotenv").config();
 
 // Import middleware
 const errorHandler = require("./middleware/errorHandler");
+const { resolveTenant } = require("./middleware/tenant");
+const tenantService = require("./services/tenantService");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -52,14 +54,24 @@ const corsOptions = {
     ].filter(Boolean);
 
     if (allowedOrigins.includes(origin)) {
-      callback(null, true);
-    } else {
-      callback(new Error("Not allowed by CORS"));
+      return callback(null, true);
     }
+
+    // In multi-tenant mode each institution's own site is allowed too
+    tenantService
+      .isAllowedOrigin(origin)
+      .then((allowed) => {
+        if (allowed) {
+          callback(null, true);
+        } else {
+          callback(new Error("Not allowed by CORS"));
+        }
+      })
+      .catch(callback);
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "x-auth-token"],
+  allowedHeaders: ["Content-Type", "Authorization", "x-auth-token", "X-API-Key", "X-Device-Fingerprint", "X-Tenant"],
   optionsSuccessStatus: 204,
 };
 
@@ -71,7 +83,17 @@ app.options('*', cors(corsOptions));
 app.use(compression());
 
 // Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Keep the raw body so payment webhooks can verify gateway signatures
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments")) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 app.use(cookieParser());
 
@@ -119,9 +141,12 @@ const paymentLimiter = rateLimit({
 // Rate limiting
 // Apply general limiter to all API routes except auth (which has its own limiter)
 app.use("/api/categories", generalLimiter);
+app.use("/api/editions", generalLimiter);
+app.use("/api/faculties", generalLimiter);
 app.use("/api/nominees", generalLimiter);
 app.use("/api/votes", generalLimiter);
 app.use("/api/admin", generalLimiter);
+app.use("/api/integrations", generalLimiter);
 app.use("/api/auth", authLimiter);
 app.use("/api/payments", paymentLimiter);
 
@@ -172,13 +197,21 @@ app.get("/health", (req, res) => {
 // Serve static files for uploads
 app.use('/uploads', express.static('uploads'));
 
+// Work out which institution each API request is for (multi-tenant mode)
+app.use("/api", resolveTenant);
+
 // API routes
+app.use("/api/tenant", require("./routes/tenant"));
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/categories", require("./routes/categories"));
+app.use("/api/editions", require("./routes/editions"));
+app.use("/api/faculties", require("./routes/faculties"));
 app.use("/api/nominees", require("./routes/nominees"));
 app.use("/api/votes", require("./routes/votes"));
 app.use("/api/payments", require("./routes/payments"));
 app.use("/api/admin", require("./routes/admin"));
+app.use("/api/integrations", require("./routes/integrations"));
+app.use("/api/live", require("./routes/live"));
 
 // 404 handler for API routes
 app.use("/api/*", (req, res) => {
@@ -209,6 +242,7 @@ process.on("SIGINT", async () => {
   console.log("\n🔄 Received SIGINT. Graceful shutdown...");
 
   try {
+    require("./services/liveResultsService").closeAll();
     await mongoose.connection.close();
     console.log("✅ MongoDB connection closed");
     process.exit(0);
@@ -222,6 +256,7 @@ process.on("SIGTERM", async () => {
   console.log("\n🔄 Received SIGTERM. Graceful shutdown...");
 
   try {
+    require("./services/liveResultsService").closeAll();
     await mongoose.connection.close();
     console.log("✅ MongoDB connection closed");
     process.exit(0);
@@ -249,6 +284,15 @@ const startServer = async () => {
     // Connect to database first
     await connectDB();
 
+    // Settle payments whose webhook never arrived
+    require("./services/reconciliationService").start();
+
+    // Expire nominations their nominee never answered
+    require("./services/consentService").start();
+
+    // Retry emails that could not be delivered straight away
+    require("./services/emailService").start();
+
     // Start the server
     const server = app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
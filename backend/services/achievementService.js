@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+const Nominee = require('../models/Nominee');
+const documentService = require('./documentService');
+const { httpError } = require('../utils/helpers');
+
+const MAX_DOCUMENTS_PER_ACHIEVEMENT = 10;
+
+const sameDate = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+class AchievementService {
+  /**
+   * Fields a nominee may set on an achievement. Verification is left to admins
+   */
+  submittedFields(achievement = {}) {
+    return {
+      title: achievement.title,
+      description: achievement.description,
+      date: achievement.date
+    };
+  }
+
+  /**
+   * Replace a nominee's achievements with an edited list. Unchanged
+   * achievements keep their verification; edited ones must be verified
+   * again, and documents of removed ones are dropped. Returns the stored
+   * file names to delete once the nominee is saved
+   */
+  applyAchievementChanges(nominee, incoming = []) {
+    const current = new Map(nominee.achievements.map(achievement => [achievement._id.toString(), achievement]));
+
+    const achievements = incoming.map(item => {
+      const fields = this.submittedFields(item);
+      const existing = item._id && current.get(String(item._id));
+      if (!existing) return fields;
+
+      current.delete(String(item._id));
+      const unchanged = existing.title === fields.title &&
+        (existing.description || '') === (fields.description || '') &&
+        sameDate(existing.date, fields.date);
+      if (unchanged) return existing.toObject();
+
+      return {
+        _id: existing._id,
+        ...fields,
+        verificationStatus: nominee.achievementDocuments(existing._id).length > 0 ? 'pending' : 'unverified'
+      };
+    });
+
+    const removedIds = [...current.keys()];
+    const removedDocuments = nominee.supportingDocuments.filter(document =>
+      document.achievement && removedIds.includes(document.achievement.toString())
+    );
+    removedDocuments.forEach(document => document.deleteOne());
+    nominee.achievements = achievements;
+
+    return removedDocuments.map(document => document.storedName).filter(Boolean);
+  }
+
+  /**
+   * Achievements with their supporting documents, for the nominee or an admin
+   */
+  async listForNominee(nomineeId, user) {
+    const nominee = await this.findNominee(nomineeId, user);
+
+    return nominee.achievements.map(achievement => ({
+      ...achievement.toObject(),
+      documents: nominee.achievementDocuments(achievement._id).map(document => this.toPublic(document))
+    }));
+  }
+
+  /**
+   * Upload evidence for an achievement, sending it for verification
+   */
+  async attachDocuments(nomineeId, achievementId, files, user) {
+    const nominee = await this.findNominee(nomineeId, user);
+    const achievement = this.findAchievement(nominee, achievementId);
+
+    if (!files || files.length === 0) {
+      throw httpError('Select at least one file to upload', 400);
+    }
+    if (nominee.achievementDocuments(achievement._id).length + files.length > MAX_DOCUMENTS_PER_ACHIEVEMENT) {
+      throw httpError(`An achievement can have at most ${MAX_DOCUMENTS_PER_ACHIEVEMENT} documents`, 400);
+    }
+
+    const stored = await documentService.store(files);
+    const documents = stored.map(file => {
+      const _id = new mongoose.Types.ObjectId();
+      return {
+        _id,
+        ...file,
+        url: `/api/nominees/${nominee._id}/documents/${_id}`,
+        achievement: achievement._id,
+        uploadedBy: user._id
+      };
+    });
+
+    nominee.supportingDocuments.push(...documents);
+    if (achievement.verificationStatus !== 'verified') {
+      achievement.verificationStatus = 'pending';
+    }
+
+    try {
+      await nominee.save();
+    } catch (error) {
+      await Promise.all(stored.map(file => documentService.remove(file.storedName)));
+      throw error;
+    }
+
+    return {
+      achievement,
+      documents: nominee.achievementDocuments(achievement._id).map(document => this.toPublic(document))
+    };
+  }
+
+  /**
+   * A stored document and where to read it from
+   */
+  async getDocument(nomineeId, documentId, user) {
+    const nominee = await this.findNominee(nomineeId, user);
+    const document = nominee.supportingDocuments.id(documentId);
+    if (!document || !document.storedName) {
+      throw httpError('Document not found', 404);
+    }
+
+    return { document, filePath: documentService.pathFor(document.storedName) };
+  }
+
+  /**
+   * Delete a supporting document. An achievement left without evidence
+   * goes back to unverified unless it was already reviewed
+   */
+  async removeDocument(nomineeId, documentId, user) {
+    const nominee = await this.findNominee(nomineeId, user);
+    const document = nominee.supportingDocuments.id(documentId);
+    if (!document) {
+      throw httpError('Document not found', 404);
+    }
+
+    const { storedName, achievement: achievementId } = document;
+    document.deleteOne();
+
+    const achievement = achievementId && nominee.achievements.id(achievementId);
+    if (achievement && achievement.verificationStatus === 'pending' &&
+      nominee.achievementDocuments(achievementId).length === 0) {
+      achievement.verificationStatus = 'unverified';
+    }
+
+    await nominee.save();
+    if (storedName) {
+      await documentService.remove(storedName);
+    }
+  }
+
+  /**
+   * Review queue: achievements with a given verification status, pending by default
+   */
+  async listForReview({ status = 'pending', category } = {}, { page = 1, limit = 20 } = {}) {
+    const match = { 'achievements.verificationStatus': status };
+    if (category) match.category = new mongoose.Types.ObjectId(category);
+
+    const [result] = await Nominee.aggregate([
+      { $match: match },
+      { $unwind: '$achievements' },
+      { $match: { 'achievements.verificationStatus': status } },
+      { $sort: status === 'pending' ? { updatedAt: 1 } : { 'achievements.verifiedAt': -1 } },
+      {
+        $facet: {
+          achievements: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $lookup: { from: 'users', localField: 'student', foreignField: '_id', as: 'student' } },
+            { $lookup: { from: 'categories', localField: 'category', foreignField: '_id', as: 'category' } },
+            { $lookup: { from: 'users', localField: 'achievements.verifiedBy', foreignField: '_id', as: 'verifiedBy' } },
+            {
+              $project: {
+                _id: '$achievements._id',
+                nomineeId: '$_id',
+                nominee: {
+                  $concat: [
+                    { $ifNull: [{ $arrayElemAt: ['$student.firstName', 0] }, ''] }, ' ',
+                    { $ifNull: [{ $arrayElemAt: ['$student.lastName', 0] }, ''] }
+                  ]
+                },
+                category: { $arrayElemAt: ['$category.name', 0] },
+                title: '$achievements.title',
+                description: '$achievements.description',
+                date: '$achievements.date',
+                verificationStatus: '$achievements.verificationStatus',
+                verificationNotes: '$achievements.verificationNotes',
+                verifiedAt: '$achievements.verifiedAt',
+                verifiedBy: {
+                  firstName: { $arrayElemAt: ['$verifiedBy.firstName', 0] },
+                  lastName: { $arrayElemAt: ['$verifiedBy.lastName', 0] }
+                },
+                documents: {
+                  $map: {
+                    input: {
+                      $filter: {
+                        input: { $ifNull: ['$supportingDocuments', []] },
+                        as: 'document',
+                        cond: { $eq: ['$$document.achievement', '$achievements._id'] }
+                      }
+                    },
+                    as: 'document',
+                    in: {
+                      _id: '$$document._id',
+                      name: '$$document.name',
+                      type: '$$document.type',
+                      mimeType: '$$document.mimeType',
+                      size: '$$document.size',
+                      url: '$$document.url',
+                      uploadedAt: '$$document.uploadedAt'
+                    }
+                  }
+                }
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    return {
+      achievements: result.achievements,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Verify or reject an achievement
+   */
+  async review(nomineeId, achievementId, decision, { userId, notes } = {}) {
+    const nominee = await Nominee.findById(nomineeId);
+    if (!nominee) {
+      throw httpError('Nominee not found', 404);
+    }
+    const achievement = this.findAchievement(nominee, achievementId);
+
+    achievement.verificationStatus = decision;
+    achievement.verified = decision === 'verified';
+    achievement.verificationNotes = notes;
+    achievement.verifiedBy = userId;
+    achievement.verifiedAt = new Date();
+    await nominee.save();
+    return achievement;
+  }
+
+  /**
+   * Nominee the user may manage documents for: their own, or any for admins
+   */
+  async findNominee(nomineeId, user) {
+    const nominee = await Nominee.findById(nomineeId);
+    if (!nominee) {
+      throw httpError('Nominee not found', 404);
+    }
+    if (user.role !== 'admin' && !nominee.student.equals(user._id)) {
+      throw httpError('Access denied. You can only manage your own nomination.', 403);
+    }
+    return nominee;
+  }
+
+  findAchievement(nominee, achievementId) {
+    const achievement = nominee.achievements.id(achievementId);
+    if (!achievement) {
+      throw httpError('Achievement not found', 404);
+    }
+    return achievement;
+  }
+
+  toPublic(document) {
+    return {
+      _id: document._id,
+      name: document.name,
+      type: document.type,
+      mimeType: document.mimeType,
+      size: document.size,
+      url: document.url,
+      uploadedAt: document.uploadedAt
+    };
+  }
+}
+
+module.exports = new AchievementService();
@@ -0,0 +1,261 @@
+const Faculty = require('../models/Faculty');
+const Department = require('../models/Department');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const tenantContext = require('./tenantContext');
+const { httpError } = require('../utils/helpers');
+
+// Catalog an institution starts with: the faculties and departments the
+// portal used to hard-code
+const DEFAULT_CATALOG = {
+  'Science': ['Mathematics', 'Physics', 'Chemistry', 'Biology', 'Environmental Science'],
+  'Computer Science': ['Computer Science'],
+  'Arts': ['English Language', 'History'],
+  'Social Sciences': ['Political Science', 'Economics', 'Sociology', 'Psychology', 'Mass Communication'],
+  'Education': ['Education'],
+  'Management Sciences': ['Business Administration', 'Accounting', 'Banking and Finance', 'Marketing'],
+  'Law': ['Law'],
+  'Medicine': ['Medicine', 'Nursing'],
+  'Engineering': ['Engineering'],
+  'Agriculture': ['Agriculture']
+};
+
+const FACULTY_FIELDS = ['name', 'code', 'isActive', 'displayOrder'];
+const DEPARTMENT_FIELDS = ['name', 'code', 'faculty', 'isActive'];
+
+// Names are unique per institution; say which one clashed
+const saveUnique = async (doc, kind) => {
+  try {
+    return await doc.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError(`A ${kind} named ${doc.name} already exists`, 400);
+    }
+    throw error;
+  }
+};
+
+const pick = (data, fields) => fields.reduce((picked, field) => {
+  if (data[field] !== undefined) picked[field] = data[field];
+  return picked;
+}, {});
+
+class CatalogService {
+  constructor() {
+    // Keyed by tenant, like settings
+    this.cache = new Map();
+    this.cacheTTL = 30 * 1000; // 30 seconds
+  }
+
+  get cacheKey() {
+    return String(tenantContext.id() || 'global');
+  }
+
+  invalidateCache() {
+    this.cache.delete(this.cacheKey);
+  }
+
+  /**
+   * Fill an empty catalog with the default faculties and departments
+   */
+  async seedDefaults() {
+    const [faculties, departments] = await Promise.all([
+      Faculty.countDocuments(),
+      Department.countDocuments()
+    ]);
+    if (faculties > 0 || departments > 0) return;
+
+    const entries = Object.entries(DEFAULT_CATALOG);
+    for (const [index, [name, departmentNames]] of entries.entries()) {
+      const faculty = await Faculty.create({ name, displayOrder: index });
+      await Department.insertMany(departmentNames.map(department => ({
+        name: department,
+        faculty: faculty._id
+      })));
+    }
+  }
+
+  /**
+   * Faculties in display order, each with its departments. Inactive
+   * entries are only included for admins
+   */
+  async getCatalog({ includeInactive = false, fresh = false } = {}) {
+    const entry = this.cache.get(this.cacheKey);
+    let catalog = entry && (Date.now() - entry.cachedAt) < this.cacheTTL ? entry.catalog : null;
+
+    if (fresh || !catalog) {
+      await this.seedDefaults();
+      const [faculties, departments] = await Promise.all([
+        Faculty.find().sort({ displayOrder: 1, name: 1 }).lean(),
+        Department.find().sort({ name: 1 }).lean()
+      ]);
+      catalog = faculties.map(faculty => ({
+        ...faculty,
+        departments: departments.filter(department => department.faculty.equals(faculty._id))
+      }));
+      this.cache.set(this.cacheKey, { catalog, cachedAt: Date.now() });
+    }
+
+    if (includeInactive) return catalog;
+
+    return catalog
+      .filter(faculty => faculty.isActive)
+      .map(faculty => ({
+        ...faculty,
+        departments: faculty.departments.filter(department => department.isActive)
+      }));
+  }
+
+  /**
+   * Whether a faculty can be picked: it exists and is active
+   */
+  async isFaculty(name) {
+    const catalog = await this.getCatalog();
+    return catalog.some(faculty => faculty.name === name);
+  }
+
+  /**
+   * Find an active department by name, with the name of its faculty
+   */
+  async findDepartment(name) {
+    const catalog = await this.getCatalog();
+    for (const faculty of catalog) {
+      const department = faculty.departments.find(entry => entry.name === name);
+      if (department) {
+        return { ...department, facultyName: faculty.name };
+      }
+    }
+    return null;
+  }
+
+  async createFaculty(data) {
+    const faculty = await saveUnique(new Faculty(pick(data, FACULTY_FIELDS)), 'faculty');
+    this.invalidateCache();
+    return faculty;
+  }
+
+  /**
+   * Update a faculty. Renaming it renames it on users and category
+   * eligibility rules too
+   */
+  async updateFaculty(id, data) {
+    const faculty = await Faculty.findById(id);
+    if (!faculty) {
+      throw httpError('Faculty not found', 404);
+    }
+
+    const previousName = faculty.name;
+    faculty.set(pick(data, FACULTY_FIELDS));
+    await saveUnique(faculty, 'faculty');
+
+    if (faculty.name !== previousName) {
+      await Promise.all([
+        User.updateMany({ faculty: previousName }, { $set: { faculty: faculty.name } }),
+        Category.updateMany(
+          { 'eligibilityCriteria.faculties': previousName },
+          { $set: { 'eligibilityCriteria.faculties.$[entry]': faculty.name } },
+          { arrayFilters: [{ entry: previousName }] }
+        )
+      ]);
+    }
+
+    this.invalidateCache();
+    return faculty;
+  }
+
+  /**
+   * Delete a faculty nothing refers to. Faculties still in use can only be
+   * deactivated
+   */
+  async deleteFaculty(id) {
+    const faculty = await Faculty.findById(id);
+    if (!faculty) {
+      throw httpError('Faculty not found', 404);
+    }
+
+    const [departments, users, categories] = await Promise.all([
+      Department.countDocuments({ faculty: faculty._id }),
+      User.countDocuments({ faculty: faculty.name }),
+      Category.countDocuments({ 'eligibilityCriteria.faculties': faculty.name })
+    ]);
+    if (departments > 0) {
+      throw httpError('Move or delete the faculty\'s departments first', 400);
+    }
+    if (users > 0 || categories > 0) {
+      throw httpError(`${faculty.name} is used by ${users} user(s) and ${categories} category(ies); deactivate it instead`, 400);
+    }
+
+    await faculty.deleteOne();
+    this.invalidateCache();
+  }
+
+  async createDepartment(data) {
+    await this.assertFacultyExists(data.faculty);
+    const department = await saveUnique(new Department(pick(data, DEPARTMENT_FIELDS)), 'department');
+    this.invalidateCache();
+    return department;
+  }
+
+  /**
+   * Update a department. Renaming it renames it on users and category
+   * eligibility rules too
+   */
+  async updateDepartment(id, data) {
+    const department = await Department.findById(id);
+    if (!department) {
+      throw httpError('Department not found', 404);
+    }
+    if (data.faculty !== undefined) {
+      await this.assertFacultyExists(data.faculty);
+    }
+
+    const previousName = department.name;
+    department.set(pick(data, DEPARTMENT_FIELDS));
+    await saveUnique(department, 'department');
+
+    if (department.name !== previousName) {
+      await Promise.all([
+        User.updateMany({ department: previousName }, { $set: { department: department.name } }),
+        Category.updateMany(
+          { 'eligibilityCriteria.departments': previousName },
+          { $set: { 'eligibilityCriteria.departments.$[entry]': department.name } },
+          { arrayFilters: [{ entry: previousName }] }
+        )
+      ]);
+    }
+
+    this.invalidateCache();
+    return department;
+  }
+
+  /**
+   * Delete a department nothing refers to. Departments still in use can
+   * only be deactivated
+   */
+  async deleteDepartment(id) {
+    const department = await Department.findById(id);
+    if (!department) {
+      throw httpError('Department not found', 404);
+    }
+
+    const [users, categories] = await Promise.all([
+      User.countDocuments({ department: department.name }),
+      Category.countDocuments({ 'eligibilityCriteria.departments': department.name })
+    ]);
+    if (users > 0 || categories > 0) {
+      throw httpError(`${department.name} is used by ${users} user(s) and ${categories} category(ies); deactivate it instead`, 400);
+    }
+
+    await department.deleteOne();
+    this.invalidateCache();
+  }
+
+  async assertFacultyExists(id) {
+    const exists = await Faculty.exists({ _id: id });
+    if (!exists) {
+      throw httpError('Faculty not found', 400);
+    }
+  }
+}
+
+module.exports = new CatalogService();
@@ -0,0 +1,152 @@
+const Nominee = require('../models/Nominee');
+const emailService = require('./emailService');
+const settingsService = require('./settingsService');
+const tenantService = require('./tenantService');
+const { httpError } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ConsentService {
+  /**
+   * Whether a nomination needs the nominee's consent. Self-nominations never
+   * do; admins only need it when the category asks for it
+   */
+  isRequired(category, nominator, studentId) {
+    if (nominator._id.equals(studentId)) return false;
+    if (nominator.role === 'admin') return Boolean(category.nominationSettings?.requireNomineeAcceptance);
+    return true;
+  }
+
+  /**
+   * Put a new nomination on hold until the nominee answers, and tell them
+   */
+  async request(nominee, { student, category, nominator }) {
+    const settings = await settingsService.getSettings();
+    const now = new Date();
+
+    nominee.status = 'awaiting_consent';
+    nominee.consent = {
+      requestedAt: now,
+      expiresAt: new Date(now.getTime() + settings.nominationConsentDays * DAY_MS)
+    };
+
+    await nominee.save();
+    await this.notifyNominee(nominee, { student, category, nominator });
+    return nominee;
+  }
+
+  /**
+   * Nominations waiting for the user's answer
+   */
+  async listIncoming(userId) {
+    return Nominee.find({
+      student: userId,
+      status: 'awaiting_consent',
+      'consent.expiresAt': { $gt: new Date() }
+    })
+      .populate('category', 'name description icon color')
+      .populate('nominatedBy', 'firstName lastName')
+      .sort({ 'consent.requestedAt': -1 });
+  }
+
+  /**
+   * Accept or decline a nomination made on the user's behalf. Accepted
+   * nominations go on to admin review unless the category skips it
+   */
+  async respond(nomineeId, user, { decision, reason }) {
+    const nominee = await Nominee.findById(nomineeId)
+      .populate('category', 'name nominationSettings')
+      .populate('nominatedBy', 'firstName lastName email');
+
+    if (!nominee) {
+      throw httpError('Nomination not found', 404);
+    }
+    if (!nominee.student.equals(user._id)) {
+      throw httpError('Only the nominee can answer this nomination', 403);
+    }
+    if (nominee.status !== 'awaiting_consent') {
+      throw httpError('This nomination is not waiting for your answer', 400);
+    }
+    if (nominee.consent.expiresAt && nominee.consent.expiresAt <= new Date()) {
+      await this.expire(nominee);
+      throw httpError('This nomination has expired', 400);
+    }
+
+    const accepted = decision === 'accept';
+    nominee.consent.respondedAt = new Date();
+    nominee.consent.response = accepted ? 'accepted' : 'declined';
+    nominee.consent.declineReason = accepted ? undefined : reason;
+    nominee.status = accepted
+      ? (nominee.category.nominationSettings?.requireReview === false ? 'approved' : 'pending')
+      : 'declined';
+    await nominee.save();
+
+    await this.notifyNominator(nominee, user, accepted);
+    return nominee;
+  }
+
+  /**
+   * Mark nominations nobody answered in time as expired
+   */
+  async expireOverdue(now = new Date()) {
+    const result = await Nominee.updateMany(
+      { status: 'awaiting_consent', 'consent.expiresAt': { $lte: now } },
+      { $set: { status: 'expired', 'consent.response': 'expired', 'consent.respondedAt': now } }
+    );
+    return result.modifiedCount;
+  }
+
+  async expire(nominee) {
+    nominee.status = 'expired';
+    nominee.consent.response = 'expired';
+    nominee.consent.respondedAt = new Date();
+    await nominee.save();
+  }
+
+  /**
+   * Expire unanswered nominations on a timer. CONSENT_EXPIRY_INTERVAL_MINUTES=0 disables it
+   */
+  start() {
+    const minutes = Number(process.env.CONSENT_EXPIRY_INTERVAL_MINUTES ?? 60);
+    if (!minutes || this.timer) return;
+
+    this.timer = setInterval(() => {
+      tenantService.forEachTenant(() => this.expireOverdue()).catch(error => console.error('Nomination expiry skipped:', error.message));
+    }, minutes * 60 * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async notifyNominee(nominee, { student, category, nominator }) {
+    if (!student.email) {
+      return { sent: false };
+    }
+
+    return emailService.sendTemplate('nominationConsentRequest', student.email, {
+      firstName: student.firstName,
+      nominatorName: `${nominator.firstName} ${nominator.lastName}`,
+      categoryName: category.name,
+      expiresAt: nominee.consent.expiresAt
+    });
+  }
+
+  async notifyNominator(nominee, student, accepted) {
+    const nominator = nominee.nominatedBy;
+    if (!nominator?.email) {
+      return { sent: false };
+    }
+
+    return emailService.sendTemplate('nominationConsentResponse', nominator.email, {
+      firstName: nominator.firstName,
+      studentName: `${student.firstName} ${student.lastName}`,
+      categoryName: nominee.category.name,
+      accepted
+    });
+  }
+}
+
+module.exports = new ConsentService();
@@ -0,0 +1,103 @@
+const { httpError } = require('../utils/helpers');
+
+const MAX_ROWS = 20000;
+
+// "Student ID", "student_id" and "studentId" are all the same column
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+class CsvService {
+  constructor() {
+    this.maxRows = MAX_ROWS;
+  }
+
+  /**
+   * Split CSV text into records of fields. Handles quoted fields with
+   * commas, doubled quotes and line breaks, and CRLF or LF line endings
+   */
+  parseRecords(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (quoted) {
+      throw httpError('The file has a quoted field that is never closed', 400);
+    }
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    return records;
+  }
+
+  /**
+   * Parse CSV with a header row into objects keyed by normalized header
+   * (lowercase letters and digits only). Blank lines are skipped; each row
+   * keeps its line number for error reports
+   */
+  parse(input) {
+    const text = Buffer.isBuffer(input) ? input.toString('utf8') : String(input || '');
+    const records = this.parseRecords(text.replace(/^\uFEFF/, ''))
+      .map((fields, index) => ({ fields, line: index + 1 }));
+
+    return this.tabulate(records);
+  }
+
+  /**
+   * Turn records of `{ fields, line }`, header first, into `{ headers, rows }`.
+   * Shared with spreadsheet files so both produce the same rows
+   */
+  tabulate(records) {
+    const nonBlank = records.filter(({ fields }) => fields.some(value => String(value).trim() !== ''));
+
+    if (nonBlank.length === 0) {
+      throw httpError('The file is empty', 400);
+    }
+    if (nonBlank.length - 1 > this.maxRows) {
+      throw httpError(`Files can have at most ${this.maxRows} rows`, 400);
+    }
+
+    const [header, ...body] = nonBlank;
+    const headers = header.fields.map(field => normalizeHeader(String(field)));
+    const rows = body.map(({ fields, line }) => ({
+      line,
+      values: headers.reduce((values, name, index) => {
+        if (name) values[name] = String(fields[index] ?? '').trim();
+        return values;
+      }, {})
+    }));
+
+    return { headers, rows };
+  }
+}
+
+module.exports = new CsvService();
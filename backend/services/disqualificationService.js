@@ -0,0 +1,123 @@
+const Nominee = require('../models/Nominee');
+const Vote = require('../models/Vote');
+const paymentService = require('./paymentService');
+const emailService = require('./emailService');
+const liveResultsService = require('./liveResultsService');
+
+const COUNTED_STATUSES = ['pending', 'confirmed', 'verified'];
+
+class DisqualificationService {
+  /**
+   * Disqualify a nominee. Their paid votes are refunded through the gateway
+   * when `refundVotes` is set, otherwise kept on record but left out of results
+   */
+  async disqualify(nomineeId, { reason, refundVotes = false, userId }) {
+    const nominee = await this.findNominee(nomineeId);
+    if (nominee.isDisqualified) {
+      const error = new Error('Nominee is already disqualified');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Stop new votes before any refunds go out
+    nominee.isDisqualified = true;
+    nominee.disqualificationReason = reason;
+    nominee.disqualifiedAt = new Date();
+    nominee.disqualifiedBy = userId;
+    await nominee.save();
+
+    const refunds = refundVotes
+      ? await this.refundVotes(nominee, reason, userId)
+      : { refunded: 0, skipped: 0, failed: [] };
+
+    nominee.disqualificationHistory.push({
+      action: 'disqualified',
+      reason,
+      voteHandling: refundVotes ? 'refund' : 'keep',
+      refundedVotes: refunds.refunded,
+      by: userId
+    });
+    await nominee.save();
+
+    liveResultsService.publish(nominee.category._id);
+    const notification = await this.notify(nominee, 'disqualified', reason);
+
+    return { nominee, refunds, notified: notification.sent };
+  }
+
+  /**
+   * Lift a disqualification. Kept votes count again; refunded ones stay refunded
+   */
+  async reinstate(nomineeId, { reason, userId }) {
+    const nominee = await this.findNominee(nomineeId);
+    if (!nominee.isDisqualified) {
+      const error = new Error('Nominee is not disqualified');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    nominee.isDisqualified = false;
+    nominee.disqualificationReason = undefined;
+    nominee.disqualifiedAt = undefined;
+    nominee.disqualifiedBy = undefined;
+    nominee.disqualificationHistory.push({ action: 'reinstated', reason, by: userId });
+    await nominee.save();
+
+    liveResultsService.publish(nominee.category._id);
+    const notification = await this.notify(nominee, 'reinstated', reason);
+
+    return { nominee, notified: notification.sent };
+  }
+
+  async findNominee(nomineeId) {
+    const nominee = await Nominee.findById(nomineeId)
+      .populate('student', 'firstName lastName email')
+      .populate('category', 'name');
+
+    if (!nominee) {
+      const error = new Error('Nominee not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return nominee;
+  }
+
+  /**
+   * Refund every paid vote for the nominee. Free promo votes have nothing to refund
+   */
+  async refundVotes(nominee, reason, userId) {
+    const votes = await Vote.find({ nominee: nominee._id, status: { $in: COUNTED_STATUSES } })
+      .select('payment paymentMethod');
+
+    const result = { refunded: 0, skipped: 0, failed: [] };
+    for (const vote of votes) {
+      if (vote.paymentMethod === 'promo') {
+        result.skipped += 1;
+        continue;
+      }
+
+      try {
+        await paymentService.processRefund(vote.payment, `Nominee disqualified: ${reason}`, userId);
+        result.refunded += 1;
+      } catch (error) {
+        result.failed.push({ voteId: vote._id, message: error.message });
+      }
+    }
+    return result;
+  }
+
+  async notify(nominee, action, reason) {
+    if (!nominee.student?.email) {
+      return { sent: false };
+    }
+
+    return emailService.sendTemplate('disqualification', nominee.student.email, {
+      firstName: nominee.student.firstName,
+      categoryName: nominee.category.name,
+      action,
+      reason
+    });
+  }
+}
+
+module.exports = new DisqualificationService();
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const STORAGE_DIR = path.join(__dirname, '../storage/documents');
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_FILES_PER_UPLOAD = 5;
+
+// Accepted formats, recognised by their leading bytes rather than the
+// extension or Content-Type the browser reports
+const SIGNATURES = [
+  { mimeType: 'application/pdf', extension: '.pdf', type: 'pdf', matches: (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-' },
+  { mimeType: 'image/png', extension: '.png', type: 'image', matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/jpeg', extension: '.jpg', type: 'image', matches: (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { mimeType: 'image/gif', extension: '.gif', type: 'image', matches: (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('latin1')) },
+  {
+    mimeType: 'image/webp',
+    extension: '.webp',
+    type: 'image',
+    matches: (buffer) => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+];
+
+class DocumentService {
+  constructor() {
+    this.maxFileSize = MAX_FILE_SIZE;
+    this.maxFilesPerUpload = MAX_FILES_PER_UPLOAD;
+  }
+
+  /**
+   * Format of a file from its contents, or null when it is not accepted
+   */
+  sniff(buffer) {
+    return SIGNATURES.find(signature => buffer.length >= 12 && signature.matches(buffer)) || null;
+  }
+
+  /**
+   * Check every uploaded file, then write them to private storage.
+   * Nothing is written if any file is rejected
+   */
+  async store(files = []) {
+    const checked = files.map(file => {
+      const format = this.sniff(file.buffer);
+      if (!format) {
+        const error = new Error(`${file.originalname} is not a PDF or image`);
+        error.statusCode = 400;
+        throw error;
+      }
+      return { file, format };
+    });
+
+    await fs.promises.mkdir(STORAGE_DIR, { recursive: true });
+
+    return Promise.all(checked.map(async ({ file, format }) => {
+      const storedName = `${Date.now()}-${crypto.randomBytes(12).toString('hex')}${format.extension}`;
+      await fs.promises.writeFile(path.join(STORAGE_DIR, storedName), file.buffer);
+
+      return {
+        name: path.basename(file.originalname).slice(0, 200),
+        type: format.type,
+        mimeType: format.mimeType,
+        size: file.size,
+        storedName
+      };
+    }));
+  }
+
+  /**
+   * Absolute path of a stored document
+   */
+  pathFor(storedName) {
+    return path.join(STORAGE_DIR, path.basename(storedName));
+  }
+
+  /**
+   * Delete a stored document, ignoring files that are already gone
+   */
+  async remove(storedName) {
+    try {
+      await fs.promises.unlink(this.pathFor(storedName));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to delete document ${storedName}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = new DocumentService();
@@ -0,0 +1,121 @@
+const Edition = require('../models/Edition');
+const Category = require('../models/Category');
+const { httpError } = require('../utils/helpers');
+
+// Move a date forward by whole years, keeping the day and time
+const shiftYears = (date, years) => {
+  if (!date) return date;
+  const shifted = new Date(date);
+  shifted.setFullYear(shifted.getFullYear() + years);
+  return shifted;
+};
+
+class EditionService {
+  /**
+   * Find an edition by ID, slug or year
+   */
+  async resolve(ref) {
+    const edition = await Edition.findByRef(ref);
+    if (!edition) {
+      throw httpError('Edition not found', 404);
+    }
+    return edition;
+  }
+
+  /**
+   * Make an edition the one public pages default to, archiving the edition
+   * that was active before it
+   */
+  async activate(ref) {
+    const edition = await this.resolve(ref);
+    if (edition.status === 'active') {
+      return { edition, archived: null };
+    }
+
+    const now = new Date();
+    const previous = await Edition.findOneAndUpdate(
+      { status: 'active' },
+      { $set: { status: 'archived', archivedAt: now } },
+      { new: true }
+    );
+
+    edition.status = 'active';
+    edition.activatedAt = now;
+    edition.archivedAt = undefined;
+    await edition.save();
+
+    return { edition, archived: previous };
+  }
+
+  /**
+   * Copy one edition's categories into another as drafts. Settings carry
+   * over; dates move forward by the years between the two editions, and
+   * stages, history and statistics start afresh. Categories whose name
+   * already exists in the target edition are skipped
+   */
+  async cloneCategories(fromRef, toRef, user) {
+    const [source, target] = await Promise.all([this.resolve(fromRef), this.resolve(toRef)]);
+    if (source._id.equals(target._id)) {
+      throw httpError('Cannot clone an edition into itself', 400);
+    }
+
+    const [categories, existing] = await Promise.all([
+      Category.find({ edition: source._id }).sort({ displayOrder: 1 }).lean(),
+      Category.distinct('name', { edition: target._id })
+    ]);
+    const taken = new Set(existing.map(name => name.toLowerCase()));
+    const years = target.year - source.year;
+
+    const created = [];
+    const skipped = [];
+    for (const category of categories) {
+      if (taken.has(category.name.toLowerCase())) {
+        skipped.push(category.name);
+        continue;
+      }
+
+      const { votingSettings, nominationSettings, resultsVisibility } = category;
+      const clone = new Category({
+        name: category.name,
+        description: category.description,
+        icon: category.icon,
+        color: category.color,
+        bannerImage: category.bannerImage,
+        displayOrder: category.displayOrder,
+        featured: category.featured,
+        isActive: category.isActive,
+        allowSelfNomination: category.allowSelfNomination,
+        maxNominees: category.maxNominees,
+        eligibilityCriteria: category.eligibilityCriteria,
+        edition: target._id,
+        nominationSettings: {
+          ...nominationSettings,
+          startDate: shiftYears(nominationSettings?.startDate, years),
+          endDate: shiftYears(nominationSettings?.endDate, years)
+        },
+        votingSettings: {
+          ...votingSettings,
+          startDate: shiftYears(votingSettings.startDate, years),
+          endDate: shiftYears(votingSettings.endDate, years),
+          pricingTiers: (votingSettings.pricingTiers || []).map(({ _id, ...tier }) => ({
+            ...tier,
+            startsAt: shiftYears(tier.startsAt, years),
+            endsAt: shiftYears(tier.endsAt, years)
+          }))
+        },
+        resultsVisibility: {
+          mode: resultsVisibility?.mode,
+          revealAt: shiftYears(resultsVisibility?.revealAt, years)
+        },
+        createdBy: user?._id || category.createdBy
+      });
+
+      await clone.save();
+      created.push(clone);
+    }
+
+    return { source, target, created, skipped };
+  }
+}
+
+module.exports = new EditionService();
@@ -0,0 +1,109 @@
+const Category = require('../models/Category');
+
+const LOWEST_LEVEL = Category.LEVELS[0];
+const HIGHEST_LEVEL = Category.LEVELS[Category.LEVELS.length - 1];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const reason = (code, field, message, required, actual) => ({
+  code,
+  field,
+  message,
+  required,
+  actual: actual || null
+});
+
+class EligibilityService {
+  /**
+   * Check a user's faculty, department and level against a category's
+   * eligibility criteria. Every unmet rule is returned as a reason, e.g.
+   * "level 100 below minLevel 200"
+   */
+  evaluate(criteria = {}, user = {}) {
+    const reasons = [];
+    const faculties = [...(criteria.faculties || [])];
+    const departments = [...(criteria.departments || [])];
+    const levels = [...(criteria.levels || [])];
+    const minLevel = criteria.minLevel || LOWEST_LEVEL;
+    const maxLevel = criteria.maxLevel || HIGHEST_LEVEL;
+    const level = user.level ? parseInt(user.level, 10) : null;
+
+    if (faculties.length > 0 && !faculties.some(faculty => normalize(faculty) === normalize(user.faculty))) {
+      reasons.push(reason(
+        'faculty_not_allowed',
+        'faculty',
+        user.faculty
+          ? `faculty ${user.faculty} not in allowed faculties (${faculties.join(', ')})`
+          : `faculty missing; allowed faculties are ${faculties.join(', ')}`,
+        faculties,
+        user.faculty
+      ));
+    }
+
+    if (departments.length > 0 && !departments.some(department => normalize(department) === normalize(user.department))) {
+      reasons.push(reason(
+        'department_not_allowed',
+        'department',
+        user.department
+          ? `department ${user.department} not in allowed departments (${departments.join(', ')})`
+          : `department missing; allowed departments are ${departments.join(', ')}`,
+        departments,
+        user.department
+      ));
+    }
+
+    const levelRestricted = levels.length > 0 || minLevel !== LOWEST_LEVEL || maxLevel !== HIGHEST_LEVEL;
+    if (levelRestricted && level === null) {
+      reasons.push(reason('level_missing', 'level', 'level missing; this category is restricted by level', {
+        levels,
+        minLevel,
+        maxLevel
+      }));
+    } else if (level !== null) {
+      if (levels.length > 0 && !levels.includes(String(user.level))) {
+        reasons.push(reason('level_not_allowed', 'level', `level ${user.level} not in allowed levels (${levels.join(', ')})`, levels, user.level));
+      }
+      if (level < parseInt(minLevel, 10)) {
+        reasons.push(reason('level_below_min', 'level', `level ${user.level} below minLevel ${minLevel}`, minLevel, user.level));
+      }
+      if (level > parseInt(maxLevel, 10)) {
+        reasons.push(reason('level_above_max', 'level', `level ${user.level} above maxLevel ${maxLevel}`, maxLevel, user.level));
+      }
+    }
+
+    return { eligible: reasons.length === 0, reasons };
+  }
+
+  /**
+   * Whether a student may be nominated in a category
+   */
+  forNomination(category, student) {
+    return this.evaluate(category.eligibilityCriteria, student);
+  }
+
+  /**
+   * Whether a user may vote in a category. Only restricted when the
+   * category applies its criteria to voting
+   */
+  forVoting(category, voter) {
+    const criteria = category.eligibilityCriteria || {};
+    if (!criteria.applyToVoting) {
+      return { eligible: true, reasons: [] };
+    }
+    return this.evaluate(criteria, voter);
+  }
+
+  /**
+   * Throw a 403 carrying the reasons when the result is not eligible
+   */
+  assertEligible(result, message) {
+    if (result.eligible) return;
+
+    const error = new Error(`${message}: ${result.reasons.map(item => item.message).join('; ')}`);
+    error.statusCode = 403;
+    error.reasons = result.reasons;
+    throw error;
+  }
+}
+
+module.exports = new EligibilityService();
@@ -0,0 +1,220 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const EmailMessage = require('../models/EmailMessage');
+const settingsService = require('./settingsService');
+const tenantService = require('./tenantService');
+const templates = require('./emailTemplates');
+const { httpError } = require('../utils/helpers');
+
+const MAIL_DIR = process.env.EMAIL_FILE_DIR || path.join(__dirname, '../storage/mail');
+const BATCH_SIZE = 50;
+// A message still marked as sending after this long was interrupted mid-send
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+class EmailService {
+  /**
+   * Which transport to deliver with. EMAIL_TRANSPORT picks one explicitly;
+   * otherwise SMTP when a host is configured, and outside production the
+   * file transport so emails can be read offline
+   */
+  transportMode(settings) {
+    if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT;
+    if (settings.smtpHost || process.env.EMAIL_HOST) return 'smtp';
+    return process.env.NODE_ENV === 'production' ? null : 'file';
+  }
+
+  /**
+   * SMTP transport from admin email settings, falling back to the EMAIL_* variables.
+   * The file and json transports render the message without sending it
+   */
+  createTransport(settings) {
+    const mode = this.transportMode(settings);
+    if (mode === 'file' || mode === 'json') {
+      return nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    const host = settings.smtpHost || process.env.EMAIL_HOST;
+    if (mode !== 'smtp' || !host) return null;
+
+    const port = Number(settings.smtpHost ? settings.smtpPort : process.env.EMAIL_PORT) || 587;
+    return nodemailer.createTransport({
+      host,
+      port,
+      secure: port === 465,
+      auth: {
+        user: settings.smtpUser || process.env.EMAIL_USER,
+        pass: settings.smtpPassword || process.env.EMAIL_PASS
+      }
+    });
+  }
+
+  /**
+   * Queue an email in the outbox and try to deliver it straight away.
+   * Problems are logged rather than thrown, so a mail outage never blocks
+   * the action that triggered the email; failed deliveries are retried.
+   * Only `essential` emails are sent when email notifications are turned off.
+   * `defer` leaves delivery to the outbox job, for bulk mailings.
+   * `sensitive` bodies are cleared from the outbox once delivered
+   */
+  async send({ to, subject, text, html, template = null, essential = false, sensitive = false, defer = false }) {
+    try {
+      const settings = await settingsService.getSettings();
+      if (!essential && !settings.emailNotifications) {
+        return { sent: false, reason: 'Email notifications are turned off' };
+      }
+
+      const message = await EmailMessage.create({ to, subject, text, html, template, sensitive });
+      if (defer) {
+        return { sent: false, queued: true, messageId: message._id };
+      }
+      return this.deliver(message, settings);
+    } catch (error) {
+      console.error(`Failed to queue "${subject}" email to ${to}:`, error);
+      return { sent: false, reason: error.message };
+    }
+  }
+
+  /**
+   * Render one of the templates in emailTemplates and send it
+   */
+  async sendTemplate(name, to, data = {}, { defer = false } = {}) {
+    const template = templates[name];
+    if (!template) {
+      throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const settings = await settingsService.getSettings();
+    const content = template.render({ siteName: settings.siteName, ...data });
+    return this.send({
+      ...content,
+      to,
+      template: name,
+      essential: Boolean(template.essential),
+      sensitive: Boolean(template.sensitive),
+      defer
+    });
+  }
+
+  /**
+   * Make one delivery attempt for a queued message
+   */
+  async deliver(message, settings) {
+    const claimed = await EmailMessage.findOneAndUpdate(
+      { _id: message._id, status: 'queued' },
+      { $set: { status: 'sending', lastAttemptAt: new Date() }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      return { sent: false, reason: 'Email is already being sent', messageId: message._id };
+    }
+
+    try {
+      const transport = this.createTransport(settings);
+      if (!transport) {
+        throw new Error('Email is not configured');
+      }
+
+      const mode = this.transportMode(settings);
+      const address = settings.emailFromAddress || process.env.EMAIL_FROM || 'no-reply@localhost';
+      const info = await transport.sendMail({
+        from: settings.emailFromName ? `"${settings.emailFromName}" <${address}>` : address,
+        to: claimed.to,
+        subject: claimed.subject,
+        text: claimed.text,
+        html: claimed.html
+      });
+
+      if (mode === 'file') {
+        await fs.mkdir(MAIL_DIR, { recursive: true });
+        await fs.writeFile(path.join(MAIL_DIR, `${Date.now()}-${claimed._id}.json`), info.message);
+      } else if (mode === 'json') {
+        console.log(`Email to ${claimed.to}: ${claimed.subject}\n${claimed.text || ''}`);
+      }
+
+      claimed.status = 'sent';
+      claimed.sentAt = new Date();
+      claimed.nextAttemptAt = null;
+      claimed.transport = mode;
+      claimed.providerMessageId = info.messageId;
+      claimed.lastError = undefined;
+      claimed.clearSensitiveBody();
+      await claimed.save();
+      return { sent: true, messageId: claimed._id };
+    } catch (error) {
+      console.error(`Failed to send "${claimed.subject}" email to ${claimed.to}:`, error.message);
+      claimed.recordFailure(error.message);
+      await claimed.save();
+      return { sent: false, reason: error.message, messageId: claimed._id, willRetry: claimed.status === 'queued' };
+    }
+  }
+
+  /**
+   * Retry every queued message that is due
+   */
+  async processOutbox(now = new Date()) {
+    await EmailMessage.updateMany(
+      { status: 'sending', lastAttemptAt: { $lte: new Date(now.getTime() - STALE_SENDING_MS) } },
+      { $set: { status: 'queued', nextAttemptAt: now } }
+    );
+
+    const due = await EmailMessage.find({ status: 'queued', nextAttemptAt: { $lte: now } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(BATCH_SIZE);
+    if (due.length === 0) {
+      return { processed: 0, sent: 0, failed: 0 };
+    }
+
+    const settings = await settingsService.getSettings();
+    const stats = { processed: due.length, sent: 0, failed: 0 };
+    for (const message of due) {
+      const result = await this.deliver(message, settings);
+      stats[result.sent ? 'sent' : 'failed'] += 1;
+    }
+    return stats;
+  }
+
+  /**
+   * Send a failed or queued message again now, allowing one more attempt
+   */
+  async retry(messageId) {
+    const message = await EmailMessage.findById(messageId);
+    if (!message) {
+      throw httpError('Email not found', 404);
+    }
+    if (!['queued', 'failed'].includes(message.status)) {
+      throw httpError(`A ${message.status} email cannot be retried`, 400);
+    }
+    if (message.sensitive && !message.text && !message.html) {
+      throw httpError('This email\'s link was removed from the outbox; ask the user to request a new one', 400);
+    }
+
+    message.status = 'queued';
+    message.nextAttemptAt = new Date();
+    message.maxAttempts = Math.max(message.maxAttempts, message.attempts + 1);
+    await message.save();
+
+    const result = await this.deliver(message, await settingsService.getSettings());
+    return { result, message: await EmailMessage.findById(messageId).select('-text -html') };
+  }
+
+  /**
+   * Work through the outbox on a timer. EMAIL_OUTBOX_INTERVAL_MINUTES=0 disables it
+   */
+  start() {
+    const minutes = Number(process.env.EMAIL_OUTBOX_INTERVAL_MINUTES ?? 1);
+    if (!minutes || this.timer) return;
+
+    this.timer = setInterval(() => {
+      tenantService.forEachTenant(() => this.processOutbox()).catch(error => console.error('Email outbox run skipped:', error.message));
+    }, minutes * 60 * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new EmailService();
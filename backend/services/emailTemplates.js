@@ -0,0 +1,177 @@
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatAmount = (amount, currency = 'NGN') => `${currency} ${Number(amount || 0).toLocaleString('en-NG', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const button = (url, label, color = '#2563eb') => `
+  <div style="text-align: center; margin: 30px 0;">
+    <a href="${escapeHtml(url)}" style="background-color: ${color}; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">${escapeHtml(label)}</a>
+  </div>
+  <p>If the button doesn't work, copy and paste this link into your browser:</p>
+  <p style="word-break: break-all; color: #666;">${escapeHtml(url)}</p>`;
+
+const layout = (siteName, title, body) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #2563eb;">${escapeHtml(title)}</h2>
+    ${body}
+    <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+    <p style="color: #666; font-size: 12px;">${escapeHtml(siteName)} Team</p>
+  </div>`;
+
+const rows = (pairs) => `
+  <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+    ${pairs.map(([label, value]) => `
+    <tr>
+      <td style="padding: 6px 0; color: #666;">${escapeHtml(label)}</td>
+      <td style="padding: 6px 0; text-align: right;"><strong>${escapeHtml(value)}</strong></td>
+    </tr>`).join('')}
+  </table>`;
+
+/**
+ * Email templates. Each renders `{ subject, text, html }` from its data plus
+ * the `siteName` added by emailService. Essential templates are account emails
+ * that are sent even when email notifications are turned off. Sensitive ones
+ * carry live token links, so their bodies are not kept in the outbox
+ */
+const templates = {
+  verifyEmail: {
+    essential: true,
+    sensitive: true,
+    render: ({ siteName, firstName, url, expiresInHours }) => ({
+      subject: `${siteName} - Verify Your Email`,
+      text: `Hello ${firstName},\n\nThank you for registering with ${siteName}. Verify your email address by opening this link:\n\n${url}\n\nThe link expires in ${expiresInHours} hours. If you didn't create this account, please ignore this email.\n`,
+      html: layout(siteName, `Welcome to ${siteName}!`, `
+    <p>Hello ${escapeHtml(firstName)},</p>
+    <p>Thank you for registering with ${escapeHtml(siteName)}. Please verify your email address by clicking the button below:</p>
+    ${button(url, 'Verify Email')}
+    <p>This verification link will expire in ${expiresInHours} hours.</p>
+    <p>If you didn't create this account, please ignore this email.</p>`)
+    })
+  },
+
+  passwordReset: {
+    essential: true,
+    sensitive: true,
+    render: ({ siteName, firstName, url, expiresInMinutes }) => ({
+      subject: `${siteName} - Password Reset`,
+      text: `Hello ${firstName},\n\nYou requested a password reset. Open this link to choose a new password:\n\n${url}\n\nThe link expires in ${expiresInMinutes} minutes. If you didn't request this reset, please ignore this email.\n`,
+      html: layout(siteName, 'Password Reset Request', `
+    <p>Hello ${escapeHtml(firstName)},</p>
+    <p>You requested a password reset. Click the button below to reset your password:</p>
+    ${button(url, 'Reset Password', '#dc2626')}
+    <p>This reset link will expire in ${expiresInMinutes} minutes.</p>
+    <p>If you didn't request this reset, please ignore this email.</p>`)
+    })
+  },
+
+  paymentReceipt: {
+    render: ({ siteName, firstName, reference, amount, currency, quantity, nomineeName, categoryName, paidAt, promoCode, discountAmount }) => {
+      const details = [
+        ['Reference', reference],
+        ['Nominee', nomineeName],
+        ['Category', categoryName],
+        ['Votes', String(quantity)],
+        ...(promoCode ? [[`Promo code ${promoCode}`, `-${formatAmount(discountAmount, currency)}`]] : []),
+        ['Amount paid', formatAmount(amount, currency)],
+        ['Date', new Date(paidAt).toLocaleString('en-NG')]
+      ];
+
+      return {
+        subject: `${siteName} - Payment Receipt ${reference}`,
+        text: `Hello ${firstName},\n\nThank you for voting. Your payment was successful and your votes have been counted.\n\n${details.map(([label, value]) => `${label}: ${value}`).join('\n')}\n`,
+        html: layout(siteName, 'Payment Receipt', `
+    <p>Hello ${escapeHtml(firstName)},</p>
+    <p>Thank you for voting. Your payment was successful and your votes have been counted.</p>
+    ${rows(details)}`)
+      };
+    }
+  },
+
+  nominationStatus: {
+    render: ({ siteName, firstName, categoryName, status, reason }) => {
+      const approved = status === 'approved';
+      const message = approved
+        ? `Your nomination in ${categoryName} has been approved. You will appear on the ballot once voting opens.`
+        : `Your nomination in ${categoryName} was not approved.`;
+
+      return {
+        subject: `Your nomination in ${categoryName} was ${approved ? 'approved' : 'not approved'}`,
+        text: `Hello ${firstName},\n\n${message}\n${reason ? `\nReason: ${reason}\n` : ''}`,
+        html: layout(siteName, approved ? 'Nomination Approved' : 'Nomination Not Approved', `
+    <p>Hello ${escapeHtml(firstName)},</p>
+    <p>${escapeHtml(message)}</p>
+    ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}`)
+      };
+    }
+  },
+
+  nominationConsentRequest: {
+    render: ({ siteName, firstName, nominatorName, categoryName, expiresAt }) => {
+      const message = `${nominatorName} has nominated you in ${categoryName}. Accept or decline the nomination from My Nominations before ${new Date(expiresAt).toDateString()}; it will not be reviewed unless you accept.`;
+
+      return {
+        subject: `You have been nominated in ${categoryName}`,
+        text: `Hello ${firstName},\n\n${message}\n`,
+        html: layout(siteName, 'You Have Been Nominated', `
+    <p>Hello ${escapeHtml(firstName)},</p>
+    <p>${escapeHtml(message)}</p>`)
+      };
+    }
+  },
+
+  nominationConsentResponse: {
+    render: ({ siteName, firstName, studentName, categoryName, accepted }) => {
+      const message = `${studentName} ${accepted ? 'accepted' : 'declined'} your nomination in ${categoryName}.`;
+
+      return {
+        subject: accepted ? 'Your nomination was accepted' : 'Your nomination was declined',
+        text: `Hello ${firstName},\n\n${message}\n`,
+        html: layout(siteName, accepted ? 'Nomination Accepted' : 'Nomination Declined', `
+    <p>Hello ${escapeHtml(firstName)},</p>
+    <p>${escapeHtml(message)}</p>`)
+      };
+    }
+  },
+
+  disqualification: {
+    render: ({ siteName, firstName, categoryName, action, reason }) => {
+      const disqualified = action === 'disqualified';
+      const message = disqualified
+        ? `Your nomination in ${categoryName} has been disqualified and you can no longer receive votes.`
+        : `Your nomination in ${categoryName} has been reinstated and you can receive votes again.`;
+
+      return {
+        subject: `Your nomination in ${categoryName} has been ${action}`,
+        text: `Hello ${firstName},\n\n${message}\n\nReason: ${reason}\n`,
+        html: layout(siteName, disqualified ? 'Nomination Disqualified' : 'Nomination Reinstated', `
+    <p>Hello ${escapeHtml(firstName)},</p>
+    <p>${escapeHtml(message)}</p>
+    <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>`)
+      };
+    }
+  },
+
+  resultsAnnouncement: {
+    render: ({ siteName, firstName, categoryName, winners = [], url }) => {
+      const standings = winners.map((winner, index) => `${index + 1}. ${winner.name} (${winner.votes} votes)`);
+
+      return {
+        subject: `Results for ${categoryName} are out`,
+        text: `Hello ${firstName},\n\nThe results for ${categoryName} have been published.\n\n${standings.join('\n')}\n\nSee the full results: ${url}\n`,
+        html: layout(siteName, `${categoryName} Results`, `
+    <p>Hello ${escapeHtml(firstName)},</p>
+    <p>The results for ${escapeHtml(categoryName)} have been published.</p>
+    ${standings.length ? `<ol>${winners.map(winner => `<li><strong>${escapeHtml(winner.name)}</strong> (${winner.votes} votes)</li>`).join('')}</ol>` : ''}
+    ${button(url, 'View Results')}`)
+      };
+    }
+  }
+};
+
+module.exports = templates;
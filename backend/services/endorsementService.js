@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const Nominee = require('../models/Nominee');
+const settingsService = require('./settingsService');
+const { httpError, escapeRegex } = require('../utils/helpers');
+
+// Reports from different users that take an endorsement down until an admin reviews it
+const REPORT_THRESHOLD = 3;
+
+// Always blocked; admins add more under System Settings → Security
+const BLOCKED_WORDS = [
+  'fuck', 'motherfucker', 'shit', 'bullshit', 'bitch', 'bastard', 'asshole', 'dickhead',
+  'cunt', 'whore', 'slut', 'wanker', 'twat', 'prick', 'nigger', 'faggot', 'retard'
+];
+
+// Undo common character swaps such as "sh1t" or "b!tch"
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+class EndorsementService {
+  /**
+   * Blocked words found in a piece of text
+   */
+  async findBlockedWords(text = '') {
+    const settings = await settingsService.getSettings();
+    const words = BLOCKED_WORDS.concat(settings.endorsementBlockedWords || []);
+    const normalized = text.toLowerCase().replace(/[013457@$!]/g, char => LOOKALIKES[char]);
+
+    return [...new Set(words)].filter(word =>
+      new RegExp(`\\b${escapeRegex(word)}(s|es|ed|ing|er)?\\b`).test(normalized)
+    );
+  }
+
+  /**
+   * Endorse a nominee. Each user endorses at most one nominee per category;
+   * messages with blocked words wait for moderation
+   */
+  async endorse(nomineeId, user, { message, title }) {
+    const nominee = await this.findNominee(nomineeId);
+    if (nominee.status !== 'approved' || !nominee.isActive || nominee.isDisqualified) {
+      throw httpError('This nominee cannot be endorsed', 400);
+    }
+    if (nominee.student.equals(user._id)) {
+      throw httpError('You cannot endorse yourself', 400);
+    }
+
+    const existing = await Nominee.findOne({
+      category: nominee.category,
+      'endorsements.endorser': user._id
+    }).select('_id');
+    if (existing) {
+      throw httpError(existing._id.equals(nominee._id)
+        ? 'You have already endorsed this nominee'
+        : 'You have already endorsed a nominee in this category', 409);
+    }
+
+    const blocked = await this.findBlockedWords(`${title || ''} ${message}`);
+    nominee.endorsements.push({
+      endorser: user._id,
+      message,
+      title,
+      status: blocked.length > 0 ? 'pending' : 'approved',
+      flagReason: blocked.length > 0 ? `Blocked words: ${blocked.join(', ')}`.slice(0, 200) : undefined
+    });
+    await nominee.save();
+
+    return nominee.endorsements[nominee.endorsements.length - 1];
+  }
+
+  /**
+   * Endorsements shown on a nominee's profile. The nominee also sees the
+   * ones they have hidden, and every viewer sees their own
+   */
+  async listForNominee(nomineeId, viewer, { page = 1, limit = 20 } = {}) {
+    const nominee = await Nominee.findById(nomineeId)
+      .select('student endorsements')
+      .populate('endorsements.endorser', 'firstName lastName profilePicture');
+    if (!nominee) {
+      throw httpError('Nominee not found', 404);
+    }
+
+    const isNominee = Boolean(viewer && nominee.student.equals(viewer._id));
+    const visible = isNominee
+      ? nominee.endorsements.filter(endorsement => endorsement.status === 'approved')
+      : nominee.publicEndorsements();
+    const sorted = visible.sort((a, b) => b.createdAt - a.createdAt);
+    const own = viewer && nominee.endorsements.find(endorsement =>
+      endorsement.endorser && endorsement.endorser._id.equals(viewer._id)
+    );
+
+    return {
+      endorsements: sorted.slice((page - 1) * limit, page * limit).map(endorsement => ({
+        ...this.toPublic(endorsement),
+        isPublic: endorsement.isPublic,
+        reportedByMe: Boolean(viewer && endorsement.reports.some(report => report.reporter.equals(viewer._id)))
+      })),
+      myEndorsement: own ? { ...this.toPublic(own), status: own.status } : null,
+      canManage: isNominee,
+      pagination: {
+        current: page,
+        pages: Math.ceil(sorted.length / limit),
+        total: sorted.length,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Show or hide an endorsement. Only the nominee can do this
+   */
+  async setVisibility(nomineeId, endorsementId, user, isPublic) {
+    const nominee = await this.findNominee(nomineeId);
+    if (!nominee.student.equals(user._id)) {
+      throw httpError('Only the nominee can hide or show endorsements', 403);
+    }
+
+    const endorsement = this.findEndorsement(nominee, endorsementId);
+    endorsement.isPublic = isPublic;
+    await nominee.save();
+    return endorsement;
+  }
+
+  /**
+   * Withdraw your own endorsement, freeing you to endorse someone else in the category
+   */
+  async withdraw(nomineeId, endorsementId, user) {
+    const nominee = await this.findNominee(nomineeId);
+    const endorsement = this.findEndorsement(nominee, endorsementId);
+    if (!endorsement.endorser.equals(user._id)) {
+      throw httpError('You can only withdraw your own endorsement', 403);
+    }
+
+    endorsement.deleteOne();
+    await nominee.save();
+  }
+
+  /**
+   * Report an endorsement as abusive. Enough reports hide it until reviewed
+   */
+  async report(nomineeId, endorsementId, user, reason) {
+    const nominee = await this.findNominee(nomineeId);
+    const endorsement = this.findEndorsement(nominee, endorsementId);
+    if (endorsement.endorser.equals(user._id)) {
+      throw httpError('You cannot report your own endorsement', 400);
+    }
+    if (endorsement.reports.some(report => report.reporter.equals(user._id))) {
+      throw httpError('You have already reported this endorsement', 409);
+    }
+
+    endorsement.reports.push({ reporter: user._id, reason });
+    endorsement.isReported = true;
+    if (endorsement.status === 'approved' && endorsement.reports.length >= REPORT_THRESHOLD) {
+      endorsement.status = 'pending';
+      endorsement.flagReason = `Reported by ${endorsement.reports.length} users`;
+    }
+    await nominee.save();
+    return endorsement;
+  }
+
+  /**
+   * Moderation queue: pending endorsements and approved ones with open reports,
+   * or every endorsement with a given status
+   */
+  async listForModeration({ status, category, reported } = {}, { page = 1, limit = 20 } = {}) {
+    const match = {};
+    if (status) match['endorsements.status'] = status;
+    if (reported) match['endorsements.isReported'] = true;
+    if (!status && !reported) {
+      match.$or = [
+        { 'endorsements.status': 'pending' },
+        { 'endorsements.status': 'approved', 'endorsements.isReported': true }
+      ];
+    }
+
+    const [result] = await Nominee.aggregate([
+      { $match: category ? { category: new mongoose.Types.ObjectId(category) } : {} },
+      { $unwind: '$endorsements' },
+      { $match: match },
+      { $sort: { 'endorsements.createdAt': -1 } },
+      {
+        $facet: {
+          endorsements: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $lookup: { from: 'users', localField: 'endorsements.endorser', foreignField: '_id', as: 'endorser' } },
+            { $lookup: { from: 'users', localField: 'student', foreignField: '_id', as: 'student' } },
+            { $lookup: { from: 'categories', localField: 'category', foreignField: '_id', as: 'category' } },
+            {
+              $project: {
+                _id: '$endorsements._id',
+                nomineeId: '$_id',
+                nominee: {
+                  $concat: [
+                    { $ifNull: [{ $arrayElemAt: ['$student.firstName', 0] }, ''] }, ' ',
+                    { $ifNull: [{ $arrayElemAt: ['$student.lastName', 0] }, ''] }
+                  ]
+                },
+                category: { $arrayElemAt: ['$category.name', 0] },
+                endorser: {
+                  firstName: { $arrayElemAt: ['$endorser.firstName', 0] },
+                  lastName: { $arrayElemAt: ['$endorser.lastName', 0] },
+                  email: { $arrayElemAt: ['$endorser.email', 0] }
+                },
+                message: '$endorsements.message',
+                title: '$endorsements.title',
+                status: '$endorsements.status',
+                isPublic: '$endorsements.isPublic',
+                isReported: '$endorsements.isReported',
+                flagReason: '$endorsements.flagReason',
+                reports: '$endorsements.reports',
+                moderatedAt: '$endorsements.moderatedAt',
+                moderationNotes: '$endorsements.moderationNotes',
+                createdAt: '$endorsements.createdAt'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    return {
+      endorsements: result.endorsements,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Approve or remove an endorsement, closing any open reports
+   */
+  async moderate(nomineeId, endorsementId, action, { userId, notes } = {}) {
+    const nominee = await this.findNominee(nomineeId);
+    const endorsement = this.findEndorsement(nominee, endorsementId);
+
+    endorsement.status = action === 'approve' ? 'approved' : 'removed';
+    endorsement.isReported = false;
+    endorsement.moderatedBy = userId;
+    endorsement.moderatedAt = new Date();
+    endorsement.moderationNotes = notes;
+    await nominee.save();
+    return endorsement;
+  }
+
+  async findNominee(nomineeId) {
+    const nominee = await Nominee.findById(nomineeId);
+    if (!nominee) {
+      throw httpError('Nominee not found', 404);
+    }
+    return nominee;
+  }
+
+  findEndorsement(nominee, endorsementId) {
+    const endorsement = nominee.endorsements.id(endorsementId);
+    if (!endorsement) {
+      throw httpError('Endorsement not found', 404);
+    }
+    return endorsement;
+  }
+
+  toPublic(endorsement) {
+    const endorser = endorsement.endorser || {};
+    return {
+      _id: endorsement._id,
+      endorser: {
+        _id: endorser._id,
+        firstName: endorser.firstName,
+        lastName: endorser.lastName,
+        profilePicture: endorser.profilePicture
+      },
+      title: endorsement.title,
+      message: endorsement.message,
+      createdAt: endorsement.createdAt
+    };
+  }
+}
+
+module.exports = new EndorsementService();
@@ -0,0 +1,195 @@
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const settingsService = require('./settingsService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Points each rule adds to a payment's fraud score (capped at 100)
+const RULES = {
+  deviceReuse: { windowMs: 7 * 24 * HOUR, points: { one: 15, many: 35 } },
+  ipVelocity: { windowMs: 10 * 60 * 1000, limit: 10, severeLimit: 25, points: { over: 20, severe: 40 } },
+  cardReuse: { windowMs: 30 * 24 * HOUR, points: { one: 20, many: 40 } },
+  newAccountBurst: { accountAgeMs: 24 * HOUR, windowMs: HOUR, limit: 3, largePurchase: 20, points: 25 },
+  gatewayRisk: { points: 30, foreignCardPoints: 10 }
+};
+
+class FraudService {
+  /**
+   * Score a payment against every rule and record the result in its
+   * fraudCheck. The caller saves the payment
+   */
+  async assessPayment(payment, { riskSignals = [] } = {}) {
+    const settings = await settingsService.getSettings();
+
+    if (settings.fraudDetectionEnabled === false) {
+      payment.fraudCheck = { score: 0, isFlagged: false, action: 'none', signals: [], checkedAt: new Date(), checkedBy: 'disabled' };
+      return payment.fraudCheck;
+    }
+
+    const results = await Promise.all([
+      this.checkDeviceReuse(payment),
+      this.checkIpVelocity(payment),
+      this.checkCardReuse(payment),
+      this.checkNewAccountBurst(payment)
+    ]);
+    const signals = results.concat(this.checkGatewayRisk(payment, riskSignals)).filter(Boolean);
+
+    const score = Math.min(100, signals.reduce((sum, signal) => sum + signal.points, 0));
+    const action = this.actionFor(score, settings);
+
+    payment.fraudCheck = {
+      score,
+      isFlagged: action !== 'none',
+      action,
+      signals,
+      flagReason: signals.length > 0 ? signals.map(signal => signal.detail).join('; ') : undefined,
+      checkedAt: new Date(),
+      checkedBy: 'rules'
+    };
+    return payment.fraudCheck;
+  }
+
+  /**
+   * 'hold', 'flag' or 'none' for a score, using the admin thresholds
+   */
+  actionFor(score, settings) {
+    if (score >= settings.fraudHoldThreshold) return 'hold';
+    if (score >= settings.fraudFlagThreshold) return 'flag';
+    return 'none';
+  }
+
+  /**
+   * Vote fields for a payment's fraud check. Held votes stay pending and
+   * are not counted until reviewed
+   */
+  voteFields(fraudCheck = {}) {
+    const fields = {
+      fraudScore: fraudCheck.score || 0,
+      isFlagged: Boolean(fraudCheck.isFlagged),
+      flagReason: fraudCheck.flagReason ? fraudCheck.flagReason.slice(0, 200) : undefined
+    };
+
+    if (fraudCheck.action === 'hold') {
+      fields.status = 'pending';
+      fields.isVerified = false;
+    }
+    return fields;
+  }
+
+  /**
+   * Same device used by other accounts recently
+   */
+  async checkDeviceReuse(payment) {
+    const fingerprint = payment.metadata?.deviceFingerprint;
+    if (!fingerprint) return null;
+
+    const { windowMs, points } = RULES.deviceReuse;
+    const otherUsers = await Payment.distinct('user', {
+      'metadata.deviceFingerprint': fingerprint,
+      user: { $ne: payment.user },
+      createdAt: { $gte: new Date(Date.now() - windowMs) }
+    });
+    if (otherUsers.length === 0) return null;
+
+    return {
+      rule: 'device_reuse',
+      points: otherUsers.length > 1 ? points.many : points.one,
+      detail: `Device used by ${otherUsers.length} other account(s)`
+    };
+  }
+
+  /**
+   * Many payments started from one IP address in a short time
+   */
+  async checkIpVelocity(payment) {
+    const ipAddress = payment.metadata?.ipAddress;
+    if (!ipAddress) return null;
+
+    const { windowMs, limit, severeLimit, points } = RULES.ipVelocity;
+    const recent = await Payment.countDocuments({
+      'metadata.ipAddress': ipAddress,
+      _id: { $ne: payment._id },
+      createdAt: { $gte: new Date(Date.now() - windowMs) }
+    });
+    if (recent < limit) return null;
+
+    return {
+      rule: 'ip_velocity',
+      points: recent >= severeLimit ? points.severe : points.over,
+      detail: `${recent} other payment(s) from this IP in ${windowMs / 60000} minutes`
+    };
+  }
+
+  /**
+   * Same card (BIN and last four digits) paying for other accounts
+   */
+  async checkCardReuse(payment) {
+    const { bin, last4 } = payment.cardDetails || {};
+    if (!bin || !last4) return null;
+
+    const { windowMs, points } = RULES.cardReuse;
+    const otherUsers = await Payment.distinct('user', {
+      'cardDetails.bin': bin,
+      'cardDetails.last4': last4,
+      user: { $ne: payment.user },
+      status: 'success',
+      createdAt: { $gte: new Date(Date.now() - windowMs) }
+    });
+    if (otherUsers.length === 0) return null;
+
+    return {
+      rule: 'card_reuse',
+      points: otherUsers.length > 1 ? points.many : points.one,
+      detail: `Card ${bin}******${last4} paid for ${otherUsers.length} other account(s)`
+    };
+  }
+
+  /**
+   * Brand-new account buying in bulk or in rapid bursts
+   */
+  async checkNewAccountBurst(payment) {
+    const { accountAgeMs, windowMs, limit, largePurchase, points } = RULES.newAccountBurst;
+    const user = await User.findById(payment.user).select('createdAt');
+    if (!user || Date.now() - user.createdAt.getTime() > accountAgeMs) return null;
+
+    const quantity = payment.metadata?.quantity || 1;
+    const recent = await Payment.countDocuments({
+      user: payment.user,
+      _id: { $ne: payment._id },
+      createdAt: { $gte: new Date(Date.now() - windowMs) }
+    });
+    if (recent + 1 < limit && quantity < largePurchase) return null;
+
+    return {
+      rule: 'new_account_burst',
+      points,
+      detail: quantity >= largePurchase
+        ? `Account under a day old buying ${quantity} votes`
+        : `Account under a day old made ${recent + 1} payments in an hour`
+    };
+  }
+
+  /**
+   * Warnings raised by the gateway itself, plus cards issued abroad
+   */
+  checkGatewayRisk(payment, riskSignals = []) {
+    const { points, foreignCardPoints } = RULES.gatewayRisk;
+    const signals = riskSignals.map(signal => ({
+      rule: 'gateway_risk',
+      points,
+      detail: `Gateway: ${signal}`
+    }));
+
+    const countryCode = payment.cardDetails?.countryCode;
+    if (countryCode && countryCode.toUpperCase() !== 'NG') {
+      signals.push({
+        rule: 'foreign_card',
+        points: foreignCardPoints,
+        detail: `Card issued in ${countryCode.toUpperCase()}`
+      });
+    }
+    return signals;
+  }
+}
+
+module.exports = new FraudService();
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const tenantContext = require('../tenantContext');
+
+/**
+ * Base class every payment gateway driver extends.
+ *
+ * Amounts passed in and returned are in naira; drivers convert to the
+ * gateway's minor unit themselves. Normalised statuses are
+ * 'success', 'failed' and 'pending'.
+ */
+class BaseGateway {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Apply admin settings on top of environment configuration
+   */
+  configure() {
+    return this;
+  }
+
+  /**
+   * Pick a credential: the environment wins over admin settings, except for
+   * tenants, which only ever use the credentials saved in their own settings
+   */
+  credential(envName, settingValue) {
+    if (tenantContext.get()) {
+      return settingValue;
+    }
+    return process.env[envName] || settingValue;
+  }
+
+  /**
+   * Whether the driver has the credentials it needs
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Start a transaction.
+   * Resolves with { gatewayReference, authorizationUrl, accessCode, raw }
+   */
+  async initialize() {
+    throw this.notImplemented('initialize');
+  }
+
+  /**
+   * Check a transaction's status with the gateway.
+   * Resolves with { status, amount, paidAt, channel, fees, failureReason, card, riskSignals, raw }
+   * where `amount` is what the gateway says was charged, or null if unknown.
+   * `card` ({ bin, last4, brand, bank, countryCode }) and `riskSignals`
+   * (warnings the gateway raised) are optional
+   */
+  async verify() {
+    throw this.notImplemented('verify');
+  }
+
+  /**
+   * Check a webhook request came from the gateway
+   */
+  verifyWebhookSignature() {
+    throw this.notImplemented('verifyWebhookSignature');
+  }
+
+  /**
+   * Reduce a webhook payload to { id, event, reference, status, raw }.
+   * `id` identifies the delivery so retries can be deduplicated
+   */
+  parseWebhookEvent() {
+    throw this.notImplemented('parseWebhookEvent');
+  }
+
+  /**
+   * Refund a successful transaction.
+   * Resolves with { refundReference, status, raw }
+   */
+  async refund() {
+    throw this.notImplemented('refund');
+  }
+
+  /**
+   * Constant-time comparison for signatures
+   */
+  safeCompare(expected, received) {
+    if (!expected || !received) return false;
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(received));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.name} gateway does not implement ${method}`);
+  }
+}
+
+module.exports = BaseGateway;
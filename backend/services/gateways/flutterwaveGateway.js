@@ -0,0 +1,152 @@
+const axios = require('axios');
+const BaseGateway = require('./baseGateway');
+
+class FlutterwaveGateway extends BaseGateway {
+  constructor() {
+    super('flutterwave');
+    this.secretKey = process.env.FLUTTERWAVE_SECRET_KEY;
+    this.webhookHash = process.env.FLUTTERWAVE_WEBHOOK_HASH;
+    this.baseURL = 'https://api.flutterwave.com/v3';
+    this.title = 'Sandwich Award';
+  }
+
+  configure(settings = {}) {
+    this.secretKey = this.credential('FLUTTERWAVE_SECRET_KEY', settings.flutterwaveSecretKey);
+    this.webhookHash = this.credential('FLUTTERWAVE_WEBHOOK_HASH', settings.flutterwaveWebhookHash);
+    this.title = settings.siteName || this.title;
+    return this;
+  }
+
+  isConfigured() {
+    return Boolean(this.secretKey);
+  }
+
+  get headers() {
+    return {
+      Authorization: `Bearer ${this.secretKey}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  async initialize({ reference, amount, currency, email, customer = {}, callbackUrl, description, metadata = {} }) {
+    const response = await axios.post(
+      `${this.baseURL}/payments`,
+      {
+        tx_ref: reference,
+        amount,
+        currency,
+        redirect_url: callbackUrl,
+        customer: {
+          email,
+          name: customer.name,
+          phonenumber: customer.phone
+        },
+        customizations: {
+          title: this.title,
+          description
+        },
+        meta: metadata
+      },
+      { headers: this.headers }
+    );
+
+    if (response.data.status !== 'success') {
+      throw new Error(response.data.message || 'Payment initialization failed');
+    }
+
+    // Flutterwave identifies the transaction by our tx_ref until it is paid
+    return {
+      gatewayReference: reference,
+      authorizationUrl: response.data.data.link,
+      accessCode: null,
+      raw: response.data.data
+    };
+  }
+
+  async verify(payment) {
+    const response = await axios.get(
+      `${this.baseURL}/transactions/verify_by_reference`,
+      {
+        headers: this.headers,
+        params: { tx_ref: payment.gatewayReference }
+      }
+    );
+
+    if (response.data.status !== 'success') {
+      throw new Error(response.data.message || 'Payment verification failed');
+    }
+
+    const data = response.data.data;
+    const statusMap = { successful: 'success', failed: 'failed', cancelled: 'failed' };
+
+    // Never trust a successful status if the amount paid does not match
+    if (data.status === 'successful' && (data.amount < payment.amount || data.currency !== payment.currency)) {
+      return {
+        status: 'failed',
+        amount: data.amount,
+        failureReason: 'Amount or currency paid does not match the payment',
+        raw: data
+      };
+    }
+
+    return {
+      status: statusMap[data.status] || 'pending',
+      amount: data.amount,
+      paidAt: data.created_at ? new Date(data.created_at) : null,
+      channel: data.payment_type,
+      fees: data.app_fee || 0,
+      failureReason: data.processor_response,
+      card: data.card?.first_6digits ? {
+        bin: data.card.first_6digits,
+        last4: data.card.last_4digits,
+        brand: data.card.type,
+        bank: data.card.issuer,
+        // Reported as e.g. "NIGERIA NG"
+        countryCode: data.card.country?.split(' ').pop()
+      } : undefined,
+      riskSignals: data.fraud_status && data.fraud_status !== 'ok' ? [`Fraud status ${data.fraud_status}`] : [],
+      raw: data
+    };
+  }
+
+  verifyWebhookSignature(rawBody, headers) {
+    return this.safeCompare(this.webhookHash, headers['verif-hash']);
+  }
+
+  parseWebhookEvent(payload) {
+    const statusMap = { successful: 'success', failed: 'failed' };
+
+    return {
+      id: payload.data?.id ? `${payload.event}:${payload.data.id}` : null,
+      event: payload.event,
+      reference: payload.data?.tx_ref,
+      status: payload.event === 'charge.completed' ? statusMap[payload.data?.status] || null : null,
+      raw: payload.data
+    };
+  }
+
+  async refund(payment, { amount, reason }) {
+    const transactionId = payment.gatewayResponse?.id;
+    if (!transactionId) {
+      throw new Error('Flutterwave transaction ID not found on payment');
+    }
+
+    const response = await axios.post(
+      `${this.baseURL}/transactions/${transactionId}/refund`,
+      { amount, comments: reason },
+      { headers: this.headers }
+    );
+
+    if (response.data.status !== 'success') {
+      throw new Error(response.data.message || 'Refund failed');
+    }
+
+    return {
+      refundReference: String(response.data.data.id),
+      status: response.data.data.status === 'completed' ? 'success' : 'pending',
+      raw: response.data.data
+    };
+  }
+}
+
+module.exports = FlutterwaveGateway;
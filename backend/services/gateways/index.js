@@ -0,0 +1,55 @@
+const PaystackGateway = require('./paystackGateway');
+const FlutterwaveGateway = require('./flutterwaveGateway');
+const OPayGateway = require('./opayGateway');
+const MockGateway = require('./mockGateway');
+const settingsService = require('../settingsService');
+const { httpError } = require('../../utils/helpers');
+
+const drivers = {
+  paystack: PaystackGateway,
+  flutterwave: FlutterwaveGateway,
+  opay: OPayGateway,
+  mock: MockGateway
+};
+
+const GATEWAY_NAMES = Object.keys(drivers);
+
+/**
+ * Get a configured driver by name. Each call gets its own driver so
+ * tenants' credentials never mix
+ */
+const getGateway = async (name) => {
+  const Driver = drivers[name];
+  if (!Driver) {
+    throw httpError(`Unknown payment gateway: ${name}`, 400);
+  }
+
+  const settings = await settingsService.getSettings();
+  const driver = new Driver().configure(settings);
+
+  if (!driver.isConfigured()) {
+    throw httpError(`Payment gateway ${name} is not configured`, 503);
+  }
+
+  return driver;
+};
+
+/**
+ * Pick the driver for a vote payment: the category's own gateway wins,
+ * then the admin default, then PAYMENT_GATEWAY from the environment
+ */
+const resolveGateway = async (category) => {
+  const settings = await settingsService.getSettings();
+  const name = category?.votingSettings?.paymentGateway
+    || settings.paymentGateway
+    || process.env.PAYMENT_GATEWAY
+    || 'paystack';
+
+  return getGateway(name);
+};
+
+module.exports = {
+  GATEWAY_NAMES,
+  getGateway,
+  resolveGateway
+};
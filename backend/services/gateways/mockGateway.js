@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const BaseGateway = require('./baseGateway');
+
+/**
+ * Local driver that never touches the network, so the vote-payment flow can
+ * be exercised end to end in development. Set MOCK_PAYMENT_OUTCOME to
+ * 'failed' or 'pending' to simulate other results, and MOCK_RISK_SIGNAL
+ * to have the gateway raise a fraud warning.
+ */
+class MockGateway extends BaseGateway {
+  constructor() {
+    super('mock');
+    this.webhookSecret = process.env.MOCK_WEBHOOK_SECRET || 'mock_webhook_secret';
+  }
+
+  isConfigured() {
+    return process.env.NODE_ENV !== 'production' || process.env.ALLOW_MOCK_PAYMENTS === 'true';
+  }
+
+  get outcome() {
+    return process.env.MOCK_PAYMENT_OUTCOME || 'success';
+  }
+
+  async initialize({ reference, callbackUrl }) {
+    const separator = callbackUrl.includes('?') ? '&' : '?';
+
+    // Skip the hosted checkout page and go straight back to the callback
+    return {
+      gatewayReference: `MOCK_${reference}`,
+      authorizationUrl: `${callbackUrl}${separator}reference=${encodeURIComponent(reference)}&gateway=mock`,
+      accessCode: `MOCK_${reference}`,
+      raw: { mock: true }
+    };
+  }
+
+  async verify(payment) {
+    return {
+      status: this.outcome,
+      amount: payment.amount,
+      paidAt: this.outcome === 'success' ? new Date() : null,
+      channel: 'card',
+      fees: 0,
+      failureReason: this.outcome === 'failed' ? 'Simulated failure' : null,
+      card: { bin: '408408', last4: this.testCardLast4(payment), brand: 'visa', bank: 'Mock Bank', countryCode: 'NG' },
+      riskSignals: process.env.MOCK_RISK_SIGNAL ? [process.env.MOCK_RISK_SIGNAL] : [],
+      raw: { mock: true, status: this.outcome }
+    };
+  }
+
+  /**
+   * One test card per account, so card reuse checks only fire between real cards
+   */
+  testCardLast4(payment) {
+    const hash = crypto.createHash('sha256').update(String(payment.user)).digest();
+    return String(hash.readUInt16BE(0) % 10000).padStart(4, '0');
+  }
+
+  /**
+   * Sign a payload the way verifyWebhookSignature expects, for local testing
+   */
+  sign(rawBody) {
+    return crypto.createHmac('sha512', this.webhookSecret).update(rawBody).digest('hex');
+  }
+
+  verifyWebhookSignature(rawBody, headers) {
+    return this.safeCompare(this.sign(rawBody), headers['x-mock-signature']);
+  }
+
+  parseWebhookEvent(payload) {
+    return {
+      id: payload.id || null,
+      event: payload.event,
+      reference: payload.data?.reference,
+      status: payload.data?.status || null,
+      raw: payload.data
+    };
+  }
+
+  async refund(payment) {
+    return {
+      refundReference: `MOCK_RF_${payment.internalReference}`,
+      status: 'success',
+      raw: { mock: true }
+    };
+  }
+}
+
+module.exports = MockGateway;
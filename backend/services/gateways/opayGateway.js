@@ -0,0 +1,162 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const BaseGateway = require('./baseGateway');
+const tenantContext = require('../tenantContext');
+
+class OPayGateway extends BaseGateway {
+  constructor() {
+    super('opay');
+    this.merchantId = process.env.OPAY_MERCHANT_ID;
+    this.publicKey = process.env.OPAY_PUBLIC_KEY;
+    this.privateKey = process.env.OPAY_PRIVATE_KEY;
+    this.baseURL = process.env.NODE_ENV === 'production'
+      ? 'https://api.opaycheckout.com/api/v1/international'
+      : 'https://sandboxapi.opaycheckout.com/api/v1/international';
+  }
+
+  /**
+   * Fall back to the credentials saved under admin payment settings
+   */
+  configure(settings = {}) {
+    this.merchantId = this.credential('OPAY_MERCHANT_ID', settings.opayMerchantId);
+    this.publicKey = this.credential('OPAY_PUBLIC_KEY', settings.opayPublicKey);
+    this.privateKey = this.credential('OPAY_PRIVATE_KEY', settings.opayPrivateKey);
+    return this;
+  }
+
+  isConfigured() {
+    return Boolean(this.merchantId && this.publicKey && this.privateKey);
+  }
+
+  /**
+   * Generate HMAC signature for OPay API
+   */
+  generateSignature(data) {
+    const dataString = typeof data === 'string' ? data : JSON.stringify(data);
+    return crypto.createHmac('sha512', this.privateKey || '').update(dataString).digest('hex');
+  }
+
+  async post(path, data, authorization) {
+    const response = await axios.post(`${this.baseURL}${path}`, data, {
+      headers: {
+        Authorization: `Bearer ${authorization}`,
+        MerchantId: this.merchantId,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (response.data.code !== '00000') {
+      throw new Error(response.data.message || 'OPay request failed');
+    }
+
+    return response.data.data;
+  }
+
+  async initialize({ reference, amount, currency, email, customer = {}, callbackUrl, description }) {
+    // The notification has to find its way back to the tenant that took the payment
+    const tenant = tenantContext.get();
+    const notifyUrl = `${process.env.BACKEND_URL}/api/payments/webhook/opay${tenant ? `?tenant=${tenant.slug}` : ''}`;
+
+    const data = await this.post('/cashier/create', {
+      country: 'NG',
+      reference,
+      amount: {
+        currency,
+        total: Math.round(amount * 100) // Convert to kobo
+      },
+      callbackUrl: notifyUrl,
+      returnUrl: callbackUrl,
+      product: {
+        name: 'Vote Payment',
+        description
+      },
+      userInfo: {
+        userName: customer.name || email,
+        userEmail: email,
+        userMobile: customer.phone || ''
+      },
+      payMethod: 'BankCard'
+    }, this.publicKey);
+
+    return {
+      gatewayReference: data.orderNo,
+      authorizationUrl: data.cashierUrl,
+      accessCode: data.orderNo,
+      raw: data
+    };
+  }
+
+  async verify(payment) {
+    const queryData = {
+      country: 'NG',
+      reference: payment.internalReference
+    };
+
+    const data = await this.post('/cashier/status', queryData, this.generateSignature(queryData));
+    const amount = data.amount ? Number(data.amount.total) / 100 : null;
+    const statusMap = { SUCCESS: 'success', FAIL: 'failed', FAILED: 'failed', CLOSE: 'failed' };
+
+    // Never trust a successful status if the amount paid does not match
+    if (data.status === 'SUCCESS' && amount !== null && amount < payment.amount) {
+      return {
+        status: 'failed',
+        amount,
+        failureReason: 'Amount paid does not match the payment',
+        raw: data
+      };
+    }
+
+    return {
+      status: statusMap[data.status] || 'pending',
+      amount,
+      paidAt: data.status === 'SUCCESS' ? new Date() : null,
+      channel: data.payMethod,
+      fees: data.fee ? Number(data.fee.total || 0) / 100 : 0,
+      failureReason: data.failureReason,
+      raw: data
+    };
+  }
+
+  verifyWebhookSignature(rawBody, headers) {
+    const received = (headers.authorization || '').replace('Bearer ', '');
+    return this.safeCompare(this.generateSignature(rawBody.toString()), received);
+  }
+
+  parseWebhookEvent(payload) {
+    const data = payload.payload || payload;
+    const statusMap = { SUCCESS: 'success', FAIL: 'failed', FAILED: 'failed' };
+
+    const transactionId = data.transactionId || data.orderNo || data.reference;
+
+    return {
+      id: transactionId ? `${transactionId}:${data.status}` : null,
+      event: payload.type || 'transaction-status',
+      reference: data.reference || data.orderNo,
+      status: statusMap[data.status] || null,
+      raw: data
+    };
+  }
+
+  async refund(payment, { amount, reason }) {
+    const refundData = {
+      country: 'NG',
+      reference: `${payment.internalReference}_RF`,
+      originalReference: payment.internalReference,
+      amount: {
+        currency: payment.currency,
+        total: Math.round(amount * 100) // Convert to kobo
+      },
+      refundReason: reason
+    };
+
+    const data = await this.post('/payment/refund', refundData, this.generateSignature(refundData));
+
+    return {
+      refundReference: data.refundOrderNo || refundData.reference,
+      status: data.status === 'SUCCESS' ? 'success' : 'pending',
+      raw: data
+    };
+  }
+}
+
+module.exports = OPayGateway;
@@ -0,0 +1,140 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const BaseGateway = require('./baseGateway');
+
+class PaystackGateway extends BaseGateway {
+  constructor() {
+    super('paystack');
+    this.secretKey = process.env.PAYSTACK_SECRET_KEY;
+    this.baseURL = 'https://api.paystack.co';
+  }
+
+  configure(settings = {}) {
+    this.secretKey = this.credential('PAYSTACK_SECRET_KEY', settings.paystackSecretKey);
+    return this;
+  }
+
+  isConfigured() {
+    return Boolean(this.secretKey);
+  }
+
+  get headers() {
+    return {
+      Authorization: `Bearer ${this.secretKey}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  async initialize({ reference, amount, email, callbackUrl, metadata = {} }) {
+    const response = await axios.post(
+      `${this.baseURL}/transaction/initialize`,
+      {
+        email,
+        reference,
+        amount: Math.round(amount * 100), // Convert to kobo
+        callback_url: callbackUrl,
+        metadata
+      },
+      { headers: this.headers }
+    );
+
+    if (!response.data.status) {
+      throw new Error(response.data.message || 'Payment initialization failed');
+    }
+
+    return {
+      gatewayReference: response.data.data.reference,
+      authorizationUrl: response.data.data.authorization_url,
+      accessCode: response.data.data.access_code,
+      raw: response.data.data
+    };
+  }
+
+  async verify(payment) {
+    const response = await axios.get(
+      `${this.baseURL}/transaction/verify/${encodeURIComponent(payment.gatewayReference)}`,
+      { headers: this.headers }
+    );
+
+    if (!response.data.status) {
+      throw new Error(response.data.message || 'Payment verification failed');
+    }
+
+    const data = response.data.data;
+    const amount = data.amount / 100;
+    const statusMap = { success: 'success', failed: 'failed', abandoned: 'failed', reversed: 'failed' };
+
+    // Never trust a successful status if the amount paid does not match
+    if (data.status === 'success' && amount < payment.amount) {
+      return {
+        status: 'failed',
+        amount,
+        failureReason: 'Amount paid does not match the payment',
+        raw: data
+      };
+    }
+
+    return {
+      status: statusMap[data.status] || 'pending',
+      amount,
+      paidAt: data.paid_at ? new Date(data.paid_at) : null,
+      channel: data.channel,
+      fees: (data.fees || 0) / 100,
+      failureReason: data.gateway_response,
+      card: data.authorization?.bin ? {
+        bin: data.authorization.bin,
+        last4: data.authorization.last4,
+        brand: data.authorization.card_type?.trim(),
+        bank: data.authorization.bank,
+        countryCode: data.authorization.country_code
+      } : undefined,
+      riskSignals: data.customer?.risk_action === 'deny' ? ['Customer is on the Paystack deny list'] : [],
+      raw: data
+    };
+  }
+
+  verifyWebhookSignature(rawBody, headers) {
+    const expected = crypto
+      .createHmac('sha512', this.secretKey || '')
+      .update(rawBody)
+      .digest('hex');
+
+    return this.safeCompare(expected, headers['x-paystack-signature']);
+  }
+
+  parseWebhookEvent(payload) {
+    const statusMap = { 'charge.success': 'success', 'charge.failed': 'failed' };
+
+    return {
+      id: payload.data?.id ? `${payload.event}:${payload.data.id}` : null,
+      event: payload.event,
+      reference: payload.data?.reference,
+      status: statusMap[payload.event] || null,
+      raw: payload.data
+    };
+  }
+
+  async refund(payment, { amount, reason }) {
+    const response = await axios.post(
+      `${this.baseURL}/refund`,
+      {
+        transaction: payment.gatewayReference,
+        amount: Math.round(amount * 100), // Convert to kobo
+        merchant_note: reason
+      },
+      { headers: this.headers }
+    );
+
+    if (!response.data.status) {
+      throw new Error(response.data.message || 'Refund failed');
+    }
+
+    return {
+      refundReference: String(response.data.data.id),
+      status: response.data.data.status === 'processed' ? 'success' : 'pending',
+      raw: response.data.data
+    };
+  }
+}
+
+module.exports = PaystackGateway;
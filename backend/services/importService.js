@@ -0,0 +1,519 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Nominee = require('../models/Nominee');
+const Edition = require('../models/Edition');
+const spreadsheetService = require('./spreadsheetService');
+const catalogService = require('./catalogService');
+const settingsService = require('./settingsService');
+const editionService = require('./editionService');
+const eligibilityService = require('./eligibilityService');
+const consentService = require('./consentService');
+const studentRegistryService = require('./studentRegistryService');
+const { httpError } = require('../utils/helpers');
+
+const MAX_ROWS = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const lower = (value = '') => value.trim().toLowerCase();
+const upper = (value = '') => value.replace(/\s/g, '').toUpperCase();
+
+// Same slug Category's pre-save hook gives a name
+const slugify = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const parseDate = (value, label, errors) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    errors.push(`${label} "${value}" is not a valid date`);
+    return undefined;
+  }
+  return date;
+};
+
+const parseNumber = (value, label, errors) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    errors.push(`${label} "${value}" is not a number`);
+    return undefined;
+  }
+  return number;
+};
+
+// Standalone MongoDB servers cannot run transactions
+const transactionsUnsupported = (error) => error.code === 20 ||
+  /Transaction numbers are only allowed|replica set/i.test(error.message || '');
+
+/**
+ * What each entity's spreadsheet looks like and how a row becomes a
+ * document. `columns` lists accepted (normalized) headers per field. `load`
+ * fetches everything rows are checked against in one go; `build` turns a row
+ * into document data, adding problems to `errors`; `keys` are the values
+ * that must be unique. `references` are ids looked up from the row, which
+ * `build` reports on by name when they are not found
+ */
+const ENTITIES = {
+  users: {
+    model: User,
+    columns: {
+      firstName: ['firstname'],
+      lastName: ['lastname', 'surname'],
+      email: ['email', 'emailaddress'],
+      phoneNumber: ['phonenumber', 'phone'],
+      studentId: ['studentid', 'matricnumber', 'matricno'],
+      faculty: ['faculty'],
+      department: ['department', 'dept'],
+      level: ['level'],
+      password: ['password']
+    },
+    required: ['firstName', 'lastName', 'email', 'phoneNumber'],
+    templateHeaders: ['First Name', 'Last Name', 'Email', 'Phone Number', 'Student ID', 'Faculty', 'Department', 'Level', 'Password'],
+    example: ['Ada', 'Okafor', 'ada.okafor@example.com', '08012345678', 'S012345', 'Science', 'Physics', '300', ''],
+
+    async load(records) {
+      const emails = records.map(record => lower(record.email)).filter(Boolean);
+      const studentIds = records.map(record => upper(record.studentId)).filter(Boolean);
+      const [existing, catalog, settings] = await Promise.all([
+        User.find({ $or: [{ email: { $in: emails } }, { studentId: { $in: studentIds } }] }).select('email studentId').lean(),
+        catalogService.getCatalog(),
+        settingsService.getSettings()
+      ]);
+
+      return {
+        catalog,
+        isVerified: !settings.requireEmailVerification,
+        existing: {
+          email: new Set(existing.map(user => user.email)),
+          studentId: new Set(existing.map(user => user.studentId).filter(Boolean))
+        }
+      };
+    },
+
+    async build(record, context, errors) {
+      const studentId = upper(record.studentId);
+      const data = {
+        _id: new mongoose.Types.ObjectId(),
+        firstName: record.firstName,
+        lastName: record.lastName,
+        email: lower(record.email),
+        phoneNumber: record.phoneNumber,
+        // Users without a password set one with "Forgot password"
+        password: record.password || crypto.randomBytes(24).toString('hex'),
+        isStudent: Boolean(studentId),
+        isVerified: context.isVerified
+      };
+
+      if (record.password && record.password.length < 6) {
+        errors.push('Password must be at least 6 characters');
+      }
+
+      if (studentId) {
+        const faculty = context.catalog.find(entry => entry.name === record.faculty);
+        if (!record.faculty || !record.department || !record.level) {
+          errors.push('Faculty, department and level are required for students');
+        } else if (!faculty) {
+          errors.push(`${record.faculty} is not a faculty of this institution`);
+        } else if (!faculty.departments.some(department => department.name === record.department)) {
+          errors.push(`${record.department} is not in the faculty of ${faculty.name}`);
+        }
+
+        Object.assign(data, {
+          studentId,
+          faculty: record.faculty,
+          department: record.department,
+          level: record.level,
+          role: 'student'
+        });
+        await studentRegistryService.applyToRegistration(data);
+      }
+
+      return data;
+    },
+
+    keys: (data) => [['email', data.email], ['studentId', data.studentId]],
+
+    preview: (data) => ({
+      name: `${data.firstName} ${data.lastName}`,
+      email: data.email,
+      studentId: data.studentId,
+      role: data.role || 'voter',
+      studentVerification: data.studentVerification?.status
+    })
+  },
+
+  categories: {
+    model: Category,
+    columns: {
+      name: ['name', 'categoryname'],
+      description: ['description'],
+      votingStartDate: ['votingstartdate', 'votingstart', 'votingstarts'],
+      votingEndDate: ['votingenddate', 'votingend', 'votingends'],
+      votePrice: ['voteprice', 'price'],
+      nominationStartDate: ['nominationstartdate', 'nominationstart', 'nominationsopen'],
+      nominationEndDate: ['nominationenddate', 'nominationend', 'nominationsclose'],
+      icon: ['icon'],
+      color: ['color', 'colour'],
+      maxNominees: ['maxnominees'],
+      displayOrder: ['displayorder', 'order']
+    },
+    required: ['name', 'description', 'votingStartDate', 'votingEndDate'],
+    templateHeaders: ['Name', 'Description', 'Voting Start Date', 'Voting End Date', 'Vote Price', 'Nomination Start Date', 'Nomination End Date', 'Icon', 'Color', 'Max Nominees', 'Display Order'],
+    example: ['Best student of the year', 'The most outstanding student across academics and campus life', '2026-03-01T09:00', '2026-03-14T18:00', '100', '2026-02-01T09:00', '2026-02-20T18:00', 'star', '#FFD700', '50', ''],
+
+    async load(records, { edition }) {
+      const existing = await Category.find({ edition: edition?._id ?? null }).select('name slug displayOrder').lean();
+
+      return {
+        edition,
+        nextDisplayOrder: existing.reduce((highest, category) => Math.max(highest, category.displayOrder || 0), 0) + 1,
+        // Names that only differ in case or punctuation share a slug, and
+        // slugs are unique within an edition
+        existing: {
+          name: new Set(existing.map(category => category.slug))
+        }
+      };
+    },
+
+    async build(record, context, errors, { userId }) {
+      const votingStartDate = parseDate(record.votingStartDate, 'Voting start date', errors);
+      const votingEndDate = parseDate(record.votingEndDate, 'Voting end date', errors);
+      const nominationStartDate = parseDate(record.nominationStartDate, 'Nomination start date', errors);
+      const nominationEndDate = parseDate(record.nominationEndDate, 'Nomination end date', errors);
+      const votePrice = parseNumber(record.votePrice, 'Vote price', errors);
+      const maxNominees = parseNumber(record.maxNominees, 'Max nominees', errors);
+      const displayOrder = parseNumber(record.displayOrder, 'Display order', errors);
+
+      // Checked by Category's save hooks, which a dry run does not reach
+      if (votingStartDate && votingEndDate && votingEndDate <= votingStartDate) {
+        errors.push('Voting end date must be after start date');
+      }
+      if (nominationStartDate && nominationEndDate && nominationEndDate <= nominationStartDate) {
+        errors.push('Nomination end date must be after start date');
+      }
+      if (nominationEndDate && votingStartDate && nominationEndDate > votingStartDate) {
+        errors.push('Nominations must close before voting starts');
+      }
+
+      return {
+        _id: new mongoose.Types.ObjectId(),
+        name: record.name,
+        description: record.description,
+        edition: context.edition?._id ?? null,
+        ...(record.icon && { icon: record.icon }),
+        ...(record.color && { color: record.color }),
+        ...(maxNominees !== undefined && { maxNominees }),
+        displayOrder: displayOrder ?? context.nextDisplayOrder++,
+        votingSettings: {
+          startDate: votingStartDate,
+          endDate: votingEndDate,
+          ...(votePrice !== undefined && { votePrice })
+        },
+        nominationSettings: {
+          startDate: nominationStartDate,
+          endDate: nominationEndDate
+        },
+        createdBy: userId
+      };
+    },
+
+    keys: (data) => [['name', slugify(data.name)]],
+
+    preview: (data) => ({
+      name: data.name,
+      voting: [data.votingSettings.startDate, data.votingSettings.endDate],
+      votePrice: data.votingSettings.votePrice
+    })
+  },
+
+  nominees: {
+    model: Nominee,
+    columns: {
+      email: ['email', 'studentemail'],
+      studentId: ['studentid', 'matricnumber', 'matricno'],
+      category: ['category', 'categoryname'],
+      reason: ['reason', 'nominationreason'],
+      status: ['status']
+    },
+    required: ['category', 'reason'],
+    references: ['student', 'category'],
+    // A nominee is found by email or student ID, so either column will do
+    requiredOneOf: ['email', 'studentId'],
+    templateHeaders: ['Email', 'Student ID', 'Category', 'Reason', 'Status'],
+    example: ['ada.okafor@example.com', '', 'Best student of the year', 'Ada has led the physics society for two years, organised the faculty tutoring scheme and kept a first-class GPA throughout.', 'approved'],
+
+    async load(records, { edition }) {
+      const emails = records.map(record => lower(record.email)).filter(Boolean);
+      const studentIds = records.map(record => upper(record.studentId)).filter(Boolean);
+      const [users, categories, settings] = await Promise.all([
+        User.find({ $or: [{ email: { $in: emails } }, { studentId: { $in: studentIds } }] })
+          .select('firstName lastName email studentId role faculty department level studentVerification'),
+        Category.find({ edition: edition?._id ?? null }),
+        settingsService.getSettings()
+      ]);
+      const existing = await Nominee.find({
+        student: { $in: users.map(user => user._id) },
+        category: { $in: categories.map(category => category._id) }
+      }).select('student category').lean();
+
+      return {
+        usersByEmail: new Map(users.map(user => [user.email, user])),
+        usersByStudentId: new Map(users.filter(user => user.studentId).map(user => [upper(user.studentId), user])),
+        categoriesByName: new Map(categories.map(category => [lower(category.name), category])),
+        usersById: new Map(users.map(user => [String(user._id), user])),
+        categoriesById: new Map(categories.map(category => [String(category._id), category])),
+        consentDays: settings.nominationConsentDays,
+        existing: {
+          nomination: new Set(existing.map(nominee => `${nominee.student}:${nominee.category}`))
+        }
+      };
+    },
+
+    async build(record, context, errors, { userId }) {
+      const student = (record.email && context.usersByEmail.get(lower(record.email))) ||
+        (record.studentId && context.usersByStudentId.get(upper(record.studentId)));
+      const category = context.categoriesByName.get(lower(record.category));
+      const status = lower(record.status) || 'approved';
+
+      if (!student) {
+        errors.push(`No user with ${record.email ? `email ${record.email}` : `student ID ${record.studentId}`}`);
+      } else if (student.role !== 'student') {
+        errors.push(`${student.firstName} ${student.lastName} is not a student`);
+      } else if (['pending_review', 'rejected'].includes(student.studentVerification?.status)) {
+        errors.push(`${student.firstName} ${student.lastName}'s student ID has not been verified`);
+      }
+      if (!category) {
+        errors.push(`No category named ${record.category} in this edition`);
+      }
+      if (record.reason.length < 50 || record.reason.length > 1000) {
+        errors.push('Reason must be between 50 and 1000 characters');
+      }
+      if (!['approved', 'pending'].includes(status)) {
+        errors.push('Status must be approved or pending');
+      }
+
+      if (student && category) {
+        const eligibility = eligibilityService.forNomination(category, student);
+        if (!eligibility.eligible) {
+          errors.push(`Not eligible for ${category.name}: ${eligibility.reasons.map(item => item.message).join('; ')}`);
+        }
+      }
+
+      const data = {
+        _id: new mongoose.Types.ObjectId(),
+        student: student?._id,
+        category: category?._id,
+        edition: category?.edition,
+        nominationReason: record.reason,
+        nominatedBy: userId,
+        status
+      };
+
+      // As with an admin nominating from the site, categories that ask
+      // nominees to accept hold the nomination until they answer
+      if (category?.nominationSettings?.requireNomineeAcceptance) {
+        const now = new Date();
+        data.status = 'awaiting_consent';
+        data.consent = { requestedAt: now, expiresAt: new Date(now.getTime() + context.consentDays * DAY_MS) };
+      }
+
+      return data;
+    },
+
+    keys: (data) => [['nomination', data.student && data.category && `${data.student}:${data.category}`]],
+
+    preview: (data, context) => {
+      const student = data.student && context.usersById.get(String(data.student));
+      return {
+        student: student && `${student.firstName} ${student.lastName}`,
+        category: data.category && context.categoriesById.get(String(data.category)).name,
+        status: data.status
+      };
+    },
+
+    async afterCommit(documents, context, { user }) {
+      for (const nominee of documents.filter(document => document.status === 'awaiting_consent')) {
+        const student = context.usersById.get(String(nominee.student));
+        const category = context.categoriesById.get(String(nominee.category));
+        try {
+          await consentService.notifyNominee(nominee, { student, category, nominator: user });
+        } catch (error) {
+          console.error(`Nomination consent email failed for nominee ${nominee._id}:`, error.message);
+        }
+      }
+    }
+  }
+};
+
+// How to report a value that is already taken, in the database or by an
+// earlier row
+const DUPLICATES = {
+  email: { existing: 'A user with this email already exists', label: 'email' },
+  studentId: { existing: 'A user with this student ID already exists', label: 'student ID' },
+  name: { existing: 'A category with this name already exists in the edition', label: 'category name' },
+  nomination: { existing: 'The student is already nominated in this category', label: 'student and category' }
+};
+
+class ImportService {
+  constructor() {
+    this.entities = Object.keys(ENTITIES);
+    this.maxRows = MAX_ROWS;
+  }
+
+  /**
+   * A CSV with the entity's headers and an example row
+   */
+  template(entity) {
+    const spec = ENTITIES[entity];
+    const quote = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    return [spec.templateHeaders, spec.example].map(row => row.map(quote).join(',')).join('\n') + '\n';
+  }
+
+  /**
+   * Check every row of an uploaded CSV or XLSX file and report on each:
+   * schema rules, references to existing users and categories, and
+   * duplicates against the unique indexes and earlier rows. Unless it is a
+   * dry run, and only if every row is valid, the rows are then created all
+   * together or not at all
+   */
+  async run(entity, buffer, { dryRun = true, edition: editionRef, user } = {}) {
+    const spec = ENTITIES[entity];
+    const userId = user._id;
+    const { headers, rows } = await spreadsheetService.parse(buffer);
+
+    if (rows.length > this.maxRows) {
+      throw httpError(`Import at most ${this.maxRows} rows at a time`, 400);
+    }
+
+    const columns = Object.fromEntries(Object.entries(spec.columns).map(([field, names]) => [
+      field,
+      names.find(name => headers.includes(name))
+    ]));
+    const missing = spec.required.filter(field => !columns[field]);
+    if (spec.requiredOneOf && !spec.requiredOneOf.some(field => columns[field])) {
+      missing.push(spec.requiredOneOf.join(' or '));
+    }
+    if (missing.length > 0) {
+      throw httpError(`The file is missing the column(s): ${missing.join(', ')}`, 400);
+    }
+
+    const records = rows.map(({ line, values }) => ({
+      line,
+      record: Object.fromEntries(Object.keys(spec.columns).map(field => [field, columns[field] ? values[columns[field]] || '' : '']))
+    }));
+
+    // Categories and nominees go into the active edition unless another is named
+    const edition = editionRef ? await editionService.resolve(editionRef) : await Edition.getActive();
+    const context = await spec.load(records.map(({ record }) => record), { edition });
+    const seen = Object.fromEntries(Object.keys(context.existing).map(key => [key, new Map()]));
+
+    const report = [];
+    for (const { line, record } of records) {
+      const errors = spec.required
+        .filter(field => !record[field])
+        .map(field => `${field} is required`);
+      if (spec.requiredOneOf && !spec.requiredOneOf.some(field => record[field])) {
+        errors.push(`${spec.requiredOneOf.join(' or ')} is required`);
+      }
+
+      const data = errors.length === 0 ? await spec.build(record, context, errors, { userId }) : null;
+
+      if (data) {
+        try {
+          await new spec.model(data).validate();
+        } catch (error) {
+          // A missing reference has been reported by name already
+          const messages = error.errors
+            ? Object.values(error.errors)
+              .filter(item => !(item.kind === 'required' && spec.references?.includes(item.path)))
+              .map(item => item.message)
+            : [error.message];
+          errors.push(...messages);
+        }
+
+        for (const [key, value] of spec.keys(data)) {
+          if (!value) continue;
+          if (context.existing[key].has(value)) {
+            errors.push(DUPLICATES[key].existing);
+          } else if (seen[key].has(value)) {
+            errors.push(`Same ${DUPLICATES[key].label} as line ${seen[key].get(value)}`);
+          } else {
+            seen[key].set(value, line);
+          }
+        }
+      }
+
+      report.push({
+        line,
+        valid: errors.length === 0,
+        errors: [...new Set(errors)],
+        preview: data ? spec.preview(data, context) : null,
+        data
+      });
+    }
+
+    const invalid = report.filter(row => !row.valid).length;
+    const result = {
+      entity,
+      dryRun,
+      edition: edition ? { _id: edition._id, name: edition.name } : null,
+      summary: { total: report.length, valid: report.length - invalid, invalid },
+      rows: report.map(({ data, ...row }) => row),
+      imported: 0
+    };
+
+    if (dryRun || invalid > 0 || report.length === 0) {
+      return result;
+    }
+
+    const documents = report.map(row => row.data);
+    await this.commit(spec.model, documents);
+    result.imported = documents.length;
+
+    if (spec.afterCommit) {
+      await spec.afterCommit(documents, context, { user });
+    }
+
+    return result;
+  }
+
+  /**
+   * Create all documents or none. Uses a transaction where the server
+   * supports one; on a standalone server, documents already created are
+   * deleted again if any fails
+   */
+  async commit(Model, documents) {
+    const session = await Model.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await Model.create(documents, { session, ordered: true });
+      });
+    } catch (error) {
+      if (!transactionsUnsupported(error)) throw this.commitError(error);
+
+      try {
+        await Model.create(documents, { ordered: true });
+      } catch (createError) {
+        await Model.deleteMany({ _id: { $in: documents.map(document => document._id) } });
+        throw this.commitError(createError);
+      }
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Rows were checked beforehand, so a failure here is usually a record
+  // created by someone else in the meantime
+  commitError(error) {
+    if (error.code === 11000) {
+      return httpError('A record in the file was created by someone else while importing; nothing was imported. Run the check again', 409);
+    }
+    return error;
+  }
+}
+
+module.exports = new ImportService();
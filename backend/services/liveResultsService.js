@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const Vote = require('../models/Vote');
+const Category = require('../models/Category');
+const Nominee = require('../models/Nominee');
+const tenantContext = require('./tenantContext');
+
+const HEARTBEAT_MS = 25 * 1000;
+const PUBLISH_DELAY_MS = parseInt(process.env.LIVE_RESULTS_THROTTLE_MS) || 1000;
+const MAX_CLIENTS = parseInt(process.env.LIVE_RESULTS_MAX_CLIENTS) || 1000;
+
+class LiveResultsService {
+  constructor() {
+    this.clients = new Set();
+    // Last counts sent per category, so each broadcast can say what changed
+    this.snapshots = new Map();
+    this.pending = new Map();
+    this.heartbeat = null;
+  }
+
+  /**
+   * Open a Server-Sent Events stream for one category, or all when none is given
+   */
+  async subscribe(req, res, { categoryId } = {}) {
+    if (this.clients.size >= MAX_CLIENTS) {
+      const error = new Error('Too many live connections, falling back to polling');
+      error.statusCode = 503;
+      throw error;
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = { res, categoryId: categoryId || null, tenantId: String(tenantContext.id() || '') };
+    this.clients.add(client);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    });
+
+    // Tell the browser how long to wait before reconnecting
+    this.write(client, 'retry: 5000\n\n');
+
+    if (categoryId) {
+      const [counts, access] = await Promise.all([
+        this.getCounts(categoryId),
+        this.getPublicAccess(categoryId)
+      ]);
+      // Only seed the baseline; replacing it could hide a change from other listeners
+      if (!this.snapshots.has(categoryId)) this.snapshots.set(categoryId, counts);
+      this.send(client, 'snapshot', {
+        categoryId,
+        ...this.publicView(access, counts, []),
+        resultsVisibility: access,
+        updatedAt: new Date()
+      });
+    } else {
+      this.send(client, 'snapshot', { categoryId: null, updatedAt: new Date() });
+    }
+  }
+
+  /**
+   * Queue a broadcast for a category. Bursts of votes are sent as one update
+   */
+  publish(categoryId) {
+    if (!categoryId) return;
+    const key = categoryId.toString();
+    if (this.pending.has(key)) return;
+
+    const timer = setTimeout(() => {
+      this.pending.delete(key);
+      this.broadcast(key).catch(error => {
+        console.error('Live results broadcast error:', error);
+      });
+    }, PUBLISH_DELAY_MS);
+    timer.unref();
+    this.pending.set(key, timer);
+  }
+
+  /**
+   * Send a category's current counts, ranks and what changed since the last update
+   */
+  async broadcast(categoryId) {
+    // Clients only ever hear about their own tenant's categories
+    const tenantId = String(tenantContext.id() || '');
+    const listeners = [...this.clients].filter(client =>
+      client.tenantId === tenantId && (!client.categoryId || client.categoryId === categoryId)
+    );
+    if (listeners.length === 0) {
+      this.snapshots.delete(categoryId);
+      return;
+    }
+
+    const [counts, access] = await Promise.all([
+      this.getCounts(categoryId),
+      this.getPublicAccess(categoryId)
+    ]);
+    const previous = this.snapshots.get(categoryId) || {};
+    this.snapshots.set(categoryId, counts);
+
+    const changes = Object.entries(counts)
+      .filter(([nomineeId, entry]) =>
+        !previous[nomineeId] ||
+        previous[nomineeId].count !== entry.count ||
+        previous[nomineeId].rank !== entry.rank)
+      .map(([nomineeId, entry]) => ({
+        nomineeId,
+        count: entry.count,
+        previousCount: previous[nomineeId]?.count || 0,
+        rank: entry.rank,
+        previousRank: previous[nomineeId]?.rank || null
+      }));
+
+    // Streams are anonymous, so they get the public view of embargoed categories
+    const view = this.publicView(access, counts, changes);
+    if (view.changes.length === 0) return;
+
+    const payload = { categoryId, ...view, resultsVisibility: access, updatedAt: new Date() };
+    listeners.forEach(client => this.send(client, 'results', payload));
+  }
+
+  async getPublicAccess(categoryId) {
+    const category = await Category.findById(categoryId).select('resultsVisibility votingSettings.endDate lifecycleStage');
+    return category ? Category.resultsAccess(category) : { level: 'hidden' };
+  }
+
+  /**
+   * Counts and changes as the public may see them: counts and ranks but never
+   * revenue, ranks only while embargoed, or nothing while hidden
+   */
+  publicView(access, counts, changes) {
+    if (access.level === 'hidden') return { counts: {}, changes: [] };
+
+    const visible = {};
+    Object.entries(counts).forEach(([nomineeId, entry]) => {
+      visible[nomineeId] = access.level === 'full'
+        ? { count: entry.count, rank: entry.rank }
+        : { rank: entry.rank };
+    });
+    if (access.level === 'full') return { counts: visible, changes };
+
+    return {
+      counts: visible,
+      changes: changes
+        .filter(change => change.rank !== change.previousRank)
+        .map(({ nomineeId, rank, previousRank }) => ({ nomineeId, rank, previousRank }))
+    };
+  }
+
+  /**
+   * Verified vote counts per nominee in a category, keyed by nominee ID.
+   * Disqualified nominees are left out
+   */
+  async getCounts(categoryId) {
+    const disqualified = await Nominee.disqualifiedIds({ category: categoryId });
+    const results = await Vote.aggregate([
+      {
+        $match: {
+          category: new mongoose.Types.ObjectId(categoryId),
+          nominee: { $nin: disqualified },
+          status: 'verified'
+        }
+      },
+      {
+        $group: {
+          _id: '$nominee',
+          count: { $sum: '$quantity' },
+          totalAmount: { $sum: '$amount' }
+        }
+      },
+      { $sort: { count: -1, totalAmount: -1 } }
+    ]);
+
+    const counts = {};
+    results.forEach((item, index) => {
+      counts[item._id] = {
+        count: item.count,
+        totalAmount: item.totalAmount,
+        rank: index + 1
+      };
+    });
+    return counts;
+  }
+
+  send(client, event, data) {
+    this.write(client, `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  write(client, chunk) {
+    client.res.write(chunk);
+    // compression() buffers responses unless told to flush
+    if (typeof client.res.flush === 'function') client.res.flush();
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(client => this.write(client, ': ping\n\n'));
+    }, HEARTBEAT_MS);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  /**
+   * Close every open stream, e.g. on shutdown
+   */
+  closeAll() {
+    this.clients.forEach(client => client.res.end());
+    this.clients.clear();
+    this.stopHeartbeat();
+  }
+}
+
+module.exports = new LiveResultsService();
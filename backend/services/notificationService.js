@@ -0,0 +1,111 @@
+const Nominee = require('../models/Nominee');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const Vote = require('../models/Vote');
+const emailService = require('./emailService');
+const tenantService = require('./tenantService');
+
+const COUNTED_STATUSES = ['pending', 'confirmed', 'verified'];
+const WINNERS_SHOWN = 3;
+
+class NotificationService {
+  /**
+   * Email the voter a receipt once their payment has become votes
+   */
+  async paymentReceipt(paymentId) {
+    try {
+      const payment = await Payment.findById(paymentId)
+        .populate('user', 'firstName email')
+        .populate('metadata.category', 'name')
+        .populate({
+          path: 'metadata.nominee',
+          select: 'student',
+          populate: { path: 'student', select: 'firstName lastName' }
+        });
+      if (!payment?.user?.email) {
+        return { sent: false };
+      }
+
+      const student = payment.metadata.nominee?.student;
+      return emailService.sendTemplate('paymentReceipt', payment.user.email, {
+        firstName: payment.user.firstName,
+        reference: payment.internalReference,
+        amount: payment.amount,
+        currency: payment.currency,
+        quantity: payment.metadata.quantity || 1,
+        nomineeName: student ? `${student.firstName} ${student.lastName}` : 'Unknown nominee',
+        categoryName: payment.metadata.category?.name || 'Unknown category',
+        paidAt: payment.paidAt || payment.updatedAt,
+        promoCode: payment.promo?.code,
+        discountAmount: payment.promo?.discountAmount
+      });
+    } catch (error) {
+      console.error('Failed to send payment receipt:', error);
+      return { sent: false, reason: error.message };
+    }
+  }
+
+  /**
+   * Tell a nominee their nomination was approved or rejected.
+   * Expects the nominee with `student` and `category` populated
+   */
+  async nominationStatus(nominee) {
+    try {
+      if (!nominee.student?.email) {
+        return { sent: false };
+      }
+
+      return emailService.sendTemplate('nominationStatus', nominee.student.email, {
+        firstName: nominee.student.firstName,
+        categoryName: nominee.category.name,
+        status: nominee.status,
+        reason: nominee.status === 'rejected' ? nominee.rejectionReason : undefined
+      });
+    } catch (error) {
+      console.error('Failed to send nomination status email:', error);
+      return { sent: false, reason: error.message };
+    }
+  }
+
+  /**
+   * Announce a category's published results to its nominees and voters.
+   * The emails are queued for the outbox job rather than sent inline
+   */
+  async resultsAnnouncement(category) {
+    try {
+      const filter = { category: category._id, status: 'approved', isDisqualified: { $ne: true } };
+      const [leaders, nomineeStudents, voters] = await Promise.all([
+        Nominee.find(filter)
+          .sort({ 'statistics.totalVotes': -1 })
+          .limit(WINNERS_SHOWN)
+          .populate('student', 'firstName lastName'),
+        Nominee.distinct('student', filter),
+        Vote.distinct('voter', { category: category._id, status: { $in: COUNTED_STATUSES } })
+      ]);
+
+      const winners = leaders.map(nominee => ({
+        name: nominee.student ? `${nominee.student.firstName} ${nominee.student.lastName}` : 'Unknown nominee',
+        votes: nominee.statistics.totalVotes
+      }));
+      const recipients = await User.find({ _id: { $in: [...nomineeStudents, ...voters] }, isActive: true })
+        .select('firstName email');
+
+      let queued = 0;
+      for (const user of recipients) {
+        const result = await emailService.sendTemplate('resultsAnnouncement', user.email, {
+          firstName: user.firstName,
+          categoryName: category.name,
+          winners,
+          url: `${tenantService.frontendUrl()}/results`
+        }, { defer: true });
+        if (result.queued) queued += 1;
+      }
+      return { queued };
+    } catch (error) {
+      console.error('Failed to queue results announcement:', error);
+      return { queued: 0, reason: error.message };
+    }
+  }
+}
+
+module.exports = new NotificationService();
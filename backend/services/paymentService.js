@@ -1,22 +1,19 @@
-const axios = require('axios');
 const crypto = require('crypto');
 const Payment = require('../models/Payment');
 const Vote = require('../models/Vote');
 const User = require('../models/User');
 const Nominee = require('../models/Nominee');
 const Category = require('../models/Category');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getGateway, resolveGateway } = require('./gateways');
+const promoService = require('./promoService');
+const fraudService = require('./fraudService');
+const eligibilityService = require('./eligibilityService');
+const liveResultsService = require('./liveResultsService');
+const notificationService = require('./notificationService');
+const tenantService = require('./tenantService');
 
 class PaymentService {
-  constructor() {
-    this.opayMerchantId = process.env.OPAY_MERCHANT_ID;
-    this.opayPrivateKey = process.env.OPAY_PRIVATE_KEY;
-    this.opayPublicKey = process.env.OPAY_PUBLIC_KEY;
-    this.baseURL = process.env.NODE_ENV === 'production' 
-      ? 'https://api.opaycheckout.com/api/v1/international'
-      : 'https://sandboxapi.opaycheckout.com/api/v1/international';
-    this.webhookSecret = process.env.OPAY_WEBHOOK_SECRET;
-  }
-
   /**
    * Initialize a payment transaction
    */
@@ -24,7 +21,9 @@ class PaymentService {
     userId,
     nomineeId,
     categoryId,
-    amount,
+    quantity = 1,
+    pricingTierId,
+    promoCode,
     email,
     metadata = {}
   }) {
@@ -40,136 +39,215 @@ class PaymentService {
         throw new Error('Nominee not found');
       }
 
+      if (nominee.isDisqualified) {
+        const error = new Error('Nominee has been disqualified');
+        error.statusCode = 400;
+        throw error;
+      }
+
       const category = await Category.findById(categoryId);
       if (!category) {
         throw new Error('Category not found');
       }
 
       // Check if voting is active for this category
-      if (!category.isVotingActive) {
-        throw new Error('Voting is not active for this category');
+      const votingClosedReason = category.votingClosedReason();
+      if (votingClosedReason) {
+        const error = new Error(votingClosedReason);
+        error.statusCode = 400;
+        throw error;
       }
 
-      // Check if user has reached maximum votes for this category
-      const userVotesCount = await Vote.countDocuments({
-        voter: userId,
-        category: categoryId,
-        status: 'verified'
-      });
+      eligibilityService.assertEligible(
+        eligibilityService.forVoting(category, user),
+        `Not eligible to vote in ${category.name}`
+      );
 
-      if (userVotesCount >= category.votingSettings.maxVotesPerUser) {
-        throw new Error(`You have reached the maximum number of votes (${category.votingSettings.maxVotesPerUser}) for this category`);
+      // Price the purchase here; clients only choose a quantity or bundle
+      const quote = category.quotePrice({ quantity, pricingTierId });
+      const { amount, pricingTier } = quote;
+
+      // Check the purchase keeps the user within the category's vote limit
+      const maxVotesPerUser = category.votingSettings.maxVotesPerUser;
+      if (maxVotesPerUser) {
+        const userVotesCount = await Vote.countVotes({
+          voter: user._id,
+          category: category._id,
+          status: 'verified'
+        });
+
+        if (userVotesCount + quote.quantity > maxVotesPerUser) {
+          const remaining = Math.max(maxVotesPerUser - userVotesCount, 0);
+          const error = new Error(remaining > 0
+            ? `You can only cast ${remaining} more vote(s) in this category`
+            : `You have reached the maximum number of votes (${maxVotesPerUser}) for this category`);
+          error.statusCode = 403;
+          throw error;
+        }
+      }
+
+      // Apply the promo code to the full price before anything is charged
+      let promoQuote = null;
+      if (promoCode) {
+        promoQuote = await promoService.quote({
+          code: promoCode,
+          userId: user._id,
+          categoryId: category._id,
+          quantity: quote.quantity,
+          amount
+        });
       }
+      const chargeAmount = promoQuote ? promoQuote.finalAmount : amount;
 
       // Generate internal reference
       const internalReference = Payment.generateInternalReference();
-
-      // Prepare payment data for OPay
-      const paymentData = {
-        country: "NG",
-        reference: internalReference,
-        amount: {
-          currency: "NGN",
-          total: amount * 100 // Convert to kobo
-        },
-        callbackUrl: `${process.env.BACKEND_URL}/api/payments/opay/callback`,
-        returnUrl: `${process.env.FRONTEND_URL}/payment/callback`,
-        product: {
-          name: "Vote Payment",
-          description: `Vote for nominee in category`
-        },
-        userInfo: {
-          userName: user.name || user.email,
-          userEmail: email || user.email,
-          userMobile: user.phone || ""
-        },
-        payMethod: "BankCard"
-      };
-
-      // Generate HMAC signature for OPay
-      const signature = this.generateSignature(paymentData);
-
-      // Make request to OPay
-      const response = await axios.post(
-        `${this.baseURL}/payment/create`,
-        paymentData,
-        {
-          headers: {
-            'Authorization': `Bearer ${signature}`,
-            'MerchantId': this.opayMerchantId,
-            'Content-Type': 'application/json'
+      const customerEmail = email || user.email;
+
+      const redemption = promoQuote
+        ? await promoService.reserve(promoQuote, {
+          userId: user._id,
+          categoryId: category._id,
+          nomineeId: nominee._id,
+          quantity: quote.quantity
+        })
+        : null;
+
+      try {
+        const payment = new Payment({
+          user: userId,
+          amount: chargeAmount,
+          currency: 'NGN',
+          status: 'pending',
+          internalReference,
+          customerDetails: {
+            email: customerEmail,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            phone: user.phoneNumber
+          },
+          netAmount: chargeAmount,
+          promo: promoQuote ? {
+            promoCode: promoQuote.promoCode._id,
+            code: promoQuote.promoCode.code,
+            originalAmount: promoQuote.originalAmount,
+            discountAmount: promoQuote.discountAmount
+          } : undefined,
+          metadata: {
+            purpose: 'vote_payment',
+            category: categoryId,
+            nominee: nomineeId,
+            quantity: quote.quantity,
+            pricingTier,
+            ...metadata
           }
+        });
+
+        if (chargeAmount === 0) {
+          // Fully covered by the promo code: nothing to collect, so skip the gateway
+          payment.gateway = 'promo';
+          payment.gatewayReference = internalReference;
+          payment.authorizationUrl = `${tenantService.frontendUrl()}/payment/callback?reference=${internalReference}&gateway=promo`;
+          payment.status = 'success';
+          payment.webhookData.verified = true;
+          payment.expiresAt = undefined;
+        } else {
+          const gateway = await resolveGateway(category);
+          const transaction = await gateway.initialize({
+            reference: internalReference,
+            amount: chargeAmount,
+            currency: 'NGN',
+            email: customerEmail,
+            customer: {
+              name: [user.firstName, user.lastName].filter(Boolean).join(' '),
+              phone: user.phoneNumber
+            },
+            callbackUrl: `${tenantService.frontendUrl()}/payment/callback`,
+            description: `${quote.quantity} vote(s) for nominee in ${category.name}`,
+            metadata: {
+              internalReference,
+              category: categoryId,
+              nominee: nomineeId,
+              quantity: quote.quantity
+            }
+          });
+
+          payment.gateway = gateway.name;
+          payment.gatewayReference = transaction.gatewayReference;
+          payment.authorizationUrl = transaction.authorizationUrl;
+          payment.accessCode = transaction.accessCode;
+          payment.gatewayResponse = transaction.raw;
         }
-      );
 
-      if (response.data.code !== '00000') {
-        throw new Error(response.data.message || 'Payment initialization failed');
-      }
+        await fraudService.assessPayment(payment);
+        await payment.save();
 
-      // Create payment record
-      const payment = new Payment({
-        user: userId,
-        amount: amount,
-        currency: 'NGN',
-        status: 'pending',
-        gateway: 'opay',
-        internalReference,
-        gatewayReference: response.data.data.orderNo,
-        authorizationUrl: response.data.data.cashierUrl,
-        accessCode: response.data.data.orderNo,
-        metadata: {
-          purpose: 'vote_payment',
-          category: categoryId,
-          nominee: nomineeId,
-          ...metadata
+        if (redemption) {
+          redemption.payment = payment._id;
+          await redemption.save();
         }
-      });
 
-      await payment.save();
+        if (payment.status === 'success') {
+          const vote = await this.createVoteFromPayment(payment, 'promo');
+          await promoService.complete(payment, vote);
+        }
 
-      return {
-        success: true,
-        data: {
-          paymentId: payment._id,
-          authorizationUrl: response.data.data.cashierUrl,
-          accessCode: response.data.data.orderNo,
-          reference: internalReference
+        return {
+          success: true,
+          data: {
+            paymentId: payment._id,
+            gateway: payment.gateway,
+            authorizationUrl: payment.authorizationUrl,
+            accessCode: payment.accessCode,
+            reference: internalReference,
+            quantity: quote.quantity,
+            amount: chargeAmount,
+            originalAmount: amount,
+            discountAmount: promoQuote ? promoQuote.discountAmount : 0,
+            free: payment.gateway === 'promo'
+          }
+        };
+      } catch (error) {
+        if (redemption) {
+          await promoService.cancel({ _id: redemption._id });
         }
-      };
+        throw error;
+      }
 
     } catch (error) {
       console.error('Payment initialization error:', error);
-      throw new Error(error.message || 'Failed to initialize payment');
+      const wrapped = new Error(error.message || 'Failed to initialize payment');
+      wrapped.statusCode = error.statusCode;
+      wrapped.reasons = error.reasons;
+      throw wrapped;
     }
   }
 
   /**
-   * Generate HMAC signature for OPay API
+   * Find a payment by our internal reference or the gateway's reference
    */
-  generateSignature(data) {
-    const dataString = JSON.stringify(data);
-    return crypto.createHmac('sha512', this.opayPrivateKey).update(dataString).digest('hex');
+  findByReference(reference) {
+    return Payment.findOne({
+      $or: [
+        { internalReference: reference },
+        { gatewayReference: reference }
+      ]
+    });
   }
 
   /**
    * Verify payment transaction
    */
-  async verifyPayment(reference) {
+  async verifyPayment(reference, { method = 'api_check' } = {}) {
     try {
       // Find payment record
-      const payment = await Payment.findOne({
-        $or: [
-          { internalReference: reference },
-          { gatewayReference: reference }
-        ]
-      }).populate('user');
+      const payment = await this.findByReference(reference);
 
       if (!payment) {
         throw new Error('Payment record not found');
       }
 
-      // If already verified, return existing data
-      if (payment.status === 'successful') {
+      // If already settled, return existing data
+      if (['success', 'refunded'].includes(payment.status)) {
         return {
           success: true,
           data: {
@@ -179,71 +257,23 @@ class PaymentService {
         };
       }
 
-      // Verify with OPay
-      const queryData = {
-        orderNo: payment.gatewayReference,
-        reference: payment.gatewayReference
-      };
-
-      const signature = this.generateSignature(queryData);
-
-      const response = await axios.post(
-        `${this.baseURL}/payment/status`,
-        queryData,
-        {
-          headers: {
-            'Authorization': `Bearer ${signature}`,
-            'MerchantId': this.opayMerchantId,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      if (response.data.code !== '00000') {
-        throw new Error(response.data.message || 'Payment verification failed');
-      }
-
-      const transactionData = response.data.data;
-
-      // Update payment record
-      payment.status = transactionData.status === 'SUCCESS' ? 'successful' : 'failed';
-      payment.gatewayResponse = transactionData;
-      payment.paidAt = transactionData.paid_at ? new Date(transactionData.paid_at) : new Date();
-      payment.fees = {
-        gateway: transactionData.fees || 0,
-        total: transactionData.fees || 0
-      };
-      payment.netAmount = payment.amount - (payment.fees.total / 100);
-      payment.channel = transactionData.channel;
-      payment.ipAddress = transactionData.ip_address;
-
-      if (transactionData.authorization) {
-        payment.authorization = {
-          authorizationCode: transactionData.authorization.authorization_code,
-          bin: transactionData.authorization.bin,
-          last4: transactionData.authorization.last4,
-          expMonth: transactionData.authorization.exp_month,
-          expYear: transactionData.authorization.exp_year,
-          cardType: transactionData.authorization.card_type,
-          bank: transactionData.authorization.bank,
-          countryCode: transactionData.authorization.country_code,
-          brand: transactionData.authorization.brand,
-          reusable: transactionData.authorization.reusable
-        };
-      }
+      const gateway = await getGateway(payment.gateway);
+      const result = await gateway.verify(payment);
 
-      await payment.save();
+      await this.applyVerificationResult(payment, result);
 
       // If payment successful, create vote record
-      if (payment.status === 'successful') {
-        await this.createVoteFromPayment(payment);
+      if (payment.status === 'success') {
+        const vote = await this.createVoteFromPayment(payment, method);
+        await promoService.complete(payment, vote);
       }
 
       return {
         success: true,
         data: {
           payment,
-          transaction: transactionData
+          verification: result,
+          transaction: result.raw
         }
       };
 
@@ -254,62 +284,189 @@ class PaymentService {
   }
 
   /**
-   * Handle OPay callback notification
+   * Update a payment from a driver's normalised verification result
    */
-  async handleOPayCallback(payload, signature) {
-    try {
-      // Verify the callback signature
-      const expectedSignature = this.generateSignature(payload);
-      const receivedSignature = signature.replace('Bearer ', '');
-      
-      if (expectedSignature !== receivedSignature) {
-        throw new Error('Invalid callback signature');
+  async applyVerificationResult(payment, result) {
+    if (result.status === 'success') {
+      payment.status = 'success';
+      payment.paidAt = result.paidAt || new Date();
+      payment.channel = result.channel;
+      payment.fees.gatewayFee = result.fees || 0;
+      payment.gatewayResponse = result.raw;
+      payment.webhookData.verified = true;
+      payment.expiresAt = undefined;
+      if (result.card) {
+        Object.assign(payment.cardDetails, result.card);
       }
 
-      const { reference, orderNo, status } = payload;
-      
-      // Find payment by reference or orderNo
-      const payment = await Payment.findOne({
-        $or: [
-          { reference: reference },
-          { gatewayReference: orderNo }
-        ]
+      // Score again now the card and any gateway warnings are known
+      await fraudService.assessPayment(payment, { riskSignals: result.riskSignals });
+      await payment.save();
+    } else if (result.status === 'failed') {
+      await payment.markAsFailed(result.failureReason || 'Payment failed', result.raw);
+      await promoService.release(payment);
+    }
+
+    return payment;
+  }
+
+  /**
+   * Handle a webhook from any gateway driver. Every delivery is logged;
+   * retries of an event that was already handled are acknowledged and skipped
+   */
+  async handleWebhook(gatewayName, { rawBody, headers, payload, ipAddress }) {
+    const gateway = await getGateway(gatewayName);
+    const signatureValid = gateway.verifyWebhookSignature(rawBody, headers);
+
+    let event = {};
+    try {
+      event = gateway.parseWebhookEvent(payload);
+    } catch (error) {
+      console.error(`Unparseable ${gatewayName} webhook:`, error);
+    }
+
+    const eventId = event.id || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+    if (!signatureValid) {
+      await WebhookEvent.create({
+        gateway: gatewayName,
+        eventId,
+        eventType: event.event,
+        reference: event.reference,
+        signatureValid: false,
+        status: 'rejected',
+        payload,
+        ipAddress,
+        error: 'Invalid webhook signature'
       });
 
-      if (!payment) {
-        console.log('Payment not found for callback:', { reference, orderNo });
-        return;
+      const error = new Error('Invalid webhook signature');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    let webhookEvent;
+    try {
+      webhookEvent = await WebhookEvent.create({
+        gateway: gatewayName,
+        eventId,
+        eventType: event.event,
+        reference: event.reference,
+        signatureValid: true,
+        status: 'processing',
+        payload,
+        ipAddress,
+        attempts: 1,
+        lastAttemptAt: new Date()
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
       }
 
-      // Update payment status based on OPay status
-      if (status === 'SUCCESS' && payment.status !== 'completed') {
-        payment.status = 'completed';
-        payment.gatewayResponse = payload;
-        payment.verifiedAt = new Date();
-        await payment.save();
+      // Seen before: only pick it up again if the earlier attempt failed
+      const existing = await WebhookEvent.findOneAndUpdate(
+        { gateway: gatewayName, eventId, signatureValid: true },
+        { $inc: { duplicateDeliveries: 1 } },
+        { new: true }
+      );
+      webhookEvent = await WebhookEvent.claim(existing._id, ['failed', 'received']);
 
-        // Create vote from payment
-        await this.createVoteFromPayment(payment);
-        
-        console.log('Payment completed via callback:', payment.reference);
-      } else if (status === 'FAILED') {
-        payment.status = 'failed';
-        payment.gatewayResponse = payload;
-        await payment.save();
-        
-        console.log('Payment failed via callback:', payment.reference);
+      if (!webhookEvent) {
+        return { success: true, duplicate: true, status: existing.status };
+      }
+    }
+
+    const outcome = await this.processWebhookEvent(webhookEvent, gateway);
+
+    if (outcome.status === 'failed') {
+      // Let the gateway retry; the failed attempt is kept in the log
+      throw new Error(outcome.error);
+    }
+
+    return { success: true, duplicate: false, status: outcome.status };
+  }
+
+  /**
+   * Apply a logged webhook event and record how it went
+   */
+  async processWebhookEvent(webhookEvent, gateway) {
+    try {
+      const event = gateway.parseWebhookEvent(webhookEvent.payload);
+
+      if (!event.reference || !event.status) {
+        await webhookEvent.recordOutcome('ignored', { error: `Unhandled event type: ${event.event}` });
+        return { status: 'ignored' };
+      }
+
+      const payment = await this.findByReference(event.reference);
+
+      if (!payment || payment.gateway !== gateway.name) {
+        await webhookEvent.recordOutcome('ignored', { error: `No ${gateway.name} payment found for ${event.reference}` });
+        return { status: 'ignored' };
       }
 
+      payment.webhookData.received = true;
+      payment.webhookData.receivedAt = new Date();
+      payment.webhookData.attempts += 1;
+      payment.webhookData.lastAttemptAt = new Date();
+      payment.webhookData.rawData = event.raw;
+      await payment.save();
+
+      // Confirm with the gateway rather than trusting the payload's status
+      await this.verifyPayment(payment.internalReference, { method: 'webhook' });
+
+      await webhookEvent.recordOutcome('processed', { payment: payment._id });
+      return { status: 'processed' };
+
     } catch (error) {
-      console.error('OPay callback handling error:', error);
+      console.error('Webhook processing error:', error);
+      await webhookEvent.recordOutcome('failed', { error: error.message });
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Re-run a failed or ignored webhook event on behalf of an admin
+   */
+  async replayWebhookEvent(eventId, userId) {
+    const existing = await WebhookEvent.findById(eventId);
+    if (!existing) {
+      const error = new Error('Webhook event not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!existing.canReplay) {
+      const error = new Error(`Cannot replay a ${existing.status} webhook event`);
+      error.statusCode = 400;
       throw error;
     }
+
+    const webhookEvent = await WebhookEvent.claim(existing._id, ['failed', 'ignored']);
+    if (!webhookEvent) {
+      const error = new Error('Webhook event is already being processed');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const gateway = await getGateway(webhookEvent.gateway);
+    const outcome = await this.processWebhookEvent(webhookEvent, gateway);
+
+    webhookEvent.replays.push({
+      replayedBy: userId,
+      outcome: outcome.status,
+      error: outcome.error
+    });
+    await webhookEvent.save();
+
+    return webhookEvent;
   }
 
   /**
    * Create vote record from successful payment
    */
-  async createVoteFromPayment(payment) {
+  async createVoteFromPayment(payment, method = 'api_check') {
     try {
       const { category, nominee } = payment.metadata;
 
@@ -324,25 +481,55 @@ class PaymentService {
         voter: payment.user,
         nominee: nominee,
         category: category,
+        payment: payment._id,
         paymentReference: payment.internalReference,
+        transactionReference: payment.gatewayReference,
+        quantity: payment.metadata.quantity || 1,
+        unitPrice: payment.amount / (payment.metadata.quantity || 1),
+        pricingTier: payment.metadata.pricingTier?.tierId ? payment.metadata.pricingTier : undefined,
+        promo: payment.promo?.promoCode ? {
+          promoCode: payment.promo.promoCode,
+          code: payment.promo.code,
+          discountAmount: payment.promo.discountAmount
+        } : undefined,
         amount: payment.amount,
         currency: payment.currency,
         status: 'verified',
-        paymentMethod: payment.channel,
-        transactionId: payment.gatewayReference,
-        ipAddress: payment.ipAddress,
+        isVerified: true,
+        verificationMethod: method,
+        paymentMethod: payment.gateway,
+        ipAddress: payment.metadata.ipAddress || 'unknown',
+        userAgent: payment.metadata.userAgent || 'unknown',
+        deviceInfo: payment.metadata.deviceFingerprint
+          ? { fingerprint: payment.metadata.deviceFingerprint }
+          : undefined,
+        ...fraudService.voteFields(payment.fraudCheck),
+        processingFee: payment.fees.gatewayFee,
         netAmount: payment.netAmount,
         metadata: {
-          paymentId: payment._id,
-          gatewayFees: payment.fees.gateway
+          customFields: {
+            paymentId: payment._id,
+            gateway: payment.gateway
+          }
         }
       });
 
-      await vote.save();
+      try {
+        await vote.save();
+      } catch (error) {
+        // A concurrent webhook and verify call can race to create the same vote
+        if (error.code === 11000) {
+          return Vote.findOne({ paymentReference: payment.internalReference });
+        }
+        throw error;
+      }
 
       // Update nominee statistics
       await this.updateNomineeStats(nominee);
 
+      // Not awaited so a slow mail server never holds up the webhook or verify call
+      notificationService.paymentReceipt(payment._id);
+
       return vote;
 
     } catch (error) {
@@ -366,7 +553,7 @@ class PaymentService {
         {
           $group: {
             _id: null,
-            totalVotes: { $sum: 1 },
+            totalVotes: { $sum: '$quantity' },
             totalRevenue: { $sum: '$amount' },
             uniqueVoters: { $addToSet: '$voter' },
             averageVoteValue: { $avg: '$amount' }
@@ -374,14 +561,17 @@ class PaymentService {
         }
       ]);
 
-      if (stats.length > 0) {
-        const stat = stats[0];
-        await Nominee.findByIdAndUpdate(nomineeId, {
-          'statistics.totalVotes': stat.totalVotes,
-          'statistics.totalRevenue': stat.totalRevenue,
-          'statistics.uniqueVoters': stat.uniqueVoters.length,
-          'statistics.averageVoteValue': stat.averageVoteValue
-        });
+      const stat = stats[0] || { totalVotes: 0, totalRevenue: 0, uniqueVoters: [], averageVoteValue: 0 };
+      const nominee = await Nominee.findByIdAndUpdate(nomineeId, {
+        'statistics.totalVotes': stat.totalVotes,
+        'statistics.totalRevenue': stat.totalRevenue,
+        'statistics.uniqueVoters': stat.uniqueVoters.length,
+        'statistics.averageVoteValue': stat.averageVoteValue
+      }, { new: true });
+
+      // Push the new standings to anyone watching the category live
+      if (nominee) {
+        liveResultsService.publish(nominee.category);
       }
 
     } catch (error) {
@@ -389,118 +579,13 @@ class PaymentService {
     }
   }
 
-  /**
-   * Handle Paystack webhook
-   */
-  async handleWebhook(payload, signature) {
-    try {
-      // Verify webhook signature
-      const hash = crypto
-        .createHmac('sha512', this.webhookSecret)
-        .update(JSON.stringify(payload))
-        .digest('hex');
-
-      if (hash !== signature) {
-        throw new Error('Invalid webhook signature');
-      }
-
-      const { event, data } = payload;
-
-      switch (event) {
-        case 'charge.success':
-          await this.handleChargeSuccess(data);
-          break;
-        case 'charge.failed':
-          await this.handleChargeFailed(data);
-          break;
-        case 'transfer.success':
-          await this.handleTransferSuccess(data);
-          break;
-        case 'transfer.failed':
-          await this.handleTransferFailed(data);
-          break;
-        default:
-          console.log(`Unhandled webhook event: ${event}`);
-      }
-
-      return { success: true };
-
-    } catch (error) {
-      console.error('Webhook handling error:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Handle successful charge webhook
-   */
-  async handleChargeSuccess(data) {
-    try {
-      const payment = await Payment.findOne({
-        gatewayReference: data.reference
-      });
-
-      if (payment && payment.status !== 'successful') {
-        payment.status = 'successful';
-        payment.webhookData = data;
-        payment.paidAt = new Date(data.paid_at);
-        await payment.save();
-
-        // Create vote if not already created
-        if (payment.metadata.purpose === 'vote_payment') {
-          await this.createVoteFromPayment(payment);
-        }
-      }
-
-    } catch (error) {
-      console.error('Error handling charge success webhook:', error);
-    }
-  }
-
-  /**
-   * Handle failed charge webhook
-   */
-  async handleChargeFailed(data) {
-    try {
-      const payment = await Payment.findOne({
-        gatewayReference: data.reference
-      });
-
-      if (payment) {
-        payment.status = 'failed';
-        payment.webhookData = data;
-        payment.failureReason = data.gateway_response || 'Payment failed';
-        await payment.save();
-      }
-
-    } catch (error) {
-      console.error('Error handling charge failed webhook:', error);
-    }
-  }
-
-  /**
-   * Handle transfer success webhook
-   */
-  async handleTransferSuccess(data) {
-    // Handle transfer success if needed for refunds
-    console.log('Transfer success:', data);
-  }
-
-  /**
-   * Handle transfer failed webhook
-   */
-  async handleTransferFailed(data) {
-    // Handle transfer failure if needed for refunds
-    console.log('Transfer failed:', data);
-  }
-
   /**
    * Get payment statistics
    */
   async getPaymentStats(filters = {}) {
     try {
-      const matchStage = { status: 'successful' };
-      
+      const matchStage = { status: 'success' };
+
       if (filters.startDate && filters.endDate) {
         matchStage.createdAt = {
           $gte: new Date(filters.startDate),
@@ -519,9 +604,12 @@ class PaymentService {
             _id: null,
             totalPayments: { $sum: 1 },
             totalRevenue: { $sum: '$amount' },
-            totalFees: { $sum: '$fees.total' },
+            totalFees: { $sum: '$fees.totalFees' },
             netRevenue: { $sum: '$netAmount' },
-            averagePayment: { $avg: '$amount' }
+            averagePayment: { $avg: '$amount' },
+            // Still part of the revenue until refunded, but no longer buying votes
+            voidedPayments: { $sum: { $cond: [{ $ifNull: ['$voidDetails.voidedAt', false] }, 1, 0] } },
+            voidedRevenue: { $sum: { $cond: [{ $ifNull: ['$voidDetails.voidedAt', false] }, '$amount', 0] } }
           }
         }
       ]);
@@ -531,7 +619,9 @@ class PaymentService {
         totalRevenue: 0,
         totalFees: 0,
         netRevenue: 0,
-        averagePayment: 0
+        averagePayment: 0,
+        voidedPayments: 0,
+        voidedRevenue: 0
       };
 
     } catch (error) {
@@ -543,67 +633,54 @@ class PaymentService {
   /**
    * Process refund
    */
-  async processRefund(paymentId, reason = 'Refund requested') {
+  async processRefund(paymentId, reason = 'Refund requested', refundedBy = null) {
     try {
       const payment = await Payment.findById(paymentId);
       if (!payment) {
         throw new Error('Payment not found');
       }
 
-      if (payment.status !== 'successful') {
+      if (payment.status !== 'success') {
         throw new Error('Cannot refund unsuccessful payment');
       }
 
-      // Create refund with Paystack
-      const refundData = {
-        transaction: payment.gatewayReference,
-        amount: payment.amount * 100, // Convert to kobo
-        currency: payment.currency,
-        customer_note: reason,
-        merchant_note: `Refund for vote payment - ${reason}`
-      };
-
-      const response = await axios.post(
-        `${this.baseURL}/refund`,
-        refundData,
-        {
-          headers: {
-            Authorization: `Bearer ${this.paystackSecretKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      if (!response.data.status) {
-        throw new Error(response.data.message || 'Refund failed');
+      if (payment.gateway === 'promo') {
+        const error = new Error('Free promo code votes have no payment to refund');
+        error.statusCode = 400;
+        throw error;
       }
 
-      // Update payment record
-      payment.refund = {
-        status: 'pending',
+      const gateway = await getGateway(payment.gateway);
+      const refund = await gateway.refund(payment, {
         amount: payment.amount,
-        reason: reason,
-        refundReference: response.data.data.transaction.reference,
-        requestedAt: new Date()
-      };
+        reason
+      });
 
+      // Update payment record
+      await payment.processRefund(payment.amount, reason, refundedBy);
+      payment.refundDetails.refundReference = refund.refundReference;
       await payment.save();
 
       // Mark associated vote as refunded
-      await Vote.findOneAndUpdate(
+      const vote = await Vote.findOneAndUpdate(
         { paymentReference: payment.internalReference },
-        { 
+        {
           status: 'refunded',
           refundReason: reason,
-          refundedAt: new Date()
+          refundedAt: new Date(),
+          refundAmount: payment.amount
         }
       );
 
+      if (vote) {
+        await this.updateNomineeStats(vote.nominee);
+      }
+
       return {
         success: true,
         data: {
-          refundReference: response.data.data.transaction.reference,
-          status: 'pending'
+          refundReference: refund.refundReference,
+          status: refund.status
         }
       };
 
@@ -614,4 +691,4 @@ class PaymentService {
   }
 }
 
-module.exports = new PaymentService();
\ No newline at end of file
+module.exports = new PaymentService();
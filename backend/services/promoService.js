@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+
+const STATUS_MESSAGES = {
+  inactive: 'This promo code is not active',
+  scheduled: 'This promo code is not valid yet',
+  expired: 'This promo code has expired',
+  exhausted: 'This promo code has been fully redeemed'
+};
+
+const promoError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+class PromoService {
+  /**
+   * Check a code can be used for a purchase and work out the discount
+   */
+  async quote({ code, userId, categoryId, quantity, amount }) {
+    const promoCode = await PromoCode.findOne({ code: PromoCode.normalizeCode(code) });
+    if (!promoCode) {
+      throw promoError('Promo code not found');
+    }
+
+    if (promoCode.status !== 'active') {
+      throw promoError(STATUS_MESSAGES[promoCode.status]);
+    }
+
+    if (!promoCode.appliesToCategory(categoryId)) {
+      throw promoError('This promo code cannot be used in this category');
+    }
+
+    if (promoCode.maxQuantity && quantity > promoCode.maxQuantity) {
+      throw promoError(`This promo code covers at most ${promoCode.maxQuantity} vote(s) per purchase`);
+    }
+
+    const usedByUser = await PromoRedemption.countDocuments({
+      promoCode: promoCode._id,
+      user: userId,
+      status: { $in: ['pending', 'completed'] }
+    });
+    if (usedByUser >= promoCode.maxRedemptionsPerUser) {
+      throw promoError('You have already used this promo code');
+    }
+
+    return {
+      promoCode,
+      originalAmount: amount,
+      ...promoCode.calculateDiscount(amount)
+    };
+  }
+
+  /**
+   * Take one use of the code, failing if the user's or the overall cap was
+   * reached in the meantime. Each of a user's uses takes one of their slots,
+   * which a unique index hands out once, so parallel requests cannot go over
+   * the per-user limit
+   */
+  async reserve(promoQuote, { userId, categoryId, nomineeId, quantity }) {
+    const { promoCode } = promoQuote;
+
+    let redemption = null;
+    for (let slot = 0; slot < promoCode.maxRedemptionsPerUser && !redemption; slot++) {
+      try {
+        redemption = await PromoRedemption.create({
+          promoCode: promoCode._id,
+          code: promoCode.code,
+          user: userId,
+          slot,
+          category: categoryId,
+          nominee: nomineeId,
+          quantity,
+          originalAmount: promoQuote.originalAmount,
+          discountAmount: promoQuote.discountAmount,
+          finalAmount: promoQuote.finalAmount
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    if (!redemption) {
+      throw promoError('You have already used this promo code');
+    }
+
+    const filter = { _id: promoCode._id, isActive: true };
+    if (promoCode.maxRedemptions) {
+      filter.redemptionCount = { $lt: promoCode.maxRedemptions };
+    }
+
+    const claimed = await PromoCode.findOneAndUpdate(filter, { $inc: { redemptionCount: 1 } });
+    if (!claimed) {
+      await redemption.deleteOne();
+      throw promoError(STATUS_MESSAGES.exhausted);
+    }
+
+    return redemption;
+  }
+
+  /**
+   * Mark the redemption for a payment as used once its vote exists
+   */
+  async complete(payment, vote) {
+    return PromoRedemption.findOneAndUpdate(
+      { payment: payment._id, status: 'pending' },
+      { status: 'completed', vote: vote?._id, completedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Give back the use taken by a redemption whose payment did not go through
+   */
+  async cancel(redemptionFilter) {
+    const redemption = await PromoRedemption.findOneAndUpdate(
+      { ...redemptionFilter, status: 'pending' },
+      { status: 'cancelled', cancelledAt: new Date(), $unset: { slot: 1 } },
+      { new: true }
+    );
+
+    if (redemption) {
+      await PromoCode.updateOne({ _id: redemption.promoCode }, { $inc: { redemptionCount: -1 } });
+    }
+
+    return redemption;
+  }
+
+  release(payment) {
+    return this.cancel({ payment: payment._id });
+  }
+
+  /**
+   * Redemption totals per code, optionally for a single code
+   */
+  async getAnalytics({ promoCodeId } = {}) {
+    const match = {};
+    if (promoCodeId) match.promoCode = new mongoose.Types.ObjectId(promoCodeId);
+
+    const [byCode, byDay] = await Promise.all([
+      PromoRedemption.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$promoCode',
+            code: { $first: '$code' },
+            completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+            pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+            cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+            votes: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, '$quantity', 0] } },
+            discountTotal: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, '$discountAmount', 0] } },
+            revenue: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, '$finalAmount', 0] } },
+            users: { $addToSet: '$user' }
+          }
+        },
+        {
+          $project: {
+            code: 1,
+            completed: 1,
+            pending: 1,
+            cancelled: 1,
+            votes: 1,
+            discountTotal: 1,
+            revenue: 1,
+            uniqueUsers: { $size: '$users' }
+          }
+        },
+        { $sort: { completed: -1 } }
+      ]),
+      PromoRedemption.aggregate([
+        { $match: { ...match, status: 'completed' } },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$completedAt' } },
+            redemptions: { $sum: 1 },
+            votes: { $sum: '$quantity' },
+            discountTotal: { $sum: '$discountAmount' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    const totals = byCode.reduce((acc, item) => ({
+      redemptions: acc.redemptions + item.completed,
+      votes: acc.votes + item.votes,
+      discountTotal: acc.discountTotal + item.discountTotal,
+      revenue: acc.revenue + item.revenue
+    }), { redemptions: 0, votes: 0, discountTotal: 0, revenue: 0 });
+
+    return { totals, byCode, byDay };
+  }
+}
+
+module.exports = new PromoService();
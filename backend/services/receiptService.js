@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Payment = require('../models/Payment');
+const settingsService = require('./settingsService');
+const { httpError } = require('../utils/helpers');
+
+// Receipts exist for payments that went through, including later refunds
+const RECEIPT_STATUSES = ['success', 'refunded'];
+
+const formatAmount = (amount, currency = 'NGN') => `${currency} ${Number(amount || 0).toLocaleString('en-NG', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+class ReceiptService {
+  /**
+   * Code printed on a receipt that proves it was issued by us. It is an HMAC
+   * of the payment's key fields, so an edited receipt no longer matches
+   */
+  verificationCode(payment) {
+    const secret = process.env.RECEIPT_SECRET || process.env.JWT_SECRET;
+    const paidAt = payment.paidAt ? payment.paidAt.toISOString() : '';
+    const digest = crypto.createHmac('sha256', secret)
+      .update([payment.internalReference, payment.gatewayReference || '', payment.amount, payment.currency, paidAt].join('|'))
+      .digest('hex')
+      .slice(0, 20)
+      .toUpperCase();
+
+    return digest.match(/.{4}/g).join('-');
+  }
+
+  verificationUrl(payment) {
+    return `${process.env.BACKEND_URL}/api/payments/receipts/verify/${payment.internalReference}?code=${this.verificationCode(payment)}`;
+  }
+
+  async findPayment(filter) {
+    return Payment.findOne(filter)
+      .populate('user', 'firstName lastName email')
+      .populate({
+        path: 'metadata.nominee',
+        select: 'student',
+        populate: { path: 'student', select: 'firstName lastName' }
+      })
+      .populate('metadata.category', 'name');
+  }
+
+  /**
+   * The fields shown on a payment's receipt
+   */
+  toReceipt(payment) {
+    const student = payment.metadata.nominee?.student;
+    const quantity = payment.metadata.quantity || 1;
+
+    return {
+      receiptNumber: payment.internalReference,
+      gatewayReference: payment.gatewayReference || null,
+      gateway: payment.gateway,
+      status: payment.status,
+      payer: payment.user ? `${payment.user.firstName} ${payment.user.lastName}` : null,
+      payerEmail: payment.user?.email || null,
+      nominee: student ? `${student.firstName} ${student.lastName}` : 'Unknown nominee',
+      category: payment.metadata.category?.name || 'Unknown category',
+      quantity,
+      pricingTier: payment.metadata.pricingTier?.name || null,
+      currency: payment.currency,
+      subtotal: payment.promo?.originalAmount ?? payment.amount,
+      discount: payment.promo?.discountAmount || 0,
+      promoCode: payment.promo?.code || null,
+      amount: payment.amount,
+      fees: payment.fees.totalFees || (payment.fees.gatewayFee + payment.fees.platformFee),
+      refundedAmount: payment.status === 'refunded' ? payment.refundDetails.refundAmount : 0,
+      paidAt: payment.paidAt,
+      verificationCode: this.verificationCode(payment)
+    };
+  }
+
+  /**
+   * Load a payment the user may see a receipt for
+   */
+  async getForUser(paymentId, user) {
+    const payment = await this.findPayment({ _id: paymentId });
+    if (!payment) {
+      throw httpError('Payment not found', 404);
+    }
+    if (!payment.user?._id.equals(user._id) && user.role !== 'admin') {
+      throw httpError('Access denied', 403);
+    }
+    if (!RECEIPT_STATUSES.includes(payment.status)) {
+      throw httpError('Receipts are only available for successful payments', 400);
+    }
+    return payment;
+  }
+
+  /**
+   * Check a receipt's verification code against the payment it names
+   */
+  async verify(reference, code) {
+    const payment = await this.findPayment({ internalReference: reference, status: { $in: RECEIPT_STATUSES } });
+    if (!payment) {
+      return { valid: false };
+    }
+
+    const expected = Buffer.from(this.verificationCode(payment));
+    const given = Buffer.from(String(code || '').toUpperCase());
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return { valid: false };
+    }
+
+    const { payer, payerEmail, verificationCode, ...receipt } = this.toReceipt(payment);
+    return { valid: true, receipt };
+  }
+
+  /**
+   * Render a payment's receipt as a PDF buffer
+   */
+  async renderPdf(payment) {
+    const settings = await settingsService.getSettings();
+    const receipt = this.toReceipt(payment);
+    const qrCode = await QRCode.toBuffer(this.verificationUrl(payment), { margin: 1, width: 240 });
+
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Receipt ${receipt.receiptNumber}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    doc.fontSize(20).fillColor('#2563eb').text(settings.siteName);
+    doc.moveDown(0.3).fontSize(14).fillColor('#111827').text('Payment Receipt');
+    if (receipt.status === 'refunded') {
+      doc.moveDown(0.3).fontSize(12).fillColor('#dc2626').text(`REFUNDED: ${formatAmount(receipt.refundedAmount, receipt.currency)}`);
+    }
+    doc.moveDown(1.5);
+
+    const rows = [
+      ['Receipt number', receipt.receiptNumber],
+      ['Gateway reference', receipt.gatewayReference || '-'],
+      ['Payment method', receipt.gateway],
+      ['Date paid', receipt.paidAt ? new Date(receipt.paidAt).toLocaleString('en-NG') : '-'],
+      ['Paid by', receipt.payer ? `${receipt.payer} (${receipt.payerEmail})` : '-'],
+      ['Nominee', receipt.nominee],
+      ['Category', receipt.category],
+      ['Votes', receipt.pricingTier ? `${receipt.quantity} (${receipt.pricingTier})` : String(receipt.quantity)],
+      ['Subtotal', formatAmount(receipt.subtotal, receipt.currency)],
+      ...(receipt.discount ? [[`Discount (${receipt.promoCode})`, `-${formatAmount(receipt.discount, receipt.currency)}`]] : []),
+      ['Processing fees', formatAmount(receipt.fees, receipt.currency)],
+      ['Total paid', formatAmount(receipt.amount, receipt.currency)]
+    ];
+
+    doc.fontSize(11);
+    rows.forEach(([label, value], index) => {
+      const y = doc.y;
+      const last = index === rows.length - 1;
+      doc.font(last ? 'Helvetica-Bold' : 'Helvetica').fillColor('#6b7280').text(label, 50, y, { width: 180 });
+      doc.fillColor('#111827').text(value, 230, y, { width: 315, align: 'right' });
+      doc.moveDown(0.6);
+    });
+
+    doc.moveDown(1.5);
+    const qrTop = doc.y;
+    doc.image(qrCode, 50, qrTop, { width: 110 });
+    doc.font('Helvetica').fontSize(10).fillColor('#6b7280')
+      .text('Verification code', 180, qrTop + 10)
+      .font('Helvetica-Bold').fontSize(14).fillColor('#111827')
+      .text(receipt.verificationCode, 180, qrTop + 26)
+      .font('Helvetica').fontSize(9).fillColor('#6b7280')
+      .text('Scan the code or quote the receipt number and verification code to confirm this receipt is genuine.', 180, qrTop + 50, { width: 365 });
+
+    doc.end();
+    return finished;
+  }
+}
+
+module.exports = new ReceiptService();
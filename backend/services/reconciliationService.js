@@ -0,0 +1,211 @@
+const Payment = require('../models/Payment');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const paymentService = require('./paymentService');
+const promoService = require('./promoService');
+const settingsService = require('./settingsService');
+const tenantService = require('./tenantService');
+
+const ACTIVE_STATUSES = ['pending', 'processing'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReconciliationService {
+  constructor() {
+    this.running = false;
+    this.timer = null;
+    this.batchSize = 100;
+    // How far back to look for successful payments without a vote
+    this.recoveryWindowDays = Number(process.env.RECONCILIATION_RECOVERY_DAYS ?? 7);
+  }
+
+  /**
+   * Check stale pending payments with their gateway and settle them,
+   * then create any votes missing for successful payments
+   */
+  async run({ trigger = 'scheduled', userId = null } = {}) {
+    if (this.running) {
+      const error = new Error('A reconciliation run is already in progress');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    this.running = true;
+    const report = await ReconciliationReport.create({ trigger, triggeredBy: userId });
+
+    try {
+      const settings = await settingsService.getSettings();
+      const cutoff = new Date(Date.now() - settings.paymentTimeout * 1000);
+
+      const stalePayments = await Payment.find({
+        status: { $in: ACTIVE_STATUSES },
+        createdAt: { $lte: cutoff }
+      })
+        .sort({ createdAt: 1 })
+        .limit(this.batchSize);
+
+      for (const payment of stalePayments) {
+        await this.reconcilePayment(payment, report, userId);
+      }
+
+      await this.recoverMissingVotes(report);
+      await report.finish();
+    } catch (error) {
+      console.error('Reconciliation run failed:', error);
+      await report.finish(error.message);
+    } finally {
+      this.running = false;
+    }
+
+    return report;
+  }
+
+  /**
+   * Verify one stale payment and record what happened on the report
+   */
+  async reconcilePayment(payment, report, userId) {
+    const item = {
+      payment: payment._id,
+      internalReference: payment.internalReference,
+      gateway: payment.gateway,
+      previousStatus: payment.status,
+      recordedAmount: payment.amount
+    };
+    report.stats.checked += 1;
+
+    try {
+      const { data } = await paymentService.verifyPayment(payment.internalReference, { method: 'reconciliation' });
+      const settled = data.payment;
+      const gatewayAmount = data.verification?.amount;
+
+      // Nobody paid before the checkout expired
+      if (ACTIVE_STATUSES.includes(settled.status) && settled.isExpired) {
+        await settled.markAsFailed('Payment expired before completion');
+        await promoService.release(settled);
+      }
+
+      item.newStatus = settled.status;
+      item.gatewayAmount = gatewayAmount ?? null;
+      item.mismatch = gatewayAmount != null && Math.abs(gatewayAmount - settled.amount) >= 0.01;
+      item.voteCreated = settled.status === 'success';
+
+      settled.reconciliation.isReconciled = !ACTIVE_STATUSES.includes(settled.status);
+      settled.reconciliation.reconciledAt = new Date();
+      settled.reconciliation.reconciledBy = userId || undefined;
+      settled.reconciliation.gatewayAmount = item.gatewayAmount;
+      settled.reconciliation.hasMismatch = item.mismatch;
+      if (item.mismatch) {
+        settled.reconciliation.discrepancies.push(
+          `Gateway reported ${gatewayAmount} ${settled.currency}, recorded ${settled.amount} ${settled.currency}`
+        );
+      }
+      await settled.save();
+
+      if (settled.status === 'success') report.stats.settledSuccess += 1;
+      else if (settled.status === 'failed') report.stats.settledFailed += 1;
+      else report.stats.stillPending += 1;
+    } catch (error) {
+      console.error(`Reconciliation failed for ${payment.internalReference}:`, error);
+      item.error = error.message;
+      item.newStatus = await this.expireUnverifiable(payment, error, userId);
+
+      if (item.newStatus === 'success') report.stats.settledSuccess += 1;
+      else if (item.newStatus === 'failed') report.stats.settledFailed += 1;
+      else report.stats.stillPending += 1;
+    }
+
+    report.addItem(item);
+  }
+
+  /**
+   * Fail an expired payment the gateway could not verify, e.g. a checkout
+   * abandoned before the gateway ever saw it. Left pending, it would be the
+   * oldest stale payment in every later run. A later webhook can still verify
+   * it. Resolves with the payment's status
+   */
+  async expireUnverifiable(payment, error, userId) {
+    try {
+      // The failed verification may have got as far as settling it
+      const current = await Payment.findById(payment._id);
+      if (!current || !ACTIVE_STATUSES.includes(current.status) || !current.isExpired) {
+        return current ? current.status : payment.status;
+      }
+
+      current.reconciliation.isReconciled = true;
+      current.reconciliation.reconciledAt = new Date();
+      current.reconciliation.reconciledBy = userId || undefined;
+      current.reconciliation.discrepancies.push(`Could not be verified: ${error.message}`);
+      await current.markAsFailed('Payment expired before completion');
+      await promoService.release(current);
+      return current.status;
+    } catch (expireError) {
+      console.error(`Could not expire ${payment.internalReference}:`, expireError);
+      return payment.status;
+    }
+  }
+
+  /**
+   * Create votes for successful payments that never got one, e.g. when
+   * vote creation failed after the payment was marked successful. Only
+   * payments made within the recovery window are checked, so each run stays
+   * small however many payments there have been
+   */
+  async recoverMissingVotes(report, now = new Date()) {
+    const since = new Date(now.getTime() - this.recoveryWindowDays * DAY_MS);
+    const orphans = await Payment.aggregate([
+      { $match: { status: 'success', paidAt: { $gte: since } } },
+      {
+        $lookup: {
+          from: 'votes',
+          localField: 'internalReference',
+          foreignField: 'paymentReference',
+          as: 'votes'
+        }
+      },
+      { $match: { votes: { $size: 0 } } },
+      { $project: { _id: 1 } },
+      { $limit: this.batchSize }
+    ]);
+
+    for (const { _id } of orphans) {
+      const payment = await Payment.findById(_id);
+      const item = {
+        payment: payment._id,
+        internalReference: payment.internalReference,
+        gateway: payment.gateway,
+        previousStatus: payment.status,
+        newStatus: payment.status,
+        recordedAmount: payment.amount
+      };
+
+      try {
+        await paymentService.createVoteFromPayment(payment, 'reconciliation');
+        item.voteCreated = true;
+      } catch (error) {
+        item.error = error.message;
+      }
+
+      report.addItem(item);
+    }
+  }
+
+  /**
+   * Run reconciliation on a timer. RECONCILIATION_INTERVAL_MINUTES=0 disables it
+   */
+  start() {
+    const minutes = Number(process.env.RECONCILIATION_INTERVAL_MINUTES ?? 10);
+    if (!minutes || this.timer) return;
+
+    this.timer = setInterval(() => {
+      tenantService.forEachTenant(() => this.run()).catch(error => console.error('Scheduled reconciliation skipped:', error.message));
+    }, minutes * 60 * 1000);
+    this.timer.unref();
+
+    console.log(`🔁 Payment reconciliation every ${minutes} minutes`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new ReconciliationService();
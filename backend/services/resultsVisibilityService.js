@@ -0,0 +1,59 @@
+const Category = require('../models/Category');
+
+// Fields that give away how many votes a nominee has
+const COUNT_FIELDS = [
+  'totalVotes', 'totalRevenue', 'uniqueVoters', 'averageVoteValue', 'minVoteValue',
+  'maxVoteValue', 'firstVoteAt', 'lastVoteAt', 'voteCount', 'count', 'totalAmount'
+];
+
+class ResultsVisibilityService {
+  /**
+   * How much of a category's results a requester may see. Admins always see everything
+   */
+  accessFor(category, user) {
+    const access = Category.resultsAccess(category);
+    if (user?.role === 'admin' && access.level !== 'full') {
+      return { ...access, level: 'full', embargoed: true };
+    }
+    return access;
+  }
+
+  /**
+   * Copy of a result entry without its vote totals
+   */
+  stripCounts(entry) {
+    const copy = { ...entry };
+    COUNT_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+  }
+
+  /**
+   * Apply an access level to a ranked list of results
+   */
+  applyToRanking(entries, access) {
+    if (access.level === 'hidden') return [];
+    if (access.level === 'ranks') return entries.map(entry => this.stripCounts(entry));
+    return entries;
+  }
+
+  /**
+   * Categories whose results the requester may not fully see, keyed by ID
+   */
+  async getRestrictedCategories(user) {
+    const restricted = new Map();
+    if (user?.role === 'admin') return restricted;
+
+    const categories = await Category.find({ 'resultsVisibility.mode': { $ne: 'live' } })
+      .select('name resultsVisibility votingSettings.endDate lifecycleStage');
+
+    categories.forEach(category => {
+      const access = Category.resultsAccess(category);
+      if (access.level !== 'full') {
+        restricted.set(category._id.toString(), { categoryId: category._id, name: category.name, ...access });
+      }
+    });
+    return restricted;
+  }
+}
+
+module.exports = new ResultsVisibilityService();
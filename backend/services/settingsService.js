@@ -0,0 +1,175 @@
+const Settings = require('../models/Settings');
+const SettingsRevision = require('../models/SettingsRevision');
+const tenantContext = require('./tenantContext');
+
+// Paths on the settings document that admins are not allowed to write
+const PROTECTED_PATHS = ['_id', '__v', 'key', 'version', 'createdAt', 'updatedAt', 'lastModifiedBy'];
+
+const stripBankAccount = (account = {}) => ({
+  accountName: account.accountName,
+  accountNumber: account.accountNumber,
+  bankName: account.bankName,
+  isActive: account.isActive !== false
+});
+
+class SettingsService {
+  constructor() {
+    // Keyed by tenant so each institution gets its own settings
+    this.cache = new Map();
+    this.cacheTTL = 30 * 1000; // 30 seconds
+  }
+
+  get cacheKey() {
+    return String(tenantContext.id() || 'global');
+  }
+
+  /**
+   * Names of all settings fields an admin can edit
+   */
+  get editableFields() {
+    return Object.keys(Settings.schema.paths)
+      .filter(path => !PROTECTED_PATHS.includes(path) && !path.includes('.'));
+  }
+
+  /**
+   * Load the settings document, creating it with defaults on first use
+   */
+  async loadDocument() {
+    let settings = await Settings.findOne({ key: 'global' });
+
+    if (!settings) {
+      // A new tenant's portal starts out under its own name
+      const siteName = tenantContext.get()?.branding?.siteName;
+      settings = await Settings.create({
+        key: 'global',
+        ...(siteName && { siteName, emailFromName: siteName })
+      });
+      await SettingsRevision.create({
+        version: settings.version,
+        snapshot: settings.toSnapshot(),
+        changedFields: [],
+        note: 'Initial default settings'
+      });
+    }
+
+    return settings;
+  }
+
+  /**
+   * Get current settings (cached for runtime enforcement)
+   */
+  async getSettings({ fresh = false } = {}) {
+    const entry = this.cache.get(this.cacheKey);
+    const isCacheValid = entry && (Date.now() - entry.cachedAt) < this.cacheTTL;
+
+    if (!fresh && isCacheValid) {
+      return entry.settings;
+    }
+
+    const settings = await this.loadDocument();
+    this.cache.set(this.cacheKey, { settings, cachedAt: Date.now() });
+    return settings;
+  }
+
+  /**
+   * Drop the cached settings so the next read hits the database
+   */
+  invalidateCache() {
+    this.cache.delete(this.cacheKey);
+  }
+
+  /**
+   * Apply changes, save a new version and record it in the history
+   */
+  async updateSettings(changes, userId, { note, restoredFrom = null } = {}) {
+    const settings = await this.loadDocument();
+    const changedFields = [];
+
+    this.editableFields.forEach(field => {
+      if (changes[field] === undefined) {
+        return;
+      }
+
+      let value = changes[field];
+
+      // Masked or blank secrets mean "keep the current value"
+      if (Settings.SECRET_FIELDS.includes(field)) {
+        if (!value || String(value).startsWith('****')) {
+          return;
+        }
+      }
+
+      if (field === 'bankAccounts') {
+        value = (Array.isArray(value) ? value : []).map(stripBankAccount);
+        const current = settings.bankAccounts.map(stripBankAccount);
+        if (JSON.stringify(current) === JSON.stringify(value)) {
+          return;
+        }
+      }
+
+      settings.set(field, value);
+
+      if (settings.isModified(field)) {
+        changedFields.push(field);
+      }
+    });
+
+    if (changedFields.length === 0) {
+      return { settings, changedFields };
+    }
+
+    settings.lastModifiedBy = userId;
+    await settings.save();
+
+    await SettingsRevision.create({
+      version: settings.version,
+      snapshot: settings.toSnapshot(),
+      changedFields,
+      changedBy: userId,
+      note,
+      restoredFrom
+    });
+
+    this.invalidateCache();
+
+    return { settings, changedFields };
+  }
+
+  /**
+   * Get paginated version history, newest first
+   */
+  async getHistory({ page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+
+    const [revisions, total] = await Promise.all([
+      SettingsRevision.find()
+        .populate('changedBy', 'firstName lastName email')
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      SettingsRevision.countDocuments()
+    ]);
+
+    return { revisions, total };
+  }
+
+  /**
+   * Restore the settings captured in an earlier version
+   */
+  async restoreVersion(version, userId) {
+    const revision = await SettingsRevision.findOne({ version });
+    if (!revision) {
+      const error = new Error(`Settings version ${version} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return this.updateSettings(revision.snapshot, userId, {
+      note: `Restored from version ${version}`,
+      restoredFrom: version
+    });
+  }
+}
+
+module.exports = new SettingsService();
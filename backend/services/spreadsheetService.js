@@ -0,0 +1,50 @@
+const ExcelJS = require('exceljs');
+const csvService = require('./csvService');
+const { httpError } = require('../utils/helpers');
+
+// XLSX files are zip archives; legacy XLS files are OLE documents
+const isXlsx = (buffer) => buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+const isXls = (buffer) => buffer.subarray(0, 4).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0]));
+
+// Dates become ISO strings; formulas, links and rich text their displayed text
+const cellText = (cell) => (cell.value instanceof Date ? cell.value.toISOString() : cell.text);
+
+class SpreadsheetService {
+  /**
+   * Rows of an uploaded CSV or XLSX file (first worksheet), told apart by
+   * their contents. Same shape as csvService.parse
+   */
+  async parse(buffer) {
+    if (isXls(buffer)) {
+      throw httpError('Old .xls files are not supported; save the sheet as .xlsx or .csv', 400);
+    }
+    if (!isXlsx(buffer)) {
+      return csvService.parse(buffer);
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw httpError('The spreadsheet could not be read', 400);
+    }
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      throw httpError('The file is empty', 400);
+    }
+
+    const records = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, line) => {
+      const fields = [];
+      for (let column = 1; column <= worksheet.columnCount; column++) {
+        fields.push(cellText(row.getCell(column)));
+      }
+      records.push({ fields, line });
+    });
+
+    return csvService.tabulate(records);
+  }
+}
+
+module.exports = new SpreadsheetService();
@@ -0,0 +1,349 @@
+const StudentRecord = require('../models/StudentRecord');
+const User = require('../models/User');
+const spreadsheetService = require('./spreadsheetService');
+const catalogService = require('./catalogService');
+const tenantService = require('./tenantService');
+const tenantContext = require('./tenantContext');
+const { httpError, escapeRegex } = require('../utils/helpers');
+
+// Accepted header names for each registry column, normalized the way
+// csvService normalizes headers
+const COLUMNS = {
+  studentId: ['studentid', 'matricnumber', 'matricno', 'matric', 'regno'],
+  firstName: ['firstname', 'givenname', 'othernames'],
+  lastName: ['lastname', 'surname'],
+  faculty: ['faculty'],
+  department: ['department', 'dept'],
+  level: ['level']
+};
+const REQUIRED_COLUMNS = ['studentId', 'firstName', 'lastName', 'faculty', 'level'];
+
+// Names are compared without case, spaces or punctuation
+const normalizeName = (name = '') => name.toLowerCase().replace(/[^a-z]/g, '');
+
+const normalizeStudentId = (studentId = '') => String(studentId).replace(/\s/g, '').toUpperCase();
+
+class StudentRegistryService {
+  /**
+   * Whether the institution has uploaded a registry. Without one, student
+   * status stays self-declared
+   */
+  async hasRegistry() {
+    return Boolean(await StudentRecord.exists({}));
+  }
+
+  /**
+   * Compare a student ID and name with the registry. Returns the registry
+   * record, if any, and what did not match
+   */
+  async match({ studentId, firstName, lastName }) {
+    const record = await StudentRecord.findOne({ studentId: normalizeStudentId(studentId) }).lean();
+    if (!record) {
+      return {
+        record: null,
+        mismatches: [{ field: 'studentId', provided: studentId, expected: 'on the registry' }]
+      };
+    }
+
+    const [first, last] = [normalizeName(firstName), normalizeName(lastName)];
+    const [recordFirst, recordLast] = [normalizeName(record.firstName), normalizeName(record.lastName)];
+    // Accept names given in either order
+    const namesMatch = (first === recordFirst && last === recordLast) ||
+      (first === recordLast && last === recordFirst);
+
+    return {
+      record,
+      mismatches: namesMatch ? [] : [{
+        field: 'name',
+        provided: `${firstName} ${lastName}`,
+        expected: `${record.firstName} ${record.lastName}`
+      }]
+    };
+  }
+
+  /**
+   * Check a new registration's student ID. A match makes the user a student
+   * with the registry's faculty, department and level; a mismatch leaves
+   * them a voter until an admin reviews it. Without a student ID nobody is
+   * taken for a student
+   */
+  async applyToRegistration(userData) {
+    if (!userData.isStudent || !(await this.hasRegistry())) return;
+
+    if (!userData.studentId) {
+      userData.isStudent = false;
+      userData.role = 'voter';
+      return;
+    }
+
+    const { record, mismatches } = await this.match(userData);
+    const verified = mismatches.length === 0;
+
+    if (verified) {
+      this.fillFromRecord(userData, record);
+    }
+    userData.isStudent = verified;
+    userData.role = verified ? 'student' : 'voter';
+    userData.studentVerification = {
+      status: verified ? 'verified' : 'pending_review',
+      mismatches,
+      checkedAt: new Date()
+    };
+  }
+
+  /**
+   * Check an existing user against the registry, e.g. before they are
+   * nominated. Users who signed up before the registry was imported are
+   * matched now; a mismatch sends them for review without taking away their
+   * student status. Returns the verification status
+   */
+  async verifyUser(user) {
+    const verification = user.studentVerification || {};
+    const current = verification.status || 'unverified';
+    if (!user.studentId || ['verified', 'rejected'].includes(current) || !(await this.hasRegistry())) {
+      return current;
+    }
+
+    const { record, mismatches } = await this.match(user);
+    if (mismatches.length === 0) {
+      this.fillFromRecord(user, record);
+      user.isStudent = true;
+      if (user.role !== 'admin') user.role = 'student';
+    }
+    user.studentVerification = {
+      status: mismatches.length === 0 ? 'verified' : 'pending_review',
+      mismatches,
+      checkedAt: new Date()
+    };
+    await user.save();
+
+    return user.studentVerification.status;
+  }
+
+  fillFromRecord(target, record) {
+    target.faculty = record.faculty;
+    if (record.department) target.department = record.department;
+    target.level = record.level;
+  }
+
+  /**
+   * Import registry rows from a CSV or XLSX file. Rows are added or updated by
+   * student ID; with `replace`, students missing from the file are removed.
+   * Invalid rows are skipped and reported by line. Afterwards, users waiting
+   * for a match are checked again
+   */
+  async importFile(buffer, { replace = false, userId } = {}) {
+    const { headers, rows } = await spreadsheetService.parse(buffer);
+
+    const columns = Object.fromEntries(Object.entries(COLUMNS).map(([field, names]) => [
+      field,
+      names.find(name => headers.includes(name))
+    ]));
+    const missing = REQUIRED_COLUMNS.filter(field => !columns[field]);
+    if (missing.length > 0) {
+      throw httpError(`The file is missing the column(s): ${missing.join(', ')}`, 400);
+    }
+
+    const [registry, catalog] = await Promise.all([
+      tenantService.getRegistry(),
+      catalogService.getCatalog({ includeInactive: true })
+    ]);
+    const studentIdPattern = new RegExp(registry.studentIdPattern);
+
+    const errors = [];
+    const records = new Map();
+    const seen = new Set();
+
+    for (const { line, values } of rows) {
+      const record = Object.fromEntries(Object.entries(columns)
+        .filter(([, column]) => column)
+        .map(([field, column]) => [field, values[column] || '']));
+      record.studentId = normalizeStudentId(record.studentId);
+
+      const faculty = catalog.find(entry => entry.name.toLowerCase() === record.faculty.toLowerCase());
+      const department = record.department && faculty &&
+        faculty.departments.find(entry => entry.name.toLowerCase() === record.department.toLowerCase());
+
+      let message = null;
+      if (!record.studentId || !record.firstName || !record.lastName) {
+        message = 'Student ID, first name and last name are required';
+      } else if (seen.has(record.studentId)) {
+        message = `${record.studentId} appears more than once`;
+      } else if (!studentIdPattern.test(record.studentId)) {
+        message = `${record.studentId} is not in the format ${registry.studentIdFormat}`;
+      } else if (!faculty) {
+        message = `${record.faculty || 'Faculty'} is not a faculty of this institution`;
+      } else if (record.department && !department) {
+        message = `${record.department} is not a department of ${faculty.name}`;
+      } else if (!registry.levels.includes(record.level)) {
+        message = `Level must be one of ${registry.levels.join(', ')}`;
+      }
+
+      if (record.studentId) seen.add(record.studentId);
+      if (message) {
+        errors.push({ line, studentId: record.studentId, message });
+        continue;
+      }
+
+      records.set(record.studentId, {
+        ...record,
+        // Use the catalog's spelling of faculty and department names
+        faculty: faculty.name,
+        department: department ? department.name : '',
+        importedBy: userId
+      });
+    }
+
+    // bulkWrite skips the tenant plugin's hooks, so the tenant is set here
+    const tenant = tenantContext.id();
+    const operations = [...records.values()].map(record => ({
+      updateOne: {
+        filter: { studentId: record.studentId, ...(tenant && { tenant }) },
+        update: { $set: record },
+        upsert: true
+      }
+    }));
+    const result = operations.length > 0
+      ? await StudentRecord.bulkWrite(operations, { ordered: false })
+      : { upsertedCount: 0, modifiedCount: 0 };
+
+    // Rows with errors are kept rather than removed as missing
+    const removed = replace
+      ? (await StudentRecord.deleteMany({ studentId: { $nin: [...seen] } })).deletedCount
+      : 0;
+
+    const rechecked = await this.recheckPending();
+
+    return {
+      rows: rows.length,
+      created: result.upsertedCount,
+      updated: result.modifiedCount,
+      removed,
+      skipped: errors.length,
+      errors,
+      rechecked
+    };
+  }
+
+  /**
+   * Match users who are waiting for review or signed up before the registry
+   * existed. Returns how many were verified
+   */
+  async recheckPending() {
+    const users = await User.find({
+      studentId: { $type: 'string' },
+      'studentVerification.status': { $in: ['unverified', 'pending_review', null] },
+      'studentVerification.reviewedAt': null
+    });
+
+    let verified = 0;
+    for (const user of users) {
+      try {
+        if (await this.verifyUser(user) === 'verified') verified++;
+      } catch (error) {
+        console.error(`Student registry check failed for user ${user._id}:`, error.message);
+      }
+    }
+    return verified;
+  }
+
+  /**
+   * Registry records, optionally filtered by student ID or name
+   */
+  async listRecords({ search } = {}, { page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ studentId: pattern }, { firstName: pattern }, { lastName: pattern }];
+    }
+
+    const [records, total] = await Promise.all([
+      StudentRecord.find(filter)
+        .sort({ lastName: 1, firstName: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      StudentRecord.countDocuments(filter)
+    ]);
+
+    return {
+      records,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Review queue: users whose student ID did not match, with the registry
+   * record for their ID when there is one
+   */
+  async listForReview({ status = 'pending_review' } = {}, { page = 1, limit = 20 } = {}) {
+    const filter = { 'studentVerification.status': status };
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('firstName lastName email studentId faculty department level isStudent role studentVerification createdAt')
+        .populate('studentVerification.reviewedBy', 'firstName lastName')
+        .sort(status === 'pending_review' ? { 'studentVerification.checkedAt': 1 } : { 'studentVerification.reviewedAt': -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter)
+    ]);
+
+    const records = await StudentRecord.find({
+      studentId: { $in: users.map(user => normalizeStudentId(user.studentId)).filter(Boolean) }
+    }).lean();
+
+    return {
+      users: users.map(user => ({
+        ...user,
+        registryRecord: records.find(record => record.studentId === normalizeStudentId(user.studentId)) || null
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Settle a mismatch by hand. Verifying makes the user a student with the
+   * details they registered with; rejecting makes them a voter and frees the
+   * student ID for its real owner
+   */
+  async review(userId, decision, { reviewerId, notes } = {}) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw httpError('User not found', 404);
+    }
+    if (!user.studentVerification || user.studentVerification.status !== 'pending_review') {
+      throw httpError('This user is not awaiting student verification', 400);
+    }
+
+    const isAdmin = user.role === 'admin';
+    if (decision === 'verified') {
+      user.isStudent = true;
+      if (!isAdmin) user.role = 'student';
+    } else {
+      user.isStudent = false;
+      if (!isAdmin) user.role = 'voter';
+      user.studentId = undefined;
+    }
+    user.studentVerification.status = decision;
+    user.studentVerification.reviewedBy = reviewerId;
+    user.studentVerification.reviewedAt = new Date();
+    user.studentVerification.notes = notes;
+    await user.save();
+
+    return user;
+  }
+}
+
+module.exports = new StudentRegistryService();
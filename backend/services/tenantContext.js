@@ -0,0 +1,28 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Carries the tenant of the request or job being handled, so model queries
+// can be scoped to it without passing the tenant through every call
+const storage = new AsyncLocalStorage();
+
+module.exports = {
+  /**
+   * Run `fn` with `tenant` as the current tenant
+   */
+  run(tenant, fn) {
+    return storage.run({ tenant }, fn);
+  },
+
+  /**
+   * The current tenant document, or null outside multi-tenant mode
+   */
+  get() {
+    return storage.getStore()?.tenant || null;
+  },
+
+  /**
+   * The current tenant's ID, or null
+   */
+  id() {
+    return this.get()?._id || null;
+  }
+};
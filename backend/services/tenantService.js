@@ -0,0 +1,181 @@
+const Tenant = require('../models/Tenant');
+const tenantContext = require('./tenantContext');
+const settingsService = require('./settingsService');
+const { httpError } = require('../utils/helpers');
+
+const BRANDING_FIELDS = ['siteName', 'shortName', 'logoUrl', 'primaryColor', 'supportEmail'];
+
+class TenantService {
+  constructor() {
+    this.cache = new Map();
+    this.cacheTTL = 60 * 1000; // 1 minute
+    this.origins = null;
+    this.originsCachedAt = 0;
+  }
+
+  /**
+   * Multi-tenant mode is opt-in; otherwise the portal serves one institution
+   * and no data is scoped
+   */
+  isEnabled() {
+    return process.env.MULTI_TENANT === 'true';
+  }
+
+  async cached(key, load) {
+    const entry = this.cache.get(key);
+    if (entry && (Date.now() - entry.cachedAt) < this.cacheTTL) {
+      return entry.value;
+    }
+
+    const value = await load();
+    this.cache.set(key, { value, cachedAt: Date.now() });
+    return value;
+  }
+
+  invalidateCache() {
+    this.cache.clear();
+    this.origins = null;
+  }
+
+  /**
+   * Find an active tenant by slug or one of its domains
+   */
+  async resolve(ref) {
+    const value = String(ref || '').trim().toLowerCase();
+    if (!value) return null;
+
+    return this.cached(`ref:${value}`, () =>
+      Tenant.findOne({ isActive: true, $or: [{ slug: value }, { domains: value }] })
+    );
+  }
+
+  /**
+   * Work out which tenant a request is for: the X-Tenant header (slug or
+   * domain), then ?tenant= for gateway webhooks, then the hostname and
+   * finally its first label as a slug (`eksu.example.com`)
+   */
+  async fromRequest(req) {
+    const ref = req.get('X-Tenant') || req.query.tenant;
+    if (ref) {
+      const tenant = await this.resolve(ref);
+      if (!tenant) throw httpError('Unknown institution', 404);
+      return tenant;
+    }
+
+    const hostname = (req.hostname || '').toLowerCase();
+    const tenant = await this.resolve(hostname) || await this.resolve(hostname.split('.')[0]);
+    if (!tenant) throw httpError('Unknown institution', 404);
+    return tenant;
+  }
+
+  /**
+   * Levels and ID formats for a tenant, falling back
+   * to the built-in ones outside multi-tenant mode
+   */
+  async getRegistry(tenantId = tenantContext.id()) {
+    if (!tenantId) return Tenant.buildRegistry();
+
+    const current = tenantContext.get();
+    if (current && current._id.equals(tenantId)) {
+      return current.getRegistry();
+    }
+
+    const tenant = await this.cached(`id:${tenantId}`, () => Tenant.findById(tenantId));
+    return tenant ? tenant.getRegistry() : Tenant.buildRegistry();
+  }
+
+  /**
+   * Branding and registry the frontend needs to render the current
+   * institution's portal. Never includes payment or email credentials
+   */
+  async getProfile(tenant = tenantContext.get()) {
+    const settings = await settingsService.getSettings();
+    const branding = tenant?.branding || {};
+
+    return {
+      multiTenant: this.isEnabled(),
+      slug: tenant?.slug || null,
+      name: tenant?.name || settings.siteName,
+      branding: {
+        siteName: branding.siteName || settings.siteName,
+        shortName: branding.shortName || null,
+        logoUrl: branding.logoUrl || null,
+        primaryColor: branding.primaryColor || null,
+        supportEmail: branding.supportEmail || null
+      },
+      registry: tenant ? tenant.getRegistry() : await this.getRegistry()
+    };
+  }
+
+  /**
+   * Change the current tenant's branding and registry. Fields left out
+   * are kept; an empty registry list falls back to the defaults
+   */
+  async updateCurrent({ branding = {}, registry = {} } = {}) {
+    const current = tenantContext.get();
+    if (!current) {
+      throw httpError('Multi-tenant mode is not enabled', 404);
+    }
+
+    const tenant = await Tenant.findById(current._id);
+    BRANDING_FIELDS.forEach(field => {
+      if (branding[field] !== undefined) tenant.set(`branding.${field}`, branding[field]);
+    });
+    Object.keys(Tenant.DEFAULT_REGISTRY).forEach(field => {
+      if (registry[field] !== undefined) tenant.set(`registry.${field}`, registry[field]);
+    });
+
+    await tenant.save();
+    this.invalidateCache();
+    return tenant;
+  }
+
+  /**
+   * Base URL of the current tenant's site, for links in emails and payment callbacks
+   */
+  frontendUrl() {
+    return tenantContext.get()?.frontendUrl || process.env.FRONTEND_URL;
+  }
+
+  /**
+   * Whether a browser origin belongs to one of the tenants' sites
+   */
+  async isAllowedOrigin(origin) {
+    if (!this.isEnabled() || !origin) return false;
+
+    if (!this.origins || (Date.now() - this.originsCachedAt) >= this.cacheTTL) {
+      const tenants = await Tenant.find({ isActive: true }).select('domains frontendUrl');
+      this.origins = new Set(tenants.flatMap(tenant => [
+        ...tenant.domains.map(domain => `https://${domain}`),
+        ...(tenant.frontendUrl ? [new URL(tenant.frontendUrl).origin] : [])
+      ]));
+      this.originsCachedAt = Date.now();
+    }
+
+    return this.origins.has(origin);
+  }
+
+  /**
+   * Run a background job once per active tenant, each in its own tenant
+   * context, or once unscoped outside multi-tenant mode. A failure for one
+   * tenant is logged and does not stop the others
+   */
+  async forEachTenant(fn) {
+    if (!this.isEnabled()) {
+      return [await fn(null)];
+    }
+
+    const tenants = await Tenant.find({ isActive: true });
+    const results = [];
+    for (const tenant of tenants) {
+      try {
+        results.push(await tenantContext.run(tenant, () => fn(tenant)));
+      } catch (error) {
+        console.error(`Job failed for tenant ${tenant.slug}:`, error.message);
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = new TenantService();
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const Vote = require('../models/Vote');
+const Payment = require('../models/Payment');
+const paymentService = require('./paymentService');
+const { escapeRegex } = require('../utils/helpers');
+
+// Request decision -> what is recorded on the vote
+const DECISIONS = {
+  confirm: 'confirmed',
+  void: 'voided',
+  refund: 'refunded'
+};
+
+class VoteReviewService {
+  /**
+   * Query for the review queue. Unreviewed flagged votes by default,
+   * or past decisions when `reviewed` is true
+   */
+  buildFilter({ category, nominee, minScore, maxScore, reason, status, reviewed } = {}) {
+    const filter = reviewed
+      ? { reviewDecision: { $exists: true } }
+      : { isFlagged: true, reviewDecision: { $exists: false } };
+
+    if (category) filter.category = new mongoose.Types.ObjectId(category);
+    if (nominee) filter.nominee = new mongoose.Types.ObjectId(nominee);
+    if (minScore !== undefined || maxScore !== undefined) {
+      filter.fraudScore = {};
+      if (minScore !== undefined) filter.fraudScore.$gte = Number(minScore);
+      if (maxScore !== undefined) filter.fraudScore.$lte = Number(maxScore);
+    }
+    if (reason) filter.flagReason = { $regex: escapeRegex(reason), $options: 'i' };
+    // Held votes wait as pending; flagged ones were counted as verified
+    if (status === 'held') filter.status = 'pending';
+    if (status === 'counted') filter.status = 'verified';
+
+    return filter;
+  }
+
+  /**
+   * Page of the review queue with totals for the whole filter
+   */
+  async listFlagged(filters = {}, { page = 1, limit = 20 } = {}) {
+    const filter = this.buildFilter(filters);
+
+    const [votes, total, summary] = await Promise.all([
+      Vote.find(filter)
+        .populate('voter', 'firstName lastName email createdAt')
+        .populate('nominee', 'name')
+        .populate('category', 'name')
+        .populate('payment', 'internalReference gateway amount status fraudCheck.signals fraudCheck.action')
+        .populate('reviewedBy', 'firstName lastName email')
+        .sort(filters.reviewed ? { reviewedAt: -1 } : { fraudScore: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Vote.countDocuments(filter),
+      Vote.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: null,
+            votes: { $sum: '$quantity' },
+            amount: { $sum: '$amount' },
+            held: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } }
+          }
+        },
+        { $project: { _id: 0 } }
+      ])
+    ]);
+
+    return {
+      votes,
+      summary: summary[0] || { votes: 0, amount: 0, held: 0 },
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Confirm, void or refund several flagged votes. Each vote is handled on
+   * its own so one failure does not block the rest
+   */
+  async review(voteIds, decision, { userId, notes } = {}) {
+    if (!DECISIONS[decision]) {
+      const error = new Error('Invalid review decision');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const reviewed = [];
+    const failed = [];
+    const nominees = new Set();
+
+    for (const voteId of voteIds) {
+      try {
+        const vote = await this.reviewOne(voteId, decision, { userId, notes });
+        reviewed.push(vote._id);
+        nominees.add(vote.nominee.toString());
+      } catch (error) {
+        failed.push({ voteId, message: error.message });
+      }
+    }
+
+    // Recount every nominee whose totals a decision could have changed
+    for (const nomineeId of nominees) {
+      await paymentService.updateNomineeStats(new mongoose.Types.ObjectId(nomineeId));
+    }
+
+    return { decision: DECISIONS[decision], reviewed, failed };
+  }
+
+  async reviewOne(voteId, decision, { userId, notes }) {
+    let vote = await Vote.findById(voteId);
+    if (!vote) {
+      throw new Error('Vote not found');
+    }
+    if (vote.reviewDecision) {
+      throw new Error(`Vote was already ${vote.reviewDecision}`);
+    }
+    if (['failed', 'refunded'].includes(vote.status)) {
+      throw new Error(`Cannot review a ${vote.status} vote`);
+    }
+
+    if (decision === 'confirm') {
+      vote.status = 'verified';
+      vote.isVerified = true;
+      vote.isFlagged = false;
+    } else if (decision === 'void') {
+      vote.status = 'failed';
+      vote.isVerified = false;
+      vote.failureReason = 'Voided after fraud review';
+      await Payment.updateOne(
+        { _id: vote.payment },
+        {
+          voidDetails: {
+            voidedAt: new Date(),
+            voidReason: notes || vote.failureReason,
+            voidedBy: userId
+          }
+        }
+      );
+    } else {
+      await paymentService.processRefund(vote.payment, notes || 'Refunded after fraud review', userId);
+      // processRefund updates the vote itself, so pick up its changes
+      vote = await Vote.findById(voteId);
+    }
+
+    vote.recordReview(DECISIONS[decision], userId, notes);
+    await vote.save();
+    return vote;
+  }
+}
+
+module.exports = new VoteReviewService();
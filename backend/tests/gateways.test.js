@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { getGateway } = require('../services/gateways');
+const PaystackGateway = require('../services/gateways/paystackGateway');
+const FlutterwaveGateway = require('../services/gateways/flutterwaveGateway');
+const OPayGateway = require('../services/gateways/opayGateway');
+const settingsService = require('../services/settingsService');
+const tenantContext = require('../services/tenantContext');
+
+const hmac = (key, body) => crypto.createHmac('sha512', key).update(body).digest('hex');
+
+describe('payment gateways', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = { ...env };
+    delete process.env.PAYSTACK_SECRET_KEY;
+    jest.spyOn(settingsService, 'getSettings').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    process.env = env;
+    jest.restoreAllMocks();
+  });
+
+  describe('getGateway', () => {
+    it('rejects an unknown gateway', async () => {
+      await expect(getGateway('stripe')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('rejects a gateway without credentials', async () => {
+      await expect(getGateway('paystack')).rejects.toMatchObject({ statusCode: 503 });
+    });
+
+    it('configures the driver from admin settings', async () => {
+      settingsService.getSettings.mockResolvedValue({ paystackSecretKey: 'sk_settings' });
+
+      const gateway = await getGateway('paystack');
+
+      expect(gateway).toBeInstanceOf(PaystackGateway);
+      expect(gateway.secretKey).toBe('sk_settings');
+    });
+  });
+
+  describe('credentials', () => {
+    it('prefers the environment over admin settings', () => {
+      process.env.PAYSTACK_SECRET_KEY = 'sk_env';
+
+      const gateway = new PaystackGateway().configure({ paystackSecretKey: 'sk_settings' });
+
+      expect(gateway.secretKey).toBe('sk_env');
+    });
+
+    it('only uses the tenant\'s own settings for a tenant', () => {
+      process.env.PAYSTACK_SECRET_KEY = 'sk_env';
+
+      const gateway = tenantContext.run({ _id: 'tenant' }, () => new PaystackGateway().configure({}));
+
+      expect(gateway.secretKey).toBeUndefined();
+      expect(gateway.isConfigured()).toBe(false);
+    });
+  });
+
+  describe('Paystack', () => {
+    const gateway = new PaystackGateway().configure({ paystackSecretKey: 'sk_test' });
+    const rawBody = Buffer.from(JSON.stringify({ event: 'charge.success' }));
+
+    it('accepts a webhook signed with the secret key', () => {
+      const headers = { 'x-paystack-signature': hmac('sk_test', rawBody) };
+      expect(gateway.verifyWebhookSignature(rawBody, headers)).toBe(true);
+    });
+
+    it('rejects a missing or wrong signature', () => {
+      expect(gateway.verifyWebhookSignature(rawBody, {})).toBe(false);
+      expect(gateway.verifyWebhookSignature(rawBody, { 'x-paystack-signature': hmac('other', rawBody) })).toBe(false);
+    });
+
+    it('normalises webhook events', () => {
+      const event = gateway.parseWebhookEvent({
+        event: 'charge.success',
+        data: { id: 42, reference: 'VOTE_1' }
+      });
+
+      expect(event).toMatchObject({ id: 'charge.success:42', reference: 'VOTE_1', status: 'success' });
+      expect(gateway.parseWebhookEvent({ event: 'transfer.success', data: {} }).status).toBeNull();
+    });
+  });
+
+  describe('Flutterwave', () => {
+    const gateway = new FlutterwaveGateway().configure({ flutterwaveWebhookHash: 'hash_test' });
+
+    it('checks the verif-hash header', () => {
+      expect(gateway.verifyWebhookSignature(Buffer.from('{}'), { 'verif-hash': 'hash_test' })).toBe(true);
+      expect(gateway.verifyWebhookSignature(Buffer.from('{}'), { 'verif-hash': 'wrong' })).toBe(false);
+    });
+
+    it('only treats completed charges as payment updates', () => {
+      const completed = gateway.parseWebhookEvent({
+        event: 'charge.completed',
+        data: { id: 7, tx_ref: 'VOTE_2', status: 'successful' }
+      });
+      const other = gateway.parseWebhookEvent({
+        event: 'transfer.completed',
+        data: { id: 8, tx_ref: 'VOTE_2', status: 'successful' }
+      });
+
+      expect(completed).toMatchObject({ id: 'charge.completed:7', reference: 'VOTE_2', status: 'success' });
+      expect(other.status).toBeNull();
+    });
+  });
+
+  describe('OPay', () => {
+    const gateway = new OPayGateway().configure({
+      opayMerchantId: 'merchant',
+      opayPublicKey: 'public',
+      opayPrivateKey: 'private'
+    });
+    const rawBody = Buffer.from(JSON.stringify({ payload: { reference: 'VOTE_3', status: 'SUCCESS' } }));
+
+    it('checks the bearer signature', () => {
+      expect(gateway.verifyWebhookSignature(rawBody, { authorization: `Bearer ${hmac('private', rawBody)}` })).toBe(true);
+      expect(gateway.verifyWebhookSignature(rawBody, { authorization: 'Bearer nope' })).toBe(false);
+    });
+
+    it('identifies a delivery by transaction and status', () => {
+      const event = gateway.parseWebhookEvent({
+        payload: { transactionId: 'T1', reference: 'VOTE_3', status: 'SUCCESS' }
+      });
+
+      expect(event).toMatchObject({ id: 'T1:SUCCESS', reference: 'VOTE_3', status: 'success' });
+    });
+  });
+});
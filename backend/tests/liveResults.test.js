@@ -0,0 +1,33 @@
+const liveResultsService = require('../services/liveResultsService');
+
+const counts = {
+  a: { count: 12, totalAmount: 1200, rank: 1 },
+  b: { count: 5, totalAmount: 500, rank: 2 }
+};
+const changes = [
+  { nomineeId: 'a', count: 12, previousCount: 4, rank: 1, previousRank: 2 },
+  { nomineeId: 'b', count: 5, previousCount: 5, rank: 2, previousRank: 1 }
+];
+
+describe('liveResultsService.publicView', () => {
+  it('sends counts and ranks but not revenue for live results', () => {
+    const view = liveResultsService.publicView({ level: 'full' }, counts, changes);
+
+    expect(view.counts).toEqual({ a: { count: 12, rank: 1 }, b: { count: 5, rank: 2 } });
+    expect(view.changes).toEqual(changes);
+  });
+
+  it('sends only ranks while counts are embargoed', () => {
+    const view = liveResultsService.publicView({ level: 'ranks' }, counts, changes);
+
+    expect(view.counts).toEqual({ a: { rank: 1 }, b: { rank: 2 } });
+    expect(view.changes).toEqual([
+      { nomineeId: 'a', rank: 1, previousRank: 2 },
+      { nomineeId: 'b', rank: 2, previousRank: 1 }
+    ]);
+  });
+
+  it('sends nothing while results are hidden', () => {
+    expect(liveResultsService.publicView({ level: 'hidden' }, counts, changes)).toEqual({ counts: {}, changes: [] });
+  });
+});
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const reconciliationService = require('../services/reconciliationService');
+const paymentService = require('../services/paymentService');
+const promoService = require('../services/promoService');
+const Payment = require('../models/Payment');
+const ReconciliationReport = require('../models/ReconciliationReport');
+
+const stalePayment = (fields = {}) => new Payment({
+  user: new mongoose.Types.ObjectId(),
+  amount: 500,
+  gateway: 'paystack',
+  gatewayReference: 'GW_1',
+  internalReference: 'VOTE_1',
+  status: 'pending',
+  ...fields
+});
+
+describe('reconciliationService.reconcilePayment', () => {
+  let report;
+
+  beforeEach(() => {
+    report = new ReconciliationReport({ trigger: 'manual' });
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(promoService, 'release').mockResolvedValue();
+    jest.spyOn(paymentService, 'verifyPayment').mockRejectedValue(new Error('Transaction reference not found'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('fails an expired payment the gateway cannot verify and releases its promo code', async () => {
+    const payment = stalePayment({ expiresAt: new Date(Date.now() - 60 * 1000) });
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+
+    await reconciliationService.reconcilePayment(payment, report);
+
+    expect(payment.status).toBe('failed');
+    expect(payment.failureReason).toBe('Payment expired before completion');
+    expect(payment.reconciliation.isReconciled).toBe(true);
+    expect(promoService.release).toHaveBeenCalledWith(payment);
+    expect(report.stats.settledFailed).toBe(1);
+    expect(report.stats.stillPending).toBe(0);
+    expect(report.items[0]).toMatchObject({
+      newStatus: 'failed',
+      error: 'Transaction reference not found'
+    });
+  });
+
+  it('leaves an unexpired payment pending for the next run', async () => {
+    const payment = stalePayment({ expiresAt: new Date(Date.now() + 60 * 1000) });
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+
+    await reconciliationService.reconcilePayment(payment, report);
+
+    expect(payment.status).toBe('pending');
+    expect(promoService.release).not.toHaveBeenCalled();
+    expect(report.stats.stillPending).toBe(1);
+  });
+
+  it('does not fail a payment the failed verification had already settled', async () => {
+    const payment = stalePayment({ expiresAt: new Date(Date.now() - 60 * 1000) });
+    const settled = stalePayment({ status: 'success', expiresAt: undefined });
+    jest.spyOn(Payment, 'findById').mockResolvedValue(settled);
+
+    await reconciliationService.reconcilePayment(payment, report);
+
+    expect(settled.status).toBe('success');
+    expect(promoService.release).not.toHaveBeenCalled();
+    expect(report.items[0].newStatus).toBe('success');
+    expect(report.stats.settledSuccess).toBe(1);
+  });
+});
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Vote = require('../models/Vote');
+const Nominee = require('../models/Nominee');
+const paymentService = require('../services/paymentService');
+const liveResultsService = require('../services/liveResultsService');
+const notificationService = require('../services/notificationService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const nominee = id();
+const category = id();
+const [alice, bob] = [id(), id()];
+
+// The aggregation pipeline a stubbed Vote.aggregate was last called with
+const pipeline = () => Vote.aggregate.mock.calls[Vote.aggregate.mock.calls.length - 1][0];
+const stage = (name) => pipeline().find((item) => item[name])[name];
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('quantity-weighted vote statistics', () => {
+  it('counts votes by quantity rather than by record', async () => {
+    jest.spyOn(Vote, 'aggregate').mockResolvedValue([{ _id: null, total: 16 }]);
+
+    await expect(Vote.countVotes({ nominee, status: 'verified' })).resolves.toBe(16);
+    expect(stage('$match')).toEqual({ nominee, status: 'verified' });
+    expect(stage('$group').total).toEqual({ $sum: '$quantity' });
+  });
+
+  it('counts no votes when nothing matches', async () => {
+    jest.spyOn(Vote, 'aggregate').mockResolvedValue([]);
+
+    await expect(Vote.countVotes({ nominee })).resolves.toBe(0);
+  });
+
+  it('sums quantities for a nominee\'s verified votes, flagged or not', async () => {
+    jest.spyOn(Vote, 'aggregate').mockResolvedValue([]);
+
+    const stats = await Vote.getStatisticsForNominee(nominee);
+
+    expect(stage('$match')).toEqual({ nominee, status: 'verified' });
+    expect(stage('$group')).toMatchObject({
+      totalVotes: { $sum: '$quantity' },
+      totalAmount: { $sum: '$amount' }
+    });
+    expect(stats.totalVotes).toBe(0);
+  });
+
+  it('sums quantities for a category\'s verified votes, flagged or not', async () => {
+    jest.spyOn(Vote, 'aggregate').mockResolvedValue([]);
+
+    const stats = await Vote.getStatisticsForCategory(category);
+
+    expect(stage('$match')).toEqual({ category, status: 'verified' });
+    expect(stage('$group')).toMatchObject({
+      totalVotes: { $sum: '$quantity' },
+      totalAmount: { $sum: '$amount' }
+    });
+    expect(stats.totalVotes).toBe(0);
+  });
+
+  it('stores the quantity-weighted total on the nominee', async () => {
+    jest.spyOn(Vote, 'aggregate').mockResolvedValue([
+      { _id: null, totalVotes: 16, totalRevenue: 1350, uniqueVoters: [alice, bob], averageVoteValue: 450 }
+    ]);
+    jest.spyOn(Nominee, 'findByIdAndUpdate').mockResolvedValue({ category });
+    jest.spyOn(liveResultsService, 'publish').mockImplementation(() => {});
+
+    await paymentService.updateNomineeStats(nominee);
+
+    expect(stage('$match')).toEqual({ nominee, status: 'verified' });
+    expect(stage('$group').totalVotes).toEqual({ $sum: '$quantity' });
+    expect(Nominee.findByIdAndUpdate).toHaveBeenCalledWith(nominee, {
+      'statistics.totalVotes': 16,
+      'statistics.totalRevenue': 1350,
+      'statistics.uniqueVoters': 2,
+      'statistics.averageVoteValue': 450
+    }, { new: true });
+    expect(liveResultsService.publish).toHaveBeenCalledWith(category);
+  });
+});
+
+describe('vote quantity', () => {
+  it('records the quantity and unit price bought with a payment', async () => {
+    jest.spyOn(Vote, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Vote.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(paymentService, 'updateNomineeStats').mockResolvedValue();
+    jest.spyOn(notificationService, 'paymentReceipt').mockResolvedValue();
+
+    const vote = await paymentService.createVoteFromPayment({
+      _id: id(),
+      user: alice,
+      internalReference: 'VOTE_5',
+      amount: 450,
+      currency: 'NGN',
+      gateway: 'mock',
+      fees: { gatewayFee: 0 },
+      metadata: { category, nominee, quantity: 5 }
+    });
+
+    expect(vote.quantity).toBe(5);
+    expect(vote.unitPrice).toBe(90);
+    expect(vote.amount).toBe(450);
+  });
+
+  it('is limited to the per-purchase maximum', () => {
+    const vote = new Vote({ quantity: Vote.MAX_VOTES_PER_PURCHASE + 1 });
+
+    expect(vote.validateSync().errors.quantity).toBeDefined();
+    expect(new Vote({ quantity: 0 }).validateSync().errors.quantity).toBeDefined();
+  });
+});
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const voteReviewService = require('../services/voteReviewService');
+const Vote = require('../models/Vote');
+const Payment = require('../models/Payment');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('voteReviewService.reviewOne', () => {
+  let vote;
+  const reviewer = id();
+
+  beforeEach(() => {
+    vote = new Vote({
+      voter: id(),
+      nominee: id(),
+      category: id(),
+      payment: id(),
+      paymentReference: 'VOTE_1',
+      amount: 500,
+      status: 'verified',
+      isFlagged: true
+    });
+    jest.spyOn(Vote, 'findById').mockResolvedValue(vote);
+    jest.spyOn(Vote.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('marks the payment of a voided vote without failing it', async () => {
+    await voteReviewService.reviewOne(vote._id, 'void', { userId: reviewer, notes: 'Stolen card' });
+
+    expect(vote.status).toBe('failed');
+    expect(vote.reviewDecision).toBe('voided');
+
+    const [filter, update] = Payment.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: vote.payment });
+    // The money was taken and may still be refunded, which needs a successful payment
+    expect(update).not.toHaveProperty('status');
+    expect(update.voidDetails).toMatchObject({ voidReason: 'Stolen card', voidedBy: reviewer });
+    expect(update.voidDetails.voidedAt).toBeInstanceOf(Date);
+  });
+
+  it('leaves the payment alone when a vote is confirmed', async () => {
+    await voteReviewService.reviewOne(vote._id, 'confirm', { userId: reviewer });
+
+    expect(vote.status).toBe('verified');
+    expect(vote.isFlagged).toBe(false);
+    expect(Payment.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const paymentService = require('../services/paymentService');
+const notificationService = require('../services/notificationService');
+const settingsService = require('../services/settingsService');
+const MockGateway = require('../services/gateways/mockGateway');
+const WebhookEvent = require('../models/WebhookEvent');
+const Vote = require('../models/Vote');
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// A signed delivery from the mock gateway
+const delivery = (payload, { signed = true } = {}) => {
+  const rawBody = Buffer.from(JSON.stringify(payload));
+  return {
+    rawBody,
+    headers: signed ? { 'x-mock-signature': new MockGateway().sign(rawBody) } : {},
+    payload,
+    ipAddress: '127.0.0.1'
+  };
+};
+
+const chargeEvent = { id: 'evt_1', event: 'charge', data: { reference: 'VOTE_1', status: 'success' } };
+
+beforeEach(() => {
+  jest.spyOn(settingsService, 'getSettings').mockResolvedValue({});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('paymentService.handleWebhook', () => {
+  beforeEach(() => {
+    jest.spyOn(paymentService, 'processWebhookEvent').mockResolvedValue({ status: 'processed' });
+  });
+
+  it('logs and processes a first delivery', async () => {
+    const webhookEvent = { _id: 'event' };
+    jest.spyOn(WebhookEvent, 'create').mockResolvedValue(webhookEvent);
+
+    const result = await paymentService.handleWebhook('mock', delivery(chargeEvent));
+
+    expect(WebhookEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      gateway: 'mock',
+      eventId: 'evt_1',
+      reference: 'VOTE_1',
+      signatureValid: true,
+      status: 'processing'
+    }));
+    expect(paymentService.processWebhookEvent).toHaveBeenCalledWith(webhookEvent, expect.any(MockGateway));
+    expect(result).toEqual({ success: true, duplicate: false, status: 'processed' });
+  });
+
+  it('acknowledges a retry of a handled event without processing it again', async () => {
+    jest.spyOn(WebhookEvent, 'create').mockRejectedValue(duplicateKeyError());
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue({ _id: 'event', status: 'processed' });
+    jest.spyOn(WebhookEvent, 'claim').mockResolvedValue(null);
+
+    const result = await paymentService.handleWebhook('mock', delivery(chargeEvent));
+
+    expect(WebhookEvent.findOneAndUpdate).toHaveBeenCalledWith(
+      { gateway: 'mock', eventId: 'evt_1', signatureValid: true },
+      { $inc: { duplicateDeliveries: 1 } },
+      { new: true }
+    );
+    expect(WebhookEvent.claim).toHaveBeenCalledWith('event', ['failed', 'received']);
+    expect(paymentService.processWebhookEvent).not.toHaveBeenCalled();
+    expect(result).toEqual({ success: true, duplicate: true, status: 'processed' });
+  });
+
+  it('picks up a retry of an event whose earlier attempt failed', async () => {
+    const claimed = { _id: 'event', status: 'processing' };
+    jest.spyOn(WebhookEvent, 'create').mockRejectedValue(duplicateKeyError());
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue({ _id: 'event', status: 'failed' });
+    jest.spyOn(WebhookEvent, 'claim').mockResolvedValue(claimed);
+
+    const result = await paymentService.handleWebhook('mock', delivery(chargeEvent));
+
+    expect(paymentService.processWebhookEvent).toHaveBeenCalledWith(claimed, expect.any(MockGateway));
+    expect(result.duplicate).toBe(false);
+  });
+
+  it('identifies an event without an ID by a hash of its body', async () => {
+    jest.spyOn(WebhookEvent, 'create').mockResolvedValue({ _id: 'event' });
+    const request = delivery({ event: 'charge', data: { reference: 'VOTE_1', status: 'success' } });
+
+    await paymentService.handleWebhook('mock', request);
+
+    const eventId = crypto.createHash('sha256').update(request.rawBody).digest('hex');
+    expect(WebhookEvent.create).toHaveBeenCalledWith(expect.objectContaining({ eventId }));
+  });
+
+  it('logs and rejects a delivery with a bad signature', async () => {
+    jest.spyOn(WebhookEvent, 'create').mockResolvedValue({});
+
+    await expect(paymentService.handleWebhook('mock', delivery(chargeEvent, { signed: false })))
+      .rejects.toMatchObject({ statusCode: 401 });
+
+    expect(WebhookEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      signatureValid: false,
+      status: 'rejected'
+    }));
+    expect(paymentService.processWebhookEvent).not.toHaveBeenCalled();
+  });
+
+  it('fails the request when processing fails so the gateway retries', async () => {
+    jest.spyOn(WebhookEvent, 'create').mockResolvedValue({ _id: 'event' });
+    paymentService.processWebhookEvent.mockResolvedValue({ status: 'failed', error: 'Gateway timeout' });
+
+    await expect(paymentService.handleWebhook('mock', delivery(chargeEvent))).rejects.toThrow('Gateway timeout');
+  });
+});
+
+describe('paymentService.createVoteFromPayment', () => {
+  const payment = {
+    _id: '64b000000000000000000001',
+    user: '64b000000000000000000002',
+    internalReference: 'VOTE_1',
+    gatewayReference: 'GW_1',
+    amount: 500,
+    currency: 'NGN',
+    gateway: 'mock',
+    netAmount: 500,
+    fees: { gatewayFee: 0 },
+    metadata: {
+      category: '64b000000000000000000003',
+      nominee: '64b000000000000000000004',
+      quantity: 5
+    }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(paymentService, 'updateNomineeStats').mockResolvedValue();
+    jest.spyOn(notificationService, 'paymentReceipt').mockResolvedValue();
+  });
+
+  it('creates the vote and updates the nominee once', async () => {
+    jest.spyOn(Vote, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Vote.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const vote = await paymentService.createVoteFromPayment(payment, 'webhook');
+
+    expect(vote.paymentReference).toBe('VOTE_1');
+    expect(vote.verificationMethod).toBe('webhook');
+    expect(paymentService.updateNomineeStats).toHaveBeenCalledTimes(1);
+    expect(notificationService.paymentReceipt).toHaveBeenCalledWith(payment._id);
+  });
+
+  it('returns the existing vote when the payment already has one', async () => {
+    const existing = { _id: 'vote', paymentReference: 'VOTE_1' };
+    jest.spyOn(Vote, 'findOne').mockResolvedValue(existing);
+    jest.spyOn(Vote.prototype, 'save');
+
+    const vote = await paymentService.createVoteFromPayment(payment);
+
+    expect(vote).toBe(existing);
+    expect(Vote.prototype.save).not.toHaveBeenCalled();
+    expect(paymentService.updateNomineeStats).not.toHaveBeenCalled();
+    expect(notificationService.paymentReceipt).not.toHaveBeenCalled();
+  });
+
+  it('returns the winning vote when a concurrent call created it first', async () => {
+    const winner = { _id: 'vote', paymentReference: 'VOTE_1' };
+    jest.spyOn(Vote, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(winner);
+    jest.spyOn(Vote.prototype, 'save').mockRejectedValue(duplicateKeyError());
+
+    const vote = await paymentService.createVoteFromPayment(payment);
+
+    expect(vote).toBe(winner);
+    expect(paymentService.updateNomineeStats).not.toHaveBeenCalled();
+    expect(notificationService.paymentReceipt).not.toHaveBeenCalled();
+  });
+});
+
+describe('stuck webhook events', () => {
+  const event = (status, minutesAgo) => new WebhookEvent({
+    gateway: 'mock',
+    eventId: 'evt_1',
+    signatureValid: true,
+    status,
+    payload: chargeEvent,
+    lastAttemptAt: new Date(Date.now() - minutesAgo * 60 * 1000)
+  });
+  const timeoutMinutes = WebhookEvent.PROCESSING_TIMEOUT_MS / 60000;
+
+  it('can be replayed once processing has timed out', () => {
+    expect(event('processing', timeoutMinutes + 1).canReplay).toBe(true);
+    expect(event('processing', 0).canReplay).toBe(false);
+    expect(event('processed', timeoutMinutes + 1).canReplay).toBe(false);
+  });
+
+  it('can be claimed once processing has timed out', async () => {
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await WebhookEvent.claim('event', ['failed', 'received']);
+
+    const [filter] = WebhookEvent.findOneAndUpdate.mock.calls[0];
+    const [claimable, stuck] = filter.$or;
+    expect(claimable).toEqual({ status: { $in: ['failed', 'received'] } });
+    expect(stuck.status).toBe('processing');
+    expect(Date.now() - stuck.lastAttemptAt.$lt).toBeGreaterThanOrEqual(WebhookEvent.PROCESSING_TIMEOUT_MS);
+  });
+
+  it('is replayed for an admin', async () => {
+    const stuck = event('processing', timeoutMinutes + 1);
+    jest.spyOn(stuck, 'save').mockResolvedValue(stuck);
+    jest.spyOn(WebhookEvent, 'findById').mockResolvedValue(stuck);
+    jest.spyOn(WebhookEvent, 'claim').mockResolvedValue(stuck);
+    jest.spyOn(paymentService, 'processWebhookEvent').mockResolvedValue({ status: 'processed' });
+
+    const replayed = await paymentService.replayWebhookEvent(stuck._id, 'admin');
+
+    expect(paymentService.processWebhookEvent).toHaveBeenCalledWith(stuck, expect.any(MockGateway));
+    expect(replayed.replays[0].outcome).toBe('processed');
+  });
+});
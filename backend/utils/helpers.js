@@ -0,0 +1,18 @@
+/**
+ * An error carrying the HTTP status the error handler should respond with
+ */
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Escape text for use as a literal inside a regular expression
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  httpError,
+  escapeRegex
+};
@@ -7,6 +7,7 @@ import { HelmetProvider } from "react-helmet-async";
 // Context Providers
 import { AuthProvider } from "./contexts/AuthContext";
 import { ThemeProvider } from "./contexts/ThemeContext";
+import { InstitutionProvider } from "./contexts/InstitutionContext";
 
 // Components
 import Navbar from "./components/layout/Navbar";
@@ -23,6 +24,7 @@ import Register from "./pages/auth/Register";
 import RegistrationResult from "./pages/auth/RegistrationResult";
 import ForgotPassword from "./pages/auth/ForgotPassword";
 import ResetPassword from "./pages/auth/ResetPassword";
+import VerifyEmail from "./pages/auth/VerifyEmail";
 import Profile from "./pages/user/Profile";
 import Categories from "./pages/Categories";
 import CategoryDetail from "./pages/CategoryDetail";
@@ -33,14 +35,23 @@ import Results from "./pages/Results";
 import Dashboard from "./pages/user/Dashboard";
 import Nominations from "./pages/user/Nominations";
 import VotingHistory from "./pages/user/VotingHistory";
+import PaymentCallback from "./pages/PaymentCallback";
 
 // Admin Pages
 import AdminDashboard from "./pages/admin/AdminDashboard";
 import ManageCategories from "./pages/admin/ManageCategories";
+import ManageEditions from "./pages/admin/ManageEditions";
+import ManageFaculties from "./pages/admin/ManageFaculties";
+import StudentRegistry from "./pages/admin/StudentRegistry";
+import BulkImport from "./pages/admin/BulkImport";
 import NomineesManagement from "./pages/admin/NomineesManagement";
 import ManageUsers from "./pages/admin/ManageUsers";
 import PaymentReports from "./pages/admin/PaymentReports";
 import SystemSettings from "./pages/admin/SystemSettings";
+import PromoCodes from "./pages/admin/PromoCodes";
+import FlaggedVotes from "./pages/admin/FlaggedVotes";
+import EndorsementModeration from "./pages/admin/EndorsementModeration";
+import AchievementVerification from "./pages/admin/AchievementVerification";
 
 // Error Pages
 import NotFound from "./pages/errors/NotFound";
@@ -65,182 +76,265 @@ function App() {
     <HelmetProvider>
       <QueryClientProvider client={queryClient}>
         <ThemeProvider>
-          <AuthProvider>
-            <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex flex-col">
-              <Navbar />
-
-              <main className="flex-grow">
-                <Routes>
-                  {/* Public Routes */}
-                  <Route path="/" element={<Home />} />
-                  <Route path="/login" element={<Login />} />
-                  <Route path="/register" element={<Register />} />
-                  <Route path="/register-result" element={<RegistrationResult />} />
-                  <Route path="/forgot-password" element={<ForgotPassword />} />
-                  <Route path="/reset-password" element={<ResetPassword />} />
-
-                  {/* Categories and Voting */}
-                  <Route path="/categories" element={<Categories />} />
-                  <Route
-                    path="/categories/:categoryId"
-                    element={<CategoryDetail />}
-                  />
-                  <Route
-                    path="/nominees/:nomineeId"
-                    element={<NomineeProfile />}
-                  />
-                  <Route path="/leaderboard" element={<Leaderboard />} />
-                  <Route path="/results" element={<Results />} />
-
-                  {/* Protected Routes */}
-                  <Route
-                    path="/vote"
-                    element={<Navigate to="/categories" replace />}
-                  />
-                  <Route
-                    path="/vote/:categoryId"
-                    element={
-                      <ProtectedRoute>
-                        <Vote />
-                      </ProtectedRoute>
-                    }
-                  />
-                  <Route
-                    path="/vote/:categoryId/:nomineeId"
-                    element={
-                      <ProtectedRoute>
-                        <Vote />
-                      </ProtectedRoute>
-                    }
-                  />
-
-                  {/* User Dashboard Routes */}
-                  <Route
-                    path="/dashboard"
-                    element={
-                      <ProtectedRoute>
-                        <Dashboard />
-                      </ProtectedRoute>
-                    }
-                  />
-
-                  <Route
-                    path="/profile"
-                    element={
-                      <ProtectedRoute>
-                        <Profile />
-                      </ProtectedRoute>
-                    }
-                  />
-
-                  <Route
-                    path="/my-nominations"
-                    element={
-                      <StudentRoute>
-                        <Nominations />
-                      </StudentRoute>
-                    }
-                  />
-
-                  <Route
-                    path="/voting-history"
-                    element={
-                      <ProtectedRoute>
-                        <VotingHistory />
-                      </ProtectedRoute>
-                    }
-                  />
-
-                  {/* Admin Routes */}
-                  <Route
-                    path="/admin"
-                    element={
-                      <AdminRoute>
-                        <AdminDashboard />
-                      </AdminRoute>
-                    }
-                  />
-
-                  <Route
-                    path="/admin/categories"
-                    element={
-                      <AdminRoute>
-                        <ManageCategories />
-                      </AdminRoute>
-                    }
-                  />
-
-                  <Route
-                    path="/admin/nominees"
-                    element={
-                      <AdminRoute>
-                        <NomineesManagement />
-                      </AdminRoute>
-                    }
-                  />
-
-                  <Route
-                    path="/admin/users"
-                    element={
-                      <AdminRoute>
-                        <ManageUsers />
-                      </AdminRoute>
-                    }
-                  />
-
-                  <Route
-                    path="/admin/payments"
-                    element={
-                      <AdminRoute>
-                        <PaymentReports />
-                      </AdminRoute>
-                    }
-                  />
-
-                  <Route
-                    path="/admin/settings"
-                    element={
-                      <AdminRoute>
-                        <SystemSettings />
-                      </AdminRoute>
-                    }
-                  />
-
-                  {/* Error Routes */}
-                  <Route path="/server-error" element={<ServerError />} />
-                  <Route path="*" element={<NotFound />} />
-                </Routes>
-              </main>
-
-              <Footer />
-
-              {/* Global Toast Notifications */}
-              <Toaster
-                position="top-right"
-                toastOptions={{
-                  duration: 4000,
-                  style: {
-                    background: "#363636",
-                    color: "#fff",
-                  },
-                  success: {
-                    duration: 3000,
-                    iconTheme: {
-                      primary: "#10B981",
-                      secondary: "#fff",
+          <InstitutionProvider>
+            <AuthProvider>
+              <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex flex-col">
+                <Navbar />
+
+                <main className="flex-grow">
+                  <Routes>
+                    {/* Public Routes */}
+                    <Route path="/" element={<Home />} />
+                    <Route path="/login" element={<Login />} />
+                    <Route path="/register" element={<Register />} />
+                    <Route path="/register-result" element={<RegistrationResult />} />
+                    <Route path="/forgot-password" element={<ForgotPassword />} />
+                    <Route path="/reset-password" element={<ResetPassword />} />
+                    <Route path="/verify-email" element={<VerifyEmail />} />
+
+                    {/* Categories and Voting */}
+                    <Route path="/categories" element={<Categories />} />
+                    <Route
+                      path="/categories/:categoryId"
+                      element={<CategoryDetail />}
+                    />
+                    <Route
+                      path="/nominees/:nomineeId"
+                      element={<NomineeProfile />}
+                    />
+                    <Route path="/leaderboard" element={<Leaderboard />} />
+                    <Route path="/results" element={<Results />} />
+
+                    {/* Protected Routes */}
+                    <Route
+                      path="/vote"
+                      element={<Navigate to="/categories" replace />}
+                    />
+                    <Route
+                      path="/vote/:categoryId"
+                      element={
+                        <ProtectedRoute>
+                          <Vote />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/vote/:categoryId/:nomineeId"
+                      element={
+                        <ProtectedRoute>
+                          <Vote />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/payment/callback"
+                      element={
+                        <ProtectedRoute>
+                          <PaymentCallback />
+                        </ProtectedRoute>
+                      }
+                    />
+
+                    {/* User Dashboard Routes */}
+                    <Route
+                      path="/dashboard"
+                      element={
+                        <ProtectedRoute>
+                          <Dashboard />
+                        </ProtectedRoute>
+                      }
+                    />
+
+                    <Route
+                      path="/profile"
+                      element={
+                        <ProtectedRoute>
+                          <Profile />
+                        </ProtectedRoute>
+                      }
+                    />
+
+                    <Route
+                      path="/my-nominations"
+                      element={
+                        <StudentRoute>
+                          <Nominations />
+                        </StudentRoute>
+                      }
+                    />
+
+                    <Route
+                      path="/voting-history"
+                      element={
+                        <ProtectedRoute>
+                          <VotingHistory />
+                        </ProtectedRoute>
+                      }
+                    />
+
+                    {/* Admin Routes */}
+                    <Route
+                      path="/admin"
+                      element={
+                        <AdminRoute>
+                          <AdminDashboard />
+                        </AdminRoute>
+                      }
+                    />
+
+                    <Route
+                      path="/admin/categories"
+                      element={
+                        <AdminRoute>
+                          <ManageCategories />
+                        </AdminRoute>
+                      }
+                    />
+
+                    <Route
+                      path="/admin/editions"
+                      element={
+                        <AdminRoute>
+                          <ManageEditions />
+                        </AdminRoute>
+                      }
+                    />
+
+                    <Route
+                      path="/admin/faculties"
+                      element={
+                        <AdminRoute>
+                          <ManageFaculties />
+                        </AdminRoute>
+                      }
+                    />
+
+                    <Route
+                      path="/admin/student-registry"
+                      element={
+                        <AdminRoute>
+                          <StudentRegistry />
+                        </AdminRoute>
+                      }
+                    />
+
+                    <Route
+                      path="/admin/import"
+                      element={
+                        <AdminRoute>
+                          <BulkImport />
+                        </AdminRoute>
+                      }
+                    />
+
+                    <Route
+                      path="/admin/nominees"
+                      element={
+                        <AdminRoute>
+                          <NomineesManagement />
+                        </AdminRoute>
+                      }
+                    />
+
+                    <Route
+                      path="/admin/users"
+                      element={
+                        <AdminRoute>
+                          <ManageUsers />
+                        </AdminRoute>
+                      }
+                    />
+
+                    <Route
+                      path="/admin/payments"
+                      element={
+                        <AdminRoute>
+                          <PaymentReports />
+                        </AdminRoute>
+                      }
+                    />
+
+                    <Route
+                      path="/admin/settings"
+                      element={
+                        <AdminRoute>
+                          <SystemSettings />
+                        </AdminRoute>
+                      }
+                    />
+
+                    <Route
+                      path="/admin/promo-codes"
+                      element={
+                        <AdminRoute>
+                          <PromoCodes />
+                        </AdminRoute>
+                      }
+                    />
+
+                    <Route
+                      path="/admin/flagged-votes"
+                      element={
+                        <AdminRoute>
+                          <FlaggedVotes />
+                        </AdminRoute>
+                      }
+                    />
+
+                    <Route
+                      path="/admin/endorsements"
+                      element={
+                        <AdminRoute>
+                          <EndorsementModeration />
+                        </AdminRoute>
+                      }
+                    />
+
+                    <Route
+                      path="/admin/achievements"
+                      element={
+                        <AdminRoute>
+                          <AchievementVerification />
+                        </AdminRoute>
+                      }
+                    />
+
+                    {/* Error Routes */}
+                    <Route path="/server-error" element={<ServerError />} />
+                    <Route path="*" element={<NotFound />} />
+                  </Routes>
+                </main>
+
+                <Footer />
+
+                {/* Global Toast Notifications */}
+                <Toaster
+                  position="top-right"
+                  toastOptions={{
+                    duration: 4000,
+                    style: {
+                      background: "#363636",
+                      color: "#fff",
+                    },
+                    success: {
+                      duration: 3000,
+                      iconTheme: {
+                        primary: "#10B981",
+                        secondary: "#fff",
+                      },
                     },
-                  },
-                  error: {
-                    duration: 5000,
-                    iconTheme: {
-                      primary: "#EF4444",
-                      secondary: "#fff",
+                    error: {
+                      duration: 5000,
+                      iconTheme: {
+                        primary: "#EF4444",
+                        secondary: "#fff",
+                      },
                     },
-                  },
-                }}
-              />
-            </div>
-          </AuthProvider>
+                  }}
+                />
+              </div>
+            </AuthProvider>
+          </InstitutionProvider>
         </ThemeProvider>
       </QueryClientProvider>
     </HelmetProvider>
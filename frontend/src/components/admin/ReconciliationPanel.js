@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import {
+  ArrowPathIcon,
+  ExclamationTriangleIcon,
+  ScaleIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import api from '../../services/api';
+
+const statusColors = {
+  success: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  processing: 'bg-blue-100 text-blue-800'
+};
+
+const formatNaira = (amount) => {
+  if (amount === null || amount === undefined) return '—';
+  return new Intl.NumberFormat('en-NG', {
+    style: 'currency',
+    currency: 'NGN'
+  }).format(amount);
+};
+
+const ReconciliationPanel = () => {
+  const [reports, setReports] = useState([]);
+  const [selectedReport, setSelectedReport] = useState(null);
+  const [showAllItems, setShowAllItems] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+
+  const fetchReport = async (reportId) => {
+    try {
+      const response = await api.get(`/admin/payments/reconciliations/${reportId}`);
+      setSelectedReport(response.data.data);
+    } catch (err) {
+      console.error('Error fetching reconciliation report:', err);
+      toast.error('Failed to load reconciliation report');
+    }
+  };
+
+  const fetchReports = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/admin/payments/reconciliations', { params: { limit: 10 } });
+      const latest = response.data.data.reports;
+      setReports(latest);
+      if (latest.length > 0) {
+        await fetchReport(latest[0]._id);
+      }
+    } catch (err) {
+      console.error('Error fetching reconciliation reports:', err);
+      toast.error('Failed to load reconciliation reports');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchReports();
+  }, [fetchReports]);
+
+  const handleRunNow = async () => {
+    try {
+      setRunning(true);
+      const response = await api.post('/admin/payments/reconcile');
+      if (response.data.success) {
+        toast.success(response.data.message);
+      } else {
+        toast.error(response.data.message);
+      }
+      fetchReports();
+    } catch (err) {
+      console.error('Error running reconciliation:', err);
+      toast.error(err.response?.data?.message || 'Failed to run reconciliation');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const items = selectedReport?.items || [];
+  const visibleItems = showAllItems ? items : items.filter((item) => item.mismatch || item.error);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden mt-8"
+    >
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex items-center gap-2">
+          <ScaleIcon className="h-5 w-5 text-blue-600" />
+          <h2 className="text-lg font-semibold text-gray-900">Reconciliation</h2>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          {reports.length > 0 && (
+            <select
+              value={selectedReport?._id || ''}
+              onChange={(e) => fetchReport(e.target.value)}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {reports.map((report) => (
+                <option key={report._id} value={report._id}>
+                  {new Date(report.startedAt).toLocaleString()} ({report.trigger})
+                </option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={handleRunNow}
+            disabled={running}
+            className="inline-flex items-center px-3 py-1.5 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            <ArrowPathIcon className={`h-4 w-4 mr-1 ${running ? 'animate-spin' : ''}`} />
+            Run now
+          </button>
+        </div>
+      </div>
+
+      {!loading && !selectedReport && (
+        <div className="text-center py-10 text-sm text-gray-500">
+          No reconciliation runs yet.
+        </div>
+      )}
+
+      {selectedReport && (
+        <>
+          <div className="px-6 py-4 grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4 border-b border-gray-200">
+            {[
+              ['Checked', selectedReport.stats.checked],
+              ['Settled success', selectedReport.stats.settledSuccess],
+              ['Settled failed', selectedReport.stats.settledFailed],
+              ['Still pending', selectedReport.stats.stillPending],
+              ['Votes created', selectedReport.stats.votesCreated],
+              ['Mismatches', selectedReport.stats.mismatches],
+              ['Errors', selectedReport.stats.errors]
+            ].map(([label, value]) => (
+              <div key={label}>
+                <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</p>
+                <p className="text-xl font-semibold text-gray-900">{value}</p>
+              </div>
+            ))}
+          </div>
+
+          {selectedReport.status === 'failed' && (
+            <div className="px-6 py-3 bg-red-50 text-sm text-red-700 flex items-center gap-2">
+              <ExclamationTriangleIcon className="h-4 w-4" />
+              Run failed: {selectedReport.error}
+            </div>
+          )}
+
+          <div className="px-6 py-3 flex items-center justify-between border-b border-gray-200">
+            <span className="text-sm text-gray-700">
+              {showAllItems ? 'All processed payments' : 'Payments needing attention'}
+            </span>
+            <button
+              onClick={() => setShowAllItems(!showAllItems)}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              {showAllItems ? 'Show flagged only' : `Show all (${items.length})`}
+            </button>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reference</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Gateway</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recorded</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Gateway Amount</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Notes</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {visibleItems.map((item) => (
+                  <tr
+                    key={`${item.internalReference}-${item.previousStatus}`}
+                    className={item.mismatch ? 'bg-red-50' : 'hover:bg-gray-50 transition-colors'}
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{item.internalReference}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 capitalize">{item.gateway}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <span className="text-gray-500 capitalize">{item.previousStatus}</span>
+                      {' → '}
+                      <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${statusColors[item.newStatus] || 'bg-gray-100 text-gray-800'}`}>
+                        {item.newStatus}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatNaira(item.recordedAmount)}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${item.mismatch ? 'text-red-700 font-semibold' : 'text-gray-900'}`}>
+                      {formatNaira(item.gatewayAmount)}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500 max-w-xs truncate" title={item.error}>
+                      {item.mismatch && <span className="text-red-700 mr-2">Amount mismatch</span>}
+                      {item.voteCreated && <span className="text-green-700 mr-2">Vote created</span>}
+                      {item.error}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {visibleItems.length === 0 && (
+              <div className="text-center py-10 text-sm text-gray-500">
+                {showAllItems ? 'No payments were processed in this run.' : 'Nothing flagged in this run.'}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default ReconciliationPanel;
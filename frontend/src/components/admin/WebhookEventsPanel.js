@@ -0,0 +1,276 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  ArrowPathIcon,
+  BoltIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import api from '../../services/api';
+
+const STATUS_FILTERS = ['failed', 'ignored', 'rejected', 'processed', 'all'];
+
+const statusColors = {
+  processed: 'bg-green-100 text-green-800',
+  processing: 'bg-blue-100 text-blue-800',
+  received: 'bg-blue-100 text-blue-800',
+  ignored: 'bg-gray-100 text-gray-800',
+  failed: 'bg-red-100 text-red-800',
+  rejected: 'bg-yellow-100 text-yellow-800'
+};
+
+const WebhookEventsPanel = () => {
+  const [events, setEvents] = useState([]);
+  const [statusCounts, setStatusCounts] = useState({});
+  const [statusFilter, setStatusFilter] = useState('failed');
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [replayingId, setReplayingId] = useState(null);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/admin/webhook-events', {
+        params: {
+          page,
+          limit: 10,
+          status: statusFilter === 'all' ? undefined : statusFilter
+        }
+      });
+      setEvents(response.data.data.events);
+      setStatusCounts(response.data.data.statusCounts);
+      setPages(response.data.data.pagination.pages || 1);
+    } catch (err) {
+      console.error('Error fetching webhook events:', err);
+      toast.error('Failed to load webhook events');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, statusFilter]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const handleViewEvent = async (eventId) => {
+    try {
+      const response = await api.get(`/admin/webhook-events/${eventId}`);
+      setSelectedEvent(response.data.data);
+    } catch (err) {
+      console.error('Error fetching webhook event:', err);
+      toast.error('Failed to load webhook event');
+    }
+  };
+
+  const handleReplay = async (eventId) => {
+    try {
+      setReplayingId(eventId);
+      const response = await api.post(`/admin/webhook-events/${eventId}/replay`);
+      if (response.data.success) {
+        toast.success(response.data.message);
+      } else {
+        toast.error(response.data.message);
+      }
+      fetchEvents();
+    } catch (err) {
+      console.error('Error replaying webhook event:', err);
+      toast.error(err.response?.data?.message || 'Failed to replay webhook event');
+    } finally {
+      setReplayingId(null);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden mt-8"
+    >
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex items-center gap-2">
+          <BoltIcon className="h-5 w-5 text-blue-600" />
+          <h2 className="text-lg font-semibold text-gray-900">Gateway Webhooks</h2>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          {STATUS_FILTERS.map((status) => (
+            <button
+              key={status}
+              onClick={() => {
+                setStatusFilter(status);
+                setPage(1);
+              }}
+              className={`px-3 py-1 rounded-full text-xs font-medium capitalize transition-colors ${
+                statusFilter === status
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {status}
+              {status !== 'all' && ` (${statusCounts[status] || 0})`}
+            </button>
+          ))}
+          <button
+            onClick={fetchEvents}
+            className="p-1.5 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+            title="Refresh"
+          >
+            <ArrowPathIcon className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b border-gray-200">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Received</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Gateway</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reference</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Error</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {events.map((event) => (
+              <tr key={event._id} className="hover:bg-gray-50 transition-colors">
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                  {new Date(event.createdAt).toLocaleString()}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 capitalize">{event.gateway}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{event.eventType || '—'}</td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <span className="text-sm font-mono text-gray-900">{event.reference || '—'}</span>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${statusColors[event.status]}`}>
+                    {event.status}
+                  </span>
+                  {event.duplicateDeliveries > 0 && (
+                    <span className="ml-2 text-xs text-gray-500">+{event.duplicateDeliveries} retries</span>
+                  )}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-500 max-w-xs truncate" title={event.error}>
+                  {event.error || '—'}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                  <button
+                    onClick={() => handleViewEvent(event._id)}
+                    className="text-blue-600 hover:text-blue-800 mr-3"
+                  >
+                    View
+                  </button>
+                  {event.canReplay && (
+                    <button
+                      onClick={() => handleReplay(event._id)}
+                      disabled={replayingId !== null}
+                      className="inline-flex items-center text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                    >
+                      <ArrowPathIcon className={`h-4 w-4 mr-1 ${replayingId === event._id ? 'animate-spin' : ''}`} />
+                      Replay
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {!loading && events.length === 0 && (
+          <div className="text-center py-10 text-sm text-gray-500">
+            No webhook events {statusFilter !== 'all' && `with status "${statusFilter}"`}.
+          </div>
+        )}
+      </div>
+
+      {pages > 1 && (
+        <div className="px-6 py-3 flex items-center justify-end gap-2 border-t border-gray-200">
+          <span className="text-sm text-gray-700">Page {page} of {pages}</span>
+          <button
+            onClick={() => setPage(Math.max(1, page - 1))}
+            disabled={page === 1}
+            className="p-2 border border-gray-300 rounded-md text-gray-500 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <ChevronLeftIcon className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => setPage(Math.min(pages, page + 1))}
+            disabled={page === pages}
+            className="p-2 border border-gray-300 rounded-md text-gray-500 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <ChevronRightIcon className="h-4 w-4" />
+          </button>
+        </div>
+      )}
+
+      {/* Event Detail Dialog */}
+      <AnimatePresence>
+        {selectedEvent && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+            onClick={() => setSelectedEvent(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.95, opacity: 0 }}
+              onClick={(e) => e.stopPropagation()}
+              className="bg-white rounded-xl p-6 w-full max-w-2xl max-h-[80vh] overflow-y-auto"
+            >
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-900">
+                  {selectedEvent.gateway} · {selectedEvent.eventType || 'event'}
+                </h3>
+                <button onClick={() => setSelectedEvent(null)} className="text-gray-400 hover:text-gray-600">
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+
+              <dl className="grid grid-cols-2 gap-3 text-sm mb-4">
+                <dt className="text-gray-500">Event ID</dt>
+                <dd className="font-mono text-gray-900 break-all">{selectedEvent.eventId}</dd>
+                <dt className="text-gray-500">Signature</dt>
+                <dd className="text-gray-900">{selectedEvent.signatureValid ? 'Valid' : 'Invalid'}</dd>
+                <dt className="text-gray-500">Attempts</dt>
+                <dd className="text-gray-900">{selectedEvent.attempts}</dd>
+                <dt className="text-gray-500">Payment</dt>
+                <dd className="font-mono text-gray-900">{selectedEvent.payment?.internalReference || '—'}</dd>
+              </dl>
+
+              {selectedEvent.replays?.length > 0 && (
+                <div className="mb-4">
+                  <h4 className="text-sm font-medium text-gray-700 mb-2">Replays</h4>
+                  <ul className="space-y-1 text-sm text-gray-600">
+                    {selectedEvent.replays.map((replay) => (
+                      <li key={replay._id}>
+                        {new Date(replay.replayedAt).toLocaleString()} by{' '}
+                        {replay.replayedBy ? `${replay.replayedBy.firstName} ${replay.replayedBy.lastName}` : 'unknown'}{' '}
+                        — <span className="capitalize">{replay.outcome}</span>
+                        {replay.error && `: ${replay.error}`}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Payload</h4>
+              <pre className="bg-gray-50 border border-gray-200 rounded-lg p-3 text-xs overflow-x-auto">
+                {JSON.stringify(selectedEvent.payload, null, 2)}
+              </pre>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+};
+
+export default WebhookEventsPanel;
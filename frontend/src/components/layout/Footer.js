@@ -1,8 +1,10 @@
 import React from 'react';
 import { Box, Container, Typography, Link, Divider } from '@mui/material';
 import { Link as RouterLink } from 'react-router-dom';
+import { useInstitution } from '../../contexts/InstitutionContext';
 
 const Footer = () => {
+  const { siteName } = useInstitution();
   const currentYear = new Date().getFullYear();
 
   return (
@@ -27,7 +29,7 @@ const Footer = () => {
         >
           <Box>
             <Typography variant="h6" sx={{ fontWeight: 800, mb: 0.5 }}>
-              🏆 Sandwich Award
+              🏆 {siteName}
             </Typography>
             <Typography variant="body2" sx={{ color: '#666' }}>
               Your voice matters. Your vote counts.
@@ -70,7 +72,7 @@ const Footer = () => {
           }}
         >
           <Typography variant="body2" sx={{ color: '#666' }}>
-            © {currentYear} Sandwich Award. All rights reserved.
+            © {currentYear} {siteName}. All rights reserved.
           </Typography>
           <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
             {[
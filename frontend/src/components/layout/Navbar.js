@@ -16,11 +16,13 @@ import {
 import { Link, useNavigate, useLocation } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
 import { useTheme } from "../../contexts/ThemeContext";
+import { useInstitution } from "../../contexts/InstitutionContext";
 import { motion, AnimatePresence } from "framer-motion";
 import "./Navbar.css";
 
 const Navbar = () => {
   const { user, logout } = useAuth();
+  const { siteName } = useInstitution();
   const navigate = useNavigate();
   const location = useLocation();
   const { theme, toggleTheme } = useTheme();
@@ -134,7 +136,7 @@ const Navbar = () => {
             transition: "color 0.3s ease",
           }}
         >
-          🏆 Sandwich Award
+          🏆 {siteName}
         </Link>
 
         {/* Desktop Navigation */}
@@ -433,7 +435,7 @@ const Navbar = () => {
                   }}
                 >
                   <div style={{ fontSize: "1.25rem", fontWeight: "bold" }}>
-                    🥪 Sandwich Award
+                    🥪 {siteName}
                   </div>
                   <button
                     onClick={closeMobileMenu}
@@ -0,0 +1,173 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Divider,
+} from '@mui/material';
+import { UploadFile, Delete, Description, Image } from '@mui/icons-material';
+import toast from 'react-hot-toast';
+import { nomineesAPI } from '../../services/api';
+
+const statusChips = {
+  unverified: { label: 'No evidence', color: 'default' },
+  pending: { label: 'Awaiting review', color: 'warning' },
+  verified: { label: 'Verified', color: 'success' },
+  rejected: { label: 'Rejected', color: 'error' },
+};
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+export const openDocument = async (document) => {
+  try {
+    const response = await nomineesAPI.downloadDocument(document.url);
+    const url = URL.createObjectURL(response.data);
+    window.open(url, '_blank', 'noopener');
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  } catch (err) {
+    toast.error('Failed to open document');
+  }
+};
+
+const AchievementEvidence = ({ nomineeId }) => {
+  const [achievements, setAchievements] = useState([]);
+  const [uploadingId, setUploadingId] = useState(null);
+
+  const fetchAchievements = useCallback(async () => {
+    try {
+      const response = await nomineesAPI.getAchievements(nomineeId);
+      setAchievements(response.data.data.achievements);
+    } catch (err) {
+      console.error('Error fetching achievements:', err);
+    }
+  }, [nomineeId]);
+
+  useEffect(() => {
+    fetchAchievements();
+  }, [fetchAchievements]);
+
+  const handleUpload = async (achievement, event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    const tooLarge = files.find((file) => file.size > MAX_FILE_SIZE);
+    if (tooLarge) {
+      toast.error(`${tooLarge.name} is larger than 10MB`);
+      return;
+    }
+
+    try {
+      setUploadingId(achievement._id);
+      const response = await nomineesAPI.uploadDocuments(nomineeId, achievement._id, files);
+      toast.success(response.data.message);
+      fetchAchievements();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to upload documents');
+    } finally {
+      setUploadingId(null);
+    }
+  };
+
+  const handleDelete = async (document) => {
+    if (!window.confirm(`Delete ${document.name}?`)) return;
+    try {
+      await nomineesAPI.deleteDocument(nomineeId, document._id);
+      toast.success('Document deleted');
+      fetchAchievements();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete document');
+    }
+  };
+
+  if (achievements.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Typography variant="h5" gutterBottom>
+          Achievement Evidence
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Upload certificates, letters or photos (PDF, JPG, PNG, GIF or WebP, up to 10MB each) so an admin can verify
+          your achievements. Only you and the admins can see these files.
+        </Typography>
+
+        {achievements.map((achievement, index) => (
+          <Box key={achievement._id}>
+            {index > 0 && <Divider sx={{ my: 2 }} />}
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1, flexWrap: 'wrap' }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Typography variant="subtitle1">{achievement.title}</Typography>
+                <Chip size="small" {...statusChips[achievement.verificationStatus || 'unverified']} />
+              </Box>
+              <Button
+                component="label"
+                size="small"
+                variant="outlined"
+                startIcon={<UploadFile />}
+                disabled={uploadingId === achievement._id}
+              >
+                {uploadingId === achievement._id ? 'Uploading...' : 'Upload'}
+                <input
+                  type="file"
+                  hidden
+                  multiple
+                  accept="application/pdf,image/png,image/jpeg,image/gif,image/webp"
+                  onChange={(e) => handleUpload(achievement, e)}
+                />
+              </Button>
+            </Box>
+
+            {achievement.verificationStatus === 'rejected' && achievement.verificationNotes && (
+              <Typography variant="body2" color="error" sx={{ mt: 1 }}>
+                {achievement.verificationNotes}
+              </Typography>
+            )}
+
+            {achievement.documents.length > 0 && (
+              <List dense>
+                {achievement.documents.map((document) => (
+                  <ListItem
+                    key={document._id}
+                    sx={{ pl: 0 }}
+                    secondaryAction={
+                      <IconButton edge="end" size="small" onClick={() => handleDelete(document)}>
+                        <Delete fontSize="small" />
+                      </IconButton>
+                    }
+                  >
+                    {document.type === 'pdf' ? (
+                      <Description fontSize="small" sx={{ mr: 1 }} />
+                    ) : (
+                      <Image fontSize="small" sx={{ mr: 1 }} />
+                    )}
+                    <ListItemText
+                      primary={
+                        <Button size="small" sx={{ p: 0, textTransform: 'none' }} onClick={() => openDocument(document)}>
+                          {document.name}
+                        </Button>
+                      }
+                      secondary={`${(document.size / 1024).toFixed(0)} KB`}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </Box>
+        ))}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AchievementEvidence;
@@ -0,0 +1,227 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Alert,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+import { Visibility, VisibilityOff, Flag } from '@mui/icons-material';
+import toast from 'react-hot-toast';
+import { nomineesAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+const errorMessage = (err, fallback) => err.response?.data?.message || fallback;
+
+const EndorsementsSection = ({ nomineeId, nomineeName }) => {
+  const { isAuthenticated } = useAuth();
+  const [data, setData] = useState({ endorsements: [], myEndorsement: null, canManage: false, pagination: {} });
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState({ title: '', message: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchEndorsements = useCallback(async () => {
+    try {
+      const response = await nomineesAPI.getEndorsements(nomineeId, { limit: 50 });
+      setData(response.data.data);
+    } catch (err) {
+      console.error('Error fetching endorsements:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [nomineeId]);
+
+  useEffect(() => {
+    fetchEndorsements();
+  }, [fetchEndorsements]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      const response = await nomineesAPI.endorse(nomineeId, {
+        message: form.message,
+        title: form.title || undefined,
+      });
+      toast.success(response.data.message);
+      setForm({ title: '', message: '' });
+      fetchEndorsements();
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to add endorsement'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleToggleVisibility = async (endorsement) => {
+    try {
+      const response = await nomineesAPI.setEndorsementVisibility(nomineeId, endorsement._id, !endorsement.isPublic);
+      toast.success(response.data.message);
+      fetchEndorsements();
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to update endorsement'));
+    }
+  };
+
+  const handleWithdraw = async () => {
+    if (!window.confirm('Withdraw your endorsement?')) return;
+    try {
+      await nomineesAPI.withdrawEndorsement(nomineeId, data.myEndorsement._id);
+      toast.success('Endorsement withdrawn');
+      fetchEndorsements();
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to withdraw endorsement'));
+    }
+  };
+
+  const handleReport = async (endorsement) => {
+    const reason = window.prompt('Why are you reporting this endorsement? (optional)');
+    if (reason === null) return;
+    try {
+      const response = await nomineesAPI.reportEndorsement(nomineeId, endorsement._id, reason || undefined);
+      toast.success(response.data.message);
+      fetchEndorsements();
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to report endorsement'));
+    }
+  };
+
+  const { endorsements, myEndorsement, canManage, pagination } = data;
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Typography variant="h5" gutterBottom>
+          Endorsements {pagination.total > 0 && `(${pagination.total})`}
+        </Typography>
+
+        {myEndorsement ? (
+          <Alert
+            severity={myEndorsement.status === 'pending' ? 'warning' : 'success'}
+            sx={{ mb: 2 }}
+            action={
+              <Button color="inherit" size="small" onClick={handleWithdraw}>
+                Withdraw
+              </Button>
+            }
+          >
+            {myEndorsement.status === 'pending'
+              ? 'Your endorsement is awaiting review by a moderator.'
+              : `You have endorsed ${nomineeName}.`}
+          </Alert>
+        ) : isAuthenticated && !canManage ? (
+          <Box component="form" onSubmit={handleSubmit} sx={{ mb: 2 }}>
+            <TextField
+              label="Your title (optional)"
+              placeholder="e.g. Course Rep, 300 Level"
+              fullWidth
+              size="small"
+              inputProps={{ maxLength: 100 }}
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+              sx={{ mb: 2 }}
+            />
+            <TextField
+              label={`Why do you endorse ${nomineeName}?`}
+              fullWidth
+              multiline
+              rows={3}
+              inputProps={{ maxLength: 500 }}
+              helperText={`${form.message.length}/500 · You can endorse one nominee per category`}
+              value={form.message}
+              onChange={(e) => setForm({ ...form, message: e.target.value })}
+            />
+            <Button
+              type="submit"
+              variant="contained"
+              sx={{ mt: 1 }}
+              disabled={submitting || form.message.trim().length < 10}
+            >
+              {submitting ? 'Submitting...' : 'Endorse'}
+            </Button>
+          </Box>
+        ) : !isAuthenticated ? (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Log in to endorse this nominee.
+          </Typography>
+        ) : null}
+
+        <Divider />
+
+        {loading ? (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            Loading endorsements...
+          </Typography>
+        ) : endorsements.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            No endorsements yet.
+          </Typography>
+        ) : (
+          <List>
+            {endorsements.map((endorsement) => (
+              <ListItem
+                key={endorsement._id}
+                alignItems="flex-start"
+                sx={{ pl: 0, opacity: endorsement.isPublic ? 1 : 0.6 }}
+                secondaryAction={
+                  canManage ? (
+                    <Button
+                      size="small"
+                      startIcon={endorsement.isPublic ? <VisibilityOff /> : <Visibility />}
+                      onClick={() => handleToggleVisibility(endorsement)}
+                    >
+                      {endorsement.isPublic ? 'Hide' : 'Show'}
+                    </Button>
+                  ) : isAuthenticated && endorsement._id !== myEndorsement?._id ? (
+                    <Button
+                      size="small"
+                      color="inherit"
+                      startIcon={<Flag />}
+                      disabled={endorsement.reportedByMe}
+                      onClick={() => handleReport(endorsement)}
+                    >
+                      {endorsement.reportedByMe ? 'Reported' : 'Report'}
+                    </Button>
+                  ) : null
+                }
+              >
+                <ListItemText
+                  primary={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, pr: 12 }}>
+                      <Typography variant="subtitle2">
+                        {endorsement.endorser.firstName} {endorsement.endorser.lastName}
+                      </Typography>
+                      {endorsement.title && (
+                        <Typography variant="caption" color="text.secondary">
+                          {endorsement.title}
+                        </Typography>
+                      )}
+                      {!endorsement.isPublic && <Chip label="Hidden" size="small" />}
+                    </Box>
+                  }
+                  secondary={
+                    <>
+                      <Typography variant="body2" color="text.primary" component="span" sx={{ display: 'block', pr: 12 }}>
+                        {endorsement.message}
+                      </Typography>
+                      {new Date(endorsement.createdAt).toLocaleDateString()}
+                    </>
+                  }
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default EndorsementsSection;
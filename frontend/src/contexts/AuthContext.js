@@ -233,7 +233,7 @@ export const AuthProvider = ({ children }) => {
         ...userData,
         phoneNumber: userData.phone, // Map phone to phoneNumber
         isStudent: userData.studentId ? 'true' : 'false', // Backend expects string 'true'/'false'
-        faculty: userData.department || 'Computer Science' // Use department as faculty or default
+        faculty: userData.faculty // Picked from the institution's own faculties
       };
       
       // Remove the original phone field
@@ -0,0 +1,96 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from "react";
+import { tenantAPI, catalogAPI } from "../services/api";
+
+// Create Institution Context
+const InstitutionContext = createContext();
+
+// Used until the institution's own registry has loaded
+const EMPTY_REGISTRY = {
+  levels: [],
+  studentIdPattern: null,
+  studentIdFormat: "",
+  studentIdExample: "",
+  phonePattern: null,
+  phoneFormat: "",
+};
+
+// Name, branding, levels and ID formats of the institution this portal is
+// for, and its faculty and department catalog
+export const InstitutionProvider = ({ children }) => {
+  const [institution, setInstitution] = useState(null);
+  const [faculties, setFaculties] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      const [profileResponse, facultiesResponse] = await Promise.all([
+        tenantAPI.getProfile(),
+        catalogAPI.getFaculties(),
+      ]);
+      setInstitution(profileResponse.data.data);
+      setFaculties(facultiesResponse.data.data || []);
+    } catch (error) {
+      console.error("Error loading institution details:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const registry = { ...EMPTY_REGISTRY, ...institution?.registry };
+
+  // Whether a value matches one of the registry's formats; true when the
+  // format is not known yet so forms never block on it
+  const matchesFormat = (pattern, value) => {
+    if (!pattern) return true;
+    try {
+      return new RegExp(pattern).test(value);
+    } catch (error) {
+      return true;
+    }
+  };
+
+  // Department names, all faculties together
+  const departments = faculties.flatMap((faculty) =>
+    faculty.departments.map((department) => department.name)
+  );
+
+  const departmentsOf = (facultyName) => {
+    const faculty = faculties.find((entry) => entry.name === facultyName);
+    return faculty ? faculty.departments.map((department) => department.name) : [];
+  };
+
+  const value = {
+    institution,
+    registry,
+    faculties,
+    departments,
+    departmentsOf,
+    loading,
+    refresh,
+    siteName: institution?.branding?.siteName || "Sandwich Award",
+    shortName: institution?.branding?.shortName || "EKSU",
+    isValidStudentId: (studentId) => matchesFormat(registry.studentIdPattern, studentId),
+    isValidPhone: (phone) => matchesFormat(registry.phonePattern, phone),
+  };
+
+  return (
+    <InstitutionContext.Provider value={value}>{children}</InstitutionContext.Provider>
+  );
+};
+
+// Custom hook to use institution context
+export const useInstitution = () => {
+  const context = useContext(InstitutionContext);
+
+  if (!context) {
+    throw new Error("useInstitution must be used within an InstitutionProvider");
+  }
+
+  return context;
+};
+
+export default InstitutionContext;
@@ -8,6 +8,7 @@ import {
   AcademicCapIcon,
   BuildingOfficeIcon,
   InformationCircleIcon,
+  ChatBubbleLeftRightIcon,
 } from "@heroicons/react/24/outline";
 import { categoriesAPI, nomineesAPI } from "../services/api";
 import LoadingSpinner from "../components/common/LoadingSpinner";
@@ -217,6 +218,17 @@ const CategoryDetail = () => {
                           <span className="text-sm">{nominee.institution}</span>
                         </div>
                       )}
+
+                      <button
+                        onClick={() => navigate(`/nominees/${nominee._id}`)}
+                        className="flex items-center text-gray-600 hover:text-blue-600 transition-colors"
+                      >
+                        <ChatBubbleLeftRightIcon className="h-4 w-4 mr-2 text-blue-500" />
+                        <span className="text-sm">
+                          {nominee.endorsementCount || 0}{" "}
+                          {nominee.endorsementCount === 1 ? "endorsement" : "endorsements"}
+                        </span>
+                      </button>
                     </div>
 
                     {/* Vote Button */}
@@ -11,10 +11,12 @@ import {
 } from "@heroicons/react/24/outline";
 import { useAuth } from "../contexts/AuthContext";
 import { useTheme } from "../contexts/ThemeContext";
+import { useInstitution } from "../contexts/InstitutionContext";
 
 const Home = () => {
   const { isAuthenticated, user } = useAuth();
   const { isDark } = useTheme();
+  const { shortName } = useInstitution();
 
   const features = [
     {
@@ -92,7 +94,7 @@ const Home = () => {
             >
               <h1 className="text-5xl md:text-7xl lg:text-8xl font-black mb-6">
                 <span className="bg-gradient-to-r from-white via-yellow-200 to-orange-200 bg-clip-text text-transparent">
-                  EKSU Student
+                  {shortName} Student
                 </span>
                 <br />
                 <span className="bg-gradient-to-r from-yellow-300 via-orange-300 to-red-300 bg-clip-text text-transparent">
@@ -215,7 +217,7 @@ const Home = () => {
               Why Choose Our Platform?
             </h2>
             <p className="text-xl text-gray-600 dark:text-gray-300 max-w-3xl mx-auto leading-relaxed">
-              Built specifically for EKSU undergraduate students with security,
+              Built specifically for {shortName} undergraduate students with security,
               transparency, and fairness at its core.
             </p>
           </motion.div>
@@ -277,7 +279,7 @@ const Home = () => {
                 step: "01",
                 title: "Register & Verify",
                 description:
-                  "Create your account and verify your student status with your EKSU credentials.",
+                  `Create your account and verify your student status with your ${shortName} credentials.`,
               },
               {
                 step: "02",
@@ -341,7 +343,7 @@ const Home = () => {
             </h2>
             <p className="text-xl mb-12 text-gray-100 leading-relaxed max-w-2xl mx-auto">
               Join thousands of students in celebrating academic and leadership
-              excellence at EKSU.
+              excellence at {shortName}.
             </p>
             {!isAuthenticated ? (
               <Link
@@ -14,18 +14,32 @@ import {
   TrophyIcon as TrophySolid,
   StarIcon as StarSolid,
 } from "@heroicons/react/24/solid";
-import { categoriesAPI, votesAPI } from "../services/api";
+import {
+  categoriesAPI,
+  votesAPI,
+  subscribeToLiveResults,
+  applyLiveResults,
+  liveVotesAdded,
+} from "../services/api";
 import LoadingSpinner from "../components/common/LoadingSpinner";
-import { useQuery } from "react-query";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+
+// Slowest the rankings are refetched when a live update cannot be applied in place
+const LIVE_REFETCH_DELAY_MS = 10000;
 
 const Leaderboard = () => {
   const [selectedCategory, setSelectedCategory] = useState("all");
   const [refreshing, setRefreshing] = useState(false);
+  const [isLive, setIsLive] = useState(false);
+  const queryClient = useQueryClient();
 
   // Fetch categories
   const { data: categories = [], isLoading: categoriesLoading } = useQuery(
-    "categories",
-    categoriesAPI.getAll,
+    ["categories"],
+    async () => {
+      const response = await categoriesAPI.getAll();
+      return response.data.data.categories;
+    },
     {
       staleTime: 5 * 60 * 1000, // 5 minutes
     }
@@ -38,12 +52,15 @@ const Leaderboard = () => {
     refetch: refetchLeaderboard,
   } = useQuery(
     ["leaderboard", selectedCategory],
-    () =>
-      votesAPI.getLeaderboard(
+    async () => {
+      const response = await votesAPI.getLeaderboard(
         selectedCategory === "all" ? null : selectedCategory
-      ),
+      );
+      return response.data.data.leaderboard;
+    },
     {
-      refetchInterval: 30000, // Refresh every 30 seconds
+      // Pushed over the live stream; polling is only the fallback
+      refetchInterval: isLive ? 120000 : 30000,
       staleTime: 10000, // 10 seconds
     }
   );
@@ -53,11 +70,45 @@ const Leaderboard = () => {
     data: votingStats = {},
     isLoading: statsLoading,
     refetch: refetchStats,
-  } = useQuery("voting-stats", votesAPI.getVotingStats, {
-    refetchInterval: 30000,
+  } = useQuery(["leaderboard-stats"], async () => {
+    const response = await votesAPI.getVotingStats();
+    return response.data.data;
+  }, {
+    refetchInterval: isLive ? 120000 : 30000,
     staleTime: 10000,
   });
 
+  // Apply pushed counts to the cached rankings; only an update that can't be
+  // applied in place refetches them, and at most once per delay
+  useEffect(() => {
+    let refetchTimer = null;
+    const unsubscribe = subscribeToLiveResults({
+      categoryId: selectedCategory === "all" ? null : selectedCategory,
+      onStatusChange: setIsLive,
+      onResults: (update) => {
+        const entries = queryClient.getQueryData(["leaderboard", selectedCategory]);
+        const updated = entries && applyLiveResults(entries, update);
+        if (updated) {
+          queryClient.setQueryData(["leaderboard", selectedCategory], updated);
+        } else if (!refetchTimer) {
+          refetchTimer = setTimeout(() => {
+            refetchTimer = null;
+            refetchLeaderboard();
+          }, LIVE_REFETCH_DELAY_MS);
+        }
+
+        queryClient.setQueryData(["leaderboard-stats"], (stats) =>
+          stats && { ...stats, totalVotes: (stats.totalVotes || 0) + liveVotesAdded(update) }
+        );
+      },
+    });
+
+    return () => {
+      clearTimeout(refetchTimer);
+      unsubscribe();
+    };
+  }, [selectedCategory, queryClient, refetchLeaderboard]);
+
   const handleRefresh = async () => {
     setRefreshing(true);
     await Promise.all([refetchLeaderboard(), refetchStats()]);
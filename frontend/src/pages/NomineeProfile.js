@@ -16,13 +16,17 @@ import {
   ListItem,
   ListItemText,
 } from '@mui/material';
-import { ArrowBack, HowToVote, Category } from '@mui/icons-material';
-import { nomineesAPI, categoriesAPI } from '../services/api';
+import { ArrowBack, HowToVote, Category, Verified } from '@mui/icons-material';
+import { nomineesAPI } from '../services/api';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import EndorsementsSection from '../components/nominees/EndorsementsSection';
+import AchievementEvidence from '../components/nominees/AchievementEvidence';
+import { useAuth } from '../contexts/AuthContext';
 
 const NomineeProfile = () => {
   const { nomineeId } = useParams();
   const navigate = useNavigate();
+  const { user, isAdmin } = useAuth();
   const [nominee, setNominee] = useState(null);
   const [category, setCategory] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -36,13 +40,9 @@ const NomineeProfile = () => {
     try {
       setLoading(true);
       const nomineeResponse = await nomineesAPI.getById(nomineeId);
-      const nomineeData = nomineeResponse.data;
+      const nomineeData = nomineeResponse.data.data.nominee;
       setNominee(nomineeData);
-      
-      if (nomineeData.category) {
-        const categoryResponse = await categoriesAPI.getById(nomineeData.category);
-        setCategory(categoryResponse.data);
-      }
+      setCategory(nomineeData.category);
     } catch (err) {
       setError('Failed to load nominee details');
       console.error('Error fetching nominee data:', err);
@@ -52,9 +52,12 @@ const NomineeProfile = () => {
   };
 
   const handleVoteClick = () => {
-    navigate(`/vote/${nominee.category}/${nominee._id}`);
+    navigate(`/vote/${nominee.category._id}/${nominee._id}`);
   };
 
+  const studentId = nominee?.student?._id;
+  const canManageEvidence = isAdmin() || (Boolean(studentId) && [user?.id, user?._id].includes(studentId));
+
   if (loading) {
     return <LoadingSpinner message="Loading nominee profile..." />;
   }
@@ -153,7 +156,20 @@ const NomineeProfile = () => {
                     {nominee.achievements.map((achievement, index) => (
                       <ListItem key={index} sx={{ pl: 0 }}>
                         <ListItemText
-                          primary={achievement.title || achievement}
+                          primary={
+                            <Box component="span" sx={{ display: 'inline-flex', alignItems: 'center', gap: 1 }}>
+                              {achievement.title || achievement}
+                              {achievement.verified && (
+                                <Chip
+                                  icon={<Verified />}
+                                  label="Verified"
+                                  color="success"
+                                  size="small"
+                                  variant="outlined"
+                                />
+                              )}
+                            </Box>
+                          }
                           secondary={achievement.description}
                           primaryTypographyProps={{
                             variant: 'body1',
@@ -228,6 +244,13 @@ const NomineeProfile = () => {
               )}
             </CardContent>
           </Card>
+
+          {canManageEvidence && <AchievementEvidence nomineeId={nomineeId} />}
+
+          <EndorsementsSection
+            nomineeId={nomineeId}
+            nomineeName={nominee?.student ? `${nominee.student.firstName} ${nominee.student.lastName}` : 'this nominee'}
+          />
         </Grid>
       </Grid>
     </Container>
@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { useLocation, useNavigate } from "react-router-dom";
+import {
+  CheckCircleIcon,
+  ClockIcon,
+  ExclamationTriangleIcon,
+} from "@heroicons/react/24/outline";
+import api from "../services/api";
+import LoadingSpinner from "../components/common/LoadingSpinner";
+
+const PENDING_REFERENCE_KEY = "pendingPaymentReference";
+
+const PaymentCallback = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [status, setStatus] = useState("verifying");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    const qs = new URLSearchParams(location.search);
+    // Paystack sends `reference`, Flutterwave sends `tx_ref`; OPay returns
+    // without one, so fall back to the reference saved before redirecting
+    const reference =
+      qs.get("reference") ||
+      qs.get("tx_ref") ||
+      sessionStorage.getItem(PENDING_REFERENCE_KEY);
+
+    if (!reference) {
+      setStatus("failed");
+      setMessage("No payment reference was found for this transaction.");
+      return;
+    }
+
+    const verify = async () => {
+      try {
+        const response = await api.get(`/payments/verify/${encodeURIComponent(reference)}`);
+        const paymentStatus = response.data.data.status;
+
+        if (paymentStatus === "success") {
+          sessionStorage.removeItem(PENDING_REFERENCE_KEY);
+          setStatus("success");
+          setMessage("Your payment was confirmed and your vote has been recorded.");
+        } else if (paymentStatus === "failed") {
+          sessionStorage.removeItem(PENDING_REFERENCE_KEY);
+          setStatus("failed");
+          setMessage("Your payment was not successful. No vote was recorded.");
+        } else {
+          setStatus("pending");
+          setMessage("Your payment is still being processed. Check your voting history shortly.");
+        }
+      } catch (error) {
+        setStatus("failed");
+        setMessage(error.response?.data?.message || "We could not verify your payment.");
+      }
+    };
+
+    verify();
+  }, [location.search]);
+
+  if (status === "verifying") {
+    return <LoadingSpinner message="Verifying your payment..." />;
+  }
+
+  const styles = {
+    success: {
+      title: "Vote Confirmed",
+      icon: CheckCircleIcon,
+      badge: "bg-gradient-to-r from-green-500 to-emerald-600",
+      box: "bg-green-50 border-green-200 text-green-800",
+    },
+    pending: {
+      title: "Payment Pending",
+      icon: ClockIcon,
+      badge: "bg-gradient-to-r from-yellow-500 to-orange-500",
+      box: "bg-yellow-50 border-yellow-200 text-yellow-800",
+    },
+    failed: {
+      title: "Payment Failed",
+      icon: ExclamationTriangleIcon,
+      badge: "bg-gradient-to-r from-red-500 to-pink-600",
+      box: "bg-red-50 border-red-200 text-red-800",
+    },
+  }[status];
+  const Icon = styles.icon;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="relative max-w-md w-full">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+          className="bg-white/80 backdrop-blur-lg shadow-2xl rounded-3xl p-8 border border-white/20 text-center"
+        >
+          <div
+            className={`inline-flex items-center justify-center w-20 h-20 rounded-2xl mb-4 shadow-lg ${styles.badge}`}
+          >
+            <Icon className="w-12 h-12 text-white" />
+          </div>
+
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">{styles.title}</h1>
+
+          <div className={`mb-6 p-4 rounded-xl border ${styles.box}`}>
+            <p className="text-sm">{message}</p>
+          </div>
+
+          <div className="space-y-3">
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={() => navigate("/voting-history")}
+              className="w-full flex justify-center py-3 px-4 border border-transparent rounded-xl shadow-sm text-sm font-medium text-white bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700"
+            >
+              View Voting History
+            </motion.button>
+            <button
+              onClick={() => navigate("/categories")}
+              className="w-full py-3 px-4 border border-gray-300 rounded-xl text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Back to Categories
+            </button>
+          </div>
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export { PENDING_REFERENCE_KEY };
+export default PaymentCallback;
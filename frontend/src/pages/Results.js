@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   TrophyIcon,
@@ -13,61 +13,176 @@ import {
   TrophyIcon as TrophySolid,
   StarIcon as StarSolid,
 } from "@heroicons/react/24/solid";
-import { categoriesAPI, votesAPI } from "../services/api";
+import {
+  categoriesAPI,
+  votesAPI,
+  editionsAPI,
+  subscribeToLiveResults,
+  applyLiveResults,
+  liveVotesAdded,
+} from "../services/api";
 import LoadingSpinner from "../components/common/LoadingSpinner";
 
+// Slowest the results are refetched when a live update cannot be applied in place
+const LIVE_REFETCH_DELAY_MS = 10000;
+
+const getTimeParts = (revealAt) => {
+  const remaining = Math.max(new Date(revealAt) - Date.now(), 0);
+  return {
+    remaining,
+    days: Math.floor(remaining / 86400000),
+    hours: Math.floor((remaining / 3600000) % 24),
+    minutes: Math.floor((remaining / 60000) % 60),
+    seconds: Math.floor((remaining / 1000) % 60),
+  };
+};
+
+// Ticks down to an embargoed category's reveal and reloads once it passes
+const RevealCountdown = ({ revealAt, onReveal }) => {
+  const [parts, setParts] = useState(() => getTimeParts(revealAt));
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const next = getTimeParts(revealAt);
+      setParts(next);
+      if (next.remaining === 0) {
+        clearInterval(interval);
+        onReveal?.();
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [revealAt, onReveal]);
+
+  return (
+    <div className="flex justify-center gap-3">
+      {[
+        ["Days", parts.days],
+        ["Hours", parts.hours],
+        ["Minutes", parts.minutes],
+        ["Seconds", parts.seconds],
+      ].map(([label, value]) => (
+        <div key={label} className="w-20 bg-gradient-to-br from-purple-500 to-blue-600 text-white rounded-xl py-3">
+          <div className="text-3xl font-bold tabular-nums">{String(value).padStart(2, "0")}</div>
+          <div className="text-xs uppercase tracking-wider opacity-80">{label}</div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
 const Results = () => {
   const [categories, setCategories] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState("all");
   const [results, setResults] = useState([]);
+  // Live updates build on the latest results, which may not have rendered yet
+  const resultsRef = useRef(results);
+  resultsRef.current = results;
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [overallStats, setOverallStats] = useState({});
+  const [isLive, setIsLive] = useState(false);
+  const [visibility, setVisibility] = useState(null);
+  const [restrictedCategories, setRestrictedCategories] = useState([]);
+  const [editions, setEditions] = useState([]);
+  // Empty means the active edition; past editions stay browsable as archives
+  const [selectedEdition, setSelectedEdition] = useState("");
 
-  useEffect(() => {
-    fetchCategories();
-    fetchOverallStats();
-  }, []);
-
-  useEffect(() => {
-    if (selectedCategory) {
-      fetchResults();
+  const fetchResults = useCallback(async ({ silent = false } = {}) => {
+    if (!silent) setLoading(true);
+    try {
+      const response = await votesAPI.getLeaderboard(
+        selectedCategory === "all" ? null : selectedCategory,
+        selectedEdition
+      );
+      setResults(response.data?.data?.leaderboard || []);
+      setVisibility(response.data?.data?.resultsVisibility || null);
+      setRestrictedCategories(response.data?.data?.restrictedCategories || []);
+    } catch (err) {
+      console.error("Error fetching results:", err);
+      setError("Failed to load results");
+    } finally {
+      setLoading(false);
     }
-  }, [selectedCategory]);
+  }, [selectedCategory, selectedEdition]);
 
-  const fetchCategories = async () => {
+  const fetchCategories = useCallback(async () => {
     try {
-      const response = await categoriesAPI.getAll();
+      const response = await categoriesAPI.getAll({ edition: selectedEdition || undefined, limit: 100 });
       setCategories(response.data?.data?.categories || []);
     } catch (err) {
       console.error("Error fetching categories:", err);
       setError("Failed to load categories");
     }
-  };
+  }, [selectedEdition]);
 
-  const fetchOverallStats = async () => {
+  const fetchOverallStats = useCallback(async () => {
     try {
-      const response = await votesAPI.getVotingStats();
+      const response = await votesAPI.getVotingStats({ edition: selectedEdition || undefined });
       setOverallStats(response.data?.data || {});
     } catch (err) {
       console.error("Error fetching overall stats:", err);
     }
-  };
+  }, [selectedEdition]);
 
-  const fetchResults = async () => {
-    setLoading(true);
-    try {
-      const response = await votesAPI.getLeaderboard(
-        selectedCategory === "all" ? null : selectedCategory
-      );
-      setResults(response.data?.data?.leaderboard || []);
-    } catch (err) {
-      console.error("Error fetching results:", err);
-      setError("Failed to load results");
-    } finally {
-      setLoading(false);
+  useEffect(() => {
+    editionsAPI
+      .getAll()
+      .then((response) => setEditions(response.data?.data?.editions || []))
+      .catch((err) => console.error("Error fetching editions:", err));
+  }, []);
+
+  useEffect(() => {
+    fetchCategories();
+    fetchOverallStats();
+  }, [fetchCategories, fetchOverallStats]);
+
+  useEffect(() => {
+    if (selectedCategory) {
+      fetchResults();
     }
-  };
+  }, [selectedCategory, fetchResults]);
+
+  // Apply pushed counts to the results; only an update that can't be applied
+  // in place refetches them, and at most once per delay
+  useEffect(() => {
+    let refetchTimer = null;
+    const unsubscribe = subscribeToLiveResults({
+      categoryId: selectedCategory === "all" ? null : selectedCategory,
+      onStatusChange: setIsLive,
+      onResults: (update) => {
+        const updated = applyLiveResults(resultsRef.current, update);
+        if (updated) {
+          resultsRef.current = updated;
+          setResults(updated);
+        } else if (!refetchTimer) {
+          refetchTimer = setTimeout(() => {
+            refetchTimer = null;
+            fetchResults({ silent: true });
+          }, LIVE_REFETCH_DELAY_MS);
+        }
+
+        setOverallStats((stats) => ({
+          ...stats,
+          totalVotes: (stats.totalVotes || 0) + liveVotesAdded(update),
+        }));
+      },
+    });
+
+    return () => {
+      clearTimeout(refetchTimer);
+      unsubscribe();
+    };
+  }, [selectedCategory, fetchResults]);
+
+  // Poll instead while the stream is unavailable. While it is up, only the
+  // overall figures it doesn't carry, such as revenue, are refreshed
+  useEffect(() => {
+    const interval = setInterval(() => {
+      if (!isLive) fetchResults({ silent: true });
+      fetchOverallStats();
+    }, isLive ? 120000 : 30000);
+    return () => clearInterval(interval);
+  }, [isLive, fetchResults, fetchOverallStats]);
 
   const getRankIcon = (rank) => {
     switch (rank) {
@@ -111,6 +226,15 @@ const Results = () => {
     setSelectedCategory(categoryId);
   };
 
+  const handleEditionChange = (editionId) => {
+    setSelectedEdition(editionId);
+    setSelectedCategory("all");
+  };
+
+  const viewingEdition = editions.find((edition) =>
+    selectedEdition ? edition._id === selectedEdition : edition.status === "active"
+  );
+
   if (loading && results.length === 0) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-purple-50 via-blue-50 to-indigo-100 flex items-center justify-center">
@@ -156,18 +280,39 @@ const Results = () => {
         className="bg-white/80 backdrop-blur-sm border-b border-gray-200 sticky top-0 z-10"
       >
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
-          <div className="flex items-center gap-3">
-            <div className="p-2 bg-gradient-to-r from-purple-500 to-blue-600 rounded-xl">
-              <ChartBarIcon className="w-8 h-8 text-white" />
-            </div>
-            <div>
-              <h1 className="text-3xl font-bold bg-gradient-to-r from-purple-600 to-blue-600 bg-clip-text text-transparent">
-                Voting Results
-              </h1>
-              <p className="text-gray-600 mt-1">
-                Comprehensive voting statistics and rankings
-              </p>
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+            <div className="flex items-center gap-3">
+              <div className="p-2 bg-gradient-to-r from-purple-500 to-blue-600 rounded-xl">
+                <ChartBarIcon className="w-8 h-8 text-white" />
+              </div>
+              <div>
+                <h1 className="text-3xl font-bold bg-gradient-to-r from-purple-600 to-blue-600 bg-clip-text text-transparent">
+                  Voting Results
+                </h1>
+                <p className="text-gray-600 mt-1">
+                  {viewingEdition?.status === "archived"
+                    ? `Final results from ${viewingEdition.name}`
+                    : "Comprehensive voting statistics and rankings"}
+                </p>
+              </div>
             </div>
+            {editions.length > 1 && (
+              <select
+                value={selectedEdition}
+                onChange={(e) => handleEditionChange(e.target.value)}
+                className="px-4 py-2 border border-gray-300 rounded-xl bg-white text-gray-700 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              >
+                <option value="">Current edition</option>
+                {editions
+                  .filter((edition) => edition.status !== "active")
+                  .map((edition) => (
+                    <option key={edition._id} value={edition._id}>
+                      {edition.name}
+                      {edition.status === "archived" ? " (archived)" : ""}
+                    </option>
+                  ))}
+              </select>
+            )}
           </div>
         </div>
       </motion.div>
@@ -282,6 +427,23 @@ const Results = () => {
           </div>
         </motion.div>
 
+        {/* Embargoed categories */}
+        {selectedCategory === "all" && restrictedCategories.length > 0 && (
+          <div className="mb-8 bg-purple-50 border border-purple-200 rounded-2xl p-4 text-sm text-purple-800">
+            <p className="font-medium mb-2">Some results are under wraps:</p>
+            <ul className="space-y-1">
+              {restrictedCategories.map((item) => (
+                <li key={item.categoryId}>
+                  <span className="font-medium">{item.name}</span>
+                  {" — "}
+                  {item.level === "ranks" ? "ranks only, counts" : "hidden,"} revealed{" "}
+                  {new Date(item.revealAt).toLocaleString()}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Results */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -305,9 +467,31 @@ const Results = () => {
                 <div className="p-12 text-center">
                   <LoadingSpinner />
                 </div>
+              ) : visibility?.level === "hidden" ? (
+                <motion.div
+                  initial={{ opacity: 0 }}
+                  animate={{ opacity: 1 }}
+                  className="p-12 text-center"
+                >
+                  <TrophyIcon className="w-16 h-16 text-purple-300 mx-auto mb-4" />
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">
+                    Results are under wraps
+                  </h3>
+                  <p className="text-gray-600 mb-6">
+                    {visibility.mode === "after_voting"
+                      ? "Standings will be revealed when voting closes."
+                      : "Standings will be revealed at the scheduled time."}
+                  </p>
+                  <RevealCountdown
+                    revealAt={visibility.revealAt}
+                    onReveal={fetchResults}
+                  />
+                </motion.div>
               ) : results.length > 0 ? (
                 results.map((nominee, index) => {
                   const rank = index + 1;
+                  // Ranks-only categories come without totals until voting ends
+                  const countsHidden = nominee.totalVotes === undefined;
                   const votePercentage =
                     totalVotes > 0
                       ? ((nominee.totalVotes / totalVotes) * 100).toFixed(1)
@@ -359,55 +543,59 @@ const Results = () => {
                             </div>
                             <div className="text-right flex-shrink-0 ml-4">
                               <div className="text-2xl font-bold text-gray-900">
-                                {nominee.totalVotes?.toLocaleString() || "0"}
+                                {countsHidden ? `#${nominee.rank}` : nominee.totalVotes?.toLocaleString() || "0"}
+                              </div>
+                              <div className="text-sm text-gray-600">
+                                {countsHidden ? "counts hidden" : "votes"}
                               </div>
-                              <div className="text-sm text-gray-600">votes</div>
                             </div>
                           </div>
 
                           {/* Progress Bars */}
-                          <div className="mt-4 space-y-2">
-                            {/* Relative to max votes */}
-                            <div>
-                              <div className="flex items-center justify-between text-sm text-gray-600 mb-1">
-                                <span>Relative performance</span>
-                                <span>{relativePercentage}%</span>
+                          {!countsHidden && (
+                            <div className="mt-4 space-y-2">
+                              {/* Relative to max votes */}
+                              <div>
+                                <div className="flex items-center justify-between text-sm text-gray-600 mb-1">
+                                  <span>Relative performance</span>
+                                  <span>{relativePercentage}%</span>
+                                </div>
+                                <div className="w-full bg-gray-200 rounded-full h-2">
+                                  <motion.div
+                                    initial={{ width: 0 }}
+                                    animate={{ width: `${relativePercentage}%` }}
+                                    transition={{
+                                      duration: 1,
+                                      delay: index * 0.1,
+                                    }}
+                                    className={`h-2 rounded-full bg-gradient-to-r ${getProgressColor(rank)}`}
+                                  />
+                                </div>
                               </div>
-                              <div className="w-full bg-gray-200 rounded-full h-2">
-                                <motion.div
-                                  initial={{ width: 0 }}
-                                  animate={{ width: `${relativePercentage}%` }}
-                                  transition={{
-                                    duration: 1,
-                                    delay: index * 0.1,
-                                  }}
-                                  className={`h-2 rounded-full bg-gradient-to-r ${getProgressColor(rank)}`}
-                                />
-                              </div>
-                            </div>
 
-                            {/* Share of total votes */}
-                            <div>
-                              <div className="flex items-center justify-between text-sm text-gray-600 mb-1">
-                                <span>Share of total votes</span>
-                                <span>
-                                  {votePercentage}% •{" "}
-                                  {formatCurrency(nominee.totalRevenue)}
-                                </span>
-                              </div>
-                              <div className="w-full bg-gray-200 rounded-full h-1.5">
-                                <motion.div
-                                  initial={{ width: 0 }}
-                                  animate={{ width: `${votePercentage}%` }}
-                                  transition={{
-                                    duration: 1,
-                                    delay: index * 0.1 + 0.2,
-                                  }}
-                                  className="h-1.5 rounded-full bg-gradient-to-r from-gray-400 to-gray-600"
-                                />
+                              {/* Share of total votes */}
+                              <div>
+                                <div className="flex items-center justify-between text-sm text-gray-600 mb-1">
+                                  <span>Share of total votes</span>
+                                  <span>
+                                    {votePercentage}% •{" "}
+                                    {formatCurrency(nominee.totalRevenue)}
+                                  </span>
+                                </div>
+                                <div className="w-full bg-gray-200 rounded-full h-1.5">
+                                  <motion.div
+                                    initial={{ width: 0 }}
+                                    animate={{ width: `${votePercentage}%` }}
+                                    transition={{
+                                      duration: 1,
+                                      delay: index * 0.1 + 0.2,
+                                    }}
+                                    className="h-1.5 rounded-full bg-gradient-to-r from-gray-400 to-gray-600"
+                                  />
+                                </div>
                               </div>
                             </div>
-                          </div>
+                          )}
                         </div>
                       </div>
                     </motion.div>
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { useParams, useNavigate } from "react-router-dom";
-import { useQuery } from "@tanstack/react-query";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
 import {
   UserIcon,
   TrophyIcon,
@@ -15,17 +15,29 @@ import {
 } from "@heroicons/react/24/outline";
 import { StarIcon as StarSolidIcon } from "@heroicons/react/24/solid";
 import { useAuth } from "../contexts/AuthContext";
-import api from "../services/api";
+import api, { subscribeToLiveResults } from "../services/api";
+import { PENDING_REFERENCE_KEY } from "./PaymentCallback";
 import { motion, AnimatePresence } from "framer-motion";
 import toast from "react-hot-toast";
 
+// Keep in step with Vote.MAX_VOTES_PER_PURCHASE on the backend
+const MAX_VOTES_PER_PURCHASE = 100;
+const QUICK_QUANTITIES = [1, 10, 50];
+
 const Vote = () => {
   const { categoryId, nomineeId } = useParams();
   const navigate = useNavigate();
   const { user, isAuthenticated } = useAuth();
+  const queryClient = useQueryClient();
+  const [isLive, setIsLive] = useState(false);
   const [selectedNominee, setSelectedNominee] = useState(null);
   const [paymentDialogOpen, setPaymentDialogOpen] = useState(false);
   const [isProcessingPayment, setIsProcessingPayment] = useState(false);
+  const [quantity, setQuantity] = useState(1);
+  const [selectedTierId, setSelectedTierId] = useState(null);
+  const [promoInput, setPromoInput] = useState("");
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [isApplyingPromo, setIsApplyingPromo] = useState(false);
 
   // Fetch category details
   const {
@@ -36,7 +48,7 @@ const Vote = () => {
     queryKey: ["category", categoryId],
     queryFn: async () => {
       const response = await api.get(`/categories/${categoryId}`);
-      return response.data.data;
+      return response.data.data.category;
     },
   });
 
@@ -50,7 +62,8 @@ const Vote = () => {
     queryKey: ["nominees", categoryId],
     queryFn: async () => {
       const response = await api.get(`/nominees/category/${categoryId}`);
-      return response.data.data;
+      // Disqualified nominees can't receive votes
+      return response.data.data.filter((nominee) => !nominee.isDisqualified);
     },
   });
 
@@ -61,10 +74,22 @@ const Vote = () => {
       const response = await api.get(`/votes/category/${categoryId}/counts`);
       return response.data.data;
     },
-    refetchInterval: 5000, // Refetch every 5 seconds for real-time updates
+    // Pushed over the live stream; polling is only the fallback
+    refetchInterval: isLive ? 60000 : 5000,
     enabled: !!categoryId,
   });
 
+  useEffect(() => {
+    if (!categoryId) return undefined;
+    return subscribeToLiveResults({
+      categoryId,
+      onStatusChange: setIsLive,
+      onResults: (update) => {
+        queryClient.setQueryData(["vote-counts", categoryId], update.counts);
+      },
+    });
+  }, [categoryId, queryClient]);
+
   // Check if user has already voted in this category
   const { data: userVote } = useQuery({
     queryKey: ["user-vote", categoryId],
@@ -87,28 +112,73 @@ const Vote = () => {
   }, [nomineeId, nominees]);
 
 
-  // Initialize OPay payment
+  const votePrice = category?.votePrice || 100;
+  const pricingTiers = category?.pricingTiers || [];
+  const selectedTier = pricingTiers.find((tier) => tier._id === selectedTierId);
+  const purchaseQuantity = selectedTier ? selectedTier.quantity : quantity;
+  const purchaseAmount = selectedTier ? selectedTier.price : quantity * votePrice;
+  const amountDue = appliedPromo ? appliedPromo.finalAmount : purchaseAmount;
+
+  const handleQuantityChange = (value) => {
+    const parsed = parseInt(value, 10);
+    setSelectedTierId(null);
+    setAppliedPromo(null);
+    setQuantity(Math.min(Math.max(parsed || 1, 1), MAX_VOTES_PER_PURCHASE));
+  };
+
+  // The discount depends on the purchase, so it is checked against the current selection
+  const applyPromoCode = async () => {
+    if (!promoInput.trim()) return;
+
+    setIsApplyingPromo(true);
+    try {
+      const response = await api.post("/payments/promo-codes/validate", {
+        code: promoInput.trim(),
+        categoryId,
+        quantity: purchaseQuantity,
+        pricingTierId: selectedTier?._id,
+      });
+      setAppliedPromo(response.data.data);
+      toast.success(
+        response.data.data.free
+          ? "Promo applied: these votes are free"
+          : `Promo applied: ₦${response.data.data.discountAmount.toLocaleString()} off`
+      );
+    } catch (error) {
+      setAppliedPromo(null);
+      toast.error(error.response?.data?.message || "Invalid promo code");
+    } finally {
+      setIsApplyingPromo(false);
+    }
+  };
+
+  // Initialize payment with the category's gateway
   const initializePayment = async () => {
     if (!selectedNominee || !category) return;
 
     setIsProcessingPayment(true);
 
     try {
-      // Initialize payment with OPay
       const response = await api.post("/payments/initialize", {
         nomineeId: selectedNominee._id,
         categoryId: categoryId,
-        amount: category.votePrice || 100, // Default to 100 naira
+        quantity: purchaseQuantity,
+        pricingTierId: selectedTier?._id,
+        amount: purchaseAmount,
+        promoCode: appliedPromo?.code,
         email: user.email,
         metadata: {
           userId: user._id,
         },
       });
 
-      const { cashierUrl } = response.data.data;
+      const { authorizationUrl, reference } = response.data.data;
+
+      // Some gateways return without the reference, so keep it for the callback page
+      sessionStorage.setItem(PENDING_REFERENCE_KEY, reference);
 
-      // Redirect to OPay payment page
-      window.location.href = cashierUrl;
+      // Redirect to the gateway's payment page, or straight to the callback for free promo votes
+      window.location.href = authorizationUrl;
     } catch (error) {
       toast.error(
         error.response?.data?.message || "Failed to initialize payment"
@@ -129,6 +199,8 @@ const Vote = () => {
     }
 
     setSelectedNominee(nominee);
+    setQuantity(1);
+    setSelectedTierId(null);
     setPaymentDialogOpen(true);
   };
 
@@ -138,7 +210,7 @@ const Vote = () => {
 
   const getTotalVotes = () => {
     if (!voteCounts) return 0;
-    return Object.values(voteCounts).reduce((total, vc) => total + vc.count, 0);
+    return Object.values(voteCounts).reduce((total, vc) => total + (vc.count || 0), 0);
   };
 
   const getVotePercentage = (nomineeId) => {
@@ -239,6 +311,9 @@ const Vote = () => {
   const votingActive = isVotingActive();
   const timeRemaining = getTimeRemaining();
   const totalVotes = getTotalVotes();
+  // Counts are withheld while the category's results are embargoed
+  const resultsAccess = category?.resultsAccess;
+  const countsVisible = !resultsAccess || resultsAccess.level === "full";
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
@@ -312,10 +387,15 @@ const Vote = () => {
 
               <div className="text-right">
                 <div className="text-2xl font-bold text-gray-900">
-                  {totalVotes} Total Votes
+                  {countsVisible ? `${totalVotes} Total Votes` : "Results under wraps"}
                 </div>
+                {!countsVisible && resultsAccess.revealAt && (
+                  <div className="text-sm text-gray-600">
+                    Revealed {new Date(resultsAccess.revealAt).toLocaleString()}
+                  </div>
+                )}
                 <div className="text-sm text-gray-600">
-                  Vote Price: ₦{category?.votePrice || 100}
+                  Vote Price: ₦{votePrice}
                 </div>
               </div>
             </div>
@@ -358,10 +438,12 @@ const Vote = () => {
                 >
                   {/* Vote Count Badge */}
                   <div className="relative">
-                    <div className="absolute top-3 right-3 z-10 bg-blue-600 text-white rounded-full px-2 py-1 text-xs font-semibold flex items-center">
-                      <TrophyIcon className="h-3 w-3 mr-1" />
-                      {voteCount}
-                    </div>
+                    {(countsVisible || voteCounts?.[nominee._id]?.rank) && (
+                      <div className="absolute top-3 right-3 z-10 bg-blue-600 text-white rounded-full px-2 py-1 text-xs font-semibold flex items-center">
+                        <TrophyIcon className="h-3 w-3 mr-1" />
+                        {countsVisible ? voteCount : `#${voteCounts[nominee._id].rank}`}
+                      </div>
+                    )}
 
                     {/* User Vote Indicator */}
                     {hasUserVoted && (
@@ -386,7 +468,7 @@ const Vote = () => {
                       )}
 
                       {/* Vote Percentage Overlay */}
-                      {totalVotes > 0 && (
+                      {countsVisible && totalVotes > 0 && (
                         <div className="absolute bottom-0 left-0 right-0 bg-black bg-opacity-70 text-white p-2">
                           <div className="text-center">
                             <div className="text-sm font-semibold mb-1">
@@ -460,7 +542,7 @@ const Vote = () => {
                       ) : (
                         <>
                           <TrophyIcon className="h-4 w-4 mr-2" />
-                          Vote (₦{category?.votePrice || 100})
+                          Vote (₦{votePrice})
                         </>
                       )}
                     </button>
@@ -557,8 +639,120 @@ const Vote = () => {
                       <div className="border-t border-gray-200 pt-4 mb-6">
                         <div className="flex justify-between items-center mb-4">
                           <span className="text-gray-700">Vote Price:</span>
+                          <span className="text-lg font-semibold text-gray-900">
+                            ₦{votePrice} per vote
+                          </span>
+                        </div>
+
+                        <div className="mb-4">
+                          <label htmlFor="vote-quantity" className="block text-gray-700 mb-2">
+                            Number of votes:
+                          </label>
+                          <div className="flex items-center space-x-2">
+                            {QUICK_QUANTITIES.map((option) => (
+                              <button
+                                key={option}
+                                type="button"
+                                onClick={() => handleQuantityChange(option)}
+                                disabled={isProcessingPayment}
+                                className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                                  !selectedTier && quantity === option
+                                    ? "bg-blue-600 text-white"
+                                    : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+                                }`}
+                              >
+                                {option}
+                              </button>
+                            ))}
+                            <input
+                              id="vote-quantity"
+                              type="number"
+                              min="1"
+                              max={MAX_VOTES_PER_PURCHASE}
+                              value={purchaseQuantity}
+                              onChange={(e) => handleQuantityChange(e.target.value)}
+                              disabled={isProcessingPayment}
+                              className="w-24 px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </div>
+                        </div>
+
+                        {pricingTiers.length > 0 && (
+                          <div className="mb-4">
+                            <span className="block text-gray-700 mb-2">Or choose a bundle:</span>
+                            <div className="grid grid-cols-2 gap-2">
+                              {pricingTiers.map((tier) => (
+                                <button
+                                  key={tier._id}
+                                  type="button"
+                                  onClick={() => {
+                                    setSelectedTierId(selectedTierId === tier._id ? null : tier._id);
+                                    setAppliedPromo(null);
+                                  }}
+                                  disabled={isProcessingPayment}
+                                  className={`p-3 rounded-lg border text-left transition-colors ${
+                                    selectedTierId === tier._id
+                                      ? "border-blue-600 bg-blue-50"
+                                      : "border-gray-200 hover:border-blue-300"
+                                  }`}
+                                >
+                                  <div className="font-semibold text-gray-900">{tier.name}</div>
+                                  <div className="text-sm text-gray-600">
+                                    {tier.quantity} votes for ₦{tier.price.toLocaleString()}
+                                  </div>
+                                  <div className="text-xs text-green-700">
+                                    ₦{tier.unitPrice} per vote
+                                    {tier.endsAt && ` · until ${new Date(tier.endsAt).toLocaleDateString()}`}
+                                  </div>
+                                </button>
+                              ))}
+                            </div>
+                          </div>
+                        )}
+
+                        <div className="mb-4">
+                          <label htmlFor="promo-code" className="block text-gray-700 mb-2">
+                            Promo code:
+                          </label>
+                          <div className="flex space-x-2">
+                            <input
+                              id="promo-code"
+                              type="text"
+                              value={promoInput}
+                              onChange={(e) => {
+                                setPromoInput(e.target.value.toUpperCase());
+                                setAppliedPromo(null);
+                              }}
+                              disabled={isProcessingPayment}
+                              placeholder="Optional"
+                              className="flex-1 px-3 py-1.5 border border-gray-300 rounded-lg text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                            <button
+                              type="button"
+                              onClick={applyPromoCode}
+                              disabled={isProcessingPayment || isApplyingPromo || !promoInput.trim()}
+                              className="px-3 py-1.5 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+                            >
+                              {isApplyingPromo ? "Checking..." : "Apply"}
+                            </button>
+                          </div>
+                          {appliedPromo && (
+                            <p className="mt-1 text-sm text-green-700">
+                              {appliedPromo.code}: -₦{appliedPromo.discountAmount.toLocaleString()}
+                              {appliedPromo.sponsor && ` · courtesy of ${appliedPromo.sponsor}`}
+                            </p>
+                          )}
+                        </div>
+
+                        <div className="flex justify-between items-center mb-4">
+                          <span className="text-gray-700">Total:</span>
                           <span className="text-2xl font-bold text-blue-600">
-                            ₦{category?.votePrice || 100}
+                            {appliedPromo && (
+                              <span className="text-base font-normal text-gray-400 line-through mr-2">
+                                ₦{purchaseAmount.toLocaleString()}
+                              </span>
+                            )}
+                            ₦{amountDue.toLocaleString()}
                           </span>
                         </div>
 
@@ -623,7 +817,9 @@ const Vote = () => {
                       ) : (
                         <>
                           <CreditCardIcon className="h-4 w-4 mr-2" />
-                          Pay & Vote
+                          {amountDue === 0
+                            ? `Cast ${purchaseQuantity} Free Vote${purchaseQuantity > 1 ? "s" : ""}`
+                            : purchaseQuantity > 1 ? `Pay & Cast ${purchaseQuantity} Votes` : "Pay & Vote"}
                         </>
                       )}
                     </button>
@@ -25,6 +25,17 @@ import LoadingSpinner from "../components/common/LoadingSpinner";
 import toast from "react-hot-toast";
 import { motion, AnimatePresence } from "framer-motion";
 
+// Bundles that are switched on and inside their promo window right now
+const getAvailablePricingTiers = (category) => {
+  const now = new Date();
+  return (category?.votingSettings?.pricingTiers || []).filter(
+    (tier) =>
+      tier.isActive !== false &&
+      (!tier.startsAt || now >= new Date(tier.startsAt)) &&
+      (!tier.endsAt || now <= new Date(tier.endsAt))
+  );
+};
+
 const VotingInterface = () => {
   const { user } = useAuth();
   const queryClient = useQueryClient();
@@ -38,16 +49,20 @@ const VotingInterface = () => {
   const [selectedNominee, setSelectedNominee] = useState(null);
   const [paymentLoading, setPaymentLoading] = useState(false);
   const [activeTab, setActiveTab] = useState("all");
+  const [selectedTierId, setSelectedTierId] = useState(null);
 
   // Data fetching
   const { data: categories = [], isLoading: categoriesLoading } = useQuery({
     queryKey: ["categories"],
-    queryFn: () => api.get("/categories").then((res) => res.data),
+    queryFn: () => api.get("/categories").then((res) => res.data.data.categories),
   });
 
   const { data: nominees = [], isLoading: nomineesLoading } = useQuery({
     queryKey: ["nominees"],
-    queryFn: () => api.get("/nominees/approved").then((res) => res.data),
+    queryFn: () =>
+      api
+        .get("/nominees", { params: { status: "approved", limit: 100 } })
+        .then((res) => res.data.data.nominees.filter((nominee) => !nominee.isDisqualified)),
   });
 
   const { data: userVotes = [], isLoading: votesLoading } = useQuery({
@@ -63,7 +78,8 @@ const VotingInterface = () => {
 
   // Vote mutation
   const voteMutation = useMutation({
-    mutationFn: (nomineeId) => api.post("/votes", { nomineeId }),
+    mutationFn: ({ nominee, category, quantity, pricingTierId }) =>
+      api.post("/votes", { nominee, category, quantity, pricingTierId }),
     onSuccess: () => {
       toast.success("Vote submitted successfully!");
       queryClient.invalidateQueries(["user-votes"]);
@@ -115,8 +131,16 @@ const VotingInterface = () => {
     }
   });
 
+  const selectedNomineeCategory = categories.find(
+    (category) => category._id === selectedNominee?.category?._id
+  );
+  const votePrice = selectedNomineeCategory?.votingSettings?.votePrice || 100;
+  const pricingTiers = getAvailablePricingTiers(selectedNomineeCategory);
+  const selectedTier = pricingTiers.find((tier) => tier._id === selectedTierId);
+
   const handleVote = (nominee) => {
     setSelectedNominee(nominee);
+    setSelectedTierId(null);
     setShowVoteDialog(true);
   };
 
@@ -127,7 +151,12 @@ const VotingInterface = () => {
 
   const confirmVote = () => {
     if (selectedNominee) {
-      voteMutation.mutate(selectedNominee._id);
+      voteMutation.mutate({
+        nominee: selectedNominee._id,
+        category: selectedNominee.category._id,
+        quantity: selectedTier ? selectedTier.quantity : 1,
+        pricingTierId: selectedTier?._id,
+      });
     }
   };
 
@@ -507,12 +536,58 @@ const VotingInterface = () => {
 
                       <hr className="my-4" />
 
+                      {pricingTiers.length > 0 && (
+                        <div className="mb-4">
+                          <h4 className="font-medium mb-2 text-gray-900">
+                            Bundles:
+                          </h4>
+                          <div className="space-y-2">
+                            <button
+                              type="button"
+                              onClick={() => setSelectedTierId(null)}
+                              className={`w-full flex items-center justify-between p-3 rounded-xl border text-sm transition-colors ${
+                                !selectedTier
+                                  ? "border-blue-500 bg-blue-50"
+                                  : "border-gray-200 hover:border-blue-300"
+                              }`}
+                            >
+                              <span className="font-medium text-gray-900">Single vote</span>
+                              <span className="text-gray-600">₦{votePrice}</span>
+                            </button>
+                            {pricingTiers.map((tier) => (
+                              <button
+                                key={tier._id}
+                                type="button"
+                                onClick={() => setSelectedTierId(tier._id)}
+                                className={`w-full flex items-center justify-between p-3 rounded-xl border text-sm transition-colors ${
+                                  selectedTierId === tier._id
+                                    ? "border-blue-500 bg-blue-50"
+                                    : "border-gray-200 hover:border-blue-300"
+                                }`}
+                              >
+                                <span className="font-medium text-gray-900">
+                                  {tier.name} ({tier.quantity} votes)
+                                </span>
+                                <span className="text-gray-600">
+                                  ₦{tier.price.toLocaleString()}
+                                  {tier.endsAt && (
+                                    <span className="block text-xs text-green-700">
+                                      until {new Date(tier.endsAt).toLocaleDateString()}
+                                    </span>
+                                  )}
+                                </span>
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+
                       <div className="flex items-center justify-between mb-4">
                         <span className="font-medium text-gray-900">
                           Vote Cost:
                         </span>
                         <span className="text-xl font-bold text-blue-600">
-                          ₦1.00
+                          ₦{(selectedTier ? selectedTier.price : votePrice).toLocaleString()}
                         </span>
                       </div>
 
@@ -0,0 +1,261 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import {
+  ArrowPathIcon,
+  CheckBadgeIcon,
+  XCircleIcon,
+  DocumentTextIcon,
+  PhotoIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import api from '../../services/api';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { openDocument } from '../../components/nominees/AchievementEvidence';
+
+const statusColors = {
+  unverified: 'bg-gray-100 text-gray-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  verified: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+};
+
+const AchievementVerification = () => {
+  const [achievements, setAchievements] = useState([]);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
+  const [categories, setCategories] = useState([]);
+  const [filters, setFilters] = useState({ status: 'pending', category: '' });
+  const [page, setPage] = useState(1);
+  const [notes, setNotes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [reviewingId, setReviewingId] = useState(null);
+
+  const fetchAchievements = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page, limit: 20, status: filters.status };
+      if (filters.category) params.category = filters.category;
+
+      const response = await api.get('/admin/achievements', { params });
+      setAchievements(response.data.data.achievements);
+      setPagination(response.data.data.pagination);
+    } catch (err) {
+      console.error('Error fetching achievements:', err);
+      toast.error(err.response?.data?.message || 'Failed to load achievements');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchAchievements();
+  }, [fetchAchievements]);
+
+  useEffect(() => {
+    api.get('/categories', { params: { limit: 100 } })
+      .then((response) => setCategories(response.data.data.categories))
+      .catch((err) => console.error('Error fetching categories:', err));
+  }, []);
+
+  const updateFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setPage(1);
+  };
+
+  const handleReview = async (achievement, decision) => {
+    const note = (notes[achievement._id] || '').trim();
+    if (decision === 'rejected' && note.length < 5) {
+      toast.error('Add a note explaining why the achievement is rejected');
+      return;
+    }
+
+    try {
+      setReviewingId(achievement._id);
+      const response = await api.patch(
+        `/admin/nominees/${achievement.nomineeId}/achievements/${achievement._id}/verify`,
+        { decision, notes: note || undefined }
+      );
+      toast.success(response.data.message);
+      setNotes({ ...notes, [achievement._id]: '' });
+      fetchAchievements();
+    } catch (err) {
+      console.error('Error reviewing achievement:', err);
+      toast.error(err.response?.data?.message || 'Failed to review achievement');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  if (loading && achievements.length === 0) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4"
+        >
+          <div>
+            <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
+              Achievement Verification
+            </h1>
+            <p className="text-gray-600 mt-1">Check nominees' supporting documents and verify or reject their achievements</p>
+          </div>
+          <button
+            onClick={fetchAchievements}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            <ArrowPathIcon className="w-4 h-4" />
+            Refresh
+          </button>
+        </motion.div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 grid grid-cols-1 md:grid-cols-3 gap-3">
+          <select
+            value={filters.status}
+            onChange={(e) => updateFilter('status', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="pending">Awaiting review</option>
+            <option value="verified">Verified</option>
+            <option value="rejected">Rejected</option>
+            <option value="unverified">No evidence yet</option>
+          </select>
+          <select
+            value={filters.category}
+            onChange={(e) => updateFilter('category', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">All categories</option>
+            {categories.map((category) => (
+              <option key={category._id} value={category._id}>{category.name}</option>
+            ))}
+          </select>
+          <div className="flex items-center text-sm text-gray-600">
+            {pagination.total} achievement(s)
+          </div>
+        </div>
+
+        {/* Achievements */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          {achievements.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <CheckBadgeIcon className="w-10 h-10 mx-auto mb-2 text-gray-400" />
+              No achievements to show.
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {achievements.map((achievement) => (
+                <li key={achievement._id} className="p-4 flex flex-col lg:flex-row gap-4">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex flex-wrap items-center gap-2 mb-1">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusColors[achievement.verificationStatus]}`}>
+                        {achievement.verificationStatus}
+                      </span>
+                      <span className="text-sm text-gray-600">
+                        {achievement.nominee.trim() || 'Unknown nominee'} · {achievement.category}
+                      </span>
+                    </div>
+                    <h3 className="text-base font-semibold text-gray-900">{achievement.title}</h3>
+                    {achievement.description && (
+                      <p className="text-sm text-gray-700 mt-1">{achievement.description}</p>
+                    )}
+                    {achievement.date && (
+                      <p className="text-xs text-gray-500 mt-1">{new Date(achievement.date).toLocaleDateString()}</p>
+                    )}
+
+                    <div className="flex flex-wrap gap-2 mt-3">
+                      {achievement.documents.length === 0 ? (
+                        <span className="text-xs text-gray-500">No documents uploaded</span>
+                      ) : (
+                        achievement.documents.map((document) => (
+                          <button
+                            key={document._id}
+                            onClick={() => openDocument(document)}
+                            className="flex items-center gap-1 px-3 py-1 border border-gray-300 rounded-lg text-xs text-gray-700 hover:bg-gray-50"
+                          >
+                            {document.type === 'pdf' ? (
+                              <DocumentTextIcon className="w-4 h-4" />
+                            ) : (
+                              <PhotoIcon className="w-4 h-4" />
+                            )}
+                            {document.name}
+                          </button>
+                        ))
+                      )}
+                    </div>
+
+                    {achievement.verifiedAt && (
+                      <p className="text-xs text-gray-500 mt-2">
+                        {achievement.verificationStatus} by {achievement.verifiedBy?.firstName} {achievement.verifiedBy?.lastName}
+                        {' · '}{new Date(achievement.verifiedAt).toLocaleString()}
+                        {achievement.verificationNotes && <span className="italic"> · {achievement.verificationNotes}</span>}
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="lg:w-72 space-y-2">
+                    <textarea
+                      rows={2}
+                      maxLength={500}
+                      placeholder="Notes (required to reject)"
+                      value={notes[achievement._id] || ''}
+                      onChange={(e) => setNotes({ ...notes, [achievement._id]: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                    />
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleReview(achievement, 'verified')}
+                        disabled={reviewingId === achievement._id || achievement.verificationStatus === 'verified'}
+                        className="flex-1 flex items-center justify-center gap-1 px-3 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-50"
+                      >
+                        <CheckBadgeIcon className="w-4 h-4" />
+                        Verify
+                      </button>
+                      <button
+                        onClick={() => handleReview(achievement, 'rejected')}
+                        disabled={reviewingId === achievement._id || achievement.verificationStatus === 'rejected'}
+                        className="flex-1 flex items-center justify-center gap-1 px-3 py-2 bg-red-600 text-white rounded-lg text-sm hover:bg-red-700 disabled:opacity-50"
+                      >
+                        <XCircleIcon className="w-4 h-4" />
+                        Reject
+                      </button>
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {pagination.pages > 1 && (
+            <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm">
+              <span className="text-gray-600">Page {pagination.current} of {pagination.pages}</span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1}
+                  className="px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= pagination.pages}
+                  className="px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AchievementVerification;
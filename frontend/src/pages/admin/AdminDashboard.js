@@ -10,7 +10,15 @@ import {
   Cog6ToothIcon,
   ExclamationTriangleIcon,
   ArrowPathIcon,
-  EyeIcon
+  EyeIcon,
+  TicketIcon,
+  ShieldExclamationIcon,
+  ChatBubbleLeftRightIcon,
+  CheckBadgeIcon,
+  CalendarDaysIcon,
+  BuildingLibraryIcon,
+  IdentificationIcon,
+  ArrowUpTrayIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../contexts/AuthContext';
 import api from '../../services/api';
@@ -231,6 +239,62 @@ const AdminDashboard = () => {
               gradient="from-orange-500 to-red-600"
               onClick={() => navigate('/admin/settings')}
             />
+            <QuickActionCard
+              title="Editions"
+              description="Start a new year's awards and browse past ones"
+              icon={CalendarDaysIcon}
+              gradient="from-indigo-500 to-blue-600"
+              onClick={() => navigate('/admin/editions')}
+            />
+            <QuickActionCard
+              title="Faculties & Departments"
+              description="What students register under and categories are limited to"
+              icon={BuildingLibraryIcon}
+              gradient="from-sky-500 to-indigo-600"
+              onClick={() => navigate('/admin/faculties')}
+            />
+            <QuickActionCard
+              title="Student Registry"
+              description="Import the school's student list and review ID mismatches"
+              icon={IdentificationIcon}
+              gradient="from-emerald-500 to-teal-600"
+              onClick={() => navigate('/admin/student-registry')}
+            />
+            <QuickActionCard
+              title="Bulk Import"
+              description="Add users, categories and nominees from a spreadsheet"
+              icon={ArrowUpTrayIcon}
+              gradient="from-lime-500 to-emerald-600"
+              onClick={() => navigate('/admin/import')}
+            />
+            <QuickActionCard
+              title="Promo Codes"
+              description="Sponsor discounts and free-vote codes"
+              icon={TicketIcon}
+              gradient="from-teal-500 to-cyan-600"
+              onClick={() => navigate('/admin/promo-codes')}
+            />
+            <QuickActionCard
+              title="Flagged Votes"
+              description="Review votes held or flagged by fraud checks"
+              icon={ShieldExclamationIcon}
+              gradient="from-rose-500 to-red-600"
+              onClick={() => navigate('/admin/flagged-votes')}
+            />
+            <QuickActionCard
+              title="Endorsements"
+              description="Moderate held and reported endorsements"
+              icon={ChatBubbleLeftRightIcon}
+              gradient="from-sky-500 to-blue-600"
+              onClick={() => navigate('/admin/endorsements')}
+            />
+            <QuickActionCard
+              title="Achievements"
+              description="Verify nominees' achievements and documents"
+              icon={CheckBadgeIcon}
+              gradient="from-emerald-500 to-green-600"
+              onClick={() => navigate('/admin/achievements')}
+            />
           </div>
         </motion.div>
 
@@ -0,0 +1,316 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import {
+  ArrowDownTrayIcon,
+  ArrowUpTrayIcon,
+  CheckCircleIcon,
+  ClipboardDocumentCheckIcon,
+  XCircleIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { importAPI, editionsAPI } from '../../services/api';
+
+const entities = {
+  users: {
+    label: 'Users',
+    description: 'Voters and students. Students need a student ID, faculty, department and level. Users imported without a password set one with "Forgot password".'
+  },
+  categories: {
+    label: 'Categories',
+    description: 'Award categories with their voting (and optionally nomination) dates and vote price.'
+  },
+  nominees: {
+    label: 'Nominees',
+    description: 'Nominations of existing students, found by email or student ID, in categories named as on the site. Import users first.'
+  }
+};
+
+const steps = ['Choose what to import', 'Upload a file', 'Check the rows', 'Import'];
+
+const formatPreview = (preview) => Object.values(preview || {})
+  .flat()
+  .filter((value) => value !== undefined && value !== null && value !== '')
+  .map((value) => (/^\d{4}-\d{2}-\d{2}T/.test(value) ? new Date(value).toLocaleString() : value))
+  .join(' · ');
+
+const BulkImport = () => {
+  const [entity, setEntity] = useState('users');
+  const [file, setFile] = useState(null);
+  const [editions, setEditions] = useState([]);
+  const [edition, setEdition] = useState('');
+  const [report, setReport] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [onlyErrors, setOnlyErrors] = useState(false);
+  // Changing the key clears the file input
+  const [fileInputKey, setFileInputKey] = useState(0);
+
+  const usesEdition = entity !== 'users';
+  const step = report?.imported ? 3 : report ? 2 : file ? 1 : 0;
+
+  useEffect(() => {
+    const fetchEditions = async () => {
+      try {
+        const response = await editionsAPI.getAll();
+        setEditions(response.data.data.editions);
+      } catch (err) {
+        console.error('Error fetching editions:', err);
+      }
+    };
+    fetchEditions();
+  }, []);
+
+  // A report only holds for the file and settings it was made with
+  useEffect(() => {
+    setReport(null);
+  }, [entity, file, edition]);
+
+  const handleDownloadTemplate = async () => {
+    try {
+      const response = await importAPI.getTemplate(entity);
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${entity}-import-template.csv`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      console.error('Error downloading import template:', err);
+      toast.error('Failed to download the template');
+    }
+  };
+
+  const run = async (dryRun) => {
+    const response = await importAPI.run(entity, file, {
+      dryRun,
+      edition: usesEdition ? edition : undefined
+    });
+    setReport(response.data.data);
+    return response;
+  };
+
+  const handleCheck = async () => {
+    try {
+      setChecking(true);
+      const response = await run(true);
+      const { summary } = response.data.data;
+      if (summary.invalid > 0) {
+        toast.error(`${summary.invalid} row(s) need fixing`);
+      } else {
+        toast.success(response.data.message);
+      }
+    } catch (err) {
+      console.error('Error checking import file:', err);
+      toast.error(err.response?.data?.message || 'Failed to check the file');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!window.confirm(`Import ${report.summary.total} ${entities[entity].label.toLowerCase()}?`)) return;
+
+    try {
+      setImporting(true);
+      const response = await run(false);
+      toast.success(response.data.message);
+    } catch (err) {
+      console.error('Error importing file:', err);
+      // Rows that became invalid since the check come back with the error
+      if (err.response?.data?.data) setReport(err.response.data.data);
+      toast.error(err.response?.data?.message || 'Import failed; nothing was imported');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleStartOver = () => {
+    setFile(null);
+    setReport(null);
+    setFileInputKey(fileInputKey + 1);
+  };
+
+  const rows = report ? report.rows.filter((row) => !onlyErrors || !row.valid) : [];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+        >
+          <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
+            Bulk Import
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Add users, categories or nominees from a CSV or Excel file. Every row is checked first, and nothing is imported unless all of them are valid.
+          </p>
+        </motion.div>
+
+        {/* Steps */}
+        <ol className="grid grid-cols-2 md:grid-cols-4 gap-2">
+          {steps.map((label, index) => (
+            <li
+              key={label}
+              className={`px-3 py-2 rounded-lg text-sm font-medium border ${index <= step ? 'border-blue-600 bg-blue-50 text-blue-700' : 'border-gray-200 bg-white text-gray-500'}`}
+            >
+              {index + 1}. {label}
+            </li>
+          ))}
+        </ol>
+
+        {/* Entity and file */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-5">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            {Object.entries(entities).map(([key, { label, description }]) => (
+              <button
+                key={key}
+                onClick={() => setEntity(key)}
+                disabled={importing}
+                className={`text-left p-4 rounded-lg border-2 transition-colors ${entity === key ? 'border-blue-600 bg-blue-50' : 'border-gray-200 hover:border-gray-300'}`}
+              >
+                <p className="font-semibold text-gray-900">{label}</p>
+                <p className="text-sm text-gray-600 mt-1">{description}</p>
+              </button>
+            ))}
+          </div>
+
+          <div className="flex flex-col md:flex-row md:items-center gap-3">
+            <button
+              onClick={handleDownloadTemplate}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              <ArrowDownTrayIcon className="w-4 h-4" />
+              Download template
+            </button>
+            <input
+              key={fileInputKey}
+              type="file"
+              accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              className="text-sm"
+            />
+            {usesEdition && (
+              <select
+                value={edition}
+                onChange={(e) => setEdition(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                <option value="">Active edition</option>
+                {editions.map((item) => (
+                  <option key={item._id} value={item._id}>{item.name}</option>
+                ))}
+              </select>
+            )}
+            <button
+              onClick={handleCheck}
+              disabled={!file || checking || importing}
+              className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 disabled:opacity-50"
+            >
+              <ClipboardDocumentCheckIcon className="w-4 h-4" />
+              {checking ? 'Checking...' : 'Check file'}
+            </button>
+          </div>
+        </div>
+
+        {/* Report */}
+        {report && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="p-4 border-b border-gray-200 flex flex-col md:flex-row md:items-center justify-between gap-3">
+              <div className="text-sm text-gray-700">
+                {report.imported > 0 ? (
+                  <span className="font-medium text-green-700">
+                    Imported {report.imported} {entities[report.entity].label.toLowerCase()}
+                    {report.edition && ` into ${report.edition.name}`}.
+                  </span>
+                ) : (
+                  <>
+                    {report.summary.total} row(s): <span className="text-green-700">{report.summary.valid} valid</span>,{' '}
+                    <span className="text-red-700">{report.summary.invalid} with errors</span>
+                    {report.edition && ` · into ${report.edition.name}`}
+                  </>
+                )}
+              </div>
+              <div className="flex items-center gap-3">
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={onlyErrors}
+                    onChange={(e) => setOnlyErrors(e.target.checked)}
+                    className="w-4 h-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  Only rows with errors
+                </label>
+                {report.imported > 0 ? (
+                  <button
+                    onClick={handleStartOver}
+                    className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+                  >
+                    Import another file
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleImport}
+                    disabled={importing || report.summary.invalid > 0 || report.summary.total === 0}
+                    title={report.summary.invalid > 0 ? 'Fix the rows with errors and check the file again' : undefined}
+                    className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                  >
+                    <ArrowUpTrayIcon className="w-4 h-4" />
+                    {importing ? 'Importing...' : `Import ${report.summary.total} row(s)`}
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {rows.length === 0 ? (
+              <div className="text-center py-12 text-gray-500">No rows to show.</div>
+            ) : (
+              <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      {['Line', 'Status', 'Row', 'Problems'].map((heading) => (
+                        <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          {heading}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200 text-sm">
+                    {rows.map((row) => (
+                      <tr key={row.line} className={row.valid ? '' : 'bg-red-50'}>
+                        <td className="px-6 py-3 font-mono text-gray-600">{row.line}</td>
+                        <td className="px-6 py-3">
+                          {row.valid ? (
+                            <CheckCircleIcon className="w-5 h-5 text-green-600" />
+                          ) : (
+                            <XCircleIcon className="w-5 h-5 text-red-600" />
+                          )}
+                        </td>
+                        <td className="px-6 py-3 text-gray-900">{formatPreview(row.preview) || '—'}</td>
+                        <td className="px-6 py-3 text-red-700">
+                          {row.errors.length > 0 && (
+                            <ul className="space-y-1">
+                              {row.errors.map((error) => (
+                                <li key={error}>{error}</li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BulkImport;
@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import {
+  ArrowPathIcon,
+  CheckCircleIcon,
+  TrashIcon,
+  ChatBubbleLeftRightIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import api from '../../services/api';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const statusColors = {
+  approved: 'bg-green-100 text-green-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  removed: 'bg-gray-100 text-gray-800'
+};
+
+const EndorsementModeration = () => {
+  const [endorsements, setEndorsements] = useState([]);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
+  const [categories, setCategories] = useState([]);
+  const [filters, setFilters] = useState({ category: '', status: '' });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [moderatingId, setModeratingId] = useState(null);
+
+  const fetchEndorsements = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page, limit: 20 };
+      if (filters.category) params.category = filters.category;
+      if (filters.status === 'reported') params.reported = true;
+      else if (filters.status) params.status = filters.status;
+
+      const response = await api.get('/admin/endorsements', { params });
+      setEndorsements(response.data.data.endorsements);
+      setPagination(response.data.data.pagination);
+    } catch (err) {
+      console.error('Error fetching endorsements:', err);
+      toast.error(err.response?.data?.message || 'Failed to load endorsements');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchEndorsements();
+  }, [fetchEndorsements]);
+
+  useEffect(() => {
+    api.get('/categories', { params: { limit: 100 } })
+      .then((response) => setCategories(response.data.data.categories))
+      .catch((err) => console.error('Error fetching categories:', err));
+  }, []);
+
+  const updateFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setPage(1);
+  };
+
+  const handleModerate = async (endorsement, action) => {
+    let notes;
+    if (action === 'remove') {
+      notes = window.prompt('Reason for removing this endorsement (optional)');
+      if (notes === null) return;
+    }
+
+    try {
+      setModeratingId(endorsement._id);
+      const response = await api.patch(
+        `/admin/nominees/${endorsement.nomineeId}/endorsements/${endorsement._id}`,
+        { action, notes: notes?.trim() || undefined }
+      );
+      toast.success(response.data.message);
+      fetchEndorsements();
+    } catch (err) {
+      console.error('Error moderating endorsement:', err);
+      toast.error(err.response?.data?.message || 'Failed to moderate endorsement');
+    } finally {
+      setModeratingId(null);
+    }
+  };
+
+  if (loading && endorsements.length === 0) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4"
+        >
+          <div>
+            <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
+              Endorsements
+            </h1>
+            <p className="text-gray-600 mt-1">Review endorsements held for blocked words or reported by users</p>
+          </div>
+          <button
+            onClick={fetchEndorsements}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            <ArrowPathIcon className="w-4 h-4" />
+            Refresh
+          </button>
+        </motion.div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 grid grid-cols-1 md:grid-cols-3 gap-3">
+          <select
+            value={filters.status}
+            onChange={(e) => updateFilter('status', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">Awaiting review</option>
+            <option value="reported">Reported</option>
+            <option value="pending">Held</option>
+            <option value="approved">Approved</option>
+            <option value="removed">Removed</option>
+          </select>
+          <select
+            value={filters.category}
+            onChange={(e) => updateFilter('category', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">All categories</option>
+            {categories.map((category) => (
+              <option key={category._id} value={category._id}>{category.name}</option>
+            ))}
+          </select>
+          <div className="flex items-center text-sm text-gray-600">
+            {pagination.total} endorsement(s)
+          </div>
+        </div>
+
+        {/* Endorsements */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          {endorsements.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <ChatBubbleLeftRightIcon className="w-10 h-10 mx-auto mb-2 text-gray-400" />
+              No endorsements to review.
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {endorsements.map((endorsement) => (
+                <li key={endorsement._id} className="p-4 flex flex-col md:flex-row gap-4">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex flex-wrap items-center gap-2 mb-1">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusColors[endorsement.status]}`}>
+                        {endorsement.status}
+                      </span>
+                      {endorsement.isReported && (
+                        <span className="px-2 py-1 text-xs font-medium rounded-full bg-red-100 text-red-800">
+                          reported {endorsement.reports.length}×
+                        </span>
+                      )}
+                      {!endorsement.isPublic && (
+                        <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-600">
+                          hidden by nominee
+                        </span>
+                      )}
+                      <span className="text-xs text-gray-500">
+                        {new Date(endorsement.createdAt).toLocaleString()}
+                      </span>
+                    </div>
+                    <p className="text-sm text-gray-900">
+                      <span className="font-medium">
+                        {endorsement.endorser.firstName} {endorsement.endorser.lastName}
+                      </span>
+                      {endorsement.title && <span className="text-gray-500"> · {endorsement.title}</span>}
+                      <span className="text-gray-500"> endorsed </span>
+                      <span className="font-medium">{endorsement.nominee.trim() || 'Unknown nominee'}</span>
+                      <span className="text-gray-500"> in {endorsement.category}</span>
+                    </p>
+                    <p className="mt-2 text-sm text-gray-700 whitespace-pre-line">{endorsement.message}</p>
+                    {endorsement.flagReason && (
+                      <p className="mt-2 text-xs text-orange-700">{endorsement.flagReason}</p>
+                    )}
+                    {endorsement.reports.filter((report) => report.reason).length > 0 && (
+                      <ul className="mt-2 space-y-0.5">
+                        {endorsement.reports.filter((report) => report.reason).map((report) => (
+                          <li key={report._id} className="text-xs text-gray-500">“{report.reason}”</li>
+                        ))}
+                      </ul>
+                    )}
+                    {endorsement.moderationNotes && (
+                      <p className="mt-2 text-xs text-gray-500 italic">{endorsement.moderationNotes}</p>
+                    )}
+                  </div>
+                  <div className="flex md:flex-col gap-2 md:w-32">
+                    {(endorsement.status !== 'approved' || endorsement.isReported) && (
+                      <button
+                        onClick={() => handleModerate(endorsement, 'approve')}
+                        disabled={moderatingId === endorsement._id}
+                        className="flex items-center justify-center gap-1 px-3 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-50"
+                      >
+                        <CheckCircleIcon className="w-4 h-4" />
+                        Approve
+                      </button>
+                    )}
+                    {endorsement.status !== 'removed' && (
+                      <button
+                        onClick={() => handleModerate(endorsement, 'remove')}
+                        disabled={moderatingId === endorsement._id}
+                        className="flex items-center justify-center gap-1 px-3 py-2 bg-red-600 text-white rounded-lg text-sm hover:bg-red-700 disabled:opacity-50"
+                      >
+                        <TrashIcon className="w-4 h-4" />
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {pagination.pages > 1 && (
+            <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm">
+              <span className="text-gray-600">Page {pagination.current} of {pagination.pages}</span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1}
+                  className="px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= pagination.pages}
+                  className="px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EndorsementModeration;
@@ -0,0 +1,396 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import {
+  ArrowPathIcon,
+  CheckCircleIcon,
+  NoSymbolIcon,
+  ReceiptRefundIcon,
+  ShieldExclamationIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import api from '../../services/api';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const emptyFilters = {
+  category: '',
+  minScore: '',
+  reason: '',
+  status: '',
+  reviewed: false
+};
+
+const decisionColors = {
+  confirmed: 'bg-green-100 text-green-800',
+  voided: 'bg-gray-100 text-gray-800',
+  refunded: 'bg-yellow-100 text-yellow-800'
+};
+
+const formatNaira = (amount) => new Intl.NumberFormat('en-NG', {
+  style: 'currency',
+  currency: 'NGN'
+}).format(amount || 0);
+
+const scoreColor = (score) => {
+  if (score >= 80) return 'bg-red-100 text-red-800';
+  if (score >= 50) return 'bg-orange-100 text-orange-800';
+  return 'bg-yellow-100 text-yellow-800';
+};
+
+const FlaggedVotes = () => {
+  const [votes, setVotes] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
+  const [categories, setCategories] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [selected, setSelected] = useState([]);
+  const [notes, setNotes] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchVotes = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page, limit: 20, reviewed: filters.reviewed };
+      ['category', 'minScore', 'reason', 'status'].forEach((key) => {
+        if (filters[key] !== '') params[key] = filters[key];
+      });
+
+      const response = await api.get('/admin/votes/flagged', { params });
+      setVotes(response.data.data.votes);
+      setSummary(response.data.data.summary);
+      setPagination(response.data.data.pagination);
+      setSelected([]);
+    } catch (err) {
+      console.error('Error fetching flagged votes:', err);
+      toast.error(err.response?.data?.message || 'Failed to load flagged votes');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchVotes();
+  }, [fetchVotes]);
+
+  useEffect(() => {
+    api.get('/categories', { params: { limit: 100 } })
+      .then((response) => setCategories(response.data.data.categories))
+      .catch((err) => console.error('Error fetching categories:', err));
+  }, []);
+
+  const updateFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setPage(1);
+  };
+
+  const toggleSelected = (voteId) => {
+    setSelected(selected.includes(voteId)
+      ? selected.filter((id) => id !== voteId)
+      : [...selected, voteId]);
+  };
+
+  const toggleAll = () => {
+    setSelected(selected.length === votes.length ? [] : votes.map((vote) => vote._id));
+  };
+
+  const handleReview = async (decision) => {
+    if (selected.length === 0) return;
+    if (decision === 'refund' && !window.confirm(`Refund ${selected.length} vote(s) through the payment gateway? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await api.post('/admin/votes/review', {
+        voteIds: selected,
+        decision,
+        notes: notes.trim() || undefined
+      });
+      const { failed } = response.data.data;
+      if (failed.length > 0) {
+        toast.error(`${response.data.message}: ${failed[0].message}`);
+      } else {
+        toast.success(response.data.message);
+      }
+      setNotes('');
+      fetchVotes();
+    } catch (err) {
+      console.error('Error reviewing votes:', err);
+      toast.error(err.response?.data?.message || 'Failed to review votes');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading && votes.length === 0 && !summary) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4"
+        >
+          <div>
+            <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
+              Flagged Votes
+            </h1>
+            <p className="text-gray-600 mt-1">Review votes the fraud checks flagged or held back</p>
+          </div>
+          <button
+            onClick={fetchVotes}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            <ArrowPathIcon className="w-4 h-4" />
+            Refresh
+          </button>
+        </motion.div>
+
+        {/* Totals */}
+        {summary && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              [filters.reviewed ? 'Reviewed' : 'Awaiting review', pagination.total],
+              ['Held from count', summary.held],
+              ['Votes', summary.votes],
+              ['Amount', formatNaira(summary.amount)]
+            ].map(([label, value]) => (
+              <div key={label} className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+                <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</p>
+                <p className="text-2xl font-semibold text-gray-900">{value}</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Filters */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 grid grid-cols-1 md:grid-cols-5 gap-3">
+          <select
+            value={filters.category}
+            onChange={(e) => updateFilter('category', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">All categories</option>
+            {categories.map((category) => (
+              <option key={category._id} value={category._id}>{category.name}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            placeholder="Minimum score"
+            value={filters.minScore}
+            onChange={(e) => updateFilter('minScore', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <input
+            type="text"
+            placeholder="Reason contains, e.g. device"
+            value={filters.reason}
+            onChange={(e) => updateFilter('reason', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <select
+            value={filters.status}
+            onChange={(e) => updateFilter('status', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">Held and counted</option>
+            <option value="held">Held from count</option>
+            <option value="counted">Counted</option>
+          </select>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={filters.reviewed}
+              onChange={(e) => updateFilter('reviewed', e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Show past decisions
+          </label>
+        </div>
+
+        {/* Bulk actions */}
+        {!filters.reviewed && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 flex flex-col md:flex-row gap-3 md:items-center">
+            <span className="text-sm text-gray-600 whitespace-nowrap">{selected.length} selected</span>
+            <input
+              type="text"
+              placeholder="Review notes (optional)"
+              maxLength={500}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <div className="flex gap-2">
+              <button
+                onClick={() => handleReview('confirm')}
+                disabled={submitting || selected.length === 0}
+                className="flex items-center gap-1 px-3 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-50"
+              >
+                <CheckCircleIcon className="w-4 h-4" />
+                Confirm
+              </button>
+              <button
+                onClick={() => handleReview('void')}
+                disabled={submitting || selected.length === 0}
+                className="flex items-center gap-1 px-3 py-2 bg-gray-700 text-white rounded-lg text-sm hover:bg-gray-800 disabled:opacity-50"
+              >
+                <NoSymbolIcon className="w-4 h-4" />
+                Void
+              </button>
+              <button
+                onClick={() => handleReview('refund')}
+                disabled={submitting || selected.length === 0}
+                className="flex items-center gap-1 px-3 py-2 bg-yellow-600 text-white rounded-lg text-sm hover:bg-yellow-700 disabled:opacity-50"
+              >
+                <ReceiptRefundIcon className="w-4 h-4" />
+                Refund
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Votes */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          {votes.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <ShieldExclamationIcon className="w-10 h-10 mx-auto mb-2 text-gray-400" />
+              {filters.reviewed ? 'No review decisions yet.' : 'No flagged votes to review.'}
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {!filters.reviewed && (
+                      <th className="px-4 py-3">
+                        <input
+                          type="checkbox"
+                          checked={selected.length === votes.length}
+                          onChange={toggleAll}
+                          className="rounded border-gray-300"
+                        />
+                      </th>
+                    )}
+                    {['Date', 'Voter', 'Nominee', 'Votes', 'Amount', 'Score', 'Reason', filters.reviewed ? 'Decision' : 'Status'].map((heading) => (
+                      <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {votes.map((vote) => (
+                    <tr key={vote._id} className={selected.includes(vote._id) ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                      {!filters.reviewed && (
+                        <td className="px-4 py-3">
+                          <input
+                            type="checkbox"
+                            checked={selected.includes(vote._id)}
+                            onChange={() => toggleSelected(vote._id)}
+                            className="rounded border-gray-300"
+                          />
+                        </td>
+                      )}
+                      <td className="px-4 py-3 whitespace-nowrap text-gray-500">
+                        {new Date(vote.createdAt).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <div className="text-gray-900">
+                          {vote.voter ? `${vote.voter.firstName} ${vote.voter.lastName}` : '—'}
+                        </div>
+                        <div className="text-xs text-gray-500">{vote.voter?.email}</div>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-gray-700">
+                        {vote.nominee?.name || '—'}
+                        {vote.category && (
+                          <div className="text-xs text-gray-500">{vote.category.name}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-gray-700">{vote.quantity}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-gray-700">
+                        {formatNaira(vote.amount)}
+                        <div className="text-xs text-gray-500">{vote.payment?.gateway}</div>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${scoreColor(vote.fraudScore)}`}>
+                          {vote.fraudScore}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 text-gray-700 max-w-xs">
+                        {vote.payment?.fraudCheck?.signals?.length > 0 ? (
+                          <ul className="space-y-0.5">
+                            {vote.payment.fraudCheck.signals.map((signal) => (
+                              <li key={signal.rule + signal.detail} className="text-xs">
+                                {signal.detail} <span className="text-gray-400">+{signal.points}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        ) : (
+                          <span className="text-xs">{vote.flagReason || '—'}</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        {filters.reviewed ? (
+                          <div>
+                            <span className={`px-2 py-1 text-xs font-medium rounded-full ${decisionColors[vote.reviewDecision]}`}>
+                              {vote.reviewDecision}
+                            </span>
+                            <div className="text-xs text-gray-500 mt-1">
+                              {vote.reviewedBy ? `${vote.reviewedBy.firstName} ${vote.reviewedBy.lastName}` : ''}
+                              {vote.reviewedAt && ` · ${new Date(vote.reviewedAt).toLocaleDateString()}`}
+                            </div>
+                            {vote.reviewNotes && (
+                              <div className="text-xs text-gray-500 italic">{vote.reviewNotes}</div>
+                            )}
+                          </div>
+                        ) : (
+                          <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+                            vote.status === 'pending' ? 'bg-red-100 text-red-800' : 'bg-blue-100 text-blue-800'
+                          }`}>
+                            {vote.status === 'pending' ? 'held' : 'counted'}
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {pagination.pages > 1 && (
+            <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm">
+              <span className="text-gray-600">Page {pagination.current} of {pagination.pages}</span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1}
+                  className="px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= pagination.pages}
+                  className="px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FlaggedVotes;
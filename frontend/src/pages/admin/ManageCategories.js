@@ -16,10 +16,50 @@ import {
   FolderIcon
 } from '@heroicons/react/24/outline';
 import api from '../../services/api';
+import { useInstitution } from '../../contexts/InstitutionContext';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import ConfirmDialog from '../../components/common/ConfirmDialog';
 
+const STAGES = {
+  draft: { label: 'Draft', color: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300' },
+  nominations: { label: 'Nominations', color: 'bg-blue-100 text-blue-800 dark:bg-blue-900/20 dark:text-blue-400' },
+  review: { label: 'Review', color: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-400' },
+  voting: { label: 'Voting', color: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400' },
+  closed: { label: 'Closed', color: 'bg-orange-100 text-orange-800 dark:bg-orange-900/20 dark:text-orange-400' },
+  results_published: { label: 'Results Published', color: 'bg-purple-100 text-purple-800 dark:bg-purple-900/20 dark:text-purple-400' }
+};
+
+// Mirrors Category.STAGE_TRANSITIONS on the backend
+const STAGE_TRANSITIONS = {
+  draft: ['nominations'],
+  nominations: ['review', 'draft'],
+  review: ['voting', 'nominations'],
+  voting: ['closed'],
+  closed: ['results_published', 'voting'],
+  results_published: []
+};
+
+const toLocalInput = (date) => (date ? new Date(date).toISOString().slice(0, 16) : '');
+
+const emptyNominationSettings = {
+  startDate: '',
+  endDate: '',
+  maxNominationsPerNominator: '',
+  requireNomineeAcceptance: false,
+  requireReview: true
+};
+
+const emptyEligibility = {
+  faculties: [],
+  departments: [],
+  levels: [],
+  minLevel: '100',
+  maxLevel: '500',
+  applyToVoting: false
+};
+
 const ManageCategories = () => {
+  const { registry, faculties, departments } = useInstitution();
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -40,17 +80,33 @@ const ManageCategories = () => {
   const [formData, setFormData] = useState({
     name: '',
     description: '',
-    votingActive: false,
     votingStartDate: '',
     votingEndDate: '',
     maxNominees: 10,
+    paymentGateway: '',
+    votePrice: 100,
+    pricingTiers: [],
+    resultsVisibilityMode: 'live',
+    resultsRevealAt: '',
+    allowSelfNomination: true,
+    eligibilityCriteria: emptyEligibility,
+    nominationSettings: emptyNominationSettings,
     isActive: true
   });
   const [formErrors, setFormErrors] = useState({});
+  const [editions, setEditions] = useState([]);
+  // Empty means the active edition, where new categories are added by default
+  const [selectedEdition, setSelectedEdition] = useState('');
+
+  useEffect(() => {
+    api.get('/editions')
+      .then((response) => setEditions(response.data.data.editions))
+      .catch((err) => console.error('Error fetching editions:', err));
+  }, []);
 
   useEffect(() => {
     fetchCategories();
-  }, [page, rowsPerPage]);
+  }, [page, rowsPerPage, selectedEdition]);
 
   const fetchCategories = async () => {
     try {
@@ -60,7 +116,8 @@ const ManageCategories = () => {
       const response = await api.get('/categories', {
         params: {
           page: page + 1,
-          limit: rowsPerPage
+          limit: rowsPerPage,
+          edition: selectedEdition || undefined
         }
       });
       
@@ -80,10 +137,30 @@ const ManageCategories = () => {
       setFormData({
         name: category.name,
         description: category.description,
-        votingActive: category.votingActive,
-        votingStartDate: category.votingStartDate ? new Date(category.votingStartDate).toISOString().slice(0, 16) : '',
-        votingEndDate: category.votingEndDate ? new Date(category.votingEndDate).toISOString().slice(0, 16) : '',
+        votingStartDate: toLocalInput(category.votingSettings?.startDate),
+        votingEndDate: toLocalInput(category.votingSettings?.endDate),
         maxNominees: category.maxNominees,
+        paymentGateway: category.votingSettings?.paymentGateway || '',
+        votePrice: category.votingSettings?.votePrice || 100,
+        pricingTiers: (category.votingSettings?.pricingTiers || []).map((tier) => ({
+          ...tier,
+          startsAt: tier.startsAt ? new Date(tier.startsAt).toISOString().slice(0, 16) : '',
+          endsAt: tier.endsAt ? new Date(tier.endsAt).toISOString().slice(0, 16) : ''
+        })),
+        resultsVisibilityMode: category.resultsVisibility?.mode || 'live',
+        resultsRevealAt: category.resultsVisibility?.revealAt ? new Date(category.resultsVisibility.revealAt).toISOString().slice(0, 16) : '',
+        allowSelfNomination: category.allowSelfNomination !== false,
+        eligibilityCriteria: {
+          ...emptyEligibility,
+          ...category.eligibilityCriteria
+        },
+        nominationSettings: {
+          ...emptyNominationSettings,
+          ...category.nominationSettings,
+          startDate: toLocalInput(category.nominationSettings?.startDate),
+          endDate: toLocalInput(category.nominationSettings?.endDate),
+          maxNominationsPerNominator: category.nominationSettings?.maxNominationsPerNominator || ''
+        },
         isActive: category.isActive
       });
     } else {
@@ -91,10 +168,17 @@ const ManageCategories = () => {
       setFormData({
         name: '',
         description: '',
-        votingActive: false,
         votingStartDate: '',
         votingEndDate: '',
         maxNominees: 10,
+        paymentGateway: '',
+        votePrice: 100,
+        pricingTiers: [],
+        resultsVisibilityMode: 'live',
+        resultsRevealAt: '',
+        allowSelfNomination: true,
+        eligibilityCriteria: emptyEligibility,
+        nominationSettings: emptyNominationSettings,
         isActive: true
       });
     }
@@ -108,15 +192,75 @@ const ManageCategories = () => {
     setFormData({
       name: '',
       description: '',
-      votingActive: false,
       votingStartDate: '',
       votingEndDate: '',
       maxNominees: 10,
+      paymentGateway: '',
+      votePrice: 100,
+      pricingTiers: [],
+      resultsVisibilityMode: 'live',
+      resultsRevealAt: '',
+      allowSelfNomination: true,
+      eligibilityCriteria: emptyEligibility,
+      nominationSettings: emptyNominationSettings,
       isActive: true
     });
     setFormErrors({});
   };
 
+  const updateEligibility = (field, value) => {
+    setFormData({
+      ...formData,
+      eligibilityCriteria: { ...formData.eligibilityCriteria, [field]: value }
+    });
+  };
+
+  const updateNominationSettings = (field, value) => {
+    setFormData({
+      ...formData,
+      nominationSettings: { ...formData.nominationSettings, [field]: value }
+    });
+  };
+
+  // Selected entries since removed from the catalog stay visible so they
+  // can be unticked
+  const withUnlisted = (listed, selected) => [
+    ...listed,
+    ...selected.filter((value) => !listed.includes(value))
+  ];
+  const unlistedDepartments = formData.eligibilityCriteria.departments.filter(
+    (department) => !departments.includes(department)
+  );
+
+  const toggleEligibilityValue = (field, value) => {
+    const values = formData.eligibilityCriteria[field];
+    updateEligibility(field, values.includes(value) ? values.filter((item) => item !== value) : [...values, value]);
+  };
+
+  const addPricingTier = () => {
+    setFormData({
+      ...formData,
+      pricingTiers: [
+        ...formData.pricingTiers,
+        { name: '', quantity: 5, price: formData.votePrice * 5, startsAt: '', endsAt: '', isActive: true }
+      ]
+    });
+  };
+
+  const updatePricingTier = (index, field, value) => {
+    setFormData({
+      ...formData,
+      pricingTiers: formData.pricingTiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+    });
+  };
+
+  const removePricingTier = (index) => {
+    setFormData({
+      ...formData,
+      pricingTiers: formData.pricingTiers.filter((_, i) => i !== index)
+    });
+  };
+
   const validateForm = () => {
     const errors = {};
     
@@ -137,6 +281,35 @@ const ManageCategories = () => {
     if (formData.maxNominees < 1) {
       errors.maxNominees = 'Maximum nominees must be at least 1';
     }
+
+    if (formData.votePrice < 50 || formData.votePrice > 1000) {
+      errors.votePrice = 'Vote price must be between ₦50 and ₦1000';
+    }
+
+    const invalidTier = formData.pricingTiers.find((tier) =>
+      !tier.name.trim() ||
+      tier.quantity < 1 ||
+      tier.price < 50 ||
+      (tier.startsAt && tier.endsAt && new Date(tier.startsAt) >= new Date(tier.endsAt))
+    );
+    if (invalidTier) {
+      errors.pricingTiers = 'Each bundle needs a name, at least 1 vote, a price of at least ₦50 and an end after its start';
+    }
+
+    if (formData.resultsVisibilityMode === 'scheduled' && !formData.resultsRevealAt) {
+      errors.resultsRevealAt = 'Pick when the results should be revealed';
+    }
+
+    const { startDate: nominationStart, endDate: nominationEnd } = formData.nominationSettings;
+    if (nominationStart && nominationEnd && new Date(nominationStart) >= new Date(nominationEnd)) {
+      errors.nominationSettings = 'Nominations must end after they start';
+    } else if (nominationEnd && formData.votingStartDate && new Date(nominationEnd) > new Date(formData.votingStartDate)) {
+      errors.nominationSettings = 'Nominations must close before voting starts';
+    }
+
+    if (Number(formData.eligibilityCriteria.minLevel) > Number(formData.eligibilityCriteria.maxLevel)) {
+      errors.eligibility = 'Minimum level cannot be above maximum level';
+    }
     
     setFormErrors(errors);
     return Object.keys(errors).length === 0;
@@ -149,17 +322,34 @@ const ManageCategories = () => {
       setError('');
       setSuccess('');
       
+      const { resultsVisibilityMode, resultsRevealAt, ...fields } = formData;
       const submitData = {
-        ...formData,
+        ...fields,
         votingStartDate: formData.votingStartDate ? new Date(formData.votingStartDate).toISOString() : null,
-        votingEndDate: formData.votingEndDate ? new Date(formData.votingEndDate).toISOString() : null
+        votingEndDate: formData.votingEndDate ? new Date(formData.votingEndDate).toISOString() : null,
+        pricingTiers: formData.pricingTiers.map((tier) => ({
+          ...tier,
+          startsAt: tier.startsAt ? new Date(tier.startsAt).toISOString() : null,
+          endsAt: tier.endsAt ? new Date(tier.endsAt).toISOString() : null
+        })),
+        resultsVisibility: {
+          mode: resultsVisibilityMode,
+          revealAt: resultsVisibilityMode === 'scheduled' && resultsRevealAt ? new Date(resultsRevealAt).toISOString() : null
+        },
+        eligibilityCriteria: formData.eligibilityCriteria,
+        nominationSettings: {
+          ...formData.nominationSettings,
+          startDate: formData.nominationSettings.startDate ? new Date(formData.nominationSettings.startDate).toISOString() : null,
+          endDate: formData.nominationSettings.endDate ? new Date(formData.nominationSettings.endDate).toISOString() : null,
+          maxNominationsPerNominator: formData.nominationSettings.maxNominationsPerNominator || null
+        }
       };
       
       if (editingCategory) {
         await api.put(`/categories/${editingCategory._id}`, submitData);
         setSuccess('Category updated successfully');
       } else {
-        await api.post('/categories', submitData);
+        await api.post('/categories', { ...submitData, edition: selectedEdition || undefined });
         setSuccess('Category created successfully');
       }
       
@@ -187,17 +377,17 @@ const ManageCategories = () => {
     }
   };
 
-  const handleToggleVoting = async (category) => {
+  const handleChangeStage = async (category, stage) => {
     try {
       setError('');
       setSuccess('');
       
-      await api.patch(`/admin/categories/${category._id}/toggle-voting`);
-      setSuccess(`Voting ${category.votingActive ? 'disabled' : 'enabled'} for ${category.name}`);
+      const response = await api.patch(`/categories/${category._id}/stage`, { stage });
+      setSuccess(response.data.message);
       fetchCategories();
     } catch (err) {
-      console.error('Error toggling voting:', err);
-      setError(err.response?.data?.message || 'Failed to toggle voting status');
+      console.error('Error changing category stage:', err);
+      setError(err.response?.data?.message || 'Failed to change category stage');
     }
   };
 
@@ -262,15 +452,33 @@ const ManageCategories = () => {
               </p>
             </div>
           </div>
-          <motion.button
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-            onClick={() => handleOpenDialog()}
-            className="flex items-center gap-2 px-6 py-3 bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 text-white rounded-xl shadow-lg transition-all duration-200"
-          >
-            <PlusIcon className="h-5 w-5" />
-            Add Category
-          </motion.button>
+          <div className="flex items-center gap-3">
+            {editions.length > 0 && (
+              <select
+                value={selectedEdition}
+                onChange={(e) => {
+                  setSelectedEdition(e.target.value);
+                  setPage(0);
+                }}
+                className="px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-xl bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-200 focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              >
+                {editions.map((edition) => (
+                  <option key={edition._id} value={edition.status === 'active' ? '' : edition._id}>
+                    {edition.name}{edition.status === 'active' ? ' (active)' : ` (${edition.status})`}
+                  </option>
+                ))}
+              </select>
+            )}
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => handleOpenDialog()}
+              className="flex items-center gap-2 px-6 py-3 bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 text-white rounded-xl shadow-lg transition-all duration-200"
+            >
+              <PlusIcon className="h-5 w-5" />
+              Add Category
+            </motion.button>
+          </div>
         </motion.div>
 
         {/* Alerts */}
@@ -324,7 +532,7 @@ const ManageCategories = () => {
                 <tr>
                   <th className="px-6 py-4 text-left text-sm font-semibold text-gray-900 dark:text-white">Name</th>
                   <th className="px-6 py-4 text-left text-sm font-semibold text-gray-900 dark:text-white">Description</th>
-                  <th className="px-6 py-4 text-left text-sm font-semibold text-gray-900 dark:text-white">Voting Status</th>
+                  <th className="px-6 py-4 text-left text-sm font-semibold text-gray-900 dark:text-white">Stage</th>
                   <th className="px-6 py-4 text-left text-sm font-semibold text-gray-900 dark:text-white">Voting Period</th>
                   <th className="px-6 py-4 text-left text-sm font-semibold text-gray-900 dark:text-white">Nominees</th>
                   <th className="px-6 py-4 text-left text-sm font-semibold text-gray-900 dark:text-white">Visibility</th>
@@ -354,19 +562,17 @@ const ManageCategories = () => {
                     </td>
                     <td className="px-6 py-4">
                       <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                        category.votingActive
-                          ? 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400'
-                          : 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300'
+                        (STAGES[category.lifecycleStage] || STAGES.draft).color
                       }`}>
-                        {category.votingActive ? 'Active' : 'Inactive'}
+                        {(STAGES[category.lifecycleStage] || STAGES.draft).label}
                       </span>
                     </td>
                     <td className="px-6 py-4">
-                      {category.votingStartDate && category.votingEndDate ? (
+                      {category.votingSettings?.startDate && category.votingSettings?.endDate ? (
                         <div className="text-sm text-gray-600 dark:text-gray-400">
-                          <div>{new Date(category.votingStartDate).toLocaleDateString()}</div>
+                          <div>{new Date(category.votingSettings.startDate).toLocaleDateString()}</div>
                           <div className="text-xs text-gray-500 dark:text-gray-500">
-                            to {new Date(category.votingEndDate).toLocaleDateString()}
+                            to {new Date(category.votingSettings.endDate).toLocaleDateString()}
                           </div>
                         </div>
                       ) : (
@@ -419,16 +625,19 @@ const ManageCategories = () => {
                                   <PencilIcon className="h-4 w-4" />
                                   Edit
                                 </button>
-                                <button
-                                  onClick={() => {
-                                    handleToggleVoting(category);
-                                    setOpenMenuId(null);
-                                  }}
-                                  className="flex items-center gap-3 w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors duration-200"
-                                >
-                                  <HandRaisedIcon className="h-4 w-4" />
-                                  {category.votingActive ? 'Disable Voting' : 'Enable Voting'}
-                                </button>
+                                {(STAGE_TRANSITIONS[category.lifecycleStage || 'draft'] || []).map((stage) => (
+                                  <button
+                                    key={stage}
+                                    onClick={() => {
+                                      handleChangeStage(category, stage);
+                                      setOpenMenuId(null);
+                                    }}
+                                    className="flex items-center gap-3 w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors duration-200"
+                                  >
+                                    <HandRaisedIcon className="h-4 w-4" />
+                                    Move to {STAGES[stage].label}
+                                  </button>
+                                ))}
                                 <button
                                   onClick={() => {
                                     handleToggleVisibility(category);
@@ -570,6 +779,285 @@ const ManageCategories = () => {
                       <p className="mt-1 text-sm text-red-600 dark:text-red-400">{formErrors.maxNominees}</p>
                     )}
                   </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      Payment Gateway
+                    </label>
+                    <select
+                      value={formData.paymentGateway}
+                      onChange={(e) => setFormData({ ...formData, paymentGateway: e.target.value })}
+                      className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-200 border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    >
+                      <option value="">Use system default</option>
+                      <option value="paystack">Paystack</option>
+                      <option value="flutterwave">Flutterwave</option>
+                      <option value="opay">OPay</option>
+                      <option value="mock">Mock (development only)</option>
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      Results Visibility
+                    </label>
+                    <select
+                      value={formData.resultsVisibilityMode}
+                      onChange={(e) => setFormData({ ...formData, resultsVisibilityMode: e.target.value })}
+                      className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-200 border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    >
+                      <option value="live">Live counts</option>
+                      <option value="ranks_only">Ranks only, hide counts until voting ends</option>
+                      <option value="after_voting">Hidden until voting ends</option>
+                      <option value="scheduled">Hidden until a reveal time</option>
+                    </select>
+                    {formData.resultsVisibilityMode === 'scheduled' && (
+                      <div className="mt-2">
+                        <input
+                          type="datetime-local"
+                          value={formData.resultsRevealAt}
+                          onChange={(e) => setFormData({ ...formData, resultsRevealAt: e.target.value })}
+                          className={`w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-200 ${
+                            formErrors.resultsRevealAt
+                              ? 'border-red-300 dark:border-red-600 bg-red-50 dark:bg-red-900/20'
+                              : 'border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700'
+                          } text-gray-900 dark:text-white`}
+                        />
+                        {formErrors.resultsRevealAt && (
+                          <p className="mt-1 text-sm text-red-600 dark:text-red-400">{formErrors.resultsRevealAt}</p>
+                        )}
+                      </div>
+                    )}
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                      Admins always see full results.
+                    </p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      Vote Price (₦)
+                    </label>
+                    <input
+                      type="number"
+                      min="50"
+                      max="1000"
+                      value={formData.votePrice}
+                      onChange={(e) => setFormData({ ...formData, votePrice: parseFloat(e.target.value) || 0 })}
+                      className={`w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-200 ${
+                        formErrors.votePrice
+                          ? 'border-red-300 dark:border-red-600 bg-red-50 dark:bg-red-900/20'
+                          : 'border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700'
+                      } text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400`}
+                    />
+                    {formErrors.votePrice && (
+                      <p className="mt-1 text-sm text-red-600 dark:text-red-400">{formErrors.votePrice}</p>
+                    )}
+                  </div>
+
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                        Vote Bundles
+                      </label>
+                      <button
+                        type="button"
+                        onClick={addPricingTier}
+                        disabled={formData.pricingTiers.length >= 10}
+                        className="inline-flex items-center text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                      >
+                        <PlusIcon className="h-4 w-4 mr-1" />
+                        Add bundle
+                      </button>
+                    </div>
+                    {formData.pricingTiers.length === 0 && (
+                      <p className="text-sm text-gray-500 dark:text-gray-400">
+                        No bundles. Votes are sold at the flat price only.
+                      </p>
+                    )}
+                    <div className="space-y-3">
+                      {formData.pricingTiers.map((tier, index) => (
+                        <div key={tier._id || index} className="p-3 border border-gray-200 dark:border-gray-600 rounded-xl space-y-2">
+                          <div className="grid grid-cols-12 gap-2 items-center">
+                            <input
+                              type="text"
+                              placeholder="Name, e.g. Supporter pack"
+                              value={tier.name}
+                              onChange={(e) => updatePricingTier(index, 'name', e.target.value)}
+                              className="col-span-5 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+                            />
+                            <input
+                              type="number"
+                              min="1"
+                              max="100"
+                              title="Votes"
+                              value={tier.quantity}
+                              onChange={(e) => updatePricingTier(index, 'quantity', parseInt(e.target.value) || 0)}
+                              className="col-span-2 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+                            />
+                            <input
+                              type="number"
+                              min="50"
+                              title="Total price (₦)"
+                              value={tier.price}
+                              onChange={(e) => updatePricingTier(index, 'price', parseFloat(e.target.value) || 0)}
+                              className="col-span-3 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+                            />
+                            <div className="col-span-2 flex items-center justify-end gap-2">
+                              <input
+                                type="checkbox"
+                                title="Active"
+                                checked={tier.isActive}
+                                onChange={(e) => updatePricingTier(index, 'isActive', e.target.checked)}
+                                className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                              />
+                              <button
+                                type="button"
+                                onClick={() => removePricingTier(index)}
+                                className="text-red-500 hover:text-red-700"
+                              >
+                                <TrashIcon className="h-4 w-4" />
+                              </button>
+                            </div>
+                          </div>
+                          <div className="grid grid-cols-2 gap-2">
+                            <input
+                              type="datetime-local"
+                              title="Promo starts (optional)"
+                              value={tier.startsAt}
+                              onChange={(e) => updatePricingTier(index, 'startsAt', e.target.value)}
+                              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+                            />
+                            <input
+                              type="datetime-local"
+                              title="Promo ends (optional)"
+                              value={tier.endsAt}
+                              onChange={(e) => updatePricingTier(index, 'endsAt', e.target.value)}
+                              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+                            />
+                          </div>
+                          {tier.quantity > 0 && (
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                              ₦{(tier.price / tier.quantity).toFixed(2)} per vote
+                              {tier.price < tier.quantity * formData.votePrice &&
+                                ` · saves ₦${(tier.quantity * formData.votePrice - tier.price).toLocaleString()}`}
+                            </p>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                    {formErrors.pricingTiers && (
+                      <p className="mt-1 text-sm text-red-600 dark:text-red-400">{formErrors.pricingTiers}</p>
+                    )}
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      Eligibility
+                    </label>
+                    <div className="space-y-3 p-4 border border-gray-200 dark:border-gray-700 rounded-xl">
+                      <div>
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">Faculties (none selected allows all)</p>
+                        <div className="flex flex-wrap gap-2">
+                          {withUnlisted(faculties.map((faculty) => faculty.name), formData.eligibilityCriteria.faculties).map((faculty) => (
+                            <label key={faculty} className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300">
+                              <input
+                                type="checkbox"
+                                checked={formData.eligibilityCriteria.faculties.includes(faculty)}
+                                onChange={() => toggleEligibilityValue('faculties', faculty)}
+                                className="w-4 h-4 text-indigo-600 border-gray-300 rounded"
+                              />
+                              {faculty}
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+                      <div>
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">Departments (none selected allows all)</p>
+                        <div className="space-y-2 max-h-48 overflow-y-auto">
+                          {faculties.filter((faculty) => faculty.departments.length > 0).map((faculty) => (
+                            <div key={faculty._id}>
+                              <p className="text-xs font-medium text-gray-600 dark:text-gray-300">{faculty.name}</p>
+                              <div className="flex flex-wrap gap-2">
+                                {faculty.departments.map((department) => (
+                                  <label key={department._id} className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300">
+                                    <input
+                                      type="checkbox"
+                                      checked={formData.eligibilityCriteria.departments.includes(department.name)}
+                                      onChange={() => toggleEligibilityValue('departments', department.name)}
+                                      className="w-4 h-4 text-indigo-600 border-gray-300 rounded"
+                                    />
+                                    {department.name}
+                                  </label>
+                                ))}
+                              </div>
+                            </div>
+                          ))}
+                          {unlistedDepartments.length > 0 && (
+                            <div>
+                              <p className="text-xs font-medium text-gray-600 dark:text-gray-300">No longer offered</p>
+                              <div className="flex flex-wrap gap-2">
+                                {unlistedDepartments.map((department) => (
+                                  <label key={department} className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300">
+                                    <input
+                                      type="checkbox"
+                                      checked
+                                      onChange={() => toggleEligibilityValue('departments', department)}
+                                      className="w-4 h-4 text-indigo-600 border-gray-300 rounded"
+                                    />
+                                    {department}
+                                  </label>
+                                ))}
+                              </div>
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                      <div>
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">Levels (none selected allows all)</p>
+                        <div className="flex flex-wrap gap-3">
+                          {registry.levels.map((level) => (
+                            <label key={level} className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300">
+                              <input
+                                type="checkbox"
+                                checked={formData.eligibilityCriteria.levels.includes(level)}
+                                onChange={() => toggleEligibilityValue('levels', level)}
+                                className="w-4 h-4 text-indigo-600 border-gray-300 rounded"
+                              />
+                              {level}
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+                      <div className="grid grid-cols-2 gap-3">
+                        <select
+                          value={formData.eligibilityCriteria.minLevel}
+                          onChange={(e) => updateEligibility('minLevel', e.target.value)}
+                          className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+                        >
+                          {registry.levels.map((level) => <option key={level} value={level}>Min level {level}</option>)}
+                        </select>
+                        <select
+                          value={formData.eligibilityCriteria.maxLevel}
+                          onChange={(e) => updateEligibility('maxLevel', e.target.value)}
+                          className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+                        >
+                          {registry.levels.map((level) => <option key={level} value={level}>Max level {level}</option>)}
+                        </select>
+                      </div>
+                      <label className="flex items-center gap-3">
+                        <input
+                          type="checkbox"
+                          checked={formData.eligibilityCriteria.applyToVoting}
+                          onChange={(e) => updateEligibility('applyToVoting', e.target.checked)}
+                          className="w-5 h-5 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500 focus:ring-2"
+                        />
+                        <span className="text-sm text-gray-700 dark:text-gray-300">Only eligible students may vote</span>
+                      </label>
+                    </div>
+                    {formErrors.eligibility && (
+                      <p className="mt-1 text-sm text-red-600 dark:text-red-400">{formErrors.eligibility}</p>
+                    )}
+                  </div>
                   
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                     <div>
@@ -611,25 +1099,82 @@ const ManageCategories = () => {
                     </div>
                   </div>
                   
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      Nominations
+                    </label>
+                    <div className="space-y-3 p-4 border border-gray-200 dark:border-gray-700 rounded-xl">
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        <input
+                          type="datetime-local"
+                          title="Nominations open (optional)"
+                          value={formData.nominationSettings.startDate}
+                          onChange={(e) => updateNominationSettings('startDate', e.target.value)}
+                          className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+                        />
+                        <input
+                          type="datetime-local"
+                          title="Nominations close (optional)"
+                          value={formData.nominationSettings.endDate}
+                          onChange={(e) => updateNominationSettings('endDate', e.target.value)}
+                          className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+                        />
+                      </div>
+                      <input
+                        type="number"
+                        min="1"
+                        max="100"
+                        value={formData.nominationSettings.maxNominationsPerNominator}
+                        onChange={(e) => updateNominationSettings('maxNominationsPerNominator', e.target.value ? parseInt(e.target.value) : '')}
+                        placeholder="Max nominations per nominator (empty for unlimited)"
+                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+                      />
+                      <label className="flex items-center gap-3">
+                        <input
+                          type="checkbox"
+                          checked={formData.nominationSettings.requireReview}
+                          onChange={(e) => updateNominationSettings('requireReview', e.target.checked)}
+                          className="w-5 h-5 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500 focus:ring-2"
+                        />
+                        <span className="text-sm text-gray-700 dark:text-gray-300">Admins review nominations before they are approved</span>
+                      </label>
+                      <label className="flex items-center gap-3">
+                        <input
+                          type="checkbox"
+                          checked={formData.nominationSettings.requireNomineeAcceptance}
+                          onChange={(e) => updateNominationSettings('requireNomineeAcceptance', e.target.checked)}
+                          className="w-5 h-5 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500 focus:ring-2"
+                        />
+                        <span className="text-sm text-gray-700 dark:text-gray-300">Nominees must accept their nomination</span>
+                      </label>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        Nominations are only taken while the category is in the Nominations stage and inside this window. Use the row menu to move between stages.
+                      </p>
+                    </div>
+                    {formErrors.nominationSettings && (
+                      <p className="mt-1 text-sm text-red-600 dark:text-red-400">{formErrors.nominationSettings}</p>
+                    )}
+                  </div>
+                  
                   <div className="space-y-4">
                     <label className="flex items-center gap-3">
                       <input
                         type="checkbox"
-                        checked={formData.votingActive}
-                        onChange={(e) => setFormData({ ...formData, votingActive: e.target.checked })}
+                        checked={formData.isActive}
+                        onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
                         className="w-5 h-5 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500 focus:ring-2"
                       />
-                      <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Voting Active</span>
+                      <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Active Category</span>
                     </label>
                     
                     <label className="flex items-center gap-3">
                       <input
                         type="checkbox"
-                        checked={formData.isActive}
-                        onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                        checked={formData.allowSelfNomination}
+                        onChange={(e) => setFormData({ ...formData, allowSelfNomination: e.target.checked })}
                         className="w-5 h-5 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500 focus:ring-2"
                       />
-                      <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Active Category</span>
+                      <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Allow Self-Nomination</span>
                     </label>
                   </div>
                 </div>
@@ -0,0 +1,454 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  ArrowPathIcon,
+  PlusIcon,
+  PencilIcon,
+  CalendarDaysIcon,
+  DocumentDuplicateIcon,
+  CheckCircleIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { editionsAPI } from '../../services/api';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const statusColors = {
+  active: 'bg-green-100 text-green-800',
+  upcoming: 'bg-blue-100 text-blue-800',
+  archived: 'bg-gray-100 text-gray-800'
+};
+
+const emptyForm = {
+  name: '',
+  year: new Date().getFullYear(),
+  description: '',
+  startDate: '',
+  endDate: ''
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '—');
+
+const ManageEditions = () => {
+  const [editions, setEditions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [openDialog, setOpenDialog] = useState(false);
+  const [editingEdition, setEditingEdition] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [cloneTarget, setCloneTarget] = useState(null);
+  const [cloneSource, setCloneSource] = useState('');
+
+  const fetchEditions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await editionsAPI.getAll();
+      setEditions(response.data.data.editions);
+    } catch (err) {
+      console.error('Error fetching editions:', err);
+      toast.error('Failed to load editions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchEditions();
+  }, [fetchEditions]);
+
+  const handleOpenDialog = (edition = null) => {
+    if (edition) {
+      setEditingEdition(edition);
+      setFormData({
+        name: edition.name,
+        year: edition.year,
+        description: edition.description || '',
+        startDate: edition.startDate ? edition.startDate.slice(0, 10) : '',
+        endDate: edition.endDate ? edition.endDate.slice(0, 10) : ''
+      });
+    } else {
+      setEditingEdition(null);
+      setFormData(emptyForm);
+    }
+    setFormErrors({});
+    setOpenDialog(true);
+  };
+
+  const handleCloseDialog = () => {
+    setOpenDialog(false);
+    setEditingEdition(null);
+    setFormData(emptyForm);
+    setFormErrors({});
+  };
+
+  const validateForm = () => {
+    const errors = {};
+
+    if (formData.name.trim().length < 2) {
+      errors.name = 'Name must be at least 2 characters';
+    }
+    const year = Number(formData.year);
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+      errors.year = 'Year must be between 2000 and 2100';
+    }
+    if (formData.startDate && formData.endDate && new Date(formData.endDate) <= new Date(formData.startDate)) {
+      errors.endDate = 'End must be after start';
+    }
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleSubmit = async () => {
+    if (!validateForm()) return;
+
+    try {
+      setSaving(true);
+      const payload = {
+        name: formData.name.trim(),
+        year: Number(formData.year),
+        description: formData.description,
+        startDate: formData.startDate || null,
+        endDate: formData.endDate || null
+      };
+
+      if (editingEdition) {
+        await editionsAPI.update(editingEdition._id, payload);
+        toast.success('Edition updated');
+      } else {
+        await editionsAPI.create(payload);
+        toast.success('Edition created');
+      }
+
+      handleCloseDialog();
+      fetchEditions();
+    } catch (err) {
+      console.error('Error saving edition:', err);
+      toast.error(err.response?.data?.message || 'Failed to save edition');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleActivate = async (edition) => {
+    const active = editions.find((item) => item.status === 'active');
+    const warning = active
+      ? `Make ${edition.name} the active edition? ${active.name} will be archived and its results kept for browsing.`
+      : `Make ${edition.name} the active edition?`;
+    if (!window.confirm(warning)) return;
+
+    try {
+      const response = await editionsAPI.activate(edition._id);
+      toast.success(response.data.message);
+      fetchEditions();
+    } catch (err) {
+      console.error('Error activating edition:', err);
+      toast.error(err.response?.data?.message || 'Failed to activate edition');
+    }
+  };
+
+  const handleOpenClone = (edition) => {
+    const previous = editions.find((item) => item._id !== edition._id && item.categoryCount > 0);
+    setCloneTarget(edition);
+    setCloneSource(previous?._id || '');
+  };
+
+  const handleClone = async () => {
+    if (!cloneSource) return;
+
+    try {
+      setSaving(true);
+      const response = await editionsAPI.cloneCategories(cloneTarget._id, cloneSource);
+      const { skipped } = response.data.data;
+      toast.success(response.data.message);
+      if (skipped.length > 0) {
+        toast(`${skipped.length} categor${skipped.length === 1 ? 'y was' : 'ies were'} already in ${cloneTarget.name}`);
+      }
+      setCloneTarget(null);
+      fetchEditions();
+    } catch (err) {
+      console.error('Error cloning categories:', err);
+      toast.error(err.response?.data?.message || 'Failed to copy categories');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && editions.length === 0) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4"
+        >
+          <div>
+            <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
+              Editions
+            </h1>
+            <p className="text-gray-600 mt-1">Each year's awards, with their own categories, nominees and votes</p>
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={fetchEditions}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              <ArrowPathIcon className="w-4 h-4" />
+              Refresh
+            </button>
+            <button
+              onClick={() => handleOpenDialog()}
+              className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all"
+            >
+              <PlusIcon className="w-4 h-4" />
+              New Edition
+            </button>
+          </div>
+        </motion.div>
+
+        {/* Editions */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          {editions.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <CalendarDaysIcon className="w-10 h-10 mx-auto mb-2 text-gray-400" />
+              No editions yet.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Edition', 'Year', 'Status', 'Categories', 'Dates', ''].map((heading) => (
+                      <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {editions.map((edition) => (
+                    <tr key={edition._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4">
+                        <div className="text-sm font-medium text-gray-900">{edition.name}</div>
+                        {edition.description && (
+                          <div className="text-xs text-gray-500">{edition.description}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{edition.year}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusColors[edition.status]}`}>
+                          {edition.status}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{edition.categoryCount}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                        {formatDate(edition.startDate)} – {formatDate(edition.endDate)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">
+                        <div className="flex justify-end gap-2">
+                          {edition.status !== 'active' && (
+                            <button
+                              onClick={() => handleActivate(edition)}
+                              className="p-2 text-green-600 hover:bg-green-50 rounded-lg"
+                              title="Make active"
+                            >
+                              <CheckCircleIcon className="w-4 h-4" />
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleOpenClone(edition)}
+                            className="p-2 text-purple-600 hover:bg-purple-50 rounded-lg"
+                            title="Copy categories from another edition"
+                          >
+                            <DocumentDuplicateIcon className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleOpenDialog(edition)}
+                            className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"
+                            title="Edit"
+                          >
+                            <PencilIcon className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Add/Edit Dialog */}
+        <AnimatePresence>
+          {openDialog && (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+              onClick={(e) => e.target === e.currentTarget && handleCloseDialog()}
+            >
+              <motion.div
+                initial={{ opacity: 0, scale: 0.95, y: 20 }}
+                animate={{ opacity: 1, scale: 1, y: 0 }}
+                exit={{ opacity: 0, scale: 0.95, y: 20 }}
+                className="bg-white rounded-2xl shadow-2xl border border-gray-200 w-full max-w-xl max-h-[90vh] overflow-y-auto"
+              >
+                <div className="p-6 border-b border-gray-200">
+                  <h2 className="text-2xl font-bold text-gray-900">
+                    {editingEdition ? 'Edit Edition' : 'New Edition'}
+                  </h2>
+                </div>
+
+                <div className="p-6 space-y-4">
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div className="md:col-span-2">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                      <input
+                        type="text"
+                        value={formData.name}
+                        onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="2025 Awards"
+                      />
+                      {formErrors.name && <p className="mt-1 text-sm text-red-600">{formErrors.name}</p>}
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Year</label>
+                      <input
+                        type="number"
+                        min="2000"
+                        max="2100"
+                        value={formData.year}
+                        onChange={(e) => setFormData({ ...formData, year: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      {formErrors.year && <p className="mt-1 text-sm text-red-600">{formErrors.year}</p>}
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                    <input
+                      type="text"
+                      value={formData.description}
+                      onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+                      <input
+                        type="date"
+                        value={formData.startDate}
+                        onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+                      <input
+                        type="date"
+                        value={formData.endDate}
+                        onChange={(e) => setFormData({ ...formData, endDate: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      {formErrors.endDate && <p className="mt-1 text-sm text-red-600">{formErrors.endDate}</p>}
+                    </div>
+                  </div>
+                </div>
+
+                <div className="p-6 border-t border-gray-200 flex justify-end gap-3">
+                  <button
+                    onClick={handleCloseDialog}
+                    className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSubmit}
+                    disabled={saving}
+                    className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 disabled:opacity-50"
+                  >
+                    {saving ? 'Saving...' : editingEdition ? 'Save Changes' : 'Create Edition'}
+                  </button>
+                </div>
+              </motion.div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {/* Clone Dialog */}
+        <AnimatePresence>
+          {cloneTarget && (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+              onClick={(e) => e.target === e.currentTarget && setCloneTarget(null)}
+            >
+              <motion.div
+                initial={{ opacity: 0, scale: 0.95, y: 20 }}
+                animate={{ opacity: 1, scale: 1, y: 0 }}
+                exit={{ opacity: 0, scale: 0.95, y: 20 }}
+                className="bg-white rounded-2xl shadow-2xl border border-gray-200 w-full max-w-md"
+              >
+                <div className="p-6 border-b border-gray-200">
+                  <h2 className="text-2xl font-bold text-gray-900">Copy Categories</h2>
+                  <p className="text-sm text-gray-600 mt-1">
+                    Categories are copied into {cloneTarget.name} as drafts, with their dates moved to the new year.
+                  </p>
+                </div>
+
+                <div className="p-6">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Copy from</label>
+                  <select
+                    value={cloneSource}
+                    onChange={(e) => setCloneSource(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="">Select an edition</option>
+                    {editions
+                      .filter((edition) => edition._id !== cloneTarget._id)
+                      .map((edition) => (
+                        <option key={edition._id} value={edition._id}>
+                          {edition.name} ({edition.categoryCount} categories)
+                        </option>
+                      ))}
+                  </select>
+                </div>
+
+                <div className="p-6 border-t border-gray-200 flex justify-end gap-3">
+                  <button
+                    onClick={() => setCloneTarget(null)}
+                    className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleClone}
+                    disabled={saving || !cloneSource}
+                    className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 disabled:opacity-50"
+                  >
+                    {saving ? 'Copying...' : 'Copy Categories'}
+                  </button>
+                </div>
+              </motion.div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+    </div>
+  );
+};
+
+export default ManageEditions;
@@ -0,0 +1,380 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  ArrowPathIcon,
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  EyeIcon,
+  EyeSlashIcon,
+  BuildingLibraryIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { catalogAPI } from '../../services/api';
+import { useInstitution } from '../../contexts/InstitutionContext';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const emptyForm = {
+  name: '',
+  code: '',
+  faculty: '',
+  displayOrder: 0,
+  isActive: true
+};
+
+const ManageFaculties = () => {
+  const { refresh } = useInstitution();
+  const [faculties, setFaculties] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // { kind: 'faculty' | 'department', item } while the dialog is open
+  const [dialog, setDialog] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const fetchFaculties = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await catalogAPI.getAllFaculties();
+      setFaculties(response.data.data);
+    } catch (err) {
+      console.error('Error fetching faculties:', err);
+      toast.error('Failed to load faculties');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchFaculties();
+  }, [fetchFaculties]);
+
+  // Reload this page and the dropdowns everywhere else
+  const reload = () => {
+    fetchFaculties();
+    refresh();
+  };
+
+  const handleOpenDialog = (kind, item = null, facultyId = '') => {
+    setDialog({ kind, item });
+    setFormData(item ? {
+      name: item.name,
+      code: item.code || '',
+      faculty: item.faculty || '',
+      displayOrder: item.displayOrder || 0,
+      isActive: item.isActive
+    } : { ...emptyForm, faculty: facultyId, displayOrder: faculties.length });
+    setFormErrors({});
+  };
+
+  const handleCloseDialog = () => {
+    setDialog(null);
+    setFormData(emptyForm);
+    setFormErrors({});
+  };
+
+  const validateForm = () => {
+    const errors = {};
+
+    if (formData.name.trim().length < 2) {
+      errors.name = 'Name must be at least 2 characters';
+    }
+    if (formData.code.length > 10) {
+      errors.code = 'Code cannot exceed 10 characters';
+    }
+    if (dialog.kind === 'department' && !formData.faculty) {
+      errors.faculty = 'Pick the faculty this department belongs to';
+    }
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleSubmit = async () => {
+    if (!validateForm()) return;
+
+    const { kind, item } = dialog;
+    const payload = {
+      name: formData.name.trim(),
+      code: formData.code.trim(),
+      isActive: formData.isActive,
+      ...(kind === 'faculty'
+        ? { displayOrder: Number(formData.displayOrder) || 0 }
+        : { faculty: formData.faculty })
+    };
+
+    try {
+      setSaving(true);
+      if (kind === 'faculty') {
+        await (item ? catalogAPI.updateFaculty(item._id, payload) : catalogAPI.createFaculty(payload));
+      } else {
+        await (item ? catalogAPI.updateDepartment(item._id, payload) : catalogAPI.createDepartment(payload));
+      }
+      toast.success(`${kind === 'faculty' ? 'Faculty' : 'Department'} ${item ? 'updated' : 'created'}`);
+      handleCloseDialog();
+      reload();
+    } catch (err) {
+      console.error(`Error saving ${kind}:`, err);
+      toast.error(err.response?.data?.message || `Failed to save ${kind}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (kind, item) => {
+    try {
+      const update = kind === 'faculty' ? catalogAPI.updateFaculty : catalogAPI.updateDepartment;
+      await update(item._id, { isActive: !item.isActive });
+      toast.success(`${item.name} ${item.isActive ? 'hidden from' : 'shown on'} forms`);
+      reload();
+    } catch (err) {
+      console.error(`Error updating ${kind}:`, err);
+      toast.error(err.response?.data?.message || `Failed to update ${kind}`);
+    }
+  };
+
+  const handleDelete = async (kind, item) => {
+    if (!window.confirm(`Delete ${item.name}? Entries still in use can only be deactivated.`)) return;
+
+    try {
+      const remove = kind === 'faculty' ? catalogAPI.deleteFaculty : catalogAPI.deleteDepartment;
+      await remove(item._id);
+      toast.success(`${item.name} deleted`);
+      reload();
+    } catch (err) {
+      console.error(`Error deleting ${kind}:`, err);
+      toast.error(err.response?.data?.message || `Failed to delete ${kind}`);
+    }
+  };
+
+  const renderActions = (kind, item) => (
+    <div className="flex justify-end gap-1">
+      <button
+        onClick={() => handleToggleActive(kind, item)}
+        className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+        title={item.isActive ? 'Hide from forms' : 'Show on forms'}
+      >
+        {item.isActive ? <EyeSlashIcon className="w-4 h-4" /> : <EyeIcon className="w-4 h-4" />}
+      </button>
+      <button
+        onClick={() => handleOpenDialog(kind, item)}
+        className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"
+        title="Edit"
+      >
+        <PencilIcon className="w-4 h-4" />
+      </button>
+      <button
+        onClick={() => handleDelete(kind, item)}
+        className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+        title="Delete"
+      >
+        <TrashIcon className="w-4 h-4" />
+      </button>
+    </div>
+  );
+
+  if (loading && faculties.length === 0) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4"
+        >
+          <div>
+            <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
+              Faculties & Departments
+            </h1>
+            <p className="text-gray-600 mt-1">What students pick when they register and categories are limited to</p>
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={fetchFaculties}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              <ArrowPathIcon className="w-4 h-4" />
+              Refresh
+            </button>
+            <button
+              onClick={() => handleOpenDialog('faculty')}
+              className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all"
+            >
+              <PlusIcon className="w-4 h-4" />
+              New Faculty
+            </button>
+          </div>
+        </motion.div>
+
+        {/* Faculties */}
+        {faculties.length === 0 ? (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 text-center py-12 text-gray-500">
+            <BuildingLibraryIcon className="w-10 h-10 mx-auto mb-2 text-gray-400" />
+            No faculties yet.
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {faculties.map((faculty) => (
+              <div
+                key={faculty._id}
+                className={`bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden ${faculty.isActive ? '' : 'opacity-60'}`}
+              >
+                <div className="flex items-center justify-between px-6 py-4 bg-gray-50 border-b border-gray-200">
+                  <div>
+                    <div className="text-lg font-semibold text-gray-900">
+                      {faculty.name}
+                      {faculty.code && <span className="ml-2 text-xs font-mono text-gray-500">{faculty.code}</span>}
+                    </div>
+                    {!faculty.isActive && (
+                      <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-800">inactive</span>
+                    )}
+                  </div>
+                  {renderActions('faculty', faculty)}
+                </div>
+
+                <ul className="divide-y divide-gray-100">
+                  {faculty.departments.map((department) => (
+                    <li key={department._id} className="flex items-center justify-between px-6 py-2">
+                      <div className={`text-sm ${department.isActive ? 'text-gray-800' : 'text-gray-400 line-through'}`}>
+                        {department.name}
+                        {department.code && <span className="ml-2 text-xs font-mono text-gray-500">{department.code}</span>}
+                      </div>
+                      {renderActions('department', department)}
+                    </li>
+                  ))}
+                </ul>
+
+                <div className="px-6 py-3 border-t border-gray-100">
+                  <button
+                    onClick={() => handleOpenDialog('department', null, faculty._id)}
+                    className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    <PlusIcon className="w-4 h-4" />
+                    Add department
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Add/Edit Dialog */}
+        <AnimatePresence>
+          {dialog && (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+              onClick={(e) => e.target === e.currentTarget && handleCloseDialog()}
+            >
+              <motion.div
+                initial={{ opacity: 0, scale: 0.95, y: 20 }}
+                animate={{ opacity: 1, scale: 1, y: 0 }}
+                exit={{ opacity: 0, scale: 0.95, y: 20 }}
+                className="bg-white rounded-2xl shadow-2xl border border-gray-200 w-full max-w-lg"
+              >
+                <div className="p-6 border-b border-gray-200">
+                  <h2 className="text-2xl font-bold text-gray-900">
+                    {dialog.item ? 'Edit' : 'New'} {dialog.kind === 'faculty' ? 'Faculty' : 'Department'}
+                  </h2>
+                  {dialog.item && (
+                    <p className="text-sm text-gray-600 mt-1">
+                      Renaming also updates the users and category eligibility rules that use this name.
+                    </p>
+                  )}
+                </div>
+
+                <div className="p-6 space-y-4">
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div className="md:col-span-2">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                      <input
+                        type="text"
+                        value={formData.name}
+                        onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      {formErrors.name && <p className="mt-1 text-sm text-red-600">{formErrors.name}</p>}
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+                      <input
+                        type="text"
+                        maxLength={10}
+                        value={formData.code}
+                        onChange={(e) => setFormData({ ...formData, code: e.target.value.toUpperCase() })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono"
+                      />
+                      {formErrors.code && <p className="mt-1 text-sm text-red-600">{formErrors.code}</p>}
+                    </div>
+                  </div>
+
+                  {dialog.kind === 'faculty' ? (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Display order</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={formData.displayOrder}
+                        onChange={(e) => setFormData({ ...formData, displayOrder: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                  ) : (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Faculty</label>
+                      <select
+                        value={formData.faculty}
+                        onChange={(e) => setFormData({ ...formData, faculty: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        <option value="">Select a faculty</option>
+                        {faculties.map((faculty) => (
+                          <option key={faculty._id} value={faculty._id}>{faculty.name}</option>
+                        ))}
+                      </select>
+                      {formErrors.faculty && <p className="mt-1 text-sm text-red-600">{formErrors.faculty}</p>}
+                    </div>
+                  )}
+
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={formData.isActive}
+                      onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                      className="w-4 h-4 text-blue-600 border-gray-300 rounded"
+                    />
+                    Show on registration and category forms
+                  </label>
+                </div>
+
+                <div className="p-6 border-t border-gray-200 flex justify-end gap-3">
+                  <button
+                    onClick={handleCloseDialog}
+                    className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSubmit}
+                    disabled={saving}
+                    className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 disabled:opacity-50"
+                  >
+                    {saving ? 'Saving...' : dialog.item ? 'Save Changes' : 'Create'}
+                  </button>
+                </div>
+              </motion.div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+    </div>
+  );
+};
+
+export default ManageFaculties;
@@ -20,6 +20,7 @@ import {
   ExclamationTriangleIcon
 } from '@heroicons/react/24/outline';
 import api from '../../services/api';
+import { useInstitution } from '../../contexts/InstitutionContext';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import ConfirmDialog from '../../components/common/ConfirmDialog';
 
@@ -73,17 +74,7 @@ const ManageUsers = () => {
   const [anchorEl, setAnchorEl] = useState(null);
   const [selectedUser, setSelectedUser] = useState(null);
   
-  const departments = [
-    'Computer Science',
-    'Information Technology',
-    'Software Engineering',
-    'Data Science',
-    'Cybersecurity',
-    'Business Administration',
-    'Marketing',
-    'Finance',
-    'Human Resources'
-  ];
+  const { departments } = useInstitution();
   
   const roleOptions = [
     { value: 'student', label: 'Student', color: 'blue' },
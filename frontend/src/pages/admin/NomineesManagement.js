@@ -13,6 +13,8 @@ import {
   HandThumbUpIcon,
   PhotoIcon,
   CloudArrowUpIcon,
+  NoSymbolIcon,
+  ArrowUturnLeftIcon,
 } from "@heroicons/react/24/outline";
 import { useAuth } from "../../contexts/AuthContext";
 import api from "../../services/api";
@@ -38,6 +40,8 @@ const NomineesManagement = () => {
   });
   const [dragActive, setDragActive] = useState(false);
   const [imagePreview, setImagePreview] = useState(null);
+  const [disqualifyTarget, setDisqualifyTarget] = useState(null);
+  const [disqualifyForm, setDisqualifyForm] = useState({ reason: "", refundVotes: false });
 
   // Queries
   const {
@@ -154,6 +158,25 @@ const NomineesManagement = () => {
     },
   });
 
+  const disqualificationMutation = useMutation({
+    mutationFn: async ({ nominee, reason, refundVotes }) => {
+      const action = nominee.isDisqualified ? "reinstate" : "disqualify";
+      return api.patch(`/admin/nominees/${nominee._id}/${action}`, { reason, refundVotes });
+    },
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(["nominees"]);
+      setDisqualifyTarget(null);
+      toast.success(response.data.message);
+    },
+    onError: (error) => {
+      toast.error(
+        error.response?.data?.message ||
+          error.message ||
+          "Failed to update nominee"
+      );
+    },
+  });
+
   // Handlers
   const handleOpenModal = (nominee = null) => {
     setSelectedNominee(nominee);
@@ -290,6 +313,12 @@ const NomineesManagement = () => {
     setOpenMenuId(null);
   };
 
+  const handleOpenDisqualify = (nominee) => {
+    setDisqualifyTarget(nominee);
+    setDisqualifyForm({ reason: "", refundVotes: false });
+    setOpenMenuId(null);
+  };
+
   const getFilteredNominees = () => {
     if (!nominees || !Array.isArray(nominees)) return [];
 
@@ -538,6 +567,23 @@ const NomineesManagement = () => {
                                 </button>
                               </>
                             )}
+                            {nominee.status === "approved" && (
+                              <button
+                                onClick={() => handleOpenDisqualify(nominee)}
+                                className={`w-full px-4 py-2 text-left flex items-center ${
+                                  nominee.isDisqualified
+                                    ? "text-green-700 hover:bg-green-50"
+                                    : "text-orange-700 hover:bg-orange-50"
+                                }`}
+                              >
+                                {nominee.isDisqualified ? (
+                                  <ArrowUturnLeftIcon className="w-4 h-4 mr-3" />
+                                ) : (
+                                  <NoSymbolIcon className="w-4 h-4 mr-3" />
+                                )}
+                                {nominee.isDisqualified ? "Reinstate" : "Disqualify"}
+                              </button>
+                            )}
                             <button
                               onClick={() => handleDelete(nominee)}
                               className="w-full px-4 py-2 text-left text-red-700 hover:bg-red-50 flex items-center"
@@ -594,12 +640,23 @@ const NomineesManagement = () => {
                     >
                       {nominee.status}
                     </span>
+                    {nominee.isDisqualified && (
+                      <span className="px-3 py-1 rounded-full text-xs font-semibold bg-orange-100 text-orange-800">
+                        Disqualified
+                      </span>
+                    )}
                     <div className="flex items-center text-gray-600">
                       <HandThumbUpIcon className="w-4 h-4 mr-1 text-blue-500" />
                       <span className="text-sm">{nominee.statistics?.totalVotes || 0} votes</span>
                     </div>
                   </div>
 
+                  {nominee.isDisqualified && nominee.disqualificationReason && (
+                    <p className="text-xs text-orange-700 bg-orange-50 rounded-lg px-3 py-2 mb-4">
+                      {nominee.disqualificationReason}
+                    </p>
+                  )}
+
                   {/* Quick Actions for Pending */}
                   {nominee.status === "pending" && (
                     <div className="flex gap-2">
@@ -867,6 +924,92 @@ const NomineesManagement = () => {
             </motion.div>
           )}
         </AnimatePresence>
+
+        {/* Disqualify / Reinstate Modal */}
+        <AnimatePresence>
+          {disqualifyTarget && (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+              onClick={() => setDisqualifyTarget(null)}
+            >
+              <motion.div
+                initial={{ opacity: 0, scale: 0.95, y: 20 }}
+                animate={{ opacity: 1, scale: 1, y: 0 }}
+                exit={{ opacity: 0, scale: 0.95, y: 20 }}
+                onClick={(e) => e.stopPropagation()}
+                className="bg-white rounded-2xl shadow-2xl max-w-lg w-full"
+              >
+                <div className="px-6 py-4 border-b border-gray-200">
+                  <h2 className="text-2xl font-bold text-gray-900">
+                    {disqualifyTarget.isDisqualified ? "Reinstate" : "Disqualify"}{" "}
+                    {disqualifyTarget.student?.firstName} {disqualifyTarget.student?.lastName}
+                  </h2>
+                  <p className="text-sm text-gray-500 mt-1">
+                    The nominee will be emailed with the reason below.
+                  </p>
+                </div>
+                <div className="px-6 py-6 space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Reason *
+                    </label>
+                    <textarea
+                      rows={3}
+                      maxLength={500}
+                      value={disqualifyForm.reason}
+                      onChange={(e) => setDisqualifyForm({ ...disqualifyForm, reason: e.target.value })}
+                      className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  {!disqualifyTarget.isDisqualified && (
+                    <div className="space-y-2">
+                      <label className="flex items-start gap-2 text-sm text-gray-700">
+                        <input
+                          type="radio"
+                          checked={!disqualifyForm.refundVotes}
+                          onChange={() => setDisqualifyForm({ ...disqualifyForm, refundVotes: false })}
+                          className="mt-1"
+                        />
+                        <span>Keep paid votes on record for audit (they no longer count)</span>
+                      </label>
+                      <label className="flex items-start gap-2 text-sm text-gray-700">
+                        <input
+                          type="radio"
+                          checked={disqualifyForm.refundVotes}
+                          onChange={() => setDisqualifyForm({ ...disqualifyForm, refundVotes: true })}
+                          className="mt-1"
+                        />
+                        <span>Refund every paid vote through the payment gateway</span>
+                      </label>
+                    </div>
+                  )}
+                </div>
+                <div className="px-6 py-4 border-t border-gray-200 flex justify-end gap-3">
+                  <button
+                    onClick={() => setDisqualifyTarget(null)}
+                    className="px-6 py-2 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50 transition-colors duration-200"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={() => disqualificationMutation.mutate({ nominee: disqualifyTarget, ...disqualifyForm })}
+                    disabled={disqualificationMutation.isLoading || disqualifyForm.reason.trim().length < 5}
+                    className="px-6 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl hover:shadow-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {disqualificationMutation.isLoading
+                      ? "Saving..."
+                      : disqualifyTarget.isDisqualified
+                      ? "Reinstate"
+                      : "Disqualify"}
+                  </button>
+                </div>
+              </motion.div>
+            </motion.div>
+          )}
+        </AnimatePresence>
       </div>
     </div>
   );
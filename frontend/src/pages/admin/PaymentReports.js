@@ -30,6 +30,8 @@ import {
 } from 'recharts';
 import api from '../../services/api';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import WebhookEventsPanel from '../../components/admin/WebhookEventsPanel';
+import ReconciliationPanel from '../../components/admin/ReconciliationPanel';
 
 const PaymentReports = () => {
   const [payments, setPayments] = useState([]);
@@ -692,6 +694,12 @@ const PaymentReports = () => {
             </div>
           </div>
         </motion.div>
+
+        {/* Payment Reconciliation */}
+        <ReconciliationPanel />
+
+        {/* Webhook Event Log */}
+        <WebhookEventsPanel />
       </div>
     </div>
   );
@@ -0,0 +1,594 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  ArrowPathIcon,
+  PlusIcon,
+  PencilIcon,
+  TicketIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import api from '../../services/api';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const statusColors = {
+  active: 'bg-green-100 text-green-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  expired: 'bg-gray-100 text-gray-800',
+  exhausted: 'bg-yellow-100 text-yellow-800',
+  inactive: 'bg-red-100 text-red-800'
+};
+
+const emptyForm = {
+  code: '',
+  description: '',
+  sponsor: '',
+  discountType: 'percentage',
+  discountValue: 10,
+  maxQuantity: '',
+  maxRedemptions: '',
+  maxRedemptionsPerUser: 1,
+  categories: [],
+  startsAt: '',
+  endsAt: '',
+  isActive: true
+};
+
+const formatNaira = (amount) => new Intl.NumberFormat('en-NG', {
+  style: 'currency',
+  currency: 'NGN'
+}).format(amount || 0);
+
+const describeDiscount = (promoCode) => {
+  if (promoCode.discountType === 'free') return 'Free votes';
+  if (promoCode.discountType === 'percentage') return `${promoCode.discountValue}% off`;
+  return `${formatNaira(promoCode.discountValue)} off`;
+};
+
+const PromoCodes = () => {
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [openDialog, setOpenDialog] = useState(false);
+  const [editingCode, setEditingCode] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [selectedCode, setSelectedCode] = useState(null);
+  const [redemptions, setRedemptions] = useState([]);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [codesResponse, analyticsResponse] = await Promise.all([
+        api.get('/admin/promo-codes', { params: { limit: 100 } }),
+        api.get('/admin/promo-codes/analytics')
+      ]);
+      setPromoCodes(codesResponse.data.data.promoCodes);
+      setAnalytics(analyticsResponse.data.data);
+    } catch (err) {
+      console.error('Error fetching promo codes:', err);
+      toast.error('Failed to load promo codes');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+    api.get('/categories', { params: { limit: 100 } })
+      .then((response) => setCategories(response.data.data.categories))
+      .catch((err) => console.error('Error fetching categories:', err));
+  }, [fetchData]);
+
+  const fetchRedemptions = async (promoCode) => {
+    try {
+      setSelectedCode(promoCode);
+      const response = await api.get(`/admin/promo-codes/${promoCode._id}/redemptions`);
+      setRedemptions(response.data.data.redemptions);
+    } catch (err) {
+      console.error('Error fetching redemptions:', err);
+      toast.error('Failed to load redemptions');
+    }
+  };
+
+  const usageFor = (promoCodeId) =>
+    analytics?.byCode.find((item) => item._id === promoCodeId) || {};
+
+  const handleOpenDialog = (promoCode = null) => {
+    if (promoCode) {
+      setEditingCode(promoCode);
+      setFormData({
+        code: promoCode.code,
+        description: promoCode.description || '',
+        sponsor: promoCode.sponsor || '',
+        discountType: promoCode.discountType,
+        discountValue: promoCode.discountValue,
+        maxQuantity: promoCode.maxQuantity || '',
+        maxRedemptions: promoCode.maxRedemptions || '',
+        maxRedemptionsPerUser: promoCode.maxRedemptionsPerUser,
+        categories: promoCode.categories.map((category) => category._id || category),
+        startsAt: promoCode.startsAt ? new Date(promoCode.startsAt).toISOString().slice(0, 16) : '',
+        endsAt: promoCode.endsAt ? new Date(promoCode.endsAt).toISOString().slice(0, 16) : '',
+        isActive: promoCode.isActive
+      });
+    } else {
+      setEditingCode(null);
+      setFormData(emptyForm);
+    }
+    setFormErrors({});
+    setOpenDialog(true);
+  };
+
+  const handleCloseDialog = () => {
+    setOpenDialog(false);
+    setEditingCode(null);
+    setFormData(emptyForm);
+    setFormErrors({});
+  };
+
+  const validateForm = () => {
+    const errors = {};
+
+    if (!/^[A-Za-z0-9_-]{3,30}$/.test(formData.code.trim())) {
+      errors.code = 'Use 3-30 letters, numbers, dashes or underscores';
+    }
+
+    const value = Number(formData.discountValue);
+    if (formData.discountType === 'percentage' && (value <= 0 || value > 100)) {
+      errors.discountValue = 'Percentage must be between 1 and 100';
+    }
+    if (formData.discountType === 'fixed' && value <= 0) {
+      errors.discountValue = 'Discount must be greater than zero';
+    }
+
+    if (formData.startsAt && formData.endsAt && new Date(formData.endsAt) <= new Date(formData.startsAt)) {
+      errors.endsAt = 'End must be after start';
+    }
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleSubmit = async () => {
+    if (!validateForm()) return;
+
+    try {
+      setSaving(true);
+      const payload = {
+        ...formData,
+        code: formData.code.trim().toUpperCase(),
+        discountValue: formData.discountType === 'free' ? 0 : Number(formData.discountValue),
+        maxQuantity: formData.maxQuantity ? Number(formData.maxQuantity) : null,
+        maxRedemptions: formData.maxRedemptions ? Number(formData.maxRedemptions) : null,
+        maxRedemptionsPerUser: Number(formData.maxRedemptionsPerUser) || 1,
+        startsAt: formData.startsAt ? new Date(formData.startsAt).toISOString() : null,
+        endsAt: formData.endsAt ? new Date(formData.endsAt).toISOString() : null
+      };
+
+      if (editingCode) {
+        await api.put(`/admin/promo-codes/${editingCode._id}`, payload);
+        toast.success('Promo code updated');
+      } else {
+        await api.post('/admin/promo-codes', payload);
+        toast.success('Promo code created');
+      }
+
+      handleCloseDialog();
+      fetchData();
+    } catch (err) {
+      console.error('Error saving promo code:', err);
+      toast.error(err.response?.data?.message || 'Failed to save promo code');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (promoCode) => {
+    try {
+      await api.put(`/admin/promo-codes/${promoCode._id}`, { isActive: !promoCode.isActive });
+      toast.success(promoCode.isActive ? 'Promo code disabled' : 'Promo code enabled');
+      fetchData();
+    } catch (err) {
+      console.error('Error updating promo code:', err);
+      toast.error(err.response?.data?.message || 'Failed to update promo code');
+    }
+  };
+
+  const toggleCategory = (categoryId) => {
+    const selected = formData.categories.includes(categoryId)
+      ? formData.categories.filter((id) => id !== categoryId)
+      : [...formData.categories, categoryId];
+    setFormData({ ...formData, categories: selected });
+  };
+
+  if (loading && promoCodes.length === 0) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4"
+        >
+          <div>
+            <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
+              Promo Codes
+            </h1>
+            <p className="text-gray-600 mt-1">Sponsor discounts and free votes</p>
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={fetchData}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              <ArrowPathIcon className="w-4 h-4" />
+              Refresh
+            </button>
+            <button
+              onClick={() => handleOpenDialog()}
+              className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all"
+            >
+              <PlusIcon className="w-4 h-4" />
+              New Code
+            </button>
+          </div>
+        </motion.div>
+
+        {/* Totals */}
+        {analytics && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              ['Redemptions', analytics.totals.redemptions],
+              ['Votes', analytics.totals.votes],
+              ['Discount given', formatNaira(analytics.totals.discountTotal)],
+              ['Revenue collected', formatNaira(analytics.totals.revenue)]
+            ].map(([label, value]) => (
+              <div key={label} className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+                <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</p>
+                <p className="text-2xl font-semibold text-gray-900">{value}</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Codes */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          {promoCodes.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <TicketIcon className="w-10 h-10 mx-auto mb-2 text-gray-400" />
+              No promo codes yet.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Code', 'Discount', 'Status', 'Used', 'Votes', 'Discount given', 'Window', ''].map((heading) => (
+                      <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {promoCodes.map((promoCode) => {
+                    const usage = usageFor(promoCode._id);
+                    return (
+                      <tr
+                        key={promoCode._id}
+                        onClick={() => fetchRedemptions(promoCode)}
+                        className={`hover:bg-gray-50 cursor-pointer ${selectedCode?._id === promoCode._id ? 'bg-blue-50' : ''}`}
+                      >
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-mono font-medium text-gray-900">{promoCode.code}</div>
+                          {promoCode.sponsor && (
+                            <div className="text-xs text-gray-500">{promoCode.sponsor}</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {describeDiscount(promoCode)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusColors[promoCode.status]}`}>
+                            {promoCode.status}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {promoCode.redemptionCount}{promoCode.maxRedemptions ? ` / ${promoCode.maxRedemptions}` : ''}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{usage.votes || 0}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{formatNaira(usage.discountTotal)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-xs text-gray-500">
+                          {promoCode.startsAt ? new Date(promoCode.startsAt).toLocaleDateString() : 'Now'}
+                          {' – '}
+                          {promoCode.endsAt ? new Date(promoCode.endsAt).toLocaleDateString() : 'No end'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleToggleActive(promoCode);
+                            }}
+                            className="text-gray-600 hover:text-gray-900 mr-3"
+                          >
+                            {promoCode.isActive ? 'Disable' : 'Enable'}
+                          </button>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleOpenDialog(promoCode);
+                            }}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            <PencilIcon className="w-4 h-4 inline" />
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Redemptions of the selected code */}
+        {selectedCode && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900">
+                Redemptions of <span className="font-mono">{selectedCode.code}</span>
+              </h2>
+              <button onClick={() => setSelectedCode(null)} className="text-gray-400 hover:text-gray-600">
+                <XMarkIcon className="w-5 h-5" />
+              </button>
+            </div>
+            {redemptions.length === 0 ? (
+              <div className="text-center py-8 text-sm text-gray-500">No redemptions yet.</div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {['Date', 'Voter', 'Nominee', 'Votes', 'Paid', 'Discount', 'Status'].map((heading) => (
+                        <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          {heading}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {redemptions.map((redemption) => (
+                      <tr key={redemption._id}>
+                        <td className="px-6 py-3 whitespace-nowrap text-gray-500">
+                          {new Date(redemption.createdAt).toLocaleString()}
+                        </td>
+                        <td className="px-6 py-3 whitespace-nowrap text-gray-900">
+                          {redemption.user ? `${redemption.user.firstName} ${redemption.user.lastName}` : '—'}
+                        </td>
+                        <td className="px-6 py-3 whitespace-nowrap text-gray-700">
+                          {redemption.nominee?.name || '—'}
+                          {redemption.category && (
+                            <span className="text-xs text-gray-500"> · {redemption.category.name}</span>
+                          )}
+                        </td>
+                        <td className="px-6 py-3 whitespace-nowrap text-gray-700">{redemption.quantity}</td>
+                        <td className="px-6 py-3 whitespace-nowrap text-gray-700">{formatNaira(redemption.finalAmount)}</td>
+                        <td className="px-6 py-3 whitespace-nowrap text-gray-700">{formatNaira(redemption.discountAmount)}</td>
+                        <td className="px-6 py-3 whitespace-nowrap text-gray-700">{redemption.status}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Add/Edit Dialog */}
+        <AnimatePresence>
+          {openDialog && (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+              onClick={(e) => e.target === e.currentTarget && handleCloseDialog()}
+            >
+              <motion.div
+                initial={{ opacity: 0, scale: 0.95, y: 20 }}
+                animate={{ opacity: 1, scale: 1, y: 0 }}
+                exit={{ opacity: 0, scale: 0.95, y: 20 }}
+                className="bg-white rounded-2xl shadow-2xl border border-gray-200 w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+              >
+                <div className="p-6 border-b border-gray-200">
+                  <h2 className="text-2xl font-bold text-gray-900">
+                    {editingCode ? 'Edit Promo Code' : 'New Promo Code'}
+                  </h2>
+                </div>
+
+                <div className="p-6 space-y-4">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+                      <input
+                        type="text"
+                        value={formData.code}
+                        onChange={(e) => setFormData({ ...formData, code: e.target.value.toUpperCase() })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="SPONSOR2024"
+                      />
+                      {formErrors.code && <p className="mt-1 text-sm text-red-600">{formErrors.code}</p>}
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Sponsor</label>
+                      <input
+                        type="text"
+                        value={formData.sponsor}
+                        onChange={(e) => setFormData({ ...formData, sponsor: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                    <input
+                      type="text"
+                      value={formData.description}
+                      onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Discount type</label>
+                      <select
+                        value={formData.discountType}
+                        onChange={(e) => setFormData({ ...formData, discountType: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        <option value="percentage">Percentage off</option>
+                        <option value="fixed">Fixed amount off</option>
+                        <option value="free">Free votes</option>
+                      </select>
+                    </div>
+                    {formData.discountType !== 'free' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          {formData.discountType === 'percentage' ? 'Percent off' : 'Naira off'}
+                        </label>
+                        <input
+                          type="number"
+                          min="1"
+                          value={formData.discountValue}
+                          onChange={(e) => setFormData({ ...formData, discountValue: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                        {formErrors.discountValue && <p className="mt-1 text-sm text-red-600">{formErrors.discountValue}</p>}
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Total uses</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={formData.maxRedemptions}
+                        onChange={(e) => setFormData({ ...formData, maxRedemptions: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="Unlimited"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Uses per voter</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={formData.maxRedemptionsPerUser}
+                        onChange={(e) => setFormData({ ...formData, maxRedemptionsPerUser: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Max votes per use</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={formData.maxQuantity}
+                        onChange={(e) => setFormData({ ...formData, maxQuantity: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="Any"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+                      <input
+                        type="datetime-local"
+                        value={formData.startsAt}
+                        onChange={(e) => setFormData({ ...formData, startsAt: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+                      <input
+                        type="datetime-local"
+                        value={formData.endsAt}
+                        onChange={(e) => setFormData({ ...formData, endsAt: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      {formErrors.endsAt && <p className="mt-1 text-sm text-red-600">{formErrors.endsAt}</p>}
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Categories <span className="text-gray-400 font-normal">(none selected means all)</span>
+                    </label>
+                    <div className="flex flex-wrap gap-2">
+                      {categories.map((category) => (
+                        <button
+                          key={category._id}
+                          type="button"
+                          onClick={() => toggleCategory(category._id)}
+                          className={`px-3 py-1 rounded-full text-sm border ${
+                            formData.categories.includes(category._id)
+                              ? 'bg-blue-600 text-white border-blue-600'
+                              : 'bg-white text-gray-700 border-gray-300 hover:border-blue-400'
+                          }`}
+                        >
+                          {category.name}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={formData.isActive}
+                      onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    Active
+                  </label>
+                </div>
+
+                <div className="p-6 border-t border-gray-200 flex justify-end gap-3">
+                  <button
+                    onClick={handleCloseDialog}
+                    className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSubmit}
+                    disabled={saving}
+                    className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 disabled:opacity-50"
+                  >
+                    {saving ? 'Saving...' : editingCode ? 'Save Changes' : 'Create Code'}
+                  </button>
+                </div>
+              </motion.div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+    </div>
+  );
+};
+
+export default PromoCodes;
@@ -0,0 +1,425 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import {
+  ArrowPathIcon,
+  ArrowUpTrayIcon,
+  CheckBadgeIcon,
+  XCircleIcon,
+  IdentificationIcon,
+  MagnifyingGlassIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { studentRegistryAPI } from '../../services/api';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const statusColors = {
+  pending_review: 'bg-yellow-100 text-yellow-800',
+  verified: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+};
+
+const statusLabels = {
+  pending_review: 'Awaiting review',
+  verified: 'Verified',
+  rejected: 'Rejected'
+};
+
+const Pagination = ({ pagination, page, setPage }) => {
+  if (pagination.pages <= 1) return null;
+
+  return (
+    <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm">
+      <span className="text-gray-600">Page {pagination.current} of {pagination.pages}</span>
+      <div className="flex gap-2">
+        <button
+          onClick={() => setPage(page - 1)}
+          disabled={page <= 1}
+          className="px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+        >
+          Previous
+        </button>
+        <button
+          onClick={() => setPage(page + 1)}
+          disabled={page >= pagination.pages}
+          className="px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const StudentRegistry = () => {
+  const [tab, setTab] = useState('review');
+  const [loading, setLoading] = useState(true);
+
+  // Review queue
+  const [users, setUsers] = useState([]);
+  const [reviewPagination, setReviewPagination] = useState({ current: 1, pages: 1, total: 0 });
+  const [reviewStatus, setReviewStatus] = useState('pending_review');
+  const [reviewPage, setReviewPage] = useState(1);
+  const [notes, setNotes] = useState({});
+  const [reviewingId, setReviewingId] = useState(null);
+
+  // Registry
+  const [records, setRecords] = useState([]);
+  const [recordPagination, setRecordPagination] = useState({ current: 1, pages: 1, total: 0 });
+  const [recordPage, setRecordPage] = useState(1);
+  const [search, setSearch] = useState('');
+  const [file, setFile] = useState(null);
+  const [replace, setReplace] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await studentRegistryAPI.getVerifications({ page: reviewPage, limit: 20, status: reviewStatus });
+      setUsers(response.data.data.users);
+      setReviewPagination(response.data.data.pagination);
+    } catch (err) {
+      console.error('Error fetching student verifications:', err);
+      toast.error(err.response?.data?.message || 'Failed to load the review queue');
+    } finally {
+      setLoading(false);
+    }
+  }, [reviewPage, reviewStatus]);
+
+  const fetchRecords = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page: recordPage, limit: 20 };
+      if (search.trim()) params.search = search.trim();
+
+      const response = await studentRegistryAPI.getRecords(params);
+      setRecords(response.data.data.records);
+      setRecordPagination(response.data.data.pagination);
+    } catch (err) {
+      console.error('Error fetching student registry:', err);
+      toast.error(err.response?.data?.message || 'Failed to load the student registry');
+    } finally {
+      setLoading(false);
+    }
+  }, [recordPage, search]);
+
+  useEffect(() => {
+    if (tab === 'review') fetchUsers();
+  }, [tab, fetchUsers]);
+
+  useEffect(() => {
+    if (tab !== 'registry') return undefined;
+    // Wait for typing to pause before searching
+    const timer = setTimeout(fetchRecords, 300);
+    return () => clearTimeout(timer);
+  }, [tab, fetchRecords]);
+
+  const handleReview = async (user, decision) => {
+    const note = (notes[user._id] || '').trim();
+    if (decision === 'rejected' && note.length < 5) {
+      toast.error('Add a note explaining why the student ID is rejected');
+      return;
+    }
+
+    try {
+      setReviewingId(user._id);
+      const response = await studentRegistryAPI.review(user._id, { decision, notes: note || undefined });
+      toast.success(response.data.message);
+      setNotes({ ...notes, [user._id]: '' });
+      fetchUsers();
+    } catch (err) {
+      console.error('Error reviewing student:', err);
+      toast.error(err.response?.data?.message || 'Failed to review student');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!file) return;
+    if (replace && !window.confirm('Students missing from this file will be removed from the registry. Continue?')) return;
+
+    try {
+      setImporting(true);
+      const response = await studentRegistryAPI.importFile(file, replace);
+      setImportResult(response.data.data);
+      toast.success(response.data.message);
+      setFile(null);
+      setRecordPage(1);
+      fetchRecords();
+    } catch (err) {
+      console.error('Error importing student registry:', err);
+      toast.error(err.response?.data?.message || 'Failed to import the registry');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  if (loading && users.length === 0 && records.length === 0) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4"
+        >
+          <div>
+            <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
+              Student Registry
+            </h1>
+            <p className="text-gray-600 mt-1">The school's list of students, and registrations that did not match it</p>
+          </div>
+          <button
+            onClick={tab === 'review' ? fetchUsers : fetchRecords}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            <ArrowPathIcon className="w-4 h-4" />
+            Refresh
+          </button>
+        </motion.div>
+
+        {/* Tabs */}
+        <div className="flex gap-2 border-b border-gray-200">
+          {[['review', 'Review queue'], ['registry', 'Registry']].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setTab(key)}
+              className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px ${tab === key ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-600 hover:text-gray-900'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {tab === 'review' ? (
+          <>
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 grid grid-cols-1 md:grid-cols-3 gap-3">
+              <select
+                value={reviewStatus}
+                onChange={(e) => {
+                  setReviewStatus(e.target.value);
+                  setReviewPage(1);
+                }}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                {Object.entries(statusLabels).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <div className="flex items-center text-sm text-gray-600">
+                {reviewPagination.total} user(s)
+              </div>
+            </div>
+
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              {users.length === 0 ? (
+                <div className="text-center py-12 text-gray-500">
+                  <IdentificationIcon className="w-10 h-10 mx-auto mb-2 text-gray-400" />
+                  No students to show.
+                </div>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {users.map((user) => {
+                    const verification = user.studentVerification || {};
+                    const record = user.registryRecord;
+
+                    return (
+                      <li key={user._id} className="p-4 flex flex-col lg:flex-row gap-4">
+                        <div className="flex-1 min-w-0 space-y-2">
+                          <div className="flex flex-wrap items-center gap-2">
+                            <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusColors[verification.status]}`}>
+                              {statusLabels[verification.status]}
+                            </span>
+                            <span className="text-sm font-semibold text-gray-900">{user.firstName} {user.lastName}</span>
+                            <span className="text-sm text-gray-600">{user.email}</span>
+                          </div>
+
+                          <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+                            <div className="p-3 bg-gray-50 rounded-lg">
+                              <p className="text-xs font-medium text-gray-500 mb-1">Registered with</p>
+                              <p className="font-mono">{user.studentId || '—'}</p>
+                              <p className="text-gray-700">{[user.faculty, user.department, user.level && `${user.level} level`].filter(Boolean).join(' · ')}</p>
+                            </div>
+                            <div className="p-3 bg-gray-50 rounded-lg">
+                              <p className="text-xs font-medium text-gray-500 mb-1">School registry</p>
+                              {record ? (
+                                <>
+                                  <p>{record.firstName} {record.lastName}</p>
+                                  <p className="text-gray-700">{[record.faculty, record.department, `${record.level} level`].filter(Boolean).join(' · ')}</p>
+                                </>
+                              ) : (
+                                <p className="text-gray-500">Student ID not on the registry</p>
+                              )}
+                            </div>
+                          </div>
+
+                          {verification.reviewedAt && (
+                            <p className="text-xs text-gray-500">
+                              {statusLabels[verification.status]} by {verification.reviewedBy?.firstName} {verification.reviewedBy?.lastName}
+                              {' · '}{new Date(verification.reviewedAt).toLocaleString()}
+                              {verification.notes && <span className="italic"> · {verification.notes}</span>}
+                            </p>
+                          )}
+                        </div>
+
+                        {verification.status === 'pending_review' && (
+                          <div className="lg:w-72 space-y-2">
+                            <textarea
+                              rows={2}
+                              maxLength={500}
+                              placeholder="Notes (required to reject)"
+                              value={notes[user._id] || ''}
+                              onChange={(e) => setNotes({ ...notes, [user._id]: e.target.value })}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                            />
+                            <div className="flex gap-2">
+                              <button
+                                onClick={() => handleReview(user, 'verified')}
+                                disabled={reviewingId === user._id}
+                                className="flex-1 flex items-center justify-center gap-1 px-3 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-50"
+                              >
+                                <CheckBadgeIcon className="w-4 h-4" />
+                                Verify
+                              </button>
+                              <button
+                                onClick={() => handleReview(user, 'rejected')}
+                                disabled={reviewingId === user._id}
+                                className="flex-1 flex items-center justify-center gap-1 px-3 py-2 bg-red-600 text-white rounded-lg text-sm hover:bg-red-700 disabled:opacity-50"
+                              >
+                                <XCircleIcon className="w-4 h-4" />
+                                Reject
+                              </button>
+                            </div>
+                          </div>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+
+              <Pagination pagination={reviewPagination} page={reviewPage} setPage={setReviewPage} />
+            </div>
+          </>
+        ) : (
+          <>
+            {/* Import */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">Import CSV or Excel</h2>
+                <p className="text-sm text-gray-600">
+                  Columns: Student ID, First Name, Last Name, Faculty, Department (optional) and Level.
+                  Rows are added or updated by student ID.
+                </p>
+              </div>
+              <div className="flex flex-col md:flex-row md:items-center gap-3">
+                <input
+                  type="file"
+                  accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                  onChange={(e) => setFile(e.target.files[0] || null)}
+                  className="text-sm"
+                />
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={replace}
+                    onChange={(e) => setReplace(e.target.checked)}
+                    className="w-4 h-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  Remove students missing from this file
+                </label>
+                <button
+                  onClick={handleImport}
+                  disabled={!file || importing}
+                  className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 disabled:opacity-50"
+                >
+                  <ArrowUpTrayIcon className="w-4 h-4" />
+                  {importing ? 'Importing...' : 'Import'}
+                </button>
+              </div>
+
+              {importResult && (
+                <div className="text-sm space-y-2">
+                  <p className="text-gray-700">
+                    {importResult.rows} row(s): {importResult.created} added, {importResult.updated} updated
+                    {importResult.removed > 0 && `, ${importResult.removed} removed`}
+                    {importResult.skipped > 0 && `, ${importResult.skipped} skipped`}.
+                    {importResult.rechecked > 0 && ` ${importResult.rechecked} waiting user(s) are now verified.`}
+                  </p>
+                  {importResult.errors.length > 0 && (
+                    <ul className="max-h-48 overflow-y-auto p-3 bg-red-50 rounded-lg text-red-700 space-y-1">
+                      {importResult.errors.map((error) => (
+                        <li key={error.line}>Line {error.line}: {error.message}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {/* Records */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              <div className="p-4 border-b border-gray-200 flex items-center gap-3">
+                <div className="relative flex-1 max-w-md">
+                  <MagnifyingGlassIcon className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                  <input
+                    type="text"
+                    value={search}
+                    onChange={(e) => {
+                      setSearch(e.target.value);
+                      setRecordPage(1);
+                    }}
+                    placeholder="Search by student ID or name"
+                    className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                </div>
+                <span className="text-sm text-gray-600">{recordPagination.total} student(s)</span>
+              </div>
+
+              {records.length === 0 ? (
+                <div className="text-center py-12 text-gray-500">
+                  <IdentificationIcon className="w-10 h-10 mx-auto mb-2 text-gray-400" />
+                  {search ? 'No students match your search.' : 'No registry imported yet. Student status is self-declared until one is.'}
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        {['Student ID', 'Name', 'Faculty', 'Department', 'Level'].map((heading) => (
+                          <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            {heading}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {records.map((record) => (
+                        <tr key={record._id} className="hover:bg-gray-50">
+                          <td className="px-6 py-3 whitespace-nowrap text-sm font-mono text-gray-900">{record.studentId}</td>
+                          <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{record.lastName}, {record.firstName}</td>
+                          <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-700">{record.faculty}</td>
+                          <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-700">{record.department || '—'}</td>
+                          <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-700">{record.level}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <Pagination pagination={recordPagination} page={recordPage} setPage={setRecordPage} />
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StudentRegistry;
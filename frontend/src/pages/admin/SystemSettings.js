@@ -14,7 +14,8 @@ import {
   PlusIcon,
   ExclamationTriangleIcon,
   CheckCircleIcon,
-  XMarkIcon
+  XMarkIcon,
+  ClockIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../contexts/AuthContext';
 import api from '../../services/api';
@@ -28,7 +29,8 @@ const SystemSettings = () => {
   const [error, setError] = useState('');
   const [activeTab, setActiveTab] = useState(0);
   const [showApiKeyDialog, setShowApiKeyDialog] = useState(false);
-  const [newApiKey, setNewApiKey] = useState({ name: '', permissions: [] });
+  const [newApiKey, setNewApiKey] = useState({ name: '', permissions: [], expiresAt: '' });
+  const [createdApiKey, setCreatedApiKey] = useState(null);
   
   const [settings, setSettings] = useState({
     // General Settings
@@ -37,8 +39,13 @@ const SystemSettings = () => {
     maintenanceMode: false,
     registrationEnabled: true,
     votingEnabled: true,
+    nominationConsentDays: 7,
     
     // Payment Settings
+    paymentGateway: 'paystack',
+    paystackSecretKey: '',
+    flutterwaveSecretKey: '',
+    flutterwaveWebhookHash: '',
     opayMerchantId: '',
     opayPublicKey: '',
     opayPrivateKey: '',
@@ -72,6 +79,10 @@ const SystemSettings = () => {
     passwordMinLength: 8,
     requireEmailVerification: true,
     enableTwoFactor: false,
+    fraudDetectionEnabled: true,
+    fraudFlagThreshold: 50,
+    fraudHoldThreshold: 80,
+    endorsementBlockedWords: [],
     
     // Performance Settings
     cacheEnabled: true,
@@ -87,6 +98,8 @@ const SystemSettings = () => {
   });
   
   const [apiKeys, setApiKeys] = useState([]);
+  const [settingsHistory, setSettingsHistory] = useState([]);
+  const [restoringVersion, setRestoringVersion] = useState(null);
   const [systemStats, setSystemStats] = useState({
     uptime: 0,
     memoryUsage: 0,
@@ -104,7 +117,8 @@ const SystemSettings = () => {
     { label: 'Security', icon: ShieldCheckIcon },
     { label: 'Performance', icon: BoltIcon },
     { label: 'Notifications', icon: BellIcon },
-    { label: 'API Keys', icon: ServerIcon }
+    { label: 'API Keys', icon: ServerIcon },
+    { label: 'History', icon: ClockIcon }
   ];
 
   useEffect(() => {
@@ -125,6 +139,8 @@ const SystemSettings = () => {
       // Fetch API keys
       const apiResponse = await api.get('/admin/api-keys');
       setApiKeys(apiResponse.data.data);
+
+      await fetchSettingsHistory();
     } catch (err) {
       console.error('Error fetching settings:', err);
       setError('Failed to load system settings');
@@ -133,6 +149,15 @@ const SystemSettings = () => {
     }
   };
 
+  const fetchSettingsHistory = async () => {
+    try {
+      const response = await api.get('/admin/settings/history');
+      setSettingsHistory(response.data.data.revisions);
+    } catch (err) {
+      console.error('Error fetching settings history:', err);
+    }
+  };
+
   const fetchSystemStats = async () => {
     try {
       const response = await api.get('/admin/system-stats');
@@ -145,38 +170,82 @@ const SystemSettings = () => {
   const handleSaveSettings = async () => {
     try {
       setSaving(true);
-      await api.put('/admin/settings', settings);
-      toast.success('Settings saved successfully');
+      const response = await api.put('/admin/settings', settings);
+      setSettings({ ...settings, ...response.data.data });
+      toast.success(response.data.message || 'Settings saved successfully');
+      fetchSettingsHistory();
     } catch (err) {
       console.error('Error saving settings:', err);
-      toast.error('Failed to save settings');
+      const validationErrors = err.response?.data?.errors;
+      toast.error(
+        validationErrors?.length
+          ? validationErrors.map((e) => e.message).join(', ')
+          : err.response?.data?.message || 'Failed to save settings'
+      );
     } finally {
       setSaving(false);
     }
   };
 
+  const handleRestoreVersion = async (version) => {
+    if (!window.confirm(`Restore settings from version ${version}? Current values will be replaced.`)) {
+      return;
+    }
+
+    try {
+      setRestoringVersion(version);
+      const response = await api.post(`/admin/settings/history/${version}/restore`);
+      setSettings({ ...settings, ...response.data.data });
+      toast.success(response.data.message || `Settings restored from version ${version}`);
+      fetchSettingsHistory();
+    } catch (err) {
+      console.error('Error restoring settings:', err);
+      toast.error(err.response?.data?.message || 'Failed to restore settings');
+    } finally {
+      setRestoringVersion(null);
+    }
+  };
+
   const handleCreateApiKey = async () => {
     try {
-      const response = await api.post('/admin/api-keys', newApiKey);
-      setApiKeys([...apiKeys, response.data.data]);
-      setShowApiKeyDialog(false);
-      setNewApiKey({ name: '', permissions: [] });
+      const response = await api.post('/admin/api-keys', {
+        ...newApiKey,
+        expiresAt: newApiKey.expiresAt ? new Date(newApiKey.expiresAt).toISOString() : null
+      });
+      const { key, ...createdKey } = response.data.data;
+      setApiKeys([createdKey, ...apiKeys]);
+      setCreatedApiKey(key);
+      setNewApiKey({ name: '', permissions: [], expiresAt: '' });
       toast.success('API key created successfully');
     } catch (err) {
       console.error('Error creating API key:', err);
-      toast.error('Failed to create API key');
+      toast.error(err.response?.data?.message || 'Failed to create API key');
+    }
+  };
+
+  const handleCloseApiKeyDialog = () => {
+    setShowApiKeyDialog(false);
+    setCreatedApiKey(null);
+  };
+
+  const handleCopyApiKey = async () => {
+    try {
+      await navigator.clipboard.writeText(createdApiKey);
+      toast.success('API key copied to clipboard');
+    } catch (err) {
+      toast.error('Failed to copy API key');
     }
   };
 
   const handleDeleteApiKey = async (keyId) => {
-    if (window.confirm('Are you sure you want to delete this API key? This action cannot be undone.')) {
+    if (window.confirm('Are you sure you want to revoke this API key? Integrations using it will stop working immediately.')) {
       try {
         await api.delete(`/admin/api-keys/${keyId}`);
         setApiKeys(apiKeys.filter(key => key._id !== keyId));
-        toast.success('API key deleted successfully');
+        toast.success('API key revoked successfully');
       } catch (err) {
-        console.error('Error deleting API key:', err);
-        toast.error('Failed to delete API key');
+        console.error('Error revoking API key:', err);
+        toast.error(err.response?.data?.message || 'Failed to revoke API key');
       }
     }
   };
@@ -250,6 +319,12 @@ const SystemSettings = () => {
               System Settings
             </h1>
             <p className="text-gray-600 mt-2">Configure and manage system-wide settings</p>
+            {settings.version && (
+              <p className="text-sm text-gray-500 mt-1">
+                Version {settings.version}
+                {settings.updatedAt && ` · Last updated ${new Date(settings.updatedAt).toLocaleString()}`}
+              </p>
+            )}
           </div>
           <div className="flex gap-3 mt-4 sm:mt-0">
             <motion.button
@@ -429,6 +504,29 @@ const SystemSettings = () => {
                         </label>
                       </div>
                     </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Max Votes Per User</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={settings.maxVotesPerUser}
+                        onChange={(e) => setSettings({ ...settings, maxVotesPerUser: parseInt(e.target.value) || '' })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">Total votes a single user can cast across all categories</p>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Nomination Answer Period (days)</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="60"
+                        value={settings.nominationConsentDays}
+                        onChange={(e) => setSettings({ ...settings, nominationConsentDays: parseInt(e.target.value) || '' })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">How long students have to accept a nomination made on their behalf before it expires</p>
+                    </div>
                     <div>
                       <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
                         <div>
@@ -452,8 +550,69 @@ const SystemSettings = () => {
                 {/* Payment Settings */}
                 {activeTab === 1 && (
                   <div className="space-y-8">
-                    {/* OPay Settings */}
+                    {/* Default Gateway */}
                     <div>
+                      <h3 className="text-lg font-semibold text-gray-900 mb-4">Default Payment Gateway</h3>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">Gateway</label>
+                          <select
+                            value={settings.paymentGateway}
+                            onChange={(e) => setSettings({ ...settings, paymentGateway: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          >
+                            <option value="paystack">Paystack</option>
+                            <option value="flutterwave">Flutterwave</option>
+                            <option value="opay">OPay</option>
+                            <option value="mock">Mock (development only)</option>
+                          </select>
+                          <p className="text-xs text-gray-500 mt-1">Used for any category that does not choose its own gateway</p>
+                        </div>
+                      </div>
+                    </div>
+
+                    {/* Paystack and Flutterwave Settings */}
+                    <div className="border-t pt-8">
+                      <h3 className="text-lg font-semibold text-gray-900 mb-4">Paystack &amp; Flutterwave</h3>
+                      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
+                        <div className="flex items-center">
+                          <CreditCardIcon className="h-5 w-5 text-blue-400 mr-2" />
+                          <span className="text-blue-800">Keys set in the server environment take precedence, except in multi-tenant mode.</span>
+                        </div>
+                      </div>
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">Paystack Secret Key</label>
+                          <input
+                            type="password"
+                            value={settings.paystackSecretKey}
+                            onChange={(e) => setSettings({ ...settings, paystackSecretKey: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">Flutterwave Secret Key</label>
+                          <input
+                            type="password"
+                            value={settings.flutterwaveSecretKey}
+                            onChange={(e) => setSettings({ ...settings, flutterwaveSecretKey: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">Flutterwave Webhook Hash</label>
+                          <input
+                            type="password"
+                            value={settings.flutterwaveWebhookHash}
+                            onChange={(e) => setSettings({ ...settings, flutterwaveWebhookHash: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          />
+                        </div>
+                      </div>
+                    </div>
+
+                    {/* OPay Settings */}
+                    <div className="border-t pt-8">
                       <h3 className="text-lg font-semibold text-gray-900 mb-4">OPay Gateway</h3>
                       <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
                         <div className="flex items-center">
@@ -671,6 +830,41 @@ const SystemSettings = () => {
                         className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                       />
                     </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Fraud Flag Score (0-100)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={settings.fraudFlagThreshold}
+                        onChange={(e) => setSettings({ ...settings, fraudFlagThreshold: parseInt(e.target.value) })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      <p className="mt-1 text-xs text-gray-500">Votes scoring this or more are flagged for review but still counted</p>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Fraud Hold Score (0-100)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={settings.fraudHoldThreshold}
+                        onChange={(e) => setSettings({ ...settings, fraudHoldThreshold: parseInt(e.target.value) })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      <p className="mt-1 text-xs text-gray-500">Votes scoring this or more are held back from the count until reviewed</p>
+                    </div>
+                    <div className="md:col-span-2">
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Endorsement Blocked Words</label>
+                      <textarea
+                        rows={3}
+                        value={settings.endorsementBlockedWords.join('\n')}
+                        onChange={(e) => setSettings({ ...settings, endorsementBlockedWords: e.target.value.split('\n') })}
+                        placeholder="One word per line"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      <p className="mt-1 text-xs text-gray-500">Endorsements using these words, or common profanity, are held for moderation</p>
+                    </div>
                     <div className="md:col-span-2 space-y-4">
                       <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
                         <div>
@@ -687,6 +881,21 @@ const SystemSettings = () => {
                           <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
                         </label>
                       </div>
+                      <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+                        <div>
+                          <h3 className="text-sm font-medium text-gray-900">Fraud Scoring</h3>
+                          <p className="text-sm text-gray-500">Score every payment and vote for device, IP, card and new-account abuse</p>
+                        </div>
+                        <label className="relative inline-flex items-center cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={settings.fraudDetectionEnabled}
+                            onChange={(e) => setSettings({ ...settings, fraudDetectionEnabled: e.target.checked })}
+                            className="sr-only peer"
+                          />
+                          <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                        </label>
+                      </div>
                       <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
                         <div>
                           <h3 className="text-sm font-medium text-gray-900">Two-Factor Authentication</h3>
@@ -819,9 +1028,20 @@ const SystemSettings = () => {
                                 <ServerIcon className="h-6 w-6 text-blue-600" />
                               </div>
                               <div>
-                                <h4 className="font-medium text-gray-900">{apiKey.name}</h4>
+                                <h4 className="font-medium text-gray-900">
+                                  {apiKey.name}
+                                  <span className="ml-2 font-mono text-xs text-gray-500">{apiKey.keyPrefix}…</span>
+                                  {apiKey.status === 'expired' && (
+                                    <span className="ml-2 inline-flex px-2 py-1 text-xs font-semibold bg-yellow-100 text-yellow-800 rounded-full">
+                                      Expired
+                                    </span>
+                                  )}
+                                </h4>
                                 <p className="text-sm text-gray-500">
                                   Created: {new Date(apiKey.createdAt).toLocaleDateString()}
+                                  {' · '}
+                                  Last used: {apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString() : 'Never'}
+                                  {apiKey.expiresAt && ` · Expires: ${new Date(apiKey.expiresAt).toLocaleDateString()}`}
                                 </p>
                                 <div className="flex flex-wrap gap-1 mt-2">
                                   {apiKey.permissions.map((permission) => (
@@ -838,6 +1058,7 @@ const SystemSettings = () => {
                             <button
                               onClick={() => handleDeleteApiKey(apiKey._id)}
                               className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                              title="Revoke API key"
                             >
                               <TrashIcon className="h-5 w-5" />
                             </button>
@@ -854,6 +1075,68 @@ const SystemSettings = () => {
                     )}
                   </div>
                 )}
+
+                {/* Settings History */}
+                {activeTab === 7 && (
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900 mb-6">Version History</h3>
+
+                    <div className="space-y-4">
+                      {settingsHistory.map((revision) => (
+                        <div key={revision._id} className="bg-gray-50 rounded-lg p-4 border border-gray-200">
+                          <div className="flex items-center justify-between">
+                            <div>
+                              <h4 className="font-medium text-gray-900">
+                                Version {revision.version}
+                                {revision.version === settings.version && (
+                                  <span className="ml-2 inline-flex px-2 py-1 text-xs font-semibold bg-green-100 text-green-800 rounded-full">
+                                    Current
+                                  </span>
+                                )}
+                              </h4>
+                              <p className="text-sm text-gray-500">
+                                {new Date(revision.createdAt).toLocaleString()}
+                                {revision.changedBy && ` · ${revision.changedBy.firstName} ${revision.changedBy.lastName}`}
+                              </p>
+                              {revision.note && (
+                                <p className="text-sm text-gray-600 mt-1">{revision.note}</p>
+                              )}
+                              {revision.changedFields?.length > 0 && (
+                                <div className="flex flex-wrap gap-1 mt-2">
+                                  {revision.changedFields.map((field) => (
+                                    <span
+                                      key={field}
+                                      className="inline-flex px-2 py-1 text-xs font-semibold bg-blue-100 text-blue-800 rounded-full"
+                                    >
+                                      {field}
+                                    </span>
+                                  ))}
+                                </div>
+                              )}
+                            </div>
+                            {revision.version !== settings.version && (
+                              <button
+                                onClick={() => handleRestoreVersion(revision.version)}
+                                disabled={restoringVersion !== null}
+                                className="flex items-center px-3 py-2 text-sm text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 transition-colors disabled:opacity-50"
+                              >
+                                <ArrowPathIcon className="h-4 w-4 mr-1" />
+                                {restoringVersion === revision.version ? 'Restoring...' : 'Restore'}
+                              </button>
+                            )}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+
+                    {settingsHistory.length === 0 && (
+                      <div className="text-center py-12">
+                        <ClockIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                        <p className="text-gray-500">No settings changes recorded yet.</p>
+                      </div>
+                    )}
+                  </div>
+                )}
               </motion.div>
             </AnimatePresence>
           </div>
@@ -867,7 +1150,7 @@ const SystemSettings = () => {
               animate={{ opacity: 1 }}
               exit={{ opacity: 0 }}
               className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
-              onClick={() => setShowApiKeyDialog(false)}
+              onClick={handleCloseApiKeyDialog}
             >
               <motion.div
                 initial={{ scale: 0.95, opacity: 0 }}
@@ -878,62 +1161,97 @@ const SystemSettings = () => {
               >
                 <h3 className="text-lg font-semibold text-gray-900 mb-4">Create API Key</h3>
                 
-                <div className="space-y-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">API Key Name</label>
-                    <input
-                      type="text"
-                      value={newApiKey.name}
-                      onChange={(e) => setNewApiKey({ ...newApiKey, name: e.target.value })}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                      placeholder="Enter API key name"
-                    />
+                {createdApiKey ? (
+                  <div className="space-y-4">
+                    <div className="flex items-start p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                      <ExclamationTriangleIcon className="h-5 w-5 text-yellow-600 mr-2 flex-shrink-0" />
+                      <p className="text-sm text-yellow-800">
+                        Copy this key now. It will not be shown again.
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <code className="flex-1 px-3 py-2 bg-gray-100 rounded-lg text-sm break-all">{createdApiKey}</code>
+                      <button
+                        onClick={handleCopyApiKey}
+                        className="px-3 py-2 text-sm text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 transition-colors"
+                      >
+                        Copy
+                      </button>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      Send it in the <code>X-API-Key</code> header when calling <code>/api/integrations</code>.
+                    </p>
                   </div>
-                  
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">Permissions</label>
-                    <div className="space-y-2">
-                      {['read', 'write', 'admin'].map((permission) => (
-                        <label key={permission} className="flex items-center">
-                          <input
-                            type="checkbox"
-                            checked={newApiKey.permissions.includes(permission)}
-                            onChange={(e) => {
-                              if (e.target.checked) {
-                                setNewApiKey({
-                                  ...newApiKey,
-                                  permissions: [...newApiKey.permissions, permission]
-                                });
-                              } else {
-                                setNewApiKey({
-                                  ...newApiKey,
-                                  permissions: newApiKey.permissions.filter(p => p !== permission)
-                                });
-                              }
-                            }}
-                            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
-                          />
-                          <span className="ml-2 text-sm text-gray-700 capitalize">{permission}</span>
-                        </label>
-                      ))}
+                ) : (
+                  <div className="space-y-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">API Key Name</label>
+                      <input
+                        type="text"
+                        value={newApiKey.name}
+                        onChange={(e) => setNewApiKey({ ...newApiKey, name: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="Enter API key name"
+                      />
+                    </div>
+                    
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Permissions</label>
+                      <div className="space-y-2">
+                        {['results:read', 'votes:export'].map((permission) => (
+                          <label key={permission} className="flex items-center">
+                            <input
+                              type="checkbox"
+                              checked={newApiKey.permissions.includes(permission)}
+                              onChange={(e) => {
+                                if (e.target.checked) {
+                                  setNewApiKey({
+                                    ...newApiKey,
+                                    permissions: [...newApiKey.permissions, permission]
+                                  });
+                                } else {
+                                  setNewApiKey({
+                                    ...newApiKey,
+                                    permissions: newApiKey.permissions.filter(p => p !== permission)
+                                  });
+                                }
+                              }}
+                              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                            />
+                            <span className="ml-2 text-sm text-gray-700 font-mono">{permission}</span>
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Expires On (optional)</label>
+                      <input
+                        type="date"
+                        value={newApiKey.expiresAt}
+                        onChange={(e) => setNewApiKey({ ...newApiKey, expiresAt: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
                     </div>
                   </div>
-                </div>
+                )}
                 
                 <div className="flex justify-end gap-3 mt-6">
                   <button
-                    onClick={() => setShowApiKeyDialog(false)}
+                    onClick={handleCloseApiKeyDialog}
                     className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
                   >
-                    Cancel
-                  </button>
-                  <button
-                    onClick={handleCreateApiKey}
-                    disabled={!newApiKey.name.trim() || newApiKey.permissions.length === 0}
-                    className="px-4 py-2 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-lg hover:from-blue-700 hover:to-indigo-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
-                  >
-                    Create
+                    {createdApiKey ? 'Done' : 'Cancel'}
                   </button>
+                  {!createdApiKey && (
+                    <button
+                      onClick={handleCreateApiKey}
+                      disabled={!newApiKey.name.trim() || newApiKey.permissions.length === 0}
+                      className="px-4 py-2 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-lg hover:from-blue-700 hover:to-indigo-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Create
+                    </button>
+                  )}
                 </div>
               </motion.div>
             </motion.div>
@@ -11,6 +11,8 @@ import {
   PhoneIcon,
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../contexts/AuthContext';
+import { useInstitution } from '../../contexts/InstitutionContext';
+import { authAPI } from '../../services/api';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 
 const Register = () => {
@@ -20,6 +22,7 @@ const Register = () => {
     email: '',
     phone: '',
     studentId: '',
+    faculty: '',
     department: '',
     level: '',
     password: '',
@@ -29,48 +32,16 @@ const Register = () => {
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // What the school registry says about the student ID entered
+  const [registryMatch, setRegistryMatch] = useState(null);
   
   const { register } = useAuth();
   const navigate = useNavigate();
+  // Levels and ID formats are the institution's own; faculties and
+  // departments come from its catalog
+  const { registry, faculties, departmentsOf, isValidStudentId, isValidPhone } = useInstitution();
 
-  const departments = [
-    'Computer Science',
-    'Information Technology',
-    'Software Engineering',
-    'Cybersecurity',
-    'Data Science',
-    'Other',
-  ];
-
-  const levels = ['100', '200', '300', '400', '500'];
-
-  const formatStudentId = (value) => {
-    // Remove all non-alphanumeric characters
-    const cleaned = value.replace(/[^a-zA-Z0-9]/g, '').toUpperCase();
-    
-    // If it starts with S, format it properly
-    if (cleaned.startsWith('S')) {
-      const remaining = cleaned.slice(1);
-      
-      // Ensure it starts with 0 after S
-      if (remaining.length === 0) {
-        return 'S0';
-      } else if (remaining.startsWith('0')) {
-        // Limit to 7 characters total (S + 0 + 5 digits)
-        return cleaned.slice(0, 7);
-      } else {
-        // Add 0 after S if not present
-        return 'S0' + remaining.slice(0, 5);
-      }
-    }
-    
-    // If it doesn't start with S, add S0
-    if (cleaned.length === 0) {
-      return '';
-    } else {
-      return 'S0' + cleaned.slice(0, 5);
-    }
-  };
+  const formatStudentId = (value) => value.replace(/\s/g, '').toUpperCase();
 
   const handleChange = (e) => {
     let value = e.target.value;
@@ -79,14 +50,50 @@ const Register = () => {
     if (e.target.name === 'studentId') {
       value = formatStudentId(value);
     }
+    // The registry check was for the ID and name entered at the time
+    if (['studentId', 'firstName', 'lastName'].includes(e.target.name)) {
+      setRegistryMatch(null);
+    }
     
     setFormData({
       ...formData,
       [e.target.name]: value,
+      // Departments depend on the faculty picked
+      ...(e.target.name === 'faculty' && { department: '' }),
     });
     setError('');
   };
 
+  // Check the student ID and name against the school registry and fill in
+  // what it knows
+  const handleStudentIdBlur = async () => {
+    if (!formData.studentId || !isValidStudentId(formData.studentId) ||
+        !formData.firstName.trim() || !formData.lastName.trim()) {
+      setRegistryMatch(null);
+      return;
+    }
+
+    try {
+      const response = await authAPI.verifyStudent(formData.studentId, {
+        firstName: formData.firstName,
+        lastName: formData.lastName,
+      });
+      const result = response.data;
+      setRegistryMatch(result.registryAvailable ? result : null);
+      if (result.matched) {
+        setFormData((current) => ({
+          ...current,
+          faculty: result.faculty,
+          department: result.department || '',
+          level: result.level,
+        }));
+      }
+    } catch (err) {
+      // Registration still works without the lookup
+      setRegistryMatch(null);
+    }
+  };
+
   const validateForm = () => {
     if (formData.password !== formData.confirmPassword) {
       setError('Passwords do not match');
@@ -101,10 +108,14 @@ const Register = () => {
       return false;
     }
     
+    if (!isValidPhone(formData.phone)) {
+      setError(`Please enter ${registry.phoneFormat || 'a valid phone number'}`);
+      return false;
+    }
+
     // Validate student ID format
-    const studentIdPattern = /^S0\d{5}$/;
-    if (!studentIdPattern.test(formData.studentId)) {
-      setError('Student ID must be in format S0***** (e.g., S021024)');
+    if (!isValidStudentId(formData.studentId)) {
+      setError(`Student ID must be in format ${registry.studentIdFormat}${registry.studentIdExample ? ` (e.g., ${registry.studentIdExample})` : ''}`);
       return false;
     }
     
@@ -128,7 +139,15 @@ const Register = () => {
           state: {
             status: 'success',
             email: formData.email,
-            message: 'Registration successful! Your account has been created.'
+            needsVerification: !result.user?.isVerified,
+            message: [
+              result.user?.isVerified
+                ? 'Registration successful! Your account has been created.'
+                : 'Registration successful! Check your email for a link to verify your account.',
+              result.user?.studentVerification === 'pending_review'
+                ? 'Your student ID did not match the school registry, so an admin will review it before you can be nominated.'
+                : '',
+            ].join(' ').trim()
           }
         });
       } else {
@@ -348,16 +367,50 @@ const Register = () => {
                     required
                     value={formData.studentId}
                     onChange={handleChange}
+                    onBlur={handleStudentIdBlur}
                     className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-xl shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-white/50 backdrop-blur-sm"
-                    placeholder="S021024"
+                    placeholder={registry.studentIdExample}
                   />
                 </div>
-                <p className="mt-1 text-xs text-gray-500">Format: S0***** (e.g., S021024)</p>
+                {registry.studentIdFormat && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    Format: {registry.studentIdFormat}
+                    {registry.studentIdExample && ` (e.g., ${registry.studentIdExample})`}
+                  </p>
+                )}
+                {registryMatch && (
+                  <p className={`mt-1 text-xs ${registryMatch.matched ? 'text-green-600' : 'text-amber-600'}`}>
+                    {registryMatch.matched
+                      ? 'Found on the school registry. Faculty, department and level have been filled in.'
+                      : registryMatch.message}
+                  </p>
+                )}
               </div>
             </div>
 
-            {/* Department and Level */}
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {/* Faculty, Department and Level */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="relative">
+                <label htmlFor="faculty" className="block text-sm font-medium text-gray-700 mb-2">
+                  Faculty
+                </label>
+                <select
+                  id="faculty"
+                  name="faculty"
+                  required
+                  value={formData.faculty}
+                  onChange={handleChange}
+                  className="block w-full px-3 py-3 border border-gray-300 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-white/50 backdrop-blur-sm"
+                >
+                  <option value="">Select your faculty</option>
+                  {faculties.map((faculty) => (
+                    <option key={faculty._id} value={faculty.name}>
+                      {faculty.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
               <div className="relative">
                 <label htmlFor="department" className="block text-sm font-medium text-gray-700 mb-2">
                   Department
@@ -366,12 +419,15 @@ const Register = () => {
                   id="department"
                   name="department"
                   required
+                  disabled={!formData.faculty}
                   value={formData.department}
                   onChange={handleChange}
                   className="block w-full px-3 py-3 border border-gray-300 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-white/50 backdrop-blur-sm"
                 >
-                  <option value="">Select your department</option>
-                  {departments.map((dept) => (
+                  <option value="">
+                    {formData.faculty ? 'Select your department' : 'Select your faculty first'}
+                  </option>
+                  {departmentsOf(formData.faculty).map((dept) => (
                     <option key={dept} value={dept}>
                       {dept}
                     </option>
@@ -392,7 +448,7 @@ const Register = () => {
                   className="block w-full px-3 py-3 border border-gray-300 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-white/50 backdrop-blur-sm"
                 >
                   <option value="">Select your level</option>
-                  {levels.map((level) => (
+                  {registry.levels.map((level) => (
                     <option key={level} value={level}>
                       {level} Level
                     </option>
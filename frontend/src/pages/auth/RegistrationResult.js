@@ -1,11 +1,14 @@
-import React from "react";
+import React, { useState } from "react";
 import { motion } from "framer-motion";
 import { useLocation, useNavigate } from "react-router-dom";
 import { CheckCircleIcon, ExclamationTriangleIcon } from "@heroicons/react/24/outline";
+import { useAuth } from "../../contexts/AuthContext";
 
 const RegistrationResult = () => {
   const location = useLocation();
   const navigate = useNavigate();
+  const { resendVerification } = useAuth();
+  const [resending, setResending] = useState(false);
 
   const qs = new URLSearchParams(location.search);
   const statusFromQuery = qs.get("status");
@@ -19,6 +22,13 @@ const RegistrationResult = () => {
   const email = location.state?.email || "";
 
   const isSuccess = status === "success";
+  const needsVerification = isSuccess && email && location.state?.needsVerification;
+
+  const handleResend = async () => {
+    setResending(true);
+    await resendVerification(email);
+    setResending(false);
+  };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
@@ -70,6 +80,18 @@ const RegistrationResult = () => {
             </div>
 
             <div className="space-y-3">
+              {needsVerification && (
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={handleResend}
+                  disabled={resending}
+                  className="w-full flex justify-center py-3 px-4 border border-gray-300 rounded-xl shadow-sm bg-white text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-offset-2"
+                >
+                  {resending ? "Sending..." : "Resend Verification Email"}
+                </motion.button>
+              )}
+
               <motion.button
                 whileHover={{ scale: 1.02 }}
                 whileTap={{ scale: 0.98 }}
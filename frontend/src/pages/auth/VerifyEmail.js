@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useRef } from "react";
+import { motion } from "framer-motion";
+import { useLocation, useNavigate } from "react-router-dom";
+import {
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  EnvelopeIcon,
+} from "@heroicons/react/24/outline";
+import LoadingSpinner from "../../components/common/LoadingSpinner";
+import { useAuth } from "../../contexts/AuthContext";
+import api from "../../services/api";
+
+const VerifyEmail = () => {
+  const [status, setStatus] = useState("verifying");
+  const [message, setMessage] = useState("");
+  const [email, setEmail] = useState("");
+  const [resendMessage, setResendMessage] = useState("");
+  const [resending, setResending] = useState(false);
+  // Tokens are single use, so only send it once even if the effect re-runs
+  const submitted = useRef(false);
+
+  const { user, isAuthenticated, updateUser } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const token = new URLSearchParams(location.search).get("token");
+
+  useEffect(() => {
+    if (!token) {
+      setStatus("failed");
+      setMessage("No verification token provided. Request a new verification email below.");
+      return;
+    }
+    if (submitted.current) return;
+    submitted.current = true;
+
+    api
+      .post("/auth/verify-email", { token })
+      .then((response) => {
+        setStatus("success");
+        setMessage(response.data.message || "Email verified successfully");
+        if (isAuthenticated) updateUser({ isVerified: true });
+      })
+      .catch((err) => {
+        setStatus("failed");
+        setMessage(
+          err.response?.data?.message ||
+            "Invalid or expired verification link. Request a new one below."
+        );
+      });
+  }, [token, isAuthenticated, updateUser]);
+
+  useEffect(() => {
+    if (user?.email) setEmail(user.email);
+  }, [user]);
+
+  const handleResend = async (e) => {
+    e.preventDefault();
+    setResending(true);
+    setResendMessage("");
+
+    try {
+      const response = await api.post("/auth/resend-verification", { email });
+      setResendMessage(response.data.message || "Verification email sent");
+    } catch (err) {
+      setResendMessage(
+        err.response?.data?.message || "Failed to send verification email"
+      );
+    } finally {
+      setResending(false);
+    }
+  };
+
+  if (status === "verifying") {
+    return <LoadingSpinner message="Verifying your email..." />;
+  }
+
+  const isSuccess = status === "success";
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      {/* Floating Elements */}
+      <div className="absolute top-20 left-10 w-20 h-20 bg-blue-200 rounded-full mix-blend-multiply filter blur-xl opacity-70 animate-blob"></div>
+      <div className="absolute top-40 right-10 w-20 h-20 bg-purple-200 rounded-full mix-blend-multiply filter blur-xl opacity-70 animate-blob animation-delay-2000"></div>
+      <div className="absolute -bottom-8 left-20 w-20 h-20 bg-pink-200 rounded-full mix-blend-multiply filter blur-xl opacity-70 animate-blob animation-delay-4000"></div>
+
+      <div className="relative max-w-md w-full space-y-8">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+          className="bg-white/80 backdrop-blur-lg shadow-2xl rounded-3xl p-8 border border-white/20"
+        >
+          <div className="text-center">
+            <motion.div
+              initial={{ opacity: 0, scale: 0.9 }}
+              animate={{ opacity: 1, scale: 1 }}
+              transition={{ delay: 0.2, duration: 0.5 }}
+              className={`inline-flex items-center justify-center w-20 h-20 rounded-2xl mb-4 shadow-lg ${
+                isSuccess ? "bg-gradient-to-r from-green-500 to-emerald-600" : "bg-gradient-to-r from-red-500 to-pink-600"
+              }`}
+            >
+              {isSuccess ? (
+                <CheckCircleIcon className="w-12 h-12 text-white" />
+              ) : (
+                <ExclamationTriangleIcon className="w-12 h-12 text-white" />
+              )}
+            </motion.div>
+
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">
+              {isSuccess ? "Email Verified" : "Verification Failed"}
+            </h1>
+
+            <div
+              className={`mb-6 p-4 rounded-xl border ${
+                isSuccess ? "bg-green-50 border-green-200" : "bg-red-50 border-red-200"
+              }`}
+            >
+              <p className={`text-sm ${isSuccess ? "text-green-800" : "text-red-800"}`}>
+                {message}
+              </p>
+            </div>
+
+            {isSuccess ? (
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={() => navigate(isAuthenticated ? "/dashboard" : "/login")}
+                className="w-full flex justify-center py-3 px-4 border border-transparent rounded-xl shadow-sm text-sm font-medium text-white bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-700 hover:to-emerald-700 focus:outline-none focus:ring-2 focus:ring-offset-2"
+              >
+                {isAuthenticated ? "Go to Dashboard" : "Continue to Login"}
+              </motion.button>
+            ) : (
+              <form onSubmit={handleResend} className="space-y-3 text-left">
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                  Email address
+                </label>
+                <div className="relative">
+                  <EnvelopeIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                  <input
+                    id="email"
+                    type="email"
+                    required
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="w-full pl-10 pr-3 py-3 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="you@example.com"
+                  />
+                </div>
+                {resendMessage && (
+                  <p className="text-sm text-gray-600">{resendMessage}</p>
+                )}
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  type="submit"
+                  disabled={resending}
+                  className="w-full flex justify-center py-3 px-4 border border-transparent rounded-xl shadow-sm text-sm font-medium text-white bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-offset-2"
+                >
+                  {resending ? "Sending..." : "Resend Verification Email"}
+                </motion.button>
+              </form>
+            )}
+          </div>
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
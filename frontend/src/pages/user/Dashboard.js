@@ -15,7 +15,9 @@ import {
   SparklesIcon,
   FireIcon,
   StarIcon,
+  DocumentArrowDownIcon,
 } from "@heroicons/react/24/outline";
+import toast from "react-hot-toast";
 
 const Dashboard = () => {
   const navigate = useNavigate();
@@ -25,6 +27,7 @@ const Dashboard = () => {
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const [downloadingId, setDownloadingId] = useState(null);
 
   useEffect(() => {
     fetchDashboardData();
@@ -59,6 +62,26 @@ const Dashboard = () => {
     }
   };
 
+  const handleDownloadReceipt = async (payment) => {
+    try {
+      setDownloadingId(payment._id);
+      const response = await paymentsAPI.downloadReceipt(payment._id);
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.setAttribute("download", `receipt-${payment.internalReference}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      console.error("Error downloading receipt:", err);
+      toast.error("Failed to download receipt");
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
   const getVotingProgress = () => {
     const totalCategories = Array.isArray(categories) ? categories.length : 0;
     const votedCategories = Array.isArray(userVotes) ? userVotes.length : 0;
@@ -95,6 +118,9 @@ const Dashboard = () => {
 
   const votingProgress = getVotingProgress();
   const totalSpent = getTotalSpent();
+  const paidPayments = Array.isArray(paymentHistory)
+    ? paymentHistory.filter((payment) => ["success", "refunded"].includes(payment.status))
+    : [];
   const unvotedCategories = Array.isArray(categories)
     ? categories.filter((category) =>
         !Array.isArray(userVotes)
@@ -439,6 +465,68 @@ const Dashboard = () => {
               )}
             </motion.div>
           </div>
+
+          {/* Recent Payments */}
+          {paidPayments.length > 0 && (
+            <motion.div
+              variants={itemVariants}
+              className="mt-8 bg-white/80 backdrop-blur-lg rounded-3xl p-8 shadow-xl border border-white/20"
+            >
+              <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center">
+                <CreditCardIcon className="w-6 h-6 text-green-500 mr-2" />
+                Recent Payments
+              </h2>
+
+              <div className="space-y-4">
+                {paidPayments.slice(0, 5).map((payment) => (
+                  <div
+                    key={payment._id}
+                    className="flex items-center justify-between p-4 bg-gray-50/50 rounded-2xl"
+                  >
+                    <div className="flex-1 min-w-0">
+                      <h4 className="font-semibold text-gray-900 truncate">
+                        {payment.metadata?.nominee?.student
+                          ? `${payment.metadata.nominee.student.firstName} ${payment.metadata.nominee.student.lastName}`
+                          : "Vote payment"}
+                        {payment.metadata?.category?.name && (
+                          <span className="font-normal text-gray-600"> · {payment.metadata.category.name}</span>
+                        )}
+                      </h4>
+                      <p className="text-sm text-gray-600 font-mono">
+                        {payment.internalReference} · {new Date(payment.paidAt || payment.createdAt).toLocaleDateString()}
+                        {payment.status === "refunded" && <span className="ml-2 text-red-600 font-sans">Refunded</span>}
+                      </p>
+                    </div>
+                    <div className="ml-4 text-right font-semibold text-gray-900">
+                      ₦{payment.amount.toLocaleString()}
+                    </div>
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => handleDownloadReceipt(payment)}
+                      disabled={downloadingId === payment._id}
+                      className="ml-4 px-4 py-2 border-2 border-gray-200 rounded-xl text-gray-700 hover:border-green-300 hover:text-green-600 transition-all duration-200 flex items-center space-x-2 font-medium disabled:opacity-50"
+                    >
+                      <DocumentArrowDownIcon className="w-4 h-4" />
+                      <span>Receipt</span>
+                    </motion.button>
+                  </div>
+                ))}
+              </div>
+
+              {paidPayments.length > 5 && (
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  className="w-full mt-6 py-3 px-4 border-2 border-gray-200 rounded-xl text-gray-700 hover:border-green-300 hover:text-green-600 transition-all duration-200 flex items-center justify-center space-x-2 font-medium"
+                  onClick={() => navigate("/voting-history")}
+                >
+                  <span>View All Payments</span>
+                  <ArrowRightIcon className="w-4 h-4" />
+                </motion.button>
+              )}
+            </motion.div>
+          )}
         </motion.div>
       </div>
     </div>
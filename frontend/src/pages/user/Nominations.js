@@ -16,31 +16,59 @@ import {
   DialogActions,
   TextField,
   FormControl,
+  FormHelperText,
   InputLabel,
   Select,
   MenuItem,
+  ListItemText,
 } from '@mui/material';
-import { Add, Edit, Delete } from '@mui/icons-material';
+import { Add, Edit, Delete, Check, Close } from '@mui/icons-material';
+import toast from 'react-hot-toast';
 import { nomineesAPI, categoriesAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import ConfirmDialog from '../../components/common/ConfirmDialog';
 
+const emptyForm = {
+  category: '',
+  reason: '',
+  achievements: '',
+};
+
+const statusColors = {
+  pending: 'warning',
+  approved: 'success',
+  rejected: 'error',
+  declined: 'default',
+  expired: 'default',
+};
+
+// Nominations the nominee can no longer change
+const closedStatuses = ['declined', 'expired'];
+
+// Why a category cannot be picked, e.g. "level 100 below minLevel 200"
+const ineligibleReason = (entry) => {
+  if (!entry.allowSelfNomination) {
+    return 'This category does not accept self-nominations';
+  }
+  if (entry.nominationClosedReason) {
+    return entry.nominationClosedReason;
+  }
+  return entry.nomination.reasons.map((reason) => reason.message).join('; ');
+};
+
 const Nominations = () => {
+  const { user } = useAuth();
   const [nominees, setNominees] = useState([]);
+  const [incoming, setIncoming] = useState([]);
+  const [respondingId, setRespondingId] = useState(null);
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [openDialog, setOpenDialog] = useState(false);
   const [editingNominee, setEditingNominee] = useState(null);
   const [deleteDialog, setDeleteDialog] = useState({ open: false, nominee: null });
-  const [formData, setFormData] = useState({
-    name: '',
-    description: '',
-    category: '',
-    image: '',
-    achievements: '',
-    qualifications: '',
-  });
+  const [formData, setFormData] = useState(emptyForm);
 
   useEffect(() => {
     fetchData();
@@ -49,13 +77,15 @@ const Nominations = () => {
   const fetchData = async () => {
     try {
       setLoading(true);
-      const [nomineesResponse, categoriesResponse] = await Promise.all([
-        nomineesAPI.getAll(),
-        categoriesAPI.getAll()
+      const [nomineesResponse, incomingResponse, eligibilityResponse] = await Promise.all([
+        nomineesAPI.getMine(),
+        nomineesAPI.getIncoming(),
+        categoriesAPI.getEligibility()
       ]);
       
-      setNominees(nomineesResponse.data);
-      setCategories(categoriesResponse.data);
+      setNominees(nomineesResponse.data.data.nominations.filter((nominee) => nominee.status !== 'awaiting_consent'));
+      setIncoming(incomingResponse.data.data.nominations);
+      setCategories(eligibilityResponse.data.data.eligibility);
     } catch (err) {
       setError('Failed to load nominations data');
       console.error('Error fetching data:', err);
@@ -68,23 +98,13 @@ const Nominations = () => {
     if (nominee) {
       setEditingNominee(nominee);
       setFormData({
-        name: nominee.student ? `${nominee.student.firstName} ${nominee.student.lastName}` : nominee.name || '',
-        description: nominee.description || '',
-        category: nominee.category || '',
-        image: nominee.image || '',
-        achievements: nominee.achievements ? nominee.achievements.join(', ') : '',
-        qualifications: nominee.qualifications ? nominee.qualifications.join(', ') : '',
+        category: nominee.category?._id || '',
+        reason: nominee.nominationReason || '',
+        achievements: nominee.achievements ? nominee.achievements.map((achievement) => achievement.title).join(', ') : '',
       });
     } else {
       setEditingNominee(null);
-      setFormData({
-        name: '',
-        description: '',
-        category: '',
-        image: '',
-        achievements: '',
-        qualifications: '',
-      });
+      setFormData(emptyForm);
     }
     setOpenDialog(true);
   };
@@ -92,14 +112,7 @@ const Nominations = () => {
   const handleCloseDialog = () => {
     setOpenDialog(false);
     setEditingNominee(null);
-    setFormData({
-      name: '',
-      description: '',
-      category: '',
-      image: '',
-      achievements: '',
-      qualifications: '',
-    });
+    setFormData(emptyForm);
   };
 
   const handleInputChange = (field) => (event) => {
@@ -111,26 +124,57 @@ const Nominations = () => {
 
   const handleSubmit = async () => {
     try {
-      const submitData = {
-        ...formData,
-        achievements: formData.achievements.split(',').map(item => item.trim()).filter(Boolean),
-        qualifications: formData.qualifications.split(',').map(item => item.trim()).filter(Boolean),
-      };
+      // Keep existing achievements (and their verification) when their title is unchanged
+      const achievements = formData.achievements.split(',').map(item => item.trim()).filter(Boolean).map((title) => {
+        const existing = editingNominee?.achievements?.find((achievement) => achievement.title === title);
+        return existing
+          ? { _id: existing._id, title, description: existing.description, date: existing.date }
+          : { title };
+      });
 
       if (editingNominee) {
-        await nomineesAPI.update(editingNominee._id, submitData);
+        await nomineesAPI.update(editingNominee._id, {
+          nominationReason: formData.reason.trim(),
+          achievements,
+        });
       } else {
-        await nomineesAPI.create(submitData);
+        await nomineesAPI.create({
+          student: user.id,
+          category: formData.category,
+          reason: formData.reason,
+          achievements,
+        });
       }
       
+      setError('');
       await fetchData();
       handleCloseDialog();
     } catch (err) {
-      setError('Failed to save nominee');
+      setError(err.response?.data?.message || 'Failed to save nomination');
       console.error('Error saving nominee:', err);
     }
   };
 
+  const handleRespond = async (nomination, decision) => {
+    let reason;
+    if (decision === 'decline') {
+      reason = window.prompt('Reason for declining (optional)');
+      if (reason === null) return;
+    }
+
+    try {
+      setRespondingId(nomination._id);
+      const response = await nomineesAPI.respondToNomination(nomination._id, decision, reason?.trim() || undefined);
+      toast.success(response.data.message);
+      await fetchData();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to answer nomination');
+      console.error('Error answering nomination:', err);
+    } finally {
+      setRespondingId(null);
+    }
+  };
+
   const handleDelete = async () => {
     try {
       await nomineesAPI.delete(deleteDialog.nominee._id);
@@ -157,7 +201,7 @@ const Nominations = () => {
           startIcon={<Add />}
           onClick={() => handleOpenDialog()}
         >
-          Add Nominee
+          Nominate Yourself
         </Button>
       </Box>
 
@@ -167,14 +211,63 @@ const Nominations = () => {
         </Alert>
       )}
 
+      {incoming.length > 0 && (
+        <Box sx={{ mb: 4 }}>
+          <Typography variant="h5" component="h2" gutterBottom>
+            Nominations Awaiting Your Answer
+          </Typography>
+          <Grid container spacing={3}>
+            {incoming.map((nomination) => (
+              <Grid item xs={12} md={6} key={nomination._id}>
+                <Card variant="outlined">
+                  <CardContent>
+                    <Typography variant="h6" gutterBottom>
+                      {nomination.category?.name}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" gutterBottom>
+                      Nominated by {nomination.nominatedBy?.firstName} {nomination.nominatedBy?.lastName}
+                      {' · '}answer by {new Date(nomination.consent.expiresAt).toLocaleDateString()}
+                    </Typography>
+                    <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>
+                      {nomination.nominationReason}
+                    </Typography>
+                  </CardContent>
+                  <Box sx={{ p: 2, pt: 0 }}>
+                    <Button
+                      variant="contained"
+                      color="success"
+                      startIcon={<Check />}
+                      onClick={() => handleRespond(nomination, 'accept')}
+                      disabled={respondingId === nomination._id}
+                      sx={{ mr: 1 }}
+                    >
+                      Accept
+                    </Button>
+                    <Button
+                      variant="outlined"
+                      color="error"
+                      startIcon={<Close />}
+                      onClick={() => handleRespond(nomination, 'decline')}
+                      disabled={respondingId === nomination._id}
+                    >
+                      Decline
+                    </Button>
+                  </Box>
+                </Card>
+              </Grid>
+            ))}
+          </Grid>
+        </Box>
+      )}
+
       {nominees.length === 0 ? (
         <Alert severity="info">
-          No nominees found. Click "Add Nominee" to create your first nomination.
+          You have no nominations yet. Click "Nominate Yourself" to enter a category.
         </Alert>
       ) : (
         <Grid container spacing={3}>
           {nominees.map((nominee) => {
-            const category = categories.find(cat => cat._id === nominee.category);
+            const category = nominee.category;
             
             return (
               <Grid item xs={12} sm={6} md={4} key={nominee._id}>
@@ -184,34 +277,33 @@ const Nominations = () => {
                       component="img"
                       height="200"
                       image={nominee.image}
-                      alt={nominee.student ? `${nominee.student.firstName} ${nominee.student.lastName}` : nominee.name || 'Unknown Nominee'}
+                      alt={category?.name || 'Nomination'}
                       sx={{ objectFit: 'cover' }}
                     />
                   )}
                   
                   <CardContent sx={{ flexGrow: 1 }}>
                     <Typography variant="h6" component="h2" gutterBottom>
-                      {nominee.student ? `${nominee.student.firstName} ${nominee.student.lastName}` : nominee.name || 'Unknown Nominee'}
+                      {category?.name || 'Nomination'}
                     </Typography>
                     
-                    {category && (
-                      <Chip
-                        label={category.name}
-                        color="primary"
-                        size="small"
-                        sx={{ mb: 2 }}
-                      />
-                    )}
+                    <Chip
+                      label={nominee.status.replace('_', ' ')}
+                      color={statusColors[nominee.status] || 'default'}
+                      size="small"
+                      variant="outlined"
+                      sx={{ mb: 2 }}
+                    />
                     
-                    {nominee.description && (
+                    {nominee.nominationReason && (
                       <Typography
                         variant="body2"
                         color="text.secondary"
                         sx={{ mb: 2 }}
                       >
-                        {nominee.description.length > 100
-                          ? `${nominee.description.substring(0, 100)}...`
-                          : nominee.description
+                        {nominee.nominationReason.length > 100
+                          ? `${nominee.nominationReason.substring(0, 100)}...`
+                          : nominee.nominationReason
                         }
                       </Typography>
                     )}
@@ -235,14 +327,16 @@ const Nominations = () => {
                   </CardContent>
                   
                   <Box sx={{ p: 2, pt: 0 }}>
-                    <Button
-                      variant="outlined"
-                      startIcon={<Edit />}
-                      onClick={() => handleOpenDialog(nominee)}
-                      sx={{ mr: 1 }}
-                    >
-                      Edit
-                    </Button>
+                    {!closedStatuses.includes(nominee.status) && (
+                      <Button
+                        variant="outlined"
+                        startIcon={<Edit />}
+                        onClick={() => handleOpenDialog(nominee)}
+                        sx={{ mr: 1 }}
+                      >
+                        Edit
+                      </Button>
+                    )}
                     <Button
                       variant="outlined"
                       color="error"
@@ -262,54 +356,49 @@ const Nominations = () => {
       {/* Add/Edit Dialog */}
       <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="md" fullWidth>
         <DialogTitle>
-          {editingNominee ? 'Edit Nominee' : 'Add New Nominee'}
+          {editingNominee ? 'Edit Nomination' : 'Nominate Yourself'}
         </DialogTitle>
         <DialogContent>
           <Grid container spacing={2} sx={{ mt: 1 }}>
             <Grid item xs={12}>
-              <TextField
-                fullWidth
-                label="Name"
-                value={formData.name}
-                onChange={handleInputChange('name')}
-                required
-              />
-            </Grid>
-            
-            <Grid item xs={12}>
-              <FormControl fullWidth required>
+              <FormControl fullWidth required disabled={Boolean(editingNominee)}>
                 <InputLabel>Category</InputLabel>
                 <Select
                   value={formData.category}
                   onChange={handleInputChange('category')}
                   label="Category"
+                  renderValue={(value) => categories.find((entry) => entry.category === value)?.name
+                    || editingNominee?.category?.name}
                 >
-                  {categories.map((category) => (
-                    <MenuItem key={category._id} value={category._id}>
-                      {category.name}
+                  {categories.map((entry) => (
+                    <MenuItem key={entry.category} value={entry.category} disabled={!entry.canSelfNominate}>
+                      <ListItemText
+                        primary={entry.name}
+                        secondary={entry.canSelfNominate ? null : ineligibleReason(entry)}
+                        secondaryTypographyProps={{ sx: { whiteSpace: 'normal' } }}
+                      />
                     </MenuItem>
                   ))}
                 </Select>
+                {!editingNominee && (
+                  <FormHelperText>
+                    Greyed-out categories are closed for nominations or have eligibility rules your profile does not meet.
+                  </FormHelperText>
+                )}
               </FormControl>
             </Grid>
             
             <Grid item xs={12}>
               <TextField
                 fullWidth
-                label="Description"
-                value={formData.description}
-                onChange={handleInputChange('description')}
+                label="Why should you win this award?"
+                value={formData.reason}
+                onChange={handleInputChange('reason')}
                 multiline
-                rows={3}
-              />
-            </Grid>
-            
-            <Grid item xs={12}>
-              <TextField
-                fullWidth
-                label="Image URL"
-                value={formData.image}
-                onChange={handleInputChange('image')}
+                rows={4}
+                required
+                inputProps={{ maxLength: 1000 }}
+                helperText={`${formData.reason.trim().length}/1000 characters (at least 50)`}
               />
             </Grid>
             
@@ -324,24 +413,17 @@ const Nominations = () => {
                 helperText="Enter achievements separated by commas"
               />
             </Grid>
-            
-            <Grid item xs={12}>
-              <TextField
-                fullWidth
-                label="Qualifications (comma-separated)"
-                value={formData.qualifications}
-                onChange={handleInputChange('qualifications')}
-                multiline
-                rows={2}
-                helperText="Enter qualifications separated by commas"
-              />
-            </Grid>
+
           </Grid>
         </DialogContent>
         <DialogActions>
           <Button onClick={handleCloseDialog}>Cancel</Button>
-          <Button onClick={handleSubmit} variant="contained">
-            {editingNominee ? 'Update' : 'Create'}
+          <Button
+            onClick={handleSubmit}
+            variant="contained"
+            disabled={formData.reason.trim().length < 50 || (!editingNominee && !formData.category)}
+          >
+            {editingNominee ? 'Update' : 'Submit'}
           </Button>
         </DialogActions>
       </Dialog>
@@ -351,8 +433,8 @@ const Nominations = () => {
         open={deleteDialog.open}
         onClose={() => setDeleteDialog({ open: false, nominee: null })}
         onConfirm={handleDelete}
-        title="Delete Nominee"
-        message={`Are you sure you want to delete ${deleteDialog.nominee?.name}? This action cannot be undone.`}
+        title="Delete Nomination"
+        message={`Are you sure you want to delete your nomination in ${deleteDialog.nominee?.category?.name || 'this category'}? This action cannot be undone.`}
         confirmText="Delete"
         confirmColor="error"
       />
@@ -360,4 +442,4 @@ const Nominations = () => {
   );
 };
 
-export default Nominations;
\ No newline at end of file
+export default Nominations;
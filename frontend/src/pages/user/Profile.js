@@ -17,6 +17,7 @@ import {
   InformationCircleIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../contexts/AuthContext';
+import { useInstitution } from '../../contexts/InstitutionContext';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import api from '../../services/api';
 
@@ -50,16 +51,8 @@ const Profile = () => {
     confirm: false,
   });
 
-  const departments = [
-    'Computer Science',
-    'Information Technology',
-    'Software Engineering',
-    'Cybersecurity',
-    'Data Science',
-    'Other',
-  ];
-
-  const levels = ['100', '200', '300', '400', '500'];
+  const { departments, registry } = useInstitution();
+  const { levels } = registry;
 
   useEffect(() => {
     if (user) {
@@ -22,13 +22,16 @@ import {
   Select,
   MenuItem,
   TextField,
+  Button,
 } from '@mui/material';
 import {
   HowToVote,
   Payment,
   FilterList,
   History,
+  Receipt,
 } from '@mui/icons-material';
+import toast from 'react-hot-toast';
 import { votesAPI, paymentsAPI } from '../../services/api';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 
@@ -42,6 +45,7 @@ const VotingHistory = () => {
   const [filterCategory, setFilterCategory] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
   const [activeTab, setActiveTab] = useState('votes'); // 'votes' or 'payments'
+  const [downloadingId, setDownloadingId] = useState(null);
 
   useEffect(() => {
     fetchData();
@@ -52,11 +56,11 @@ const VotingHistory = () => {
       setLoading(true);
       const [votesResponse, paymentsResponse] = await Promise.all([
         votesAPI.getUserVotes(),
-        paymentsAPI.getPaymentHistory()
+        paymentsAPI.getPaymentHistory({ limit: 100 })
       ]);
       
-      setVotes(votesResponse.data);
-      setPayments(paymentsResponse.data);
+      setVotes(votesResponse.data.data?.votes || []);
+      setPayments(paymentsResponse.data.data?.payments || []);
     } catch (err) {
       setError('Failed to load voting history');
       console.error('Error fetching data:', err);
@@ -65,6 +69,26 @@ const VotingHistory = () => {
     }
   };
 
+  const handleDownloadReceipt = async (payment) => {
+    try {
+      setDownloadingId(payment._id);
+      const response = await paymentsAPI.downloadReceipt(payment._id);
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `receipt-${payment.internalReference}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      console.error('Error downloading receipt:', err);
+      toast.error('Failed to download receipt');
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
   const handleChangePage = (event, newPage) => {
     setPage(newPage);
   };
@@ -87,7 +111,7 @@ const VotingHistory = () => {
   const getFilteredPayments = () => {
     return payments.filter(payment => {
       const matchesSearch = !searchTerm || 
-        payment.reference.toLowerCase().includes(searchTerm.toLowerCase()) ||
+        payment.internalReference.toLowerCase().includes(searchTerm.toLowerCase()) ||
         payment.status.toLowerCase().includes(searchTerm.toLowerCase());
       return matchesSearch;
     });
@@ -354,6 +378,7 @@ const VotingHistory = () => {
                         <TableCell>Status</TableCell>
                         <TableCell>Date</TableCell>
                         <TableCell>Description</TableCell>
+                        <TableCell align="right">Receipt</TableCell>
                       </TableRow>
                     </TableHead>
                     <TableBody>
@@ -363,7 +388,7 @@ const VotingHistory = () => {
                           <TableRow key={payment._id}>
                             <TableCell>
                               <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
-                                {payment.reference}
+                                {payment.internalReference}
                               </Typography>
                             </TableCell>
                             <TableCell>
@@ -380,7 +405,19 @@ const VotingHistory = () => {
                               {new Date(payment.createdAt).toLocaleDateString()}
                             </TableCell>
                             <TableCell>
-                              {payment.description || 'Vote payment'}
+                              {payment.metadata?.category?.name || 'Vote payment'}
+                            </TableCell>
+                            <TableCell align="right">
+                              {['success', 'refunded'].includes(payment.status) && (
+                                <Button
+                                  size="small"
+                                  startIcon={<Receipt />}
+                                  onClick={() => handleDownloadReceipt(payment)}
+                                  disabled={downloadingId === payment._id}
+                                >
+                                  PDF
+                                </Button>
+                              )}
                             </TableCell>
                           </TableRow>
                         ))
@@ -10,12 +10,37 @@ const api = axios.create({
   },
 });
 
+// Institution this site is for, in deployments hosting several. A server
+// hosting a single institution ignores it
+const TENANT = process.env.REACT_APP_TENANT || window.location.hostname;
+
+// Random ID kept per browser so the server can spot one device voting for many accounts
+const getDeviceFingerprint = () => {
+  try {
+    let fingerprint = localStorage.getItem('deviceFingerprint');
+    if (!fingerprint) {
+      fingerprint = window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+      localStorage.setItem('deviceFingerprint', fingerprint);
+    }
+    return fingerprint;
+  } catch (error) {
+    return null;
+  }
+};
+
 // Add auth token to requests
 api.interceptors.request.use((config) => {
   const token = Cookies.get('token');
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
   }
+  const fingerprint = getDeviceFingerprint();
+  if (fingerprint) {
+    config.headers['X-Device-Fingerprint'] = fingerprint;
+  }
+  if (TENANT) {
+    config.headers['X-Tenant'] = TENANT;
+  }
   return config;
 });
 
@@ -42,7 +67,7 @@ api.interceptors.response.use(
 export const authAPI = {
   login: (credentials) => api.post('/auth/login', credentials),
   register: (userData) => api.post('/auth/register', userData),
-  verifyStudent: (studentId) => api.post('/auth/verify-student', { studentId }),
+  verifyStudent: (studentId, names = {}) => api.post('/auth/verify-student', { studentId, ...names }),
   getCurrentUser: () => api.get('/auth/me'),
   verifyEmail: (token) => api.post('/auth/verify-email', { token }),
   resendVerification: (email) => api.post('/auth/resend-verification', { email }),
@@ -52,8 +77,9 @@ export const authAPI = {
 
 // Categories endpoints
 export const categoriesAPI = {
-  getAll: () => api.get('/categories'),
+  getAll: (params) => api.get('/categories', { params }),
   getById: (id) => api.get(`/categories/${id}`),
+  getEligibility: () => api.get('/categories/eligibility'),
   create: (categoryData) => api.post('/categories', categoryData),
   update: (id, categoryData) => api.put(`/categories/${id}`, categoryData),
   delete: (id) => api.delete(`/categories/${id}`),
@@ -64,9 +90,27 @@ export const nomineesAPI = {
   getAll: () => api.get('/nominees'),
   getByCategory: (categoryId) => api.get(`/nominees?category=${categoryId}`),
   getById: (id) => api.get(`/nominees/${id}`),
+  getMine: () => api.get('/nominees/my-nominations'),
+  getIncoming: () => api.get('/nominees/incoming'),
+  respondToNomination: (id, decision, reason) => api.patch(`/nominees/${id}/consent`, { decision, reason }),
   create: (nomineeData) => api.post('/nominees', nomineeData),
   update: (id, nomineeData) => api.put(`/nominees/${id}`, nomineeData),
   delete: (id) => api.delete(`/nominees/${id}`),
+  getEndorsements: (id, params) => api.get(`/nominees/${id}/endorsements`, { params }),
+  endorse: (id, endorsementData) => api.post(`/nominees/${id}/endorsements`, endorsementData),
+  setEndorsementVisibility: (id, endorsementId, isPublic) => api.patch(`/nominees/${id}/endorsements/${endorsementId}`, { isPublic }),
+  withdrawEndorsement: (id, endorsementId) => api.delete(`/nominees/${id}/endorsements/${endorsementId}`),
+  reportEndorsement: (id, endorsementId, reason) => api.post(`/nominees/${id}/endorsements/${endorsementId}/report`, { reason }),
+  getAchievements: (id) => api.get(`/nominees/${id}/achievements`),
+  uploadDocuments: (id, achievementId, files) => {
+    const formData = new FormData();
+    Array.from(files).forEach((file) => formData.append('documents', file));
+    return api.post(`/nominees/${id}/achievements/${achievementId}/documents`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  downloadDocument: (url) => api.get(url.replace(/^\/api/, ''), { responseType: 'blob' }),
+  deleteDocument: (id, documentId) => api.delete(`/nominees/${id}/documents/${documentId}`),
 };
 
 // Votes endpoints
@@ -74,16 +118,76 @@ export const votesAPI = {
   vote: (voteData) => api.post('/votes', voteData),
   getUserVotes: () => api.get('/votes/my-votes'),
   getVoteStats: () => api.get('/votes/stats'),
-  getVotingStats: () => api.get('/votes/stats'),
+  getVotingStats: (params) => api.get('/votes/stats', { params }),
   getCategoryResults: (categoryId) => api.get(`/votes/category/${categoryId}/results`),
-  getLeaderboard: () => api.get('/votes/leaderboard'),
+  getLeaderboard: (category, edition) => api.get('/votes/leaderboard', {
+    params: { category: category || undefined, edition: edition || undefined }
+  }),
+};
+
+// Editions API
+export const editionsAPI = {
+  getAll: () => api.get('/editions'),
+  getActive: () => api.get('/editions/active'),
+  create: (editionData) => api.post('/editions', editionData),
+  update: (id, editionData) => api.put(`/editions/${id}`, editionData),
+  activate: (id) => api.post(`/editions/${id}/activate`),
+  cloneCategories: (id, from) => api.post(`/editions/${id}/clone`, { from }),
+};
+
+// Institution branding, faculties, departments, levels and ID formats
+export const tenantAPI = {
+  getProfile: () => api.get('/tenant'),
+  getAdminProfile: () => api.get('/admin/tenant'),
+  update: (data) => api.put('/admin/tenant', data),
+};
+
+// Faculty and department catalog endpoints
+export const catalogAPI = {
+  getFaculties: () => api.get('/faculties'),
+  getAllFaculties: () => api.get('/admin/faculties'),
+  createFaculty: (data) => api.post('/admin/faculties', data),
+  updateFaculty: (id, data) => api.put(`/admin/faculties/${id}`, data),
+  deleteFaculty: (id) => api.delete(`/admin/faculties/${id}`),
+  createDepartment: (data) => api.post('/admin/departments', data),
+  updateDepartment: (id, data) => api.put(`/admin/departments/${id}`, data),
+  deleteDepartment: (id) => api.delete(`/admin/departments/${id}`),
+};
+
+// Student registry and student verification endpoints
+export const studentRegistryAPI = {
+  getRecords: (params) => api.get('/admin/student-registry', { params }),
+  importFile: (file, replace = false) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post('/admin/student-registry/import', formData, {
+      params: { replace },
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  getVerifications: (params) => api.get('/admin/student-verifications', { params }),
+  review: (userId, data) => api.patch(`/admin/student-verifications/${userId}`, data),
+};
+
+// Bulk import endpoints (admin)
+export const importAPI = {
+  run: (entity, file, { dryRun = true, edition } = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post(`/admin/import/${entity}`, formData, {
+      params: { dryRun, ...(edition && { edition }) },
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  getTemplate: (entity) => api.get(`/admin/import/${entity}/template`, { responseType: 'blob' }),
 };
 
 // Payments endpoints
 export const paymentsAPI = {
   initializePayment: (paymentData) => api.post('/payments/initialize', paymentData),
   verifyPayment: (reference) => api.post('/payments/verify', { reference }),
-  getPaymentHistory: () => api.get('/payments/history'),
+  getPaymentHistory: (params) => api.get('/payments/history', { params }),
+  downloadReceipt: (id) => api.get(`/payments/${id}/receipt`, { responseType: 'blob' }),
   getPaymentReports: (filters) => api.get('/payments/reports', { params: filters }),
 };
 
@@ -97,4 +201,79 @@ export const adminAPI = {
   updateSystemSettings: (settings) => api.put('/admin/settings', settings),
 };
 
+// Live results stream (Server-Sent Events). Returns a function that closes it.
+// onStatusChange(true/false) lets callers poll while the stream is down.
+export const subscribeToLiveResults = ({ categoryId, onResults, onStatusChange }) => {
+  if (typeof window === 'undefined' || !window.EventSource) {
+    onStatusChange?.(false);
+    return () => {};
+  }
+
+  // EventSource cannot send headers, so the tenant goes in the query string
+  const params = new URLSearchParams();
+  if (categoryId) params.set('category', categoryId);
+  if (TENANT) params.set('tenant', TENANT);
+  const url = `${API_BASE_URL}/live/results${params.toString() ? `?${params}` : ''}`;
+  const source = new EventSource(url);
+
+  source.addEventListener('snapshot', () => onStatusChange?.(true));
+  source.addEventListener('results', (event) => {
+    try {
+      onResults?.(JSON.parse(event.data));
+    } catch (error) {
+      console.error('Invalid live results event:', error);
+    }
+  });
+  // EventSource reconnects on its own; fall back to polling until it does
+  source.onerror = () => onStatusChange?.(false);
+
+  return () => source.close();
+};
+
+// The leaderboard endpoint's default page size
+const LEADERBOARD_LIMIT = 50;
+
+// Apply a live results event to leaderboard entries, sorted as the API returns
+// them, without asking the server again. Returns null when the event alone is
+// not enough: a nominee that isn't listed yet, or ranks sent without counts
+// into a list that mixes categories.
+export const applyLiveResults = (entries, { categoryId, counts, changes }) => {
+  const inCategory = (entry) => entry.category?._id === categoryId;
+  const singleCategory = entries.every(inCategory);
+  const listed = new Set(entries.filter(inCategory).map((entry) => entry.nominee?._id));
+  const lowest = entries[entries.length - 1]?.totalVotes || 0;
+
+  const needsRefetch = changes.some((change) => {
+    if (!listed.has(change.nomineeId)) {
+      // Someone outside a full list only matters once they overtake its last entry
+      return entries.length < LEADERBOARD_LIMIT || change.count === undefined || change.count > lowest;
+    }
+    return change.count === undefined && !singleCategory;
+  });
+  if (needsRefetch) return null;
+
+  const updated = entries.map((entry) => {
+    const live = inCategory(entry) && counts[entry.nominee?._id];
+    if (!live) return entry;
+    return live.count === undefined
+      ? { ...entry, rank: live.rank }
+      : { ...entry, totalVotes: live.count, rank: live.rank };
+  });
+
+  if (singleCategory) {
+    return updated.sort((a, b) => a.rank - b.rank);
+  }
+  // Entries with hidden counts keep their place; there is nothing to sort them by
+  if (updated.some((entry) => entry.totalVotes === undefined)) return updated;
+  return updated
+    .sort((a, b) => b.totalVotes - a.totalVotes)
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+};
+
+// Votes added by a live results event, for keeping overall totals current
+export const liveVotesAdded = ({ changes }) => changes.reduce(
+  (total, change) => (change.count === undefined ? total : total + change.count - change.previousCount),
+  0
+);
+
 export default api;
\ No newline at end of file